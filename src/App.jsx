@@ -1,17 +1,39 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import Container from '@mui/material/Container';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import Stack from '@mui/material/Stack';
+import Badge from '@mui/material/Badge';
+import Paper from '@mui/material/Paper';
+import Alert from '@mui/material/Alert';
+import Tabs from '@mui/material/Tabs';
+import Tab from '@mui/material/Tab';
+import SettingsIcon from '@mui/icons-material/Settings';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import ExpenseInput from './components/ExpenseInput.jsx';
 import ExpenseList from './components/ExpenseList.jsx';
+import BudgetList from './components/BudgetList.jsx';
+import RecurringList from './components/RecurringList.jsx';
+import SummaryDashboard from './components/SummaryDashboard.jsx';
+import SettingsDialog from './components/SettingsDialog.jsx';
+import TrashDialog from './components/TrashDialog.jsx';
+import UndoSnackbar from './components/UndoSnackbar.jsx';
+import AccountMenu from './components/AccountMenu.jsx';
+import AuthForm from './components/AuthForm.jsx';
+import Loader from './components/Loader.jsx';
+import { useExpenseContext } from './context/ExpenseContext.jsx';
+import { useAuthContext } from './context/AuthContext.jsx';
 
 /**
  * The main application component.
  * Serves as the root layout container for the Voice Expense Tracker application,
  * structuring the title, input component, and expense list display.
  *
- * This component is rendered within the ExpenseProvider context, allowing its
+ * This component is rendered within the AuthProvider and ExpenseProvider contexts, allowing its
  * children (`ExpenseInput`, `ExpenseList`) to access shared expense state and actions.
+ * Until a user is signed in (with email/password or as a guest) it shows the sign-in form instead.
+ * Below the voice input, tabs switch between the expense list (with budgets) and the Summary dashboard.
  *
  * @returns {React.ReactElement} The rendered App component.
  */
@@ -19,31 +41,118 @@ function App() {
   // This component primarily focuses on layout and composition.
   // Data fetching, state management, and core logic are delegated to
   // child components and the ExpenseContext.
-  return (
-    <Container maxWidth="md">
-      {/* Box provides padding for the main content area */}
-      <Box sx={{ py: 4 }}>
-        {/* Application Title */}
-        <Typography
-          variant="h4"
-          component="h1" // Semantic heading element
-          textAlign="center"
-          sx={{ mb: 4 }} // Bottom margin for spacing
-        >
-          Voice Expense Tracker
-        </Typography>
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [view, setView] = useState('expenses'); // 'expenses' or 'summary'
+  const showExpenses = useCallback(() => setView('expenses'), []); // A spoken "show me ... expenses" opens the list
+  const { deletedExpenses } = useExpenseContext();
+  const { user, authLoading, authAvailable } = useAuthContext();
 
+  // Choose the main content based on the auth state
+  let content;
+  if (authLoading) {
+    content = (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <Loader />
+      </Box>
+    );
+  } else if (!authAvailable) {
+    content = (
+      <Alert severity="error">
+        Sign-in is unavailable because Firebase is not configured. Check the VITE_FIREBASE_* variables in your .env file.
+      </Alert>
+    );
+  } else if (!user) {
+    content = (
+      <Paper variant="outlined" sx={{ p: 3, maxWidth: 420, mx: 'auto' }}>
+        <Typography variant="h6" gutterBottom>
+          Sign in to track your expenses
+        </Typography>
+        <AuthForm />
+      </Paper>
+    );
+  } else {
+    content = (
+      <>
         {/* Expense Input Component */}
         {/* This component handles voice input capture and processing */}
-        <ExpenseInput />
+        <ExpenseInput onShowExpenses={showExpenses} />
+
+        <Tabs value={view} onChange={(event, value) => setView(value)} centered sx={{ mt: 3 }}>
+          <Tab label="Expenses" value="expenses" />
+          <Tab label="Summary" value="summary" />
+        </Tabs>
+
+        {view === 'summary' ? (
+          <Box sx={{ mt: 3 }}>
+            <SummaryDashboard />
+          </Box>
+        ) : (
+          <>
+            {/* Budget progress bars, above the list they are computed from */}
+            <Box sx={{ mt: 3 }}>
+              <BudgetList />
+            </Box>
+
+            {/* Recurring templates (rent, subscriptions); their due occurrences are added to the list */}
+            <Box sx={{ mt: 3 }}>
+              <RecurringList />
+            </Box>
 
-        {/* Expense List Component */}
-        {/* This component displays the list of tracked expenses */}
-        {/* Box wrapper provides top margin for visual separation */}
-        <Box sx={{ mt: 4 }}>
-           <ExpenseList />
+            {/* Expense List Component */}
+            {/* This component displays the list of tracked expenses */}
+            {/* Box wrapper provides top margin for visual separation */}
+            <Box sx={{ mt: 4 }}>
+               <ExpenseList />
+            </Box>
+          </>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <Container maxWidth="md">
+      {/* Box provides padding for the main content area */}
+      <Box sx={{ py: 4 }}>
+        {/* Application Title with the trash, settings and account buttons aligned to the right */}
+        <Box sx={{ position: 'relative', mb: 4 }}>
+          <Typography
+            variant="h4"
+            component="h1" // Semantic heading element
+            textAlign="center"
+          >
+            Voice Expense Tracker
+          </Typography>
+          <Stack
+            direction="row"
+            sx={{ position: 'absolute', right: 0, top: '50%', transform: 'translateY(-50%)' }}
+          >
+            {user && (
+              <IconButton aria-label="open trash" onClick={() => setTrashOpen(true)}>
+                <Badge badgeContent={deletedExpenses.length} color="default">
+                  <DeleteOutlineIcon />
+                </Badge>
+              </IconButton>
+            )}
+            <IconButton aria-label="open settings" onClick={() => setSettingsOpen(true)}>
+              <SettingsIcon />
+            </IconButton>
+            <AccountMenu />
+          </Stack>
         </Box>
+
+        {content}
       </Box>
+
+      {/* User preferences (default currency, ...) */}
+      <SettingsDialog open={settingsOpen} onClose={() => setSettingsOpen(false)} />
+
+      {/* Soft-deleted expenses, for restore or permanent deletion */}
+      <TrashDialog open={trashOpen} onClose={() => setTrashOpen(false)} />
+
+      {/* Undo offer after each add, edit or delete */}
+      <UndoSnackbar />
     </Container>
   );
 }
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import IconButton from '@mui/material/IconButton';
+import Menu from '@mui/material/Menu';
+import MenuItem from '@mui/material/MenuItem';
+import ListItemText from '@mui/material/ListItemText';
+import Divider from '@mui/material/Divider';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import { useAuthContext } from '../context/AuthContext.jsx';
+import AuthForm from './AuthForm.jsx';
+
+/**
+ * Account button for the app header. Shows who is signed in, lets guests upgrade to an
+ * email account (keeping their data), and signs out. With the local storage backend it only
+ * explains that expenses stay in this browser.
+ *
+ * @returns {React.ReactElement | null} The rendered menu, or null when nobody is signed in.
+ */
+function AccountMenu() {
+  const { user, signOut } = useAuthContext();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [upgradeOpen, setUpgradeOpen] = useState(false);
+
+  if (!user) {
+    return null;
+  }
+
+  const handleSignOut = async () => {
+    setAnchorEl(null);
+    if (
+      user.isAnonymous &&
+      !window.confirm('Guest expenses cannot be recovered after signing out. Sign out anyway?')
+    ) {
+      return;
+    }
+    try {
+      await signOut();
+    } catch (error) {
+      console.error('AccountMenu: Sign out failed:', error);
+      window.alert(error?.message || 'Failed to sign out.');
+    }
+  };
+
+  return (
+    <>
+      <IconButton aria-label="account" onClick={(event) => setAnchorEl(event.currentTarget)}>
+        <AccountCircleIcon />
+      </IconButton>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {user.isLocal ? (
+          <MenuItem disabled>
+            <ListItemText primary="Local mode" secondary="Expenses are stored in this browser only" />
+          </MenuItem>
+        ) : (
+          <MenuItem disabled>
+            <ListItemText
+              primary={user.isAnonymous ? 'Guest' : user.email}
+              secondary={user.isAnonymous ? 'Create an account to keep your data' : 'Signed in'}
+            />
+          </MenuItem>
+        )}
+        {!user.isLocal && <Divider />}
+        {user.isAnonymous && (
+          <MenuItem
+            onClick={() => {
+              setAnchorEl(null);
+              setUpgradeOpen(true);
+            }}
+          >
+            Create account
+          </MenuItem>
+        )}
+        {!user.isLocal && <MenuItem onClick={handleSignOut}>Sign out</MenuItem>}
+      </Menu>
+
+      <Dialog open={upgradeOpen} onClose={() => setUpgradeOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Create account</DialogTitle>
+        <DialogContent>
+          <AuthForm upgrade onDone={() => setUpgradeOpen(false)} />
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
+
+export default AccountMenu;
@@ -0,0 +1,59 @@
+import React from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import { INTENTS } from '../utils/commandGrammar.js';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * Builds the label of a choice: the expense it would add, or the words heard for any other command.
+ *
+ * @param {import('../utils/alternatives.js').CommandCandidate} candidate - The candidate.
+ * @param {string} defaultCurrency - Currency shown when none was spoken.
+ * @returns {string} The label.
+ */
+const describeCandidate = ({ transcript, command }, defaultCurrency) =>
+  command.intent === INTENTS.ADD
+    ? `${command.description} · ${formatMoney(command.amount, command.currency || defaultCurrency)}`
+    : `“${transcript}”`;
+
+/**
+ * A short "did you mean" choice, shown when the recognizer heard an utterance a few ways that lead to
+ * different commands ("lunch 12 dollars" or "lunch 20 dollars") and neither is clearly the better reading.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../utils/alternatives.js').CommandCandidate[]} props.candidates - The readings, best first.
+ * @param {string} props.defaultCurrency - Currency shown when none was spoken.
+ * @param {(candidate: import('../utils/alternatives.js').CommandCandidate) => void} props.onChoose - Called with the chosen reading.
+ * @param {() => void} props.onDismiss - Called when none of the readings is right.
+ * @param {boolean} [props.disabled=false] - Whether the choices are disabled (while a command runs).
+ * @returns {React.ReactElement} The rendered choice.
+ */
+function AlternativeChoice({ candidates, defaultCurrency, onChoose, onDismiss, disabled = false }) {
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Typography variant="overline" color="text.secondary">
+        Did you mean
+      </Typography>
+      <Stack spacing={1}>
+        {candidates.map((candidate) => (
+          <Button
+            key={candidate.transcript}
+            variant="outlined"
+            onClick={() => onChoose(candidate)}
+            disabled={disabled}
+            sx={{ justifyContent: 'flex-start', textTransform: 'none' }}
+          >
+            {describeCandidate(candidate, defaultCurrency)}
+          </Button>
+        ))}
+        <Button size="small" color="inherit" onClick={onDismiss} disabled={disabled} sx={{ alignSelf: 'flex-end' }}>
+          Neither
+        </Button>
+      </Stack>
+    </Box>
+  );
+}
+
+export default AlternativeChoice;
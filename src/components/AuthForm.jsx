@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Button from '@mui/material/Button';
+import Divider from '@mui/material/Divider';
+import Alert from '@mui/material/Alert';
+import Typography from '@mui/material/Typography';
+import { useAuthContext } from '../context/AuthContext.jsx';
+
+/**
+ * Email/password sign-in form with "Create account" and "Continue as guest" options.
+ * In `upgrade` mode (shown to guests) it only offers creating an account, which keeps the
+ * guest's expenses because the anonymous account is upgraded in place.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} [props.upgrade=false] - Show the guest-upgrade variant.
+ * @param {() => void} [props.onDone] - Called after a successful sign-in or upgrade.
+ * @returns {React.ReactElement} The rendered form.
+ */
+function AuthForm({ upgrade = false, onDone }) {
+  const { signIn, signUp, signInAsGuest } = useAuthContext();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const canSubmit = email.trim() !== '' && password !== '' && !isSubmitting;
+
+  const run = async (action) => {
+    setIsSubmitting(true);
+    setFormError(null);
+    try {
+      const user = await action();
+      if (!user) {
+        setFormError('Sign-in is unavailable. Check the Firebase configuration.');
+        return;
+      }
+      onDone?.();
+    } catch (error) {
+      setFormError(error?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (canSubmit) {
+      run(() => (upgrade ? signUp(email, password) : signIn(email, password)));
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Stack spacing={2}>
+        {upgrade && (
+          <Typography variant="body2" color="text.secondary">
+            Create an account to keep the expenses you recorded as a guest and use them on other devices.
+          </Typography>
+        )}
+        {formError && <Alert severity="error">{formError}</Alert>}
+        <TextField
+          label="Email"
+          type="email"
+          autoComplete="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          autoFocus
+        />
+        <TextField
+          label="Password"
+          type="password"
+          autoComplete={upgrade ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+        />
+        {upgrade ? (
+          <Button type="submit" variant="contained" disabled={!canSubmit}>
+            Create account
+          </Button>
+        ) : (
+          <Stack direction="row" spacing={1}>
+            <Button type="submit" variant="contained" disabled={!canSubmit} sx={{ flexGrow: 1 }}>
+              Sign in
+            </Button>
+            <Button
+              variant="outlined"
+              disabled={!canSubmit}
+              onClick={() => run(() => signUp(email, password))}
+              sx={{ flexGrow: 1 }}
+            >
+              Create account
+            </Button>
+          </Stack>
+        )}
+        {!upgrade && (
+          <>
+            <Divider>or</Divider>
+            <Button onClick={() => run(signInAsGuest)} disabled={isSubmitting}>
+              Continue as guest
+            </Button>
+          </>
+        )}
+      </Stack>
+    </Box>
+  );
+}
+
+export default AuthForm;
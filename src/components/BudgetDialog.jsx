@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Alert from '@mui/material/Alert';
+import { useBudgetContext } from '../context/BudgetContext.jsx';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { DEFAULT_CATEGORIES } from '../utils/categories.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { BUDGET_PERIODS } from '../utils/budgets.js';
+
+/**
+ * Labels of the budget periods, as shown in the period picker.
+ * @constant {Object<string, string>}
+ */
+const PERIOD_LABELS = { week: 'Weekly', month: 'Monthly', year: 'Yearly' };
+
+/**
+ * Builds the form state for a budget (or for a new one).
+ *
+ * @param {import('../utils/budgets.js').Budget | null} budget - The budget being edited, or null to create one.
+ * @param {string} homeCurrency - Currency preselected for new budgets.
+ * @returns {object} The form state; `limit` and `keywords` are kept as text while editing.
+ */
+const toFormState = (budget, homeCurrency) => ({
+  name: budget?.name || '',
+  limit: budget ? String(budget.limit) : '',
+  currency: budget?.currency || homeCurrency,
+  period: budget?.period || 'month',
+  category: budget?.category || '',
+  keywords: budget ? budget.keywords.join(', ') : '',
+});
+
+/**
+ * Dialog creating or editing one budget: a name, a limit per period, and the bucket of expenses it
+ * covers (a category, comma-separated description keywords, or both). Existing budgets can be deleted here.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {import('../utils/budgets.js').Budget | null} props.budget - The budget to edit, or null to create a new one.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function BudgetDialog({ open, budget, onClose }) {
+  const { saveBudget, deleteBudget } = useBudgetContext();
+  const { settings } = useSettingsContext();
+  const [form, setForm] = useState(() => toFormState(budget, settings.homeCurrency));
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset the form each time the dialog opens for another budget
+  useEffect(() => {
+    if (open) {
+      setForm(toFormState(budget, settings.homeCurrency));
+      setFormError(null);
+    }
+  }, [open, budget, settings.homeCurrency]);
+
+  const setField = (key) => (event) => setForm((previous) => ({ ...previous, [key]: event.target.value }));
+
+  const runAction = async (action) => {
+    setIsSaving(true);
+    setFormError(null);
+    try {
+      await action();
+      onClose();
+    } catch (error) {
+      setFormError(error?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () =>
+    runAction(() =>
+      saveBudget({
+        ...(budget && { id: budget.id }),
+        name: form.name,
+        limit: parseFloat(form.limit),
+        currency: form.currency,
+        period: form.period,
+        category: form.category || null,
+        keywords: form.keywords.split(','),
+      }),
+    );
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the "${budget.name}" budget? Your expenses are kept.`)) {
+      runAction(() => deleteBudget(budget.id));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{budget ? 'Edit budget' : 'New budget'}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {formError && <Alert severity="error">{formError}</Alert>}
+          <TextField label="Name" value={form.name} onChange={setField('name')} helperText='Ask "how much budget is left for …" using this name' />
+          <Stack direction="row" spacing={1}>
+            <TextField
+              label="Limit"
+              type="number"
+              value={form.limit}
+              onChange={setField('limit')}
+              inputProps={{ min: 0, step: '0.01' }}
+              sx={{ flex: 1 }}
+            />
+            <TextField select label="Currency" value={form.currency} onChange={setField('currency')} sx={{ width: 110 }}>
+              {SUPPORTED_CURRENCIES.map((code) => (
+                <MenuItem key={code} value={code}>
+                  {code}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField select label="Period" value={form.period} onChange={setField('period')} sx={{ width: 120 }}>
+              {BUDGET_PERIODS.map((period) => (
+                <MenuItem key={period} value={period}>
+                  {PERIOD_LABELS[period]}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+          <TextField select label="Category" value={form.category} onChange={setField('category')}>
+            <MenuItem value="">
+              <em>None (keywords only)</em>
+            </MenuItem>
+            {DEFAULT_CATEGORIES.map((category) => (
+              <MenuItem key={category.id} value={category.id}>
+                {category.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Keywords"
+            value={form.keywords}
+            onChange={setField('keywords')}
+            helperText="Comma-separated; expenses whose description contains one of them count too"
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        {budget && (
+          <Button color="error" onClick={handleDelete} disabled={isSaving} sx={{ mr: 'auto' }}>
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={isSaving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default BudgetDialog;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import LinearProgress from '@mui/material/LinearProgress';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import { useBudgetContext } from '../context/BudgetContext.jsx';
+import { formatMoney } from '../utils/currency.js';
+import BudgetDialog from './BudgetDialog.jsx';
+
+/**
+ * Labels of the budget periods, as shown next to each progress bar.
+ * @constant {Object<string, string>}
+ */
+const PERIOD_LABELS = { week: 'this week', month: 'this month', year: 'this year' };
+
+/**
+ * Picks the progress bar colour for a share of the budget spent.
+ *
+ * @param {number} ratio - Spent divided by the limit.
+ * @returns {'success' | 'warning' | 'error'} The MUI colour.
+ */
+const getProgressColor = (ratio) => {
+  if (ratio >= 1) return 'error';
+  if (ratio >= 0.8) return 'warning';
+  return 'success';
+};
+
+/**
+ * Progress bars for the user's budgets, shown above the expense list. Each bar fills with the
+ * spending in the budget's current period and turns amber at 80% and red once the limit is reached.
+ * Budgets are created and edited in `BudgetDialog`.
+ *
+ * @returns {React.ReactElement} The rendered budget overview.
+ */
+function BudgetList() {
+  const { budgetStatuses } = useBudgetContext();
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editedBudget, setEditedBudget] = useState(null);
+
+  const openDialog = (budget) => {
+    setEditedBudget(budget);
+    setDialogOpen(true);
+  };
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="h6" component="h2">
+          Budgets
+        </Typography>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+          Add budget
+        </Button>
+      </Stack>
+
+      {budgetStatuses.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No budgets yet. Add one to get a warning when a category nears its limit.
+        </Typography>
+      ) : (
+        <Stack spacing={1.5}>
+          {budgetStatuses.map(({ budget, spent, remaining, ratio, unconvertedCount }) => (
+            <Box key={budget.id}>
+              <Stack direction="row" alignItems="center" justifyContent="space-between">
+                <Typography variant="body2" fontWeight="medium">
+                  {budget.name}
+                </Typography>
+                <Stack direction="row" alignItems="center" spacing={0.5}>
+                  <Typography variant="body2" color={ratio >= 1 ? 'error' : 'text.secondary'}>
+                    {formatMoney(spent, budget.currency)} of {formatMoney(budget.limit, budget.currency)} {PERIOD_LABELS[budget.period]}
+                    {' · '}
+                    {remaining >= 0
+                      ? `${formatMoney(remaining, budget.currency)} left`
+                      : `${formatMoney(-remaining, budget.currency)} over`}
+                  </Typography>
+                  <IconButton size="small" aria-label={`edit ${budget.name} budget`} onClick={() => openDialog(budget)}>
+                    <EditIcon fontSize="inherit" />
+                  </IconButton>
+                </Stack>
+              </Stack>
+              <LinearProgress
+                variant="determinate"
+                value={Math.min(ratio, 1) * 100}
+                color={getProgressColor(ratio)}
+                sx={{ height: 8, borderRadius: 4 }}
+              />
+              {unconvertedCount > 0 && (
+                <Typography variant="caption" color="text.secondary">
+                  {unconvertedCount} expense(s) in other currencies not counted (no exchange rate).
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </Stack>
+      )}
+
+      <BudgetDialog open={dialogOpen} budget={editedBudget} onClose={() => setDialogOpen(false)} />
+    </Box>
+  );
+}
+
+export default BudgetList;
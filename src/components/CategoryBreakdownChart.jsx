@@ -0,0 +1,47 @@
+import React from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { getCategoryLabel } from '../utils/categories.js';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * Horizontal bar chart of spending per category. Bars are scaled to the largest category,
+ * and each row shows the amount and its share of the total.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<{category: string, total: number, share: number}>} props.breakdown - Output of
+ *   `getCategoryBreakdown`, largest first.
+ * @param {string} props.currency - ISO 4217 code of the totals.
+ * @returns {React.ReactElement} The rendered chart.
+ */
+function CategoryBreakdownChart({ breakdown, currency }) {
+  if (breakdown.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No spending in this period yet.
+      </Typography>
+    );
+  }
+
+  const largest = breakdown[0].total || 1;
+  return (
+    <Stack spacing={1} role="list" aria-label="Spending by category">
+      {breakdown.map(({ category, total, share }) => (
+        <Box key={category} role="listitem">
+          <Stack direction="row" justifyContent="space-between">
+            <Typography variant="body2">{getCategoryLabel(category)}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {formatMoney(total, currency)} · {Math.round(share * 100)}%
+            </Typography>
+          </Stack>
+          <Box sx={{ height: 8, borderRadius: 4, bgcolor: 'action.hover' }}>
+            <Box sx={{ height: '100%', borderRadius: 4, bgcolor: 'primary.main', width: `${(total / largest) * 100}%` }} />
+          </Box>
+        </Box>
+      ))}
+    </Stack>
+  );
+}
+
+export default CategoryBreakdownChart;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Typography from '@mui/material/Typography';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import {
+  DEFAULT_CATEGORIES,
+  DEFAULT_CATEGORY_RULES,
+  getCategoryLabel,
+} from '../utils/categories.js';
+
+/**
+ * Editor for the user's keyword -> category rules. Each rule is shown as a deletable chip;
+ * new rules are added with a keyword field and a category picker.
+ *
+ * @returns {React.ReactElement} The rendered rules editor.
+ */
+function CategoryRulesEditor() {
+  const { settings, updateSettings } = useSettingsContext();
+  const [keyword, setKeyword] = useState('');
+  const [category, setCategory] = useState(DEFAULT_CATEGORIES[0].id);
+  const rules = settings.categoryRules;
+
+  const handleAdd = () => {
+    const trimmed = keyword.trim().toLowerCase();
+    if (!trimmed) return;
+    // A keyword maps to one category: replace any existing rule for it
+    const otherRules = rules.filter((rule) => rule.keyword !== trimmed);
+    updateSettings({ categoryRules: [...otherRules, { keyword: trimmed, category }] });
+    setKeyword('');
+  };
+
+  const handleDelete = (keywordToDelete) => {
+    updateSettings({ categoryRules: rules.filter((rule) => rule.keyword !== keywordToDelete) });
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle2">Category rules</Typography>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        New expenses whose description contains a keyword get its category. You can also say it
+        explicitly, e.g. &quot;Spent 300 on flights under travel&quot;.
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, maxHeight: 160, overflowY: 'auto', mb: 1 }}>
+        {rules.map((rule) => (
+          <Chip
+            key={rule.keyword}
+            size="small"
+            label={`${rule.keyword} → ${getCategoryLabel(rule.category)}`}
+            onDelete={() => handleDelete(rule.keyword)}
+          />
+        ))}
+      </Box>
+
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          label="Keyword"
+          size="small"
+          value={keyword}
+          onChange={(event) => setKeyword(event.target.value)}
+          onKeyDown={(event) => event.key === 'Enter' && handleAdd()}
+        />
+        <TextField
+          select
+          label="Category"
+          size="small"
+          value={category}
+          onChange={(event) => setCategory(event.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {DEFAULT_CATEGORIES.map((option) => (
+            <MenuItem key={option.id} value={option.id}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button size="small" onClick={handleAdd} disabled={!keyword.trim()}>
+          Add
+        </Button>
+        <Button size="small" onClick={() => updateSettings({ categoryRules: DEFAULT_CATEGORY_RULES })}>
+          Reset
+        </Button>
+      </Stack>
+    </Box>
+  );
+}
+
+export default CategoryRulesEditor;
@@ -0,0 +1,100 @@
+import React from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * @typedef {object} DictationItem
+ * @property {number} key - Unique key of the item within the session.
+ * @property {string} transcript - The segment as heard.
+ * @property {object | null} command - The parsed command (see `parseCommand`).
+ * @property {{description: string, amount: number, currency: string} | null} expense - The expense as saved or
+ *   parsed, or null if none was understood.
+ * @property {'saving' | 'saved' | 'review' | 'failed' | 'discarded'} status - Where the item stands.
+ * @property {string | null} reason - Why the item is held for review or failed, or the schedule of a saved recurring expense.
+ * @property {string | null} [warning] - Budget warning raised when the item was saved.
+ */
+
+/**
+ * Label and colour of each item status.
+ * @constant {Object<string, {label: string, color: string}>}
+ */
+const STATUS_CHIPS = {
+  saving: { label: 'Saving…', color: 'default' },
+  saved: { label: 'Added', color: 'success' },
+  review: { label: 'Review', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' },
+  discarded: { label: 'Discarded', color: 'default' },
+};
+
+/**
+ * The running list of a continuous dictation session: every expense heard so far with its status.
+ * Items the parser was unsure about are held for review; once the session has ended, Review opens
+ * an item in the preview card to be fixed and saved or discarded.
+ *
+ * @param {object} props - Component props.
+ * @param {DictationItem[]} props.items - The items, in the order they were heard.
+ * @param {boolean} props.active - Whether the session is still listening.
+ * @param {(item: DictationItem) => void} props.onReview - Called to review a held or failed item.
+ * @param {() => void} props.onClear - Called to clear the list after the session.
+ * @returns {React.ReactElement} The rendered session list.
+ */
+function DictationSession({ items, active, onReview, onClear }) {
+  const savedCount = items.filter((item) => item.status === 'saved').length;
+  const reviewCount = items.filter((item) => item.status === 'review' || item.status === 'failed').length;
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between">
+        <Typography variant="overline" color="text.secondary">
+          {active ? 'Dictating' : 'Dictation session'} · {savedCount} added
+          {reviewCount > 0 ? ` · ${reviewCount} to review` : ''}
+        </Typography>
+        {!active && (
+          <Button size="small" onClick={onClear}>
+            Clear
+          </Button>
+        )}
+      </Stack>
+      {items.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Say each expense, e.g. &quot;coffee 4 dollars, then lunch 12, and taxi 20&quot;. Say &quot;done&quot; or
+          &quot;stop&quot; to finish.
+        </Typography>
+      )}
+      <Stack spacing={1}>
+        {items.map((item) => {
+          const chip = STATUS_CHIPS[item.status];
+          const canReview = item.status === 'review' || item.status === 'failed';
+          return (
+            <Stack key={item.key} direction="row" spacing={1} alignItems="center">
+              <Chip size="small" label={chip.label} color={chip.color} variant="outlined" sx={{ minWidth: 80 }} />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" noWrap>
+                  {item.expense
+                    ? `${item.expense.description} · ${formatMoney(item.expense.amount, item.expense.currency)}`
+                    : `“${item.transcript}”`}
+                </Typography>
+                {(item.reason || item.warning) && (
+                  <Typography variant="caption" color={item.warning ? 'warning.main' : 'text.secondary'}>
+                    {item.reason || item.warning}
+                  </Typography>
+                )}
+              </Box>
+              {canReview && (
+                <Button size="small" onClick={() => onReview(item)} disabled={active}>
+                  Review
+                </Button>
+              )}
+            </Stack>
+          );
+        })}
+      </Stack>
+    </Box>
+  );
+}
+
+export default DictationSession;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import { useExchangeRates } from '../hooks/useExchangeRates.js';
+import { addRate, clearRates, importRates } from '../services/exchangeRateService.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+
+/**
+ * Lets the user import an exchange-rate table (JSON or CSV file) or enter a single dated rate by hand.
+ * Rates are stored locally and used to convert expenses into the home currency.
+ *
+ * @returns {React.ReactElement} The rendered rate manager.
+ */
+function ExchangeRateManager() {
+  const rates = useExchangeRates();
+  const [entry, setEntry] = useState({ date: toDateKey(new Date()), base: '', quote: '', rate: '' });
+  const [message, setMessage] = useState(null); // { severity, text }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+      const { imported, errors } = importRates(await file.text());
+      setMessage({
+        severity: imported > 0 ? (errors.length > 0 ? 'warning' : 'success') : 'error',
+        text: `Imported ${imported} rate(s).${errors.length > 0 ? ` Skipped: ${errors.join(' ')}` : ''}`,
+      });
+    } catch (error) {
+      console.error('ExchangeRateManager: Failed to read rate file:', error);
+      setMessage({ severity: 'error', text: 'Could not read the selected file.' });
+    }
+  };
+
+  const handleAddRate = () => {
+    const error = addRate(entry);
+    if (error) {
+      setMessage({ severity: 'error', text: error });
+    } else {
+      setMessage({ severity: 'success', text: `Saved ${entry.base.toUpperCase()}/${entry.quote.toUpperCase()} rate.` });
+      setEntry((previous) => ({ ...previous, rate: '' }));
+    }
+  };
+
+  const handleEntryChange = (field) => (event) =>
+    setEntry((previous) => ({ ...previous, [field]: event.target.value }));
+
+  return (
+    <Box>
+      <Typography variant="subtitle2">Exchange rates</Typography>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        {rates.length} stored rate(s). Import a JSON or CSV file with date, base, quote and rate columns
+        (1 base = rate quote), or add a rate below.
+      </Typography>
+
+      <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+        <Button variant="outlined" size="small" component="label">
+          Import file
+          <input type="file" hidden accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} />
+        </Button>
+        <Button size="small" color="error" disabled={rates.length === 0} onClick={() => clearRates()}>
+          Clear all
+        </Button>
+      </Stack>
+
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          label="Date"
+          type="date"
+          size="small"
+          value={entry.date}
+          onChange={handleEntryChange('date')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField label="Base" size="small" value={entry.base} onChange={handleEntryChange('base')} inputProps={{ maxLength: 3 }} />
+        <TextField label="Quote" size="small" value={entry.quote} onChange={handleEntryChange('quote')} inputProps={{ maxLength: 3 }} />
+        <TextField label="Rate" size="small" type="number" value={entry.rate} onChange={handleEntryChange('rate')} />
+        <Button size="small" onClick={handleAddRate}>
+          Add
+        </Button>
+      </Stack>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mt: 1 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+    </Box>
+  );
+}
+
+export default ExchangeRateManager;
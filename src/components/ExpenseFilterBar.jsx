@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Button from '@mui/material/Button';
+import Badge from '@mui/material/Badge';
+import Collapse from '@mui/material/Collapse';
+import InputAdornment from '@mui/material/InputAdornment';
+import SearchIcon from '@mui/icons-material/Search';
+import FilterListIcon from '@mui/icons-material/FilterList';
+import { DEFAULT_CATEGORIES } from '../utils/categories.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { SORT_OPTIONS, countActiveFilters, isFiltered } from '../utils/expenseFilters.js';
+
+/**
+ * Search, filter and sort controls above the expense list: a description search and sort order, plus a
+ * collapsible row of filters for the date range, category, currency and amount range.
+ * The panel opens by itself when a bookmarked or spoken view sets filters.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../utils/expenseFilters.js').ExpenseFilters} props.filters - The current filters.
+ * @param {(changes: object) => void} props.onChange - Called with the filters to change.
+ * @param {() => void} props.onReset - Called to clear every filter.
+ * @returns {React.ReactElement} The rendered controls.
+ */
+function ExpenseFilterBar({ filters, onChange, onReset }) {
+  const activeCount = countActiveFilters(filters);
+  const [expanded, setExpanded] = useState(activeCount > 0);
+
+  useEffect(() => {
+    if (activeCount > 0) setExpanded(true);
+  }, [activeCount]);
+
+  const setField = (key) => (event) => onChange({ [key]: event.target.value });
+
+  return (
+    <Box sx={{ mt: 1, mb: 1 }}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          size="small"
+          placeholder="Search descriptions"
+          value={filters.q}
+          onChange={setField('q')}
+          inputProps={{ 'aria-label': 'search expenses' }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+          sx={{ flex: 1 }}
+        />
+        <TextField select size="small" label="Sort" value={filters.sort} onChange={setField('sort')} sx={{ width: 170 }}>
+          {SORT_OPTIONS.map((option) => (
+            <MenuItem key={option.id} value={option.id}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button
+          size="small"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+          startIcon={
+            <Badge badgeContent={activeCount} color="primary">
+              <FilterListIcon />
+            </Badge>
+          }
+        >
+          Filters
+        </Button>
+      </Stack>
+
+      <Collapse in={expanded}>
+        <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" sx={{ mt: 1.5 }}>
+          <TextField
+            size="small"
+            label="From"
+            type="date"
+            value={filters.from}
+            onChange={setField('from')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            label="To"
+            type="date"
+            value={filters.to}
+            onChange={setField('to')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField select size="small" label="Category" value={filters.category} onChange={setField('category')} sx={{ minWidth: 150 }}>
+            <MenuItem value="">
+              <em>All categories</em>
+            </MenuItem>
+            {DEFAULT_CATEGORIES.map((category) => (
+              <MenuItem key={category.id} value={category.id}>
+                {category.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="Currency" value={filters.currency} onChange={setField('currency')} sx={{ minWidth: 110 }}>
+            <MenuItem value="">
+              <em>All</em>
+            </MenuItem>
+            {SUPPORTED_CURRENCIES.map((code) => (
+              <MenuItem key={code} value={code}>
+                {code}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Min amount"
+            type="number"
+            value={filters.min}
+            onChange={setField('min')}
+            inputProps={{ min: 0, step: '0.01' }}
+            sx={{ width: 120 }}
+          />
+          <TextField
+            size="small"
+            label="Max amount"
+            type="number"
+            value={filters.max}
+            onChange={setField('max')}
+            inputProps={{ min: 0, step: '0.01' }}
+            sx={{ width: 120 }}
+          />
+        </Stack>
+      </Collapse>
+
+      {isFiltered(filters) && (
+        <Button size="small" onClick={onReset} sx={{ mt: 1 }}>
+          Clear search and filters
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+export default ExpenseFilterBar;
@@ -1,16 +1,161 @@
-import React, { useState, useContext, useEffect, useCallback } from 'react';
+import React, { useState, useContext, useEffect, useCallback, useRef } from 'react';
 import Box from '@mui/material/Box';
 import IconButton from '@mui/material/IconButton';
 import CircularProgress from '@mui/material/CircularProgress';
 import Typography from '@mui/material/Typography';
 import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Button from '@mui/material/Button';
 import MicIcon from '@mui/icons-material/Mic';
+import PlaylistAddIcon from '@mui/icons-material/PlaylistAdd';
+import StopCircleIcon from '@mui/icons-material/StopCircle';
+import CloudDoneIcon from '@mui/icons-material/CloudDone';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+import StorageIcon from '@mui/icons-material/Storage';
 import { useSpeechRecognition } from '../hooks/useSpeechRecognition.js';
+import { useOnlineStatus } from '../hooks/useOnlineStatus.js';
 import { useExpenseContext } from '../context/ExpenseContext.jsx';
-// Assume parseExpenseString exists and conforms to the expected signature
-// Error handling if the import fails can be added if necessary, but for MVP,
-// we assume the file structure and exports are correct as per planning.
-import { parseExpenseString } from '../utils/index.js';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { useBudgetContext } from '../context/BudgetContext.jsx';
+import { useRecurringContext } from '../context/RecurringContext.jsx';
+import { useExchangeRates } from '../hooks/useExchangeRates.js';
+import { useExpenseFilters } from '../hooks/useExpenseFilters.js';
+import ExpensePreviewCard, { isDraftValid } from './ExpensePreviewCard.jsx';
+import DictationSession from './DictationSession.jsx';
+import LiveCaption from './LiveCaption.jsx';
+import AlternativeChoice from './AlternativeChoice.jsx';
+import { categorizeDescription } from '../utils/categories.js';
+import { formatMoney } from '../utils/currency.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+import { describeSchedule } from '../utils/recurrence.js';
+import { getPeriodRange } from '../utils/aggregation.js';
+import { speak } from '../utils/speech.js';
+import { answerLastExpenseQuery, answerSpendingQuery } from '../utils/spendingQueries.js';
+import { filtersFromVoiceQuery } from '../utils/expenseFilters.js';
+import { splitDictation, classifyDictationSegment } from '../utils/dictation.js';
+import { applyScratchThat } from '../utils/captions.js';
+import { rankAlternatives } from '../utils/alternatives.js';
+import { INTENTS } from '../utils/commandGrammar.js';
+
+/**
+ * Status messages shown after an undo, keyed by the type of action that was reverted.
+ * @constant {Object<string, string>}
+ */
+const UNDO_MESSAGES = {
+  add: 'Undid the last added expense (it is in the trash if you need it).',
+  update: 'Undid the last change.',
+  delete: 'Restored the deleted expense from the trash.',
+};
+
+/**
+ * Status message shown after an expense is added while the device is offline.
+ * @constant {string}
+ */
+const OFFLINE_ADD_MESSAGE = 'Expense saved on this device. It will sync when you are back online.';
+
+/**
+ * Builds the warning shown when an add pushed budgets past 80% or 100% of their limit.
+ *
+ * @param {Array<{status: import('../utils/budgets.js').BudgetStatus, threshold: number}>} alerts - The crossed thresholds.
+ * @returns {string} The warning, or an empty string when no threshold was crossed.
+ */
+const describeBudgetAlerts = (alerts) =>
+  alerts
+    .map(({ status, threshold }) => {
+      const { budget, spent } = status;
+      const amounts = `${formatMoney(spent, budget.currency)} of ${formatMoney(budget.limit, budget.currency)}`;
+      return threshold >= 1
+        ? `You are over your ${budget.name} budget (${amounts}).`
+        : `You have used ${Math.round(status.ratio * 100)}% of your ${budget.name} budget (${amounts}).`;
+    })
+    .join(' ');
+
+/**
+ * Builds the spoken answer to "how much budget is left for ...?".
+ *
+ * @param {string} target - The budget name as spoken.
+ * @param {import('../utils/budgets.js').BudgetStatus | null} status - The matching budget's status, if any.
+ * @returns {string} The answer.
+ */
+const describeBudgetLeft = (target, status) => {
+  if (!status) {
+    return `You don't have a budget for ${target}.`;
+  }
+  const { budget, remaining } = status;
+  const period = { week: 'this week', month: 'this month', year: 'this year' }[budget.period];
+  return remaining >= 0
+    ? `You have ${formatMoney(remaining, budget.currency)} left of your ${budget.name} budget ${period}.`
+    : `You are ${formatMoney(-remaining, budget.currency)} over your ${budget.name} budget ${period}.`;
+};
+
+/**
+ * Builds the preview-card draft for a transcript and its parsed command (empty fields when it was not
+ * understood as an expense, so the user can fill them in).
+ *
+ * @param {string} transcript - The transcript.
+ * @param {object | null} command - The parsed command (see `parseCommand`).
+ * @param {{defaultCurrency: string, categoryRules: object}} settings - The user's settings.
+ * @returns {import('./ExpensePreviewCard.jsx').ExpenseDraft} The draft.
+ */
+const buildDraft = (transcript, command, settings) => {
+  const expense = command?.intent === INTENTS.ADD ? command : null;
+  const description = expense?.description || '';
+  return {
+    transcript,
+    amount: expense ? String(expense.amount) : '',
+    currency: expense?.currency || settings.defaultCurrency,
+    description,
+    category: expense?.category || categorizeDescription(description, settings.categoryRules),
+    date: expense?.date || null,
+    recurrence: expense?.recurrence || null,
+  };
+};
+
+/**
+ * Builds the recurring template for a spoken "... every month" expense; it starts on the spoken date, or today.
+ *
+ * @param {{description: string, amount: number, currency: string, category: string | null, date: Date | null}} expense
+ *   The expense as heard.
+ * @param {object} schedule - The spoken schedule (see `parseCommand`).
+ * @returns {object} The template to save (see `RecurringContext.saveTemplate`).
+ */
+const buildRecurringTemplate = (expense, schedule) => ({
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category, // null: generated expenses are categorised by keyword
+  schedule,
+  startDate: toDateKey(expense.date || new Date()),
+});
+
+/**
+ * Finds the most recently created expense ("the last one").
+ * Expenses whose server timestamp is still pending were just added, so they count as newest.
+ * It is looked for among the listed expenses: the newest page, which holds the expenses that happened most
+ * recently, and any expense added in this session with an older date that falls within the pages read.
+ *
+ * @param {Array<{timestamp: Date | null}>} expenses - The expense list.
+ * @returns {object | null} The latest expense, or null if the list is empty.
+ */
+const findLatestExpense = (expenses) => {
+  const createdAt = (expense) => expense.timestamp?.getTime() ?? Infinity;
+  return expenses.reduce(
+    (latest, expense) => (!latest || createdAt(expense) > createdAt(latest) ? expense : latest),
+    null,
+  );
+};
+
+/**
+ * Finds the most recent expense whose description contains the spoken target ("change coffee to 4.50").
+ *
+ * @param {Array<{description: string}>} expenses - The expense list, newest first.
+ * @param {string} target - The spoken description fragment.
+ * @returns {object | null} The matching expense, or null if none matches.
+ */
+const findExpenseByDescription = (expenses, target) => {
+  const needle = target.toLowerCase();
+  return expenses.find((expense) => expense.description.toLowerCase().includes(needle)) || null;
+};
 
 /**
  * Maps speech recognition error types to user-friendly messages.
@@ -37,6 +182,10 @@ const mapSpeechErrorToMessage = (error) => {
       return 'Speech recognition could not understand the grammar.';
     case 'language-not-supported':
       return 'The configured language is not supported for speech recognition.';
+    case 'engine-unavailable':
+      return 'The on-device speech model could not be loaded. Check that it is available, or switch the speech engine in Settings.';
+    case 'engine-error':
+      return 'The on-device speech model could not transcribe what you said. Please try again.';
     case 'Browser does not support speech recognition.':
       return 'Your browser does not support the Web Speech API needed for voice input.';
     default:
@@ -47,27 +196,178 @@ const mapSpeechErrorToMessage = (error) => {
 
 /**
  * ExpenseInput Component
- * Handles voice input for adding expenses. Integrates speech recognition,
- * parsing, context actions, and provides user feedback.
+ * Handles voice input for adding expenses, and for the edit intents "undo",
+ * "delete the last one" and "change the last amount to X". Integrates speech recognition,
+ * command parsing, context actions, and provides user feedback.
+ * With the "confirm before saving" setting on, a parsed expense is first shown in an editable
+ * preview card; the mic reopens so the user can answer "yes"/"save" or "no"/"cancel" by voice.
+ * A connectivity indicator shows whether the device is online and how many expenses are waiting to sync.
+ * Adds that take a budget past 80% or 100% are reported as a warning, and "how much budget is left for
+ * groceries?" is answered in the status message and read aloud with speech synthesis.
+ * "Show me taxi expenses last month" sets the expense list's search and filters, like the list controls do.
+ * "Dictate several" starts a continuous session logging one expense after another ("coffee 4 dollars, then lunch
+ * 12, and taxi 20") in a running list (see `DictationSession`) until the user says "done" or "stop"; segments the
+ * parser is unsure about are held for review instead of being saved.
+ * While the user speaks, a live caption shows the words recognised so far with the amount and description
+ * highlighted (see `LiveCaption`); saying "scratch that" throws away what was said before it in the utterance.
  *
+ * @param {object} props - Component props.
+ * @param {() => void} [props.onShowExpenses] - Called when a spoken command changes the list filters, so the list can be shown.
  * @returns {React.ReactElement} The rendered component.
  */
-function ExpenseInput() {
+function ExpenseInput({ onShowExpenses }) {
+  const { settings } = useSettingsContext();
   const {
     isListening,
     transcript,
+    interimTranscript,
+    alternatives,
+    resultCount,
     error: speechError, // Rename for clarity
     startListening,
     stopListening,
     browserSupportsSpeechRecognition,
-  } = useSpeechRecognition();
+  } = useSpeechRecognition({ lang: settings.language, engine: settings.speechEngine });
 
-  const { addExpense } = useExpenseContext(); // Assuming addExpense handles its own loading/error states if needed globally
+  // Assuming the actions handle their own loading/error states if needed globally
+  const {
+    expenses,
+    pendingSyncCount,
+    storageBackend,
+    addExpense,
+    updateExpense,
+    deleteExpense,
+    undoLastAction,
+    loadExpensesInRange,
+  } = useExpenseContext();
+  const { getBudgetAlerts, findBudgetStatus } = useBudgetContext();
+  const { saveTemplate } = useRecurringContext();
+  const rates = useExchangeRates();
+  const [, setFilters] = useExpenseFilters();
+  const isOnline = useOnlineStatus();
+  const isLocalStorage = storageBackend === 'local'; // Nothing to sync: being offline changes nothing
 
   // Internal component state for UI feedback
   const [statusMessage, setStatusMessage] = useState('');
   const [messageSeverity, setMessageSeverity] = useState('info'); // 'info', 'success', 'warning', 'error'
   const [isProcessing, setIsProcessing] = useState(false); // For parsing/adding phase
+  const processedTranscriptRef = useRef(''); // The transcript already handled, so it is not run twice
+  const [draft, setDraft] = useState(null); // Parsed expense awaiting confirmation (confirm mode only)
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+  const listenForReplyRef = useRef(false); // Reopen the mic once for a spoken "yes"/"no"
+  const [isDictating, setIsDictating] = useState(false); // A continuous dictation session is running
+  const [dictationItems, setDictationItems] = useState([]); // The session's expenses, in the order heard
+  const dictationKeyRef = useRef(0);
+  const handledResultCountRef = useRef(0); // The last transcript handled by the dictation session
+  const [choices, setChoices] = useState([]); // Readings to choose from when the recognizer's alternatives disagree
+
+  // Report a successful add, warning when it pushed a budget past 80% or 100% of its limit
+  const reportAdded = useCallback((expense) => {
+    const budgetWarning = describeBudgetAlerts(getBudgetAlerts(expense));
+    const addedMessage = isOnline || isLocalStorage ? 'Expense added successfully!' : OFFLINE_ADD_MESSAGE;
+    setStatusMessage(budgetWarning ? `${addedMessage} ${budgetWarning}` : addedMessage);
+    setMessageSeverity(budgetWarning ? 'warning' : 'success');
+  }, [getBudgetAlerts, isOnline, isLocalStorage]);
+
+  // Save a spoken recurring expense as a template; RecurringProvider then adds the occurrences already due
+  const saveRecurring = useCallback(async (expense, schedule) => {
+    await saveTemplate(buildRecurringTemplate(expense, schedule));
+    setStatusMessage(
+      `Recurring expense saved: "${expense.description}", ${formatMoney(expense.amount, expense.currency)} ${describeSchedule(schedule)}.`,
+    );
+    setMessageSeverity('success');
+  }, [saveTemplate]);
+
+  const updateDictationItem = useCallback((key, changes) => {
+    setDictationItems((items) => items.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Save the draft shown in the preview card (from the Save button or a spoken "yes")
+  const saveDraft = useCallback(async () => {
+    if (!isDraftValid(draft)) {
+      setStatusMessage('Please enter a description and a positive amount before saving.');
+      setMessageSeverity('warning');
+      return;
+    }
+    setIsSavingDraft(true);
+    try {
+      const expense = {
+        amount: parseFloat(draft.amount),
+        currency: draft.currency,
+        description: draft.description,
+        category: draft.category,
+        date: draft.date,
+      };
+      // A reviewed dictation item is marked as saved in the session list
+      const markDictationItem = () => {
+        if (draft.dictationKey) {
+          updateDictationItem(draft.dictationKey, { status: 'saved', reason: null, expense });
+        }
+      };
+      if (draft.recurrence) {
+        await saveRecurring(expense, draft.recurrence);
+        markDictationItem();
+        setDraft(null);
+        return;
+      }
+      const id = await addExpense(expense);
+      markDictationItem();
+      setDraft(null);
+      reportAdded({ ...expense, id });
+    } catch (err) {
+      console.error('ExpenseInput: Error saving confirmed expense:', err);
+      setStatusMessage(`Error: ${err?.message || 'Please try again.'}`);
+      setMessageSeverity('error');
+    } finally {
+      setIsSavingDraft(false);
+    }
+  }, [draft, addExpense, reportAdded, saveRecurring, updateDictationItem]);
+
+  const discardDraft = useCallback(() => {
+    if (draft?.dictationKey) {
+      updateDictationItem(draft.dictationKey, { status: 'discarded', reason: null });
+    }
+    setDraft(null);
+    setStatusMessage('Expense discarded.');
+    setMessageSeverity('info');
+  }, [draft, updateDictationItem]);
+
+  // Save one expense heard during dictation, recording the outcome in the session list.
+  // "rent 1200 every month" becomes a template, as it does when spoken on its own.
+  const saveDictationItem = useCallback(async (item) => {
+    const expense = { ...item.expense, category: item.command.category, date: item.command.date };
+    try {
+      if (item.command.recurrence) {
+        await saveTemplate(buildRecurringTemplate(expense, item.command.recurrence));
+        updateDictationItem(item.key, { status: 'saved', reason: `Recurring, ${describeSchedule(item.command.recurrence)}.` });
+        return;
+      }
+      const id = await addExpense(expense);
+      const warning = describeBudgetAlerts(getBudgetAlerts({ ...expense, id }));
+      updateDictationItem(item.key, { status: 'saved', warning: warning || null });
+    } catch (err) {
+      console.error('ExpenseInput: Error saving dictated expense:', err);
+      updateDictationItem(item.key, { status: 'failed', reason: err?.message || 'Could not be saved.' });
+    }
+  }, [addExpense, saveTemplate, getBudgetAlerts, updateDictationItem]);
+
+  const startDictation = useCallback(() => {
+    setStatusMessage('');
+    setMessageSeverity('info');
+    setDraft(null);
+    setChoices([]);
+    setDictationItems([]);
+    handledResultCountRef.current = resultCount; // Earlier transcripts are not part of the session
+    setIsDictating(true);
+    startListening({ continuous: true });
+  }, [resultCount, startListening]);
+
+  // Open a held dictation item in the preview card
+  const reviewDictationItem = useCallback((item) => {
+    setDraft({ ...buildDraft(item.transcript, item.command, settings), dictationKey: item.key });
+    setStatusMessage('Check the details below, then save or discard the expense.');
+    setMessageSeverity('info');
+  }, [settings]);
 
   // Handle Microphone Button Click
   const handleMicClick = useCallback(() => {
@@ -77,6 +377,7 @@ function ExpenseInput() {
       // Clear previous non-persistent messages before starting
       setStatusMessage('');
       setMessageSeverity('info');
+      setChoices([]);
       startListening();
     }
   }, [isListening, startListening, stopListening]);
@@ -91,64 +392,326 @@ function ExpenseInput() {
     }
   }, [speechError]);
 
-  // Effect to process the final transcript
+  // Effect to log each utterance of a dictation session: split it into expenses, save the ones the parser
+  // is sure about (in order) and hold the rest for review. "done" or "stop" ends the session.
   useEffect(() => {
-    // Only process if we have a new transcript and are not already processing
-    if (transcript && !isProcessing) {
-      console.log(`ExpenseInput: Processing transcript: "${transcript}"`);
-      setIsProcessing(true);
-      setStatusMessage('Processing your command...');
-      setMessageSeverity('info');
+    if (!isDictating || !transcript || resultCount === handledResultCountRef.current) {
+      return;
+    }
+    handledResultCountRef.current = resultCount;
+    processedTranscriptRef.current = transcript; // Not also run as a single command when the session ends
+    const confidence = alternatives[0]?.confidence ?? null;
+    const locale = settings.language;
+    const segments = splitDictation(applyScratchThat(transcript).text, { locale }).map((segment) =>
+      classifyDictationSegment(segment, { confidence, locale }),
+    );
+    const endIndex = segments.findIndex((segment) => segment.status === 'end');
+    const heard = endIndex === -1 ? segments : segments.slice(0, endIndex);
 
-      // Use a separate async function for clarity
-      const processAndAddExpense = async () => {
-        try {
-          const parsedData = parseExpenseString(transcript);
+    const items = heard.map((segment) => {
+      dictationKeyRef.current += 1;
+      const { command } = segment;
+      const held = segment.status === 'review' || settings.confirmBeforeSave;
+      return {
+        key: dictationKeyRef.current,
+        transcript: segment.transcript,
+        command,
+        expense:
+          command?.intent === INTENTS.ADD
+            ? {
+              description: command.description,
+              amount: command.amount,
+              currency: command.currency || settings.defaultCurrency,
+            }
+            : null,
+        status: held ? 'review' : 'saving',
+        reason: segment.reason || (held ? 'Confirm before saving is on.' : null),
+      };
+    });
+    setDictationItems((previous) => [...previous, ...items]);
+    // One at a time, so the expenses are created in the order they were said
+    items
+      .filter((item) => item.status === 'saving')
+      .reduce((chain, item) => chain.then(() => saveDictationItem(item)), Promise.resolve());
 
-          if (parsedData && parsedData.amount && parsedData.description) {
-            console.log('ExpenseInput: Parsing successful:', parsedData);
-            setStatusMessage('Adding expense...'); // Update status before async call
+    if (endIndex !== -1) {
+      stopListening();
+    }
+  }, [
+    isDictating,
+    transcript,
+    alternatives,
+    resultCount,
+    settings.confirmBeforeSave,
+    settings.defaultCurrency,
+    settings.language,
+    saveDictationItem,
+    stopListening,
+  ]);
+
+  // Effect to end the dictation session once recognition has stopped ("done", the stop button or an error)
+  useEffect(() => {
+    if (!isDictating || isListening) {
+      return;
+    }
+    setIsDictating(false);
+    if (!speechError) {
+      const held = dictationItems.filter((item) => item.status === 'review').length;
+      setStatusMessage(held > 0 ? `Dictation finished. ${held} expense(s) are waiting for review.` : 'Dictation finished.');
+      setMessageSeverity(held > 0 ? 'warning' : 'success');
+    }
+  }, [isDictating, isListening, speechError, dictationItems]);
+
+  /**
+   * Runs a parsed voice command: adds the expense, answers the question, or carries out the action.
+   *
+   * @param {string} commandText - The words the command was parsed from.
+   * @param {object | null} command - The parsed command (see `parseCommand`), or null if it was not understood.
+   */
+  const runCommand = useCallback(async (commandText, command) => {
+    console.log(`ExpenseInput: Processing transcript: "${commandText}"`);
+    setIsProcessing(true);
+    setStatusMessage('Processing your command...');
+    setMessageSeverity('info');
+
+    try {
+      switch (command?.intent) {
+        case INTENTS.ADD: {
+          console.log('ExpenseInput: Parsing successful:', command);
+          if (settings.confirmBeforeSave) {
+            // Confirm mode: show the parse for review instead of saving it straight away
+            setDraft(buildDraft(commandText, command, settings));
+            listenForReplyRef.current = true;
+            setStatusMessage('Check the details below, then say "yes" to save or "no" to discard.');
+            setMessageSeverity('info');
+            break;
+          }
+          setStatusMessage('Adding expense...'); // Update status before async call
+          setMessageSeverity('info');
+
+          // Call context action to add expense
+          const expense = {
+            amount: command.amount,
+            currency: command.currency || settings.defaultCurrency, // Spoken currency wins over the default
+            description: command.description,
+            category: command.category, // null unless spoken ("... under travel"); the context categorises by keyword
+            date: command.date, // null unless a date was spoken ("yesterday", "on the 5th")
+          };
+          if (command.recurrence) {
+            // "add rent 1200 every month": a template instead of a one-off expense
+            await saveRecurring(expense, command.recurrence);
+            break;
+          }
+          const id = await addExpense(expense);
+
+          // Success! (Assuming addExpense throws on failure, handled by catch)
+          console.log('ExpenseInput: addExpense successful.');
+          reportAdded({ ...expense, id });
+          break;
+        }
+
+        case INTENTS.CONFIRM:
+          if (!draft) {
+            setStatusMessage('There is nothing waiting to be saved.');
+            setMessageSeverity('info');
+            break;
+          }
+          await saveDraft();
+          break;
+
+        case INTENTS.CANCEL:
+          if (!draft) {
+            setStatusMessage('There is nothing waiting to be discarded.');
             setMessageSeverity('info');
+            break;
+          }
+          discardDraft();
+          break;
+
+        case INTENTS.END_DICTATION:
+          setStatusMessage('Nothing to stop. Use "Dictate several" to log several expenses in one go.');
+          setMessageSeverity('info');
+          break;
+
+        case INTENTS.UNDO: {
+          const undone = await undoLastAction();
+          setStatusMessage(undone ? UNDO_MESSAGES[undone] : 'Nothing to undo.');
+          setMessageSeverity(undone ? 'success' : 'info');
+          break;
+        }
+
+        case INTENTS.DELETE_LAST: {
+          const latest = findLatestExpense(expenses);
+          if (!latest) {
+            setStatusMessage('There is no expense to delete.');
+            setMessageSeverity('info');
+            break;
+          }
+          await deleteExpense(latest.id);
+          setStatusMessage(`Moved "${latest.description}" to the trash. Say "undo" to restore it.`);
+          setMessageSeverity('success');
+          break;
+        }
 
-            // Call context action to add expense
-            await addExpense({
-              amount: parsedData.amount,
-              description: parsedData.description,
-            });
-
-            // Success! (Assuming addExpense throws on failure, handled by catch)
-            console.log('ExpenseInput: addExpense successful.');
-            setStatusMessage('Expense added successfully!');
-            setMessageSeverity('success');
-          } else {
-            // Parsing failed
-            console.warn('ExpenseInput: Parsing failed for transcript:', transcript);
+        case INTENTS.UPDATE_AMOUNT: {
+          // An older expense the list has not loaded yet is looked for in the store
+          const target = command.target
+            ? findExpenseByDescription(expenses, command.target) ||
+              findExpenseByDescription(await loadExpensesInRange(), command.target)
+            : findLatestExpense(expenses);
+          if (!target) {
             setStatusMessage(
-              'Could not understand the expense details. Try saying "Spent 10 dollars on coffee".',
+              command.target
+                ? `Could not find an expense matching "${command.target}".`
+                : 'There is no expense to change.',
             );
             setMessageSeverity('warning');
+            break;
           }
-        } catch (err) {
-          // Error during addExpense call
-          console.error('ExpenseInput: Error calling addExpense:', err);
-          // Use the error message from the context/service if available and meaningful
+          await updateExpense(target.id, {
+            amount: command.amount,
+            ...(command.currency && { currency: command.currency }), // Keep the old currency unless a new one was spoken
+          });
+          const currency = command.currency || target.currency || settings.defaultCurrency;
+          setStatusMessage(`Changed "${target.description}" to ${formatMoney(command.amount, currency)}.`);
+          setMessageSeverity('success');
+          break;
+        }
+
+        case INTENTS.BUDGET_LEFT: {
+          const answer = describeBudgetLeft(command.target, findBudgetStatus(command.target));
+          setStatusMessage(answer);
+          setMessageSeverity('info');
+          speak(answer);
+          break;
+        }
+
+        case INTENTS.QUERY_SPENDING:
+        case INTENTS.QUERY_TOTAL: {
+          // Every expense in the asked period, not only the loaded pages (this month when none was spoken)
+          const thisMonth = getPeriodRange('month');
+          const { from, to } = command.period || { from: thisMonth.start, to: thisMonth.end };
+          const periodExpenses = await loadExpensesInRange({ from, to });
+          const answer = answerSpendingQuery(command, periodExpenses, { homeCurrency: settings.homeCurrency, rates });
+          setStatusMessage(answer);
+          setMessageSeverity('info');
+          speak(answer);
+          break;
+        }
+
+        case INTENTS.QUERY_LAST: {
+          const answer = answerLastExpenseQuery(findLatestExpense(expenses));
+          setStatusMessage(answer);
+          setMessageSeverity('info');
+          speak(answer);
+          break;
+        }
+
+        case INTENTS.SHOW_EXPENSES: {
+          setFilters(filtersFromVoiceQuery(command));
+          if (onShowExpenses) onShowExpenses();
           setStatusMessage(
-            `Error adding expense: ${err?.message || 'Please try again.'}`,
+            `Showing ${command.target ? `${command.target} expenses` : 'all expenses'}${command.period ? ` ${command.period.label}` : ''}.`,
           );
-          setMessageSeverity('error');
-        } finally {
-          // Always ensure processing state is reset
-          setIsProcessing(false);
-           console.log('ExpenseInput: Processing finished.');
+          setMessageSeverity('info');
+          break;
         }
-      };
 
-      processAndAddExpense();
+        default:
+          // Parsing failed
+          console.warn('ExpenseInput: Parsing failed for transcript:', commandText);
+          setStatusMessage(
+            'Could not understand the expense details. Try saying "Spent 10 dollars on coffee".',
+          );
+          setMessageSeverity('warning');
+      }
+    } catch (err) {
+      // Error during a context action
+      console.error('ExpenseInput: Error running voice command:', err);
+      // Use the error message from the context/service if available and meaningful
+      setStatusMessage(`Error: ${err?.message || 'Please try again.'}`);
+      setMessageSeverity('error');
+    } finally {
+      // Always ensure processing state is reset
+      setIsProcessing(false);
+      console.log('ExpenseInput: Processing finished.');
+    }
+  }, [
+    expenses,
+    addExpense,
+    updateExpense,
+    deleteExpense,
+    undoLastAction,
+    loadExpensesInRange,
+    reportAdded,
+    saveRecurring,
+    findBudgetStatus,
+    rates,
+    setFilters,
+    onShowExpenses,
+    settings,
+    draft,
+    saveDraft,
+    discardDraft,
+  ]);
+
+  // Run the reading the user picked from the disambiguation choices
+  const chooseCandidate = useCallback((candidate) => {
+    setChoices([]);
+    runCommand(candidate.transcript, candidate.command);
+  }, [runCommand]);
+
+  const dismissChoices = useCallback(() => {
+    setChoices([]);
+    setStatusMessage('Nothing was done. Tap the mic to try again.');
+    setMessageSeverity('info');
+  }, []);
+
+  // Effect to process the final transcript
+  useEffect(() => {
+    if (isDictating) {
+      return; // Handled by the dictation session
+    }
+    if (!transcript) {
+      processedTranscriptRef.current = ''; // A new listening session started
+      return;
+    }
+    // Only process a transcript once, and not while a previous command is still running
+    if (isProcessing || processedTranscriptRef.current === transcript) {
+      return;
+    }
+    processedTranscriptRef.current = transcript;
+    setChoices([]);
+    // "Coffee 5 dollars, scratch that, tea 3": only the words after the correction count
+    const { text: commandText, scratched } = applyScratchThat(transcript);
+    if (scratched && !commandText) {
+      setStatusMessage('Scratched that. Nothing was saved.');
+      setMessageSeverity('info');
+      return;
+    }
+    // Parse every alternative the recognizer heard and run the best; ask when the best ones disagree
+    const heard = alternatives[0]?.transcript === transcript ? alternatives : [{ transcript, confidence: 0 }];
+    const { best, candidates, ambiguous } = rankAlternatives(
+      heard.map((alternative) => ({ ...alternative, transcript: applyScratchThat(alternative.transcript).text })),
+      { locale: settings.language },
+    );
+    if (ambiguous) {
+      setChoices(candidates);
+      setStatusMessage('That could be heard a few ways. Which did you mean?');
+      setMessageSeverity('info');
+      return;
     }
-    // Explicitly disable lint warning for transcript dependency if needed,
-    // but the check `if (transcript && !isProcessing)` is the primary guard.
-    // Including addExpense ensures we use the latest function from context.
-  }, [transcript, addExpense, isProcessing]); // add isProcessing to prevent re-entry
+    runCommand(best ? best.transcript : commandText, best ? best.command : null);
+  }, [isDictating, transcript, alternatives, isProcessing, runCommand, settings.language]);
+
+  // Effect to reopen the mic once a preview is shown, so the user can answer "yes" or "no".
+  // Waits for the previous recognition session to end before starting a new one.
+  useEffect(() => {
+    if (draft && listenForReplyRef.current && !isListening && !isProcessing) {
+      listenForReplyRef.current = false;
+      startListening();
+    }
+  }, [draft, isListening, isProcessing, startListening]);
 
   // Determine button color based on state
   const getButtonColor = () => {
@@ -175,10 +738,25 @@ function ExpenseInput() {
       {!browserSupportsSpeechRecognition && (
         <Alert severity="error" sx={{ width: '100%' }}>
           Voice recognition is not supported by your browser. Please use a
-          different browser like Chrome or Edge.
+          browser with built-in speech recognition, like Chrome, Edge or Safari.
         </Alert>
       )}
 
+      {/* Connectivity indicator: expenses captured offline are kept and synced later */}
+      {isLocalStorage ? (
+        <Chip size="small" variant="outlined" icon={<StorageIcon />} label="Local mode - expenses are stored in this browser" />
+      ) : (
+        <Chip
+          size="small"
+          variant="outlined"
+          color={isOnline ? 'success' : 'warning'}
+          icon={isOnline ? <CloudDoneIcon /> : <CloudOffIcon />}
+          label={`${isOnline ? 'Online' : 'Offline - expenses are saved on this device'}${
+            pendingSyncCount > 0 ? ` · ${pendingSyncCount} pending sync` : ''
+          }`}
+        />
+      )}
+
       {/* Microphone button and loading indicator */}
       <Box sx={{ position: 'relative', display: 'inline-flex' }}>
         <IconButton
@@ -212,11 +790,66 @@ function ExpenseInput() {
         )}
       </Box>
 
+      {/* Continuous dictation: several expenses in one session */}
+      <Button
+        size="small"
+        variant={isDictating ? 'contained' : 'outlined'}
+        color={isDictating ? 'secondary' : 'primary'}
+        startIcon={isDictating ? <StopCircleIcon /> : <PlaylistAddIcon />}
+        onClick={isDictating ? stopListening : startDictation}
+        disabled={!browserSupportsSpeechRecognition || isProcessing || (isListening && !isDictating)}
+      >
+        {isDictating ? 'Stop dictation' : 'Dictate several'}
+      </Button>
+
        {/* Dynamic Status / Helper Text */}
        <Typography variant="caption" color="text.secondary" sx={{ minHeight: '1.2em' }}>
-         {isListening ? 'Listening...' : (isProcessing ? ' ' : 'Tap the mic and speak your expense (e.g., "Spent $5 on coffee")')}
+         {isDictating
+           ? 'Dictating... say each expense, then "done" or "stop".'
+           : isListening ? 'Listening...' : (isProcessing ? ' ' : 'Tap the mic and speak your expense (e.g., "Spent $5 on coffee")')}
        </Typography>
 
+      {/* Live caption of the utterance being spoken */}
+      {isListening && interimTranscript && (
+        <LiveCaption
+          transcript={interimTranscript}
+          defaultCurrency={settings.defaultCurrency}
+          locale={settings.language}
+        />
+      )}
+
+      {/* Running list of the dictation session */}
+      {(isDictating || dictationItems.length > 0) && (
+        <DictationSession
+          items={dictationItems}
+          active={isDictating}
+          onReview={reviewDictationItem}
+          onClear={() => setDictationItems([])}
+        />
+      )}
+
+
+      {/* Disambiguation when the recognizer's alternatives lead to different commands */}
+      {choices.length > 0 && (
+        <AlternativeChoice
+          candidates={choices}
+          defaultCurrency={settings.defaultCurrency}
+          onChoose={chooseCandidate}
+          onDismiss={dismissChoices}
+          disabled={isProcessing}
+        />
+      )}
+
+      {/* Editable preview of the parsed expense (confirm mode) */}
+      {draft && (
+        <ExpensePreviewCard
+          draft={draft}
+          onChange={(changes) => setDraft((current) => ({ ...current, ...changes }))}
+          onSave={saveDraft}
+          onDiscard={discardDraft}
+          saving={isSavingDraft}
+        />
+      )}
 
       {/* Status Message Alert */}
       {statusMessage && (
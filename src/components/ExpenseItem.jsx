@@ -1,55 +1,69 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ListItem from '@mui/material/ListItem';
 import ListItemText from '@mui/material/ListItemText';
 import Typography from '@mui/material/Typography'; // Although not directly used for secondary, good practice to import if potentially needed.
+import Chip from '@mui/material/Chip';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import RepeatIcon from '@mui/icons-material/Repeat';
+import { getCategoryLabel } from '../utils/categories.js';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/currency.js';
 
 /**
- * Helper function to format a numeric amount into a USD currency string.
+ * Helper function to format a numeric amount in the expense's own currency.
  * Includes validation for the input amount.
  *
  * @param {number | any} amount - The numeric value to format.
- * @returns {string} The formatted currency string (e.g., "$10.50") or a fallback string for invalid input.
+ * @param {string} [currency=DEFAULT_CURRENCY] - ISO 4217 code of the amount.
+ * @returns {string} The formatted currency string (e.g., "$10.50", "€20.00") or a fallback string
+ *   showing the currency code (e.g., "EUR --.--") for invalid input.
  */
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
   if (typeof amount !== 'number' || !Number.isFinite(amount)) {
     console.warn(
       `ExpenseItem: Invalid amount received: ${amount}. Expected a finite number.`,
     );
-    return '$ --.--'; // Fallback for invalid/missing amount
+    return `${currency || DEFAULT_CURRENCY} --.--`; // Fallback for invalid/missing amount, in the expense's currency
   }
   try {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-    }).format(amount);
+    return formatMoney(amount, currency);
   } catch (error) {
     console.error(`ExpenseItem: Error formatting currency for amount ${amount}:`, error);
-    return '$ ??.??'; // Fallback in case of unexpected formatting errors
+    return `${currency || DEFAULT_CURRENCY} ??.??`; // Fallback in case of unexpected formatting errors
   }
 };
 
 /**
- * Helper function to format a Firestore timestamp object into a readable date string.
- * Includes validation for the timestamp object.
+ * Helper function to format a date into a readable date string.
+ * Accepts the JavaScript Date objects produced by the expense service as well as raw
+ * Firestore timestamp objects. Includes validation for the input.
  *
- * @param {object | null | undefined} timestamp - The Firestore timestamp object ({ seconds: number, nanoseconds: number }) or null/undefined.
+ * @param {Date | {seconds: number, nanoseconds: number} | null | undefined} timestamp - A Date, a Firestore timestamp object, or null/undefined.
  * @returns {string | null} The formatted date string (e.g., "Jun 1, 2024") or null if the timestamp is invalid/missing.
  */
 const formatDate = (timestamp) => {
+  const isDate = timestamp instanceof Date;
   if (
     !timestamp ||
-    typeof timestamp.seconds !== 'number' ||
-    !Number.isFinite(timestamp.seconds)
+    (!isDate &&
+      (typeof timestamp.seconds !== 'number' || !Number.isFinite(timestamp.seconds)))
   ) {
     // console.warn('ExpenseItem: Invalid or missing timestamp object received:', timestamp);
     return null; // Don't display anything if timestamp is invalid/missing
   }
 
   try {
-    const date = new Date(timestamp.seconds * 1000);
+    const date = isDate ? timestamp : new Date(timestamp.seconds * 1000);
     // Check if the generated date is valid (e.g., seconds wasn't an out-of-range number)
     if (isNaN(date.getTime())) {
-        console.warn('ExpenseItem: Could not create valid Date from timestamp seconds:', timestamp.seconds);
+        console.warn('ExpenseItem: Could not create valid Date from timestamp:', timestamp);
         return null;
     }
     return date.toLocaleDateString('en-US', {
@@ -65,17 +79,37 @@ const formatDate = (timestamp) => {
 
 /**
  * Displays a single expense item with its description, formatted amount, and date.
- * This is a presentational component receiving data via props.
+ * This is a presentational component receiving data via props. The edit button switches
+ * the row into an inline form for the description and amount; saving and deleting are
+ * delegated to the `onUpdate` / `onDelete` callbacks.
  *
  * @param {object} props - Component props.
- * @param {{id: string, description: string, amount: number, timestamp: {seconds: number, nanoseconds: number} | null}} props.expense - The expense object to display.
+ * @param {{id: string, description: string, amount: number, currency: string, category: string | null, timestamp: Date | null, occurredAt: Date | null}} props.expense - The expense object to display.
  *   - `id`: Unique identifier for the expense (string, used as key by parent).
  *   - `description`: Text description of the expense (string).
  *   - `amount`: The monetary value of the expense (number).
- *   - `timestamp`: Firebase Timestamp object (or null/undefined) containing `seconds` and `nanoseconds`.
+ *   - `currency`: ISO 4217 code the amount is formatted in (string, defaults to USD).
+ *   - `category`: Category id shown as a chip (string, or null for uncategorised older expenses).
+ *   - `timestamp`: When the expense was recorded (Date, or null while the server timestamp is pending).
+ *   - `occurredAt`: When the expense happened (Date, or null); this is the date displayed.
+ *   - `pendingSync`: True while the expense has not reached the server (shown as a "pending sync" marker).
+ *   - `isQueued`: True while the expense only exists in the offline queue (edit/delete are hidden until it is written).
+ * @param {number | null} [props.convertedAmount] - The amount converted into `homeCurrency`. Undefined when the expense
+ *   is already in the home currency; null when no exchange rate was in effect on the expense date.
+ * @param {string} [props.homeCurrency] - ISO 4217 code of the converted amount.
+ * @param {(id: string, changes: {description: string, amount: number}) => Promise<any>} [props.onUpdate] - Saves an inline edit.
+ *   The edit buttons are hidden when omitted.
+ * @param {(id: string) => Promise<any>} [props.onDelete] - Deletes the expense. The delete button is hidden when omitted.
  * @returns {React.ReactElement} The rendered list item component for the expense.
  */
-function ExpenseItem({ expense }) {
+function ExpenseItem({ expense, convertedAmount, homeCurrency, onUpdate, onDelete }) {
+  // Inline edit state (declared before any early return to keep hook order stable)
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftDescription, setDraftDescription] = useState('');
+  const [draftAmount, setDraftAmount] = useState('');
+  const [editError, setEditError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
   // Basic prop validation
   if (!expense || typeof expense !== 'object') {
     console.warn('ExpenseItem: Invalid or missing expense prop received.', expense);
@@ -100,14 +134,89 @@ function ExpenseItem({ expense }) {
   }
 
   // Format amount and date using helper functions
-  const formattedAmount = formatCurrency(expense.amount);
-  const formattedDate = formatDate(expense.timestamp);
+  const formattedAmount = formatCurrency(expense.amount, expense.currency);
+  const formattedDate = formatDate(expense.occurredAt || expense.timestamp);
+  let formattedConversion = '';
+  if (convertedAmount === null) {
+    formattedConversion = ` (no ${homeCurrency} rate)`;
+  } else if (typeof convertedAmount === 'number') {
+    formattedConversion = ` (≈ ${formatCurrency(convertedAmount, homeCurrency)})`;
+  }
 
   // Construct the secondary text string
-  const secondaryText = `${formattedAmount}${formattedDate ? ` - ${formattedDate}` : ''}`;
+  const secondaryText = `${formattedAmount}${formattedConversion}${formattedDate ? ` - ${formattedDate}` : ''}`;
   const primaryText = hasValidDescription ? expense.description : 'Missing Description';
 
 
+  const startEditing = () => {
+    setDraftDescription(expense.description || '');
+    setDraftAmount(hasValidAmount ? String(expense.amount) : '');
+    setEditError(null);
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    const amount = parseFloat(draftAmount);
+    if (!draftDescription.trim() || !Number.isFinite(amount) || amount <= 0) {
+      setEditError('Enter a description and a positive amount.');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await onUpdate(expense.id, { description: draftDescription.trim(), amount });
+      setIsEditing(false);
+    } catch (error) {
+      console.error('ExpenseItem: Error saving expense edit:', error);
+      setEditError(error?.message || 'Could not save changes.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await onDelete(expense.id);
+    } catch (error) {
+      // The context records the error; nothing else to do for this row
+      console.error('ExpenseItem: Error deleting expense:', error);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <ListItem divider>
+        <Stack direction="row" spacing={1} alignItems="flex-start" sx={{ width: '100%', py: 0.5 }}>
+          <TextField
+            label="Description"
+            size="small"
+            value={draftDescription}
+            onChange={(event) => setDraftDescription(event.target.value)}
+            error={Boolean(editError)}
+            helperText={editError}
+            sx={{ flexGrow: 1 }}
+            autoFocus
+          />
+          <TextField
+            label={`Amount (${expense.currency || DEFAULT_CURRENCY})`}
+            size="small"
+            type="number"
+            value={draftAmount}
+            onChange={(event) => setDraftAmount(event.target.value)}
+            onKeyDown={(event) => event.key === 'Enter' && handleSave()}
+            inputProps={{ min: 0, step: '0.01' }}
+            sx={{ width: 130 }}
+          />
+          <IconButton aria-label="save changes" onClick={handleSave} disabled={isSaving}>
+            <CheckIcon />
+          </IconButton>
+          <IconButton aria-label="cancel editing" onClick={() => setIsEditing(false)} disabled={isSaving}>
+            <CloseIcon />
+          </IconButton>
+        </Stack>
+      </ListItem>
+    );
+  }
+
   // TODO: Unit Test: Test rendering with valid props (description, amount, timestamp).
   // TODO: Unit Test: Test currency formatting for various amounts (positive, zero, edge cases).
   // TODO: Unit Test: Test timestamp formatting for valid timestamp objects.
@@ -115,7 +224,47 @@ function ExpenseItem({ expense }) {
   // TODO: Unit Test: Test fallback rendering for invalid/missing data.
 
   return (
-    <ListItem divider>
+    <ListItem
+      divider
+      secondaryAction={
+        <Stack direction="row" spacing={0.5} alignItems="center">
+          {expense.pendingSync && (
+            <Tooltip title="Saved on this device; it will sync when you are back online">
+              <Chip
+                size="small"
+                color="warning"
+                variant="outlined"
+                icon={<CloudUploadIcon />}
+                label="Pending sync"
+              />
+            </Tooltip>
+          )}
+          {expense.recurrence && (
+            <Tooltip title="Added automatically from a recurring expense">
+              <RepeatIcon fontSize="small" color="action" aria-label="recurring expense" />
+            </Tooltip>
+          )}
+          {expense.category && (
+            <Chip size="small" variant="outlined" label={getCategoryLabel(expense.category)} />
+          )}
+          {onUpdate && !expense.isQueued && (
+            <Tooltip title="Edit">
+              <IconButton size="small" aria-label="edit expense" onClick={startEditing}>
+                <EditIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {onDelete && !expense.isQueued && (
+            <Tooltip title="Delete">
+              <IconButton size="small" edge="end" aria-label="delete expense" onClick={handleDelete}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Stack>
+      }
+      sx={{ pr: (expense.pendingSync ? 30 : 16) + (expense.recurrence ? 3 : 0) }} // Leave room for the chips and action buttons
+    >
       <ListItemText
         primary={primaryText}
         // Conditionally apply error color if description was missing
@@ -1,11 +1,24 @@
-import React, { useContext } from 'react';
-import List from '@mui/material/List';
+import React, { useCallback, useContext, useMemo, useState } from 'react';
 import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
 import Alert from '@mui/material/Alert';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
 import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { useExchangeRates } from '../hooks/useExchangeRates.js';
+import { useExpenseFilters } from '../hooks/useExpenseFilters.js';
+import { useExpensesInRange } from '../hooks/useExpensesInRange.js';
+import { convertAmount } from '../utils/currencyConversion.js';
+import { DEFAULT_FILTERS, applyExpenseFilters, getFilterDateRange, isFiltered } from '../utils/expenseFilters.js';
 import ExpenseItem from './ExpenseItem.jsx'; // Assume exists per structure
 import Loader from './Loader.jsx'; // Assume exists per structure
+import ExportDialog from './ExportDialog.jsx';
+import ImportDialog from './ImportDialog.jsx';
+import ExpenseFilterBar from './ExpenseFilterBar.jsx';
+import VirtualizedList from './VirtualizedList.jsx';
 
 /**
  * Displays the list of recorded expenses.
@@ -13,13 +26,90 @@ import Loader from './Loader.jsx'; // Assume exists per structure
  * This component consumes state (expenses list, loading status, error status)
  * from the `ExpenseContext` via the `useExpenseContext` hook. It conditionally
  * renders a loading indicator, an error message, an empty state message, or
- * the list of expenses using the `ExpenseItem` component.
+ * the list of expenses using the `ExpenseItem` component, wiring each item's
+ * edit and delete buttons to the context actions.
+ * Expenses not in the user's home currency are also converted with the locally stored
+ * exchange rate in effect on the expense date, and shown with both amounts.
+ * The list can be searched, filtered and sorted (see `ExpenseFilterBar`); the filters live in the URL query
+ * string, so a filtered view can be bookmarked. A search, filter or sort order other than newest first applies to
+ * every expense in the filtered date range, loaded or not: they are read from the store (see `useExpensesInRange`)
+ * and listed in full, without pages.
+ * The Export button saves every expense matching the filters, loaded or not, to a CSV or JSON file (see `ExportDialog`), and Import
+ * adds older expenses from a bank export or spreadsheet (see `ImportDialog`).
+ * Only the items near the viewport are rendered (see `VirtualizedList`), and scrolling to the end loads the
+ * next page of older expenses. A page that fails to load is reported at the end of the list, with a retry.
  *
  * @returns {React.ReactElement} The rendered ExpenseList component.
  */
 function ExpenseList() {
   // Retrieve state from the context
-  const { expenses, loading, error } = useExpenseContext();
+  const {
+    expenses,
+    loading,
+    error,
+    hasMoreExpenses,
+    loadingMoreExpenses,
+    loadMoreExpenses,
+    loadMoreError,
+    updateExpense,
+    deleteExpense,
+  } = useExpenseContext();
+  const { settings } = useSettingsContext();
+  const rates = useExchangeRates();
+  const [exportOpen, setExportOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [filters, setFilters, resetFilters] = useExpenseFilters();
+
+  // Pages only make sense for the default order; anything else needs every expense in the date range
+  const searchesStore = isFiltered(filters) || filters.sort !== DEFAULT_FILTERS.sort;
+  const {
+    expenses: rangeExpenses,
+    loading: rangeLoading,
+    error: rangeError,
+  } = useExpensesInRange({ ...getFilterDateRange(filters), enabled: searchesStore });
+  const sourceExpenses = useMemo(
+    () => (searchesStore ? rangeExpenses : expenses || []),
+    [searchesStore, rangeExpenses, expenses],
+  );
+
+  // The expenses matching the search and filters, in the chosen order
+  const visibleExpenses = useMemo(() => applyExpenseFilters(sourceExpenses, filters), [sourceExpenses, filters]);
+
+  // Converted amounts keyed by expense id (null when no rate was in effect on the expense date)
+  const convertedAmounts = useMemo(() => {
+    const converted = {};
+    sourceExpenses.forEach((expense) => {
+      if (expense.currency !== settings.homeCurrency) {
+        const date = expense.occurredAt || expense.timestamp || new Date();
+        converted[expense.id] = convertAmount(expense.amount, expense.currency, settings.homeCurrency, date, rates);
+      }
+    });
+    return converted;
+  }, [sourceExpenses, settings.homeCurrency, rates]);
+
+  // Infinite scroll: read the next older page once the end of the list is on screen.
+  // After a failure the footer offers a retry instead, so scrolling does not retry in a loop.
+  const handleEndReached = useCallback(() => {
+    if (!searchesStore && hasMoreExpenses && !loadingMoreExpenses && !loadMoreError) {
+      loadMoreExpenses().catch(() => {}); // Shown as loadMoreError in the footer
+    }
+  }, [searchesStore, hasMoreExpenses, loadingMoreExpenses, loadMoreError, loadMoreExpenses]);
+  const handleRetryLoadMore = useCallback(() => {
+    loadMoreExpenses().catch(() => {}); // Shown as loadMoreError in the footer
+  }, [loadMoreExpenses]);
+  const getExpenseKey = useCallback((expense) => expense.id, []);
+  const renderExpense = useCallback(
+    (expense) => (
+      <ExpenseItem
+        expense={expense}
+        convertedAmount={convertedAmounts[expense.id]}
+        homeCurrency={settings.homeCurrency}
+        onUpdate={updateExpense}
+        onDelete={deleteExpense}
+      />
+    ),
+    [convertedAmounts, settings.homeCurrency, updateExpense, deleteExpense],
+  );
 
   // Conditional Rendering Logic:
 
@@ -57,30 +147,106 @@ function ExpenseList() {
   }
 
   // 3. Data State (Not Loading, No Error)
+  const header = (
+    <Stack direction="row" alignItems="center" justifyContent="space-between">
+      <Typography variant="h6" component="h2">
+        Expenses
+      </Typography>
+      <Stack direction="row" spacing={1}>
+        <Button size="small" startIcon={<FileUploadIcon />} onClick={() => setImportOpen(true)}>
+          Import
+        </Button>
+        <Button
+          size="small"
+          startIcon={<FileDownloadIcon />}
+          onClick={() => setExportOpen(true)}
+          disabled={!expenses || expenses.length === 0}
+        >
+          Export
+        </Button>
+      </Stack>
+    </Stack>
+  );
+  const importDialog = <ImportDialog open={importOpen} onClose={() => setImportOpen(false)} />;
 
   // 3a. Empty State
   if (!expenses || expenses.length === 0) {
     return (
-      <Typography
-        variant="body1"
-        align="center"
-        color="text.secondary"
-        sx={{ mt: 4 }}
-      >
-        No expenses recorded yet. Tap the mic to add your first one!
-      </Typography>
+      <Box>
+        {header}
+        <Typography
+          variant="body1"
+          align="center"
+          color="text.secondary"
+          sx={{ mt: 4 }}
+        >
+          No expenses recorded yet. Tap the mic to add your first one!
+        </Typography>
+        {importDialog}
+      </Box>
     );
   }
 
   // 3b. Data Available State
   return (
-    <List disablePadding>
-      {expenses.map((expense) => (
-        // Pass the unique ID as the key for React reconciliation
-        // Pass the entire expense object as a prop to ExpenseItem
-        <ExpenseItem key={expense.id} expense={expense} />
-      ))}
-    </List>
+    <Box>
+      {header}
+      <ExpenseFilterBar filters={filters} onChange={setFilters} onReset={resetFilters} />
+      {searchesStore && rangeError && (
+        <Alert severity="warning" sx={{ mt: 1 }}>
+          {rangeError.message} Only the expenses listed so far are searched.
+        </Alert>
+      )}
+      {searchesStore && rangeLoading && (
+        <Typography variant="caption" color="text.secondary">
+          Searching all your expenses…
+        </Typography>
+      )}
+      {isFiltered(filters) && !rangeLoading && (
+        <Typography variant="caption" color="text.secondary">
+          {visibleExpenses.length === 1 ? '1 expense matches' : `${visibleExpenses.length} expenses match`} your search
+          and filters.
+        </Typography>
+      )}
+      {visibleExpenses.length === 0 && !rangeLoading && (
+        <Typography variant="body1" align="center" color="text.secondary" sx={{ mt: 4 }}>
+          No expenses match your search and filters.
+        </Typography>
+      )}
+      <VirtualizedList
+        items={visibleExpenses}
+        getItemKey={getExpenseKey}
+        renderItem={renderExpense}
+        onEndReached={handleEndReached}
+      />
+      {!searchesStore && hasMoreExpenses && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 1 }}>
+          {loadingMoreExpenses ? (
+            <Typography variant="body2" color="text.secondary">
+              Loading older expenses…
+            </Typography>
+          ) : loadMoreError ? (
+            <Alert
+              severity="error"
+              sx={{ width: '100%' }}
+              action={
+                <Button color="inherit" size="small" onClick={handleRetryLoadMore}>
+                  Retry
+                </Button>
+              }
+            >
+              {loadMoreError.message}
+            </Alert>
+          ) : (
+            <Button size="small" onClick={handleEndReached}>
+              Load older expenses
+            </Button>
+          )}
+        </Box>
+      )}
+      <ExportDialog open={exportOpen} filters={filters} onClose={() => setExportOpen(false)} />
+      {importDialog}
+    </Box>
   );
 }
 
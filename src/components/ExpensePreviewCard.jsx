@@ -0,0 +1,164 @@
+import React from 'react';
+import Card from '@mui/material/Card';
+import CardContent from '@mui/material/CardContent';
+import CardActions from '@mui/material/CardActions';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { DEFAULT_CATEGORIES } from '../utils/categories.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+import { describeSchedule } from '../utils/recurrence.js';
+
+/**
+ * @typedef {object} ExpenseDraft
+ * @property {string} transcript - The raw transcript the draft was parsed from.
+ * @property {string} amount - The amount as typed/parsed (kept as a string while editing).
+ * @property {string} currency - ISO 4217 code of the amount.
+ * @property {string} description - The expense description.
+ * @property {string} category - The category id.
+ * @property {Date | null} date - When the expense happened; null means "now". For a recurring draft, the first day of the schedule.
+ * @property {import('../utils/recurrence.js').RecurrenceSchedule | null} [recurrence] - The spoken schedule, if the expense repeats.
+ * @property {number} [dictationKey] - The dictation session item being reviewed, if the draft came from one.
+ */
+
+/**
+ * Checks whether a draft can be saved (non-empty description and a positive amount).
+ *
+ * @param {ExpenseDraft | null} draft - The draft to check.
+ * @returns {boolean} True if the draft is valid.
+ */
+export const isDraftValid = (draft) => {
+  const amount = parseFloat(draft?.amount);
+  return Boolean(draft && draft.description.trim() && Number.isFinite(amount) && amount > 0);
+};
+
+/**
+ * Applies a date picked in the preview (YYYY-MM-DD, local) to a draft date, keeping the time of day
+ * of the previous value (or the current time) so same-day ordering still works.
+ *
+ * @param {string} dateKey - The picked date, or '' to clear it.
+ * @param {Date | null} previous - The previous draft date.
+ * @returns {Date | null} The new draft date, or null when cleared/invalid.
+ */
+const applyDateKey = (dateKey, previous) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  if (!year || !month || !day) {
+    return null;
+  }
+  const date = new Date(previous || Date.now());
+  date.setFullYear(year, month - 1, day);
+  return date;
+};
+
+/**
+ * Preview of a parsed voice expense shown in confirm mode. Shows the raw transcript and the
+ * parsed amount, description, category and date as editable fields, with Save and Discard.
+ * The draft itself is owned by the parent so voice replies ("yes", "no") can act on it too.
+ *
+ * @param {object} props - Component props.
+ * @param {ExpenseDraft} props.draft - The draft being confirmed.
+ * @param {(changes: Partial<ExpenseDraft>) => void} props.onChange - Called with the edited fields.
+ * @param {() => void} props.onSave - Called when the user saves the draft.
+ * @param {() => void} props.onDiscard - Called when the user discards the draft.
+ * @param {boolean} [props.saving=false] - Disables the actions while the expense is being saved.
+ * @returns {React.ReactElement} The rendered preview card.
+ */
+function ExpensePreviewCard({ draft, onChange, onSave, onDiscard, saving = false }) {
+  const valid = isDraftValid(draft);
+
+  return (
+    <Card variant="outlined" sx={{ width: '100%' }}>
+      <CardContent>
+        <Typography variant="overline" color="text.secondary">
+          Check before saving
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontStyle: 'italic' }}>
+          &ldquo;{draft.transcript}&rdquo;
+        </Typography>
+        <Stack spacing={2}>
+          <Stack direction="row" spacing={1}>
+            <TextField
+              label="Amount"
+              type="number"
+              size="small"
+              value={draft.amount}
+              onChange={(event) => onChange({ amount: event.target.value })}
+              error={!(parseFloat(draft.amount) > 0)}
+              inputProps={{ min: 0, step: '0.01' }}
+              sx={{ flexGrow: 1 }}
+            />
+            <TextField
+              select
+              label="Currency"
+              size="small"
+              value={draft.currency}
+              onChange={(event) => onChange({ currency: event.target.value })}
+              sx={{ width: 110 }}
+            >
+              {SUPPORTED_CURRENCIES.map((code) => (
+                <MenuItem key={code} value={code}>
+                  {code}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+          <TextField
+            label="Description"
+            size="small"
+            value={draft.description}
+            onChange={(event) => onChange({ description: event.target.value })}
+            error={!draft.description.trim()}
+          />
+          <Stack direction="row" spacing={1}>
+            <TextField
+              select
+              label="Category"
+              size="small"
+              value={draft.category}
+              onChange={(event) => onChange({ category: event.target.value })}
+              sx={{ flexGrow: 1 }}
+            >
+              {DEFAULT_CATEGORIES.map((option) => (
+                <MenuItem key={option.id} value={option.id}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Date"
+              type="date"
+              size="small"
+              value={toDateKey(draft.date || new Date())}
+              onChange={(event) => onChange({ date: applyDateKey(event.target.value, draft.date) })}
+              InputLabelProps={{ shrink: true }}
+              sx={{ flexGrow: 1 }}
+            />
+          </Stack>
+          {draft.recurrence && (
+            <Typography variant="body2" color="text.secondary">
+              Repeats {describeSchedule(draft.recurrence)}, starting on the date above.
+            </Typography>
+          )}
+        </Stack>
+      </CardContent>
+      <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2 }}>
+        <Typography variant="caption" color="text.secondary">
+          Say &quot;yes&quot; to save or &quot;no&quot; to discard
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <Button onClick={onDiscard} disabled={saving}>
+            Discard
+          </Button>
+          <Button variant="contained" onClick={onSave} disabled={!valid || saving}>
+            Save
+          </Button>
+        </Stack>
+      </CardActions>
+    </Card>
+  );
+}
+
+export default ExpensePreviewCard;
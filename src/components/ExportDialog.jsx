@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import { CSV_DELIMITERS, EXPORT_FORMATS, buildExportFile } from '../utils/exportExpenses.js';
+import { applyExpenseFilters, getFilterDateRange, isFiltered } from '../utils/expenseFilters.js';
+
+/**
+ * Labels of the export formats, as shown in the format picker.
+ * @constant {Object<string, string>}
+ */
+const FORMAT_LABELS = { csv: 'CSV (spreadsheet)', json: 'JSON' };
+
+/**
+ * Saves a text file through a temporary download link.
+ * CSV files start with a byte order mark so spreadsheet apps read them as UTF-8 (e.g. "€" in descriptions).
+ *
+ * @param {{filename: string, mimeType: string, content: string}} file - The file from `buildExportFile`.
+ */
+const downloadFile = ({ filename, mimeType, content }) => {
+  const blob = new Blob(mimeType.startsWith('text/csv') ? ['\uFEFF', content] : [content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Dialog exporting the expenses that match the list's search and filters to a CSV file (with a choice of
+ * delimiter) or a JSON file. The whole date range is read from the store first, so older expenses that the
+ * list has not loaded yet are exported too. Each row carries the expense id, description, amount, currency,
+ * category and its ISO dates.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {import('../utils/expenseFilters.js').ExpenseFilters} props.filters - The list's filters and sort order.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function ExportDialog({ open, filters, onClose }) {
+  const { loadExpensesInRange } = useExpenseContext();
+  const [format, setFormat] = useState('csv');
+  const [delimiter, setDelimiter] = useState(',');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const handleClose = () => {
+    setExportError(null);
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const expenses = applyExpenseFilters(await loadExpensesInRange(getFilterDateRange(filters)), filters);
+      if (expenses.length === 0) {
+        setExportError('No expenses match your search and filters.');
+        return;
+      }
+      downloadFile(buildExportFile(expenses, { format, delimiter }));
+      handleClose();
+    } catch (err) {
+      setExportError(err?.message || 'Failed to export expenses. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs">
+      <DialogTitle>Export expenses</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Exports {isFiltered(filters) ? 'every expense matching your search and filters' : 'all your expenses'},
+            including older ones not shown yet, with ISO 8601 dates and the amount and currency in separate columns.
+          </Typography>
+          <TextField select label="Format" value={format} onChange={(event) => setFormat(event.target.value)}>
+            {EXPORT_FORMATS.map((option) => (
+              <MenuItem key={option} value={option}>
+                {FORMAT_LABELS[option]}
+              </MenuItem>
+            ))}
+          </TextField>
+          {format === 'csv' && (
+            <TextField select label="Delimiter" value={delimiter} onChange={(event) => setDelimiter(event.target.value)}>
+              {Object.entries(CSV_DELIMITERS).map(([character, label]) => (
+                <MenuItem key={label} value={character}>
+                  {label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          {exportError && <Alert severity="error">{exportError}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleExport} disabled={isExporting}>
+          {isExporting ? 'Exporting…' : 'Export'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import Checkbox from '@mui/material/Checkbox';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { SUPPORTED_CURRENCIES, formatMoney } from '../utils/currency.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+import {
+  IMPORT_FIELDS,
+  DATE_ORDERS,
+  parseImportFile,
+  guessColumnMapping,
+  detectDateOrder,
+  mapImportRows,
+  getDuplicateSearchRange,
+  findDuplicateExpense,
+} from '../utils/importExpenses.js';
+
+/**
+ * Labels of the expense fields in the column mapping.
+ * @constant {Object<string, string>}
+ */
+const FIELD_LABELS = { description: 'Description', amount: 'Amount', date: 'Date', currency: 'Currency' };
+
+/**
+ * Labels of the numeric date orders.
+ * @constant {Object<string, string>}
+ */
+const DATE_ORDER_LABELS = { mdy: 'Month first (03/31/2024)', dmy: 'Day first (31/03/2024)' };
+
+/**
+ * Dialog importing older expenses from a bank export or spreadsheet (CSV, or an OFX/QFX statement).
+ * The user maps the file's columns to description, amount, date and currency and reviews a preview of every row.
+ * Rows that look like an expense already recorded (same amount and currency, date within a day, similar
+ * description) are flagged and left unticked. They are looked for among every expense stored around the file's
+ * dates, not only the ones the list has loaded. The ticked rows are written in bulk by `importExpenses`.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function ImportDialog({ open, onClose }) {
+  const { expenses, importExpenses, loadExpensesInRange } = useExpenseContext();
+  const { settings } = useSettingsContext();
+  const [fileName, setFileName] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [currency, setCurrency] = useState(settings.defaultCurrency);
+  const [dateOrder, setDateOrder] = useState('mdy');
+  const [toggled, setToggled] = useState(() => new Set()); // Rows whose checkbox the user flipped
+  const [message, setMessage] = useState(null); // { severity, text }
+  const [isImporting, setIsImporting] = useState(false);
+  const [storedExpenses, setStoredExpenses] = useState([]); // Stored around the file's dates; null while reading
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setTable(null);
+      setMapping(null);
+      setCurrency(settings.defaultCurrency);
+      setMessage(null);
+    }
+  }, [open, settings.defaultCurrency]);
+
+  const rows = useMemo(
+    () => (table && mapping ? mapImportRows(table, mapping, { defaultCurrency: currency, dateOrder }) : []),
+    [table, mapping, currency, dateOrder],
+  );
+
+  // Read the expenses stored around the file's dates, loaded into the list or not, to check the rows against
+  const searchRange = useMemo(
+    () => getDuplicateSearchRange(rows.filter((row) => row.expense).map((row) => row.expense)),
+    [rows],
+  );
+  const searchFrom = searchRange ? searchRange.from.getTime() : null;
+  const searchTo = searchRange ? searchRange.to.getTime() : null;
+  useEffect(() => {
+    if (searchFrom === null) {
+      setStoredExpenses([]);
+      return undefined;
+    }
+    let active = true;
+    setStoredExpenses(null);
+    loadExpensesInRange({ from: new Date(searchFrom), to: new Date(searchTo) })
+      .then((stored) => active && setStoredExpenses(stored))
+      .catch((error) => {
+        if (!active) return;
+        setStoredExpenses([]);
+        setMessage({ severity: 'warning', text: `${error.message} Duplicates were only looked for among the expenses listed.` });
+      });
+    return () => {
+      active = false;
+    };
+  }, [searchFrom, searchTo, loadExpensesInRange]);
+  const isCheckingDuplicates = storedExpenses === null;
+
+  // Duplicates are checked against live expenses only: a deleted expense may be imported again.
+  // The listed ones are included too, for expenses added since the stored ones were read.
+  const duplicates = useMemo(() => {
+    const candidates = [...(storedExpenses || []), ...expenses];
+    return rows.map((row) => (row.expense ? findDuplicateExpense(row.expense, candidates) : null));
+  }, [rows, storedExpenses, expenses]);
+
+  // A new mapping gives new rows, so the user's ticks no longer apply
+  useEffect(() => setToggled(new Set()), [rows]);
+
+  const isSelected = (row) => row.expense !== null && (duplicates[row.index] === null) !== toggled.has(row.index);
+  const selectedRows = rows.filter(isSelected);
+  const duplicateCount = duplicates.filter(Boolean).length;
+  const invalidCount = rows.filter((row) => !row.expense).length;
+  const isMapped = mapping && ['description', 'amount', 'date'].every((field) => mapping[field] !== null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    setMessage(null);
+    try {
+      const parsed = parseImportFile(await file.text(), file.name);
+      if (!parsed) {
+        setTable(null);
+        setMessage({ severity: 'error', text: 'No rows found. Choose a CSV file with a header row, or an OFX statement.' });
+        return;
+      }
+      const guessed = guessColumnMapping(parsed.columns);
+      setFileName(file.name);
+      setTable(parsed);
+      setMapping(guessed);
+      setDateOrder(guessed.date === null ? 'mdy' : detectDateOrder(parsed.rows.map((row) => row[guessed.date])));
+    } catch (error) {
+      console.error('ImportDialog: Failed to read import file:', error);
+      setMessage({ severity: 'error', text: 'Could not read the selected file.' });
+    }
+  };
+
+  const handleMappingChange = (field) => (event) => {
+    const value = event.target.value === '' ? null : event.target.value;
+    setMapping((previous) => ({ ...previous, [field]: value }));
+    if (field === 'date' && value !== null) {
+      setDateOrder(detectDateOrder(table.rows.map((row) => row[value])));
+    }
+  };
+
+  const toggleRow = (index) =>
+    setToggled((previous) => {
+      const next = new Set(previous);
+      if (!next.delete(index)) next.add(index);
+      return next;
+    });
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setMessage(null);
+    try {
+      const { added, invalid } = await importExpenses(selectedRows.map((row) => row.expense));
+      setTable(null);
+      setMessage({
+        severity: invalid > 0 ? 'warning' : 'success',
+        text: `Imported ${added} expense${added === 1 ? '' : 's'}.${invalid > 0 ? ` ${invalid} invalid row(s) were skipped.` : ''}`,
+      });
+    } catch (error) {
+      setMessage({ severity: 'error', text: error?.message || 'Something went wrong. Please try again.' });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Import expenses</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {message && <Alert severity={message.severity}>{message.text}</Alert>}
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Button variant="outlined" size="small" component="label">
+              Choose file
+              <input type="file" hidden accept=".csv,.txt,.ofx,.qfx,text/csv" onChange={handleFileChange} />
+            </Button>
+            <Typography variant="body2" color="text.secondary" noWrap>
+              {fileName || 'A CSV bank export or spreadsheet, or an OFX/QFX statement'}
+            </Typography>
+          </Stack>
+
+          {table && (
+            <>
+              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1}>
+                {IMPORT_FIELDS.map((field) => (
+                  <TextField
+                    key={field}
+                    select
+                    size="small"
+                    label={FIELD_LABELS[field]}
+                    value={mapping[field] ?? ''}
+                    onChange={handleMappingChange(field)}
+                    sx={{ flex: 1 }}
+                  >
+                    <MenuItem value="">
+                      <em>{field === 'currency' ? 'Same for all rows' : 'Not mapped'}</em>
+                    </MenuItem>
+                    {table.columns.map((column, index) => (
+                      <MenuItem key={`${column}-${index}`} value={index}>
+                        {column || `Column ${index + 1}`}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                ))}
+              </Stack>
+              <Stack direction="row" spacing={1}>
+                <TextField
+                  select
+                  size="small"
+                  label={mapping.currency === null ? 'Currency' : 'Currency when blank'}
+                  value={currency}
+                  onChange={(event) => setCurrency(event.target.value)}
+                  sx={{ width: 180 }}
+                >
+                  {SUPPORTED_CURRENCIES.map((code) => (
+                    <MenuItem key={code} value={code}>
+                      {code}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Dates like 03/04"
+                  value={dateOrder}
+                  onChange={(event) => setDateOrder(event.target.value)}
+                  sx={{ width: 240 }}
+                >
+                  {DATE_ORDERS.map((order) => (
+                    <MenuItem key={order} value={order}>
+                      {DATE_ORDER_LABELS[order]}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Stack>
+
+              {isMapped ? (
+                <>
+                  <Typography variant="body2" color="text.secondary">
+                    {isCheckingDuplicates
+                      ? `${rows.length} row${rows.length === 1 ? '' : 's'}: checking for expenses you already have…`
+                      : `${rows.length} row${rows.length === 1 ? '' : 's'}: ${selectedRows.length} selected, ${duplicateCount} likely duplicate${duplicateCount === 1 ? '' : 's'}, ${invalidCount} that cannot be imported.`}
+                  </Typography>
+                  <Box sx={{ maxHeight: 320, overflow: 'auto' }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell padding="checkbox" />
+                          <TableCell>Date</TableCell>
+                          <TableCell>Description</TableCell>
+                          <TableCell align="right">Amount</TableCell>
+                          <TableCell>Status</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {rows.map((row) => {
+                          const duplicate = duplicates[row.index];
+                          return (
+                            <TableRow key={row.index} hover selected={isSelected(row)}>
+                              <TableCell padding="checkbox">
+                                <Checkbox
+                                  size="small"
+                                  checked={isSelected(row)}
+                                  disabled={!row.expense}
+                                  onChange={() => toggleRow(row.index)}
+                                  inputProps={{ 'aria-label': `import row ${row.index + 1}` }}
+                                />
+                              </TableCell>
+                              <TableCell>{row.expense ? toDateKey(row.expense.date) : '—'}</TableCell>
+                              <TableCell>{row.expense?.description ?? table.rows[row.index][mapping.description] ?? ''}</TableCell>
+                              <TableCell align="right">
+                                {row.expense ? formatMoney(row.expense.amount, row.expense.currency) : '—'}
+                              </TableCell>
+                              <TableCell>
+                                {row.error && (
+                                  <Typography variant="caption" color="text.secondary">
+                                    {row.error}
+                                  </Typography>
+                                )}
+                                {duplicate && (
+                                  <Typography variant="caption" color="warning.main">
+                                    Possible duplicate of &quot;{duplicate.description}&quot;
+                                  </Typography>
+                                )}
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </Box>
+                </>
+              ) : (
+                <Alert severity="info">Choose the description, amount and date columns to preview the rows.</Alert>
+              )}
+            </>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{table ? 'Cancel' : 'Close'}</Button>
+        {table && (
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={!isMapped || isCheckingDuplicates || selectedRows.length === 0 || isImporting}
+          >
+            Import {selectedRows.length}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,60 @@
+import React, { useMemo } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import { buildCaption } from '../utils/captions.js';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * Background colours of the highlighted runs.
+ * @constant {Object<string, string>}
+ */
+const HIGHLIGHT_COLORS = { amount: 'success.light', description: 'info.light' };
+
+/**
+ * Live caption of the utterance being spoken, with the amount and description the parser would save
+ * highlighted as they are recognised. After "scratch that" only the words said since are shown.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.transcript - The interim transcript.
+ * @param {string} props.defaultCurrency - Currency shown when none was spoken.
+ * @param {string} [props.locale] - The recognition language (see `parseExpenseString`).
+ * @returns {React.ReactElement | null} The rendered caption, or null while nothing was heard.
+ */
+function LiveCaption({ transcript, defaultCurrency, locale }) {
+  const caption = useMemo(() => buildCaption(transcript, { locale }), [transcript, locale]);
+  if (caption.parts.length === 0 && !caption.scratched) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ width: '100%', textAlign: 'center' }} aria-live="polite">
+      {caption.scratched && (
+        <Typography variant="caption" color="text.secondary" display="block">
+          Scratched that. Starting over…
+        </Typography>
+      )}
+      <Typography variant="body1">
+        {caption.parts.map((part, index) =>
+          part.highlight ? (
+            <Box
+              key={index}
+              component="mark"
+              sx={{ bgcolor: HIGHLIGHT_COLORS[part.highlight], color: 'text.primary', borderRadius: 0.5, px: 0.25 }}
+            >
+              {part.text}
+            </Box>
+          ) : (
+            <React.Fragment key={index}>{part.text}</React.Fragment>
+          ),
+        )}
+      </Typography>
+      {caption.expense && (
+        <Typography variant="caption" color="text.secondary">
+          {formatMoney(caption.expense.amount, caption.expense.currency || defaultCurrency)} · {caption.expense.description}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default LiveCaption;
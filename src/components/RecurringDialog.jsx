@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Alert from '@mui/material/Alert';
+import { useRecurringContext } from '../context/RecurringContext.jsx';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { DEFAULT_CATEGORIES } from '../utils/categories.js';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+import { RECURRENCE_FREQUENCIES, fromDateKey } from '../utils/recurrence.js';
+
+/**
+ * Labels of the frequencies, as shown in the frequency picker.
+ * @constant {Object<string, string>}
+ */
+const FREQUENCY_LABELS = { weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+
+/** @constant {string[]} */
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** @constant {string[]} */
+const MONTH_LABELS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Builds the form state for a recurring template (or for a new one starting today).
+ *
+ * @param {import('../utils/recurrence.js').RecurringTemplate | null} template - The template being edited, or null to create one.
+ * @param {string} defaultCurrency - Currency preselected for new templates.
+ * @returns {object} The form state; numbers are kept as text while editing.
+ */
+const toFormState = (template, defaultCurrency) => {
+  const startDate = template?.startDate || toDateKey(new Date());
+  const start = fromDateKey(startDate);
+  // Every day field gets a value, so switching the frequency keeps a sensible default
+  const schedule = {
+    frequency: 'monthly',
+    interval: 1,
+    dayOfWeek: start.getDay(),
+    dayOfMonth: start.getDate(),
+    month: start.getMonth(),
+    ...template?.schedule,
+  };
+  return {
+    description: template?.description || '',
+    amount: template ? String(template.amount) : '',
+    currency: template?.currency || defaultCurrency,
+    category: template?.category || '',
+    frequency: schedule.frequency,
+    interval: String(schedule.interval),
+    dayOfWeek: schedule.dayOfWeek,
+    dayOfMonth: String(schedule.dayOfMonth),
+    month: schedule.month,
+    startDate,
+  };
+};
+
+/**
+ * Dialog creating or editing one recurring expense (rent, a subscription): what is added, and an
+ * RRULE-like schedule of when (every N weeks on a weekday, every N months on a day, or every N years on a date).
+ * Existing templates can be deleted here; the expenses they already generated are kept.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {import('../utils/recurrence.js').RecurringTemplate | null} props.template - The template to edit, or null to create a new one.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function RecurringDialog({ open, template, onClose }) {
+  const { saveTemplate, deleteTemplate } = useRecurringContext();
+  const { settings } = useSettingsContext();
+  const [form, setForm] = useState(() => toFormState(template, settings.defaultCurrency));
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset the form each time the dialog opens for another template
+  useEffect(() => {
+    if (open) {
+      setForm(toFormState(template, settings.defaultCurrency));
+      setFormError(null);
+    }
+  }, [open, template, settings.defaultCurrency]);
+
+  const setField = (key) => (event) => setForm((previous) => ({ ...previous, [key]: event.target.value }));
+
+  const runAction = async (action) => {
+    setIsSaving(true);
+    setFormError(null);
+    try {
+      await action();
+      onClose();
+    } catch (error) {
+      setFormError(error?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () =>
+    runAction(() =>
+      saveTemplate({
+        ...(template && { id: template.id, generatedThrough: template.generatedThrough }),
+        description: form.description,
+        amount: parseFloat(form.amount),
+        currency: form.currency,
+        category: form.category || null,
+        schedule: {
+          frequency: form.frequency,
+          interval: parseInt(form.interval, 10),
+          dayOfWeek: form.dayOfWeek,
+          dayOfMonth: parseInt(form.dayOfMonth, 10),
+          month: form.month,
+        },
+        startDate: form.startDate,
+      }),
+    );
+
+  const handleDelete = () => {
+    if (window.confirm(`Stop repeating "${template.description}"? Expenses already added are kept.`)) {
+      runAction(() => deleteTemplate(template.id));
+    }
+  };
+
+  const unit = { weekly: 'weeks', monthly: 'months', yearly: 'years' }[form.frequency];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{template ? 'Edit recurring expense' : 'New recurring expense'}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {formError && <Alert severity="error">{formError}</Alert>}
+          <TextField label="Description" value={form.description} onChange={setField('description')} />
+          <Stack direction="row" spacing={1}>
+            <TextField
+              label="Amount"
+              type="number"
+              value={form.amount}
+              onChange={setField('amount')}
+              inputProps={{ min: 0, step: '0.01' }}
+              sx={{ flex: 1 }}
+            />
+            <TextField select label="Currency" value={form.currency} onChange={setField('currency')} sx={{ width: 110 }}>
+              {SUPPORTED_CURRENCIES.map((code) => (
+                <MenuItem key={code} value={code}>
+                  {code}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+          <TextField select label="Category" value={form.category} onChange={setField('category')}>
+            <MenuItem value="">
+              <em>Automatic (from the description)</em>
+            </MenuItem>
+            {DEFAULT_CATEGORIES.map((category) => (
+              <MenuItem key={category.id} value={category.id}>
+                {category.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Stack direction="row" spacing={1}>
+            <TextField select label="Repeats" value={form.frequency} onChange={setField('frequency')} sx={{ flex: 1 }}>
+              {RECURRENCE_FREQUENCIES.map((frequency) => (
+                <MenuItem key={frequency} value={frequency}>
+                  {FREQUENCY_LABELS[frequency]}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label={`Every … ${unit}`}
+              type="number"
+              value={form.interval}
+              onChange={setField('interval')}
+              inputProps={{ min: 1, max: 99, step: 1 }}
+              sx={{ width: 130 }}
+            />
+          </Stack>
+          {form.frequency === 'weekly' ? (
+            <TextField select label="On" value={form.dayOfWeek} onChange={setField('dayOfWeek')}>
+              {WEEKDAY_LABELS.map((label, index) => (
+                <MenuItem key={label} value={index}>
+                  {label}
+                </MenuItem>
+              ))}
+            </TextField>
+          ) : (
+            <Stack direction="row" spacing={1}>
+              {form.frequency === 'yearly' && (
+                <TextField select label="Month" value={form.month} onChange={setField('month')} sx={{ flex: 1 }}>
+                  {MONTH_LABELS.map((label, index) => (
+                    <MenuItem key={label} value={index}>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
+              <TextField
+                label="Day of month"
+                type="number"
+                value={form.dayOfMonth}
+                onChange={setField('dayOfMonth')}
+                inputProps={{ min: 1, max: 31, step: 1 }}
+                helperText="Shorter months use their last day"
+                sx={{ flex: 1 }}
+              />
+            </Stack>
+          )}
+          <TextField
+            label="Starting"
+            type="date"
+            value={form.startDate}
+            onChange={setField('startDate')}
+            InputLabelProps={{ shrink: true }}
+            helperText="Occurrences from this date up to today are added straight away"
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        {template && (
+          <Button color="error" onClick={handleDelete} disabled={isSaving} sx={{ mr: 'auto' }}>
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={isSaving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RecurringDialog;
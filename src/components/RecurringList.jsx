@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import { useRecurringContext } from '../context/RecurringContext.jsx';
+import { formatMoney } from '../utils/currency.js';
+import { describeSchedule, getNextOccurrence } from '../utils/recurrence.js';
+import RecurringDialog from './RecurringDialog.jsx';
+
+/**
+ * Formats the next occurrence of a template, e.g. "next Nov 1".
+ *
+ * @param {Date | null} date - The next occurrence.
+ * @returns {string} The label, or an empty string without one.
+ */
+const formatNext = (date) =>
+  date ? ` · next ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : '';
+
+/**
+ * The user's recurring expenses (rent, subscriptions), shown above the expense list with their schedule
+ * and next date. Templates are created and edited in `RecurringDialog`, or by voice ("add rent 1200 every month").
+ *
+ * @returns {React.ReactElement} The rendered list.
+ */
+function RecurringList() {
+  const { templates, lastGeneratedCount } = useRecurringContext();
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editedTemplate, setEditedTemplate] = useState(null);
+
+  const openDialog = (template) => {
+    setEditedTemplate(template);
+    setDialogOpen(true);
+  };
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="h6" component="h2">
+          Recurring
+        </Typography>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+          Add recurring
+        </Button>
+      </Stack>
+
+      {templates.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No recurring expenses yet. Say &quot;add rent 1200 every month&quot; or add one here.
+        </Typography>
+      ) : (
+        <Stack spacing={0.5}>
+          {templates.map((template) => (
+            <Stack key={template.id} direction="row" alignItems="center" justifyContent="space-between">
+              <Box>
+                <Typography variant="body2" fontWeight="medium">
+                  {template.description} · {formatMoney(template.amount, template.currency)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {describeSchedule(template.schedule)}
+                  {formatNext(getNextOccurrence(template))}
+                </Typography>
+              </Box>
+              <IconButton size="small" aria-label={`edit recurring ${template.description}`} onClick={() => openDialog(template)}>
+                <EditIcon fontSize="inherit" />
+              </IconButton>
+            </Stack>
+          ))}
+        </Stack>
+      )}
+      {lastGeneratedCount > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          Added {lastGeneratedCount} recurring expense{lastGeneratedCount === 1 ? '' : 's'} that had come due.
+        </Typography>
+      )}
+
+      <RecurringDialog open={dialogOpen} template={editedTemplate} onClose={() => setDialogOpen(false)} />
+    </Box>
+  );
+}
+
+export default RecurringList;
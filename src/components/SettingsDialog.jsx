@@ -0,0 +1,142 @@
+import React from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Divider from '@mui/material/Divider';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Switch from '@mui/material/Switch';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { LOCALE_PACKS } from '../utils/commandGrammar.js';
+import { SPEECH_ENGINES, SPEECH_ENGINE_OPTIONS } from '../services/speechEngine.js';
+import { LOCAL_SPEECH_CONFIGURED } from '../services/localSpeechEngine.js';
+import CategoryRulesEditor from './CategoryRulesEditor.jsx';
+import ExchangeRateManager from './ExchangeRateManager.jsx';
+
+/**
+ * Whether a speech engine choice can be used in this browser ('auto' always can, falling back as needed).
+ *
+ * @param {string} value - The engine option value.
+ * @returns {boolean} True if the option can be selected.
+ */
+const isEngineOptionAvailable = (value) =>
+  value === 'auto' || SPEECH_ENGINES.some((engine) => engine.name === value && engine.isAvailable());
+
+/**
+ * Why a speech engine choice cannot be selected, shown next to it.
+ *
+ * @param {string} value - The engine option value (must be unavailable).
+ * @returns {string} The reason.
+ */
+const getUnavailableEngineReason = (value) =>
+  value === 'on-device' && !LOCAL_SPEECH_CONFIGURED ? 'not included in this app' : 'not supported by this browser';
+
+/**
+ * Helper text of the speech engine choice. On-device recognition needs a speech model the app does not ship,
+ * so builds without one say so instead of describing an engine nobody can pick.
+ * @constant {string}
+ */
+const SPEECH_ENGINE_HELPER_TEXT = LOCAL_SPEECH_CONFIGURED
+  ? 'On-device recognition keeps audio private and works offline once its model has loaded, but shows no live captions.'
+  : "On-device recognition needs a speech model that this app does not include (see the README), so voice input uses your browser's own recognition, where available (e.g. Chrome, Edge, Safari; not Firefox).";
+
+/**
+ * Dialog for editing user preferences. Changes are applied immediately through
+ * the SettingsContext, so the dialog only needs a Close action.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function SettingsDialog({ open, onClose }) {
+  const { settings, updateSettings } = useSettingsContext();
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Settings</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.confirmBeforeSave}
+                onChange={(event) => updateSettings({ confirmBeforeSave: event.target.checked })}
+              />
+            }
+            label="Confirm voice expenses before saving (shows an editable preview)"
+          />
+          <TextField
+            select
+            label="Language"
+            helperText='Language you speak expenses in, e.g. "12,50 Euro für Mittagessen" in German. Other voice commands stay in English.'
+            value={settings.language}
+            onChange={(event) => updateSettings({ language: event.target.value })}
+          >
+            {LOCALE_PACKS.map((pack) => (
+              <MenuItem key={pack.code} value={pack.code}>
+                {pack.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Speech engine"
+            helperText={SPEECH_ENGINE_HELPER_TEXT}
+            value={settings.speechEngine}
+            onChange={(event) => updateSettings({ speechEngine: event.target.value })}
+          >
+            {SPEECH_ENGINE_OPTIONS.map((option) => {
+              const available = isEngineOptionAvailable(option.value);
+              return (
+                <MenuItem key={option.value} value={option.value} disabled={!available}>
+                  {available ? option.label : `${option.label} - ${getUnavailableEngineReason(option.value)}`}
+                </MenuItem>
+              );
+            })}
+          </TextField>
+          <TextField
+            select
+            label="Default currency"
+            helperText='Used when no currency is spoken (e.g. "Lunch 12")'
+            value={settings.defaultCurrency}
+            onChange={(event) => updateSettings({ defaultCurrency: event.target.value })}
+          >
+            {SUPPORTED_CURRENCIES.map((code) => (
+              <MenuItem key={code} value={code}>
+                {code}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Home currency"
+            helperText="Expenses in other currencies also show their converted amount"
+            value={settings.homeCurrency}
+            onChange={(event) => updateSettings({ homeCurrency: event.target.value })}
+          >
+            {SUPPORTED_CURRENCIES.map((code) => (
+              <MenuItem key={code} value={code}>
+                {code}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Divider />
+          <CategoryRulesEditor />
+          <Divider />
+          <ExchangeRateManager />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SettingsDialog;
@@ -0,0 +1,85 @@
+import React from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { useTheme } from '@mui/material/styles';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * Size of the SVG drawing area, in viewBox units (the chart scales to the container width).
+ * @constant {{width: number, height: number, padding: number}}
+ */
+const CHART_SIZE = { width: 600, height: 160, padding: 8 };
+
+/**
+ * Formats a day for the axis labels, e.g. "Oct 3".
+ *
+ * @param {Date} date - The day.
+ * @returns {string} The label.
+ */
+const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Line chart of daily spending, drawn as an SVG polyline with a dot per day.
+ * Each dot carries a tooltip with the day and its total.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<{date: Date, dateKey: string, total: number}>} props.days - Output of `getDailyTotals`, oldest first.
+ * @param {string} props.currency - ISO 4217 code of the totals.
+ * @returns {React.ReactElement} The rendered chart.
+ */
+function SpendingTrendChart({ days, currency }) {
+  const theme = useTheme();
+  const { width, height, padding } = CHART_SIZE;
+  const highest = Math.max(...days.map((day) => day.total), 0);
+  const xStep = days.length > 1 ? (width - 2 * padding) / (days.length - 1) : 0;
+  const toPoint = (day, index) => ({
+    x: padding + index * xStep,
+    y: height - padding - (highest > 0 ? (day.total / highest) * (height - 2 * padding) : 0),
+  });
+  const points = days.map(toPoint);
+
+  return (
+    <Box>
+      <Box
+        component="svg"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label={`Daily spending from ${formatDay(days[0].date)} to ${formatDay(days[days.length - 1].date)}`}
+        sx={{ width: '100%', height: 'auto', display: 'block' }}
+      >
+        <line
+          x1={padding}
+          x2={width - padding}
+          y1={height - padding}
+          y2={height - padding}
+          stroke={theme.palette.divider}
+        />
+        <polyline
+          fill="none"
+          stroke={theme.palette.primary.main}
+          strokeWidth={2}
+          points={points.map(({ x, y }) => `${x},${y}`).join(' ')}
+        />
+        {points.map(({ x, y }, index) => (
+          <circle key={days[index].dateKey} cx={x} cy={y} r={3} fill={theme.palette.primary.main}>
+            <title>{`${formatDay(days[index].date)}: ${formatMoney(days[index].total, currency)}`}</title>
+          </circle>
+        ))}
+      </Box>
+      <Stack direction="row" justifyContent="space-between">
+        <Typography variant="caption" color="text.secondary">
+          {formatDay(days[0].date)}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Peak {formatMoney(highest, currency)}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {formatDay(days[days.length - 1].date)}
+        </Typography>
+      </Stack>
+    </Box>
+  );
+}
+
+export default SpendingTrendChart;
@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import Box from '@mui/material/Box';
+import Grid from '@mui/material/Grid';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Alert from '@mui/material/Alert';
+import { useSettingsContext } from '../context/SettingsContext.jsx';
+import { useExchangeRates } from '../hooks/useExchangeRates.js';
+import { useExpensesInRange } from '../hooks/useExpensesInRange.js';
+import {
+  getCurrentTotals,
+  getCategoryBreakdown,
+  getDailyTotals,
+  comparePeriods,
+  filterByDateRange,
+  getPeriodRange,
+} from '../utils/aggregation.js';
+import { formatMoney } from '../utils/currency.js';
+import CategoryBreakdownChart from './CategoryBreakdownChart.jsx';
+import SpendingTrendChart from './SpendingTrendChart.jsx';
+
+/**
+ * How many days the trend line covers, ending today.
+ * @constant {number}
+ */
+const TREND_DAYS = 30;
+
+/**
+ * Labels for the current/previous period, keyed by period.
+ * @constant {Object<string, {current: string, previous: string}>}
+ */
+const PERIOD_LABELS = {
+  week: { current: 'This week', previous: 'last week' },
+  month: { current: 'This month', previous: 'last month' },
+};
+
+/**
+ * Returns the first day of the trend line, `TREND_DAYS - 1` days before today.
+ *
+ * @param {Date} now - The reference time.
+ * @returns {Date} Local midnight at the start of that day.
+ */
+const getTrendStart = (now) => {
+  const today = getPeriodRange('day', now);
+  return new Date(today.start.getFullYear(), today.start.getMonth(), today.start.getDate() - (TREND_DAYS - 1));
+};
+
+/**
+ * Returns the earliest moment any figure of the dashboard covers: the previous period of the comparison,
+ * this month's total or the trend line, whichever starts first.
+ *
+ * @param {'week' | 'month'} period - The period of the breakdown and the comparison.
+ * @param {Date} now - The reference time.
+ * @returns {Date} The start of the range the dashboard needs.
+ */
+const getSummaryRangeStart = (period, now) =>
+  new Date(
+    Math.min(
+      getPeriodRange(period, now, -1).start.getTime(),
+      getPeriodRange('month', now).start.getTime(),
+      getTrendStart(now).getTime(),
+    ),
+  );
+
+/**
+ * Describes the change of the daily average against the previous period, e.g. "12% more than last week".
+ *
+ * @param {number | null} change - Relative change (0.12 = 12% more), or null without previous spending.
+ * @param {string} previousLabel - e.g. "last week".
+ * @returns {string} The description.
+ */
+const describeChange = (change, previousLabel) => {
+  if (change === null) return `no spending ${previousLabel}`;
+  const percent = Math.round(Math.abs(change) * 100);
+  if (percent === 0) return `same as ${previousLabel}`;
+  return `${percent}% ${change > 0 ? 'more' : 'less'} than ${previousLabel}`;
+};
+
+/**
+ * Summary view: totals for today, this week and this month, daily averages compared with the previous
+ * period, a category breakdown and a daily trend line. Everything is computed from all the expenses in the
+ * periods shown, loaded into the list or not (see `useExpensesInRange`), by the pure helpers in
+ * `utils/aggregation.js`, in the home currency (other currencies are converted
+ * with the stored exchange rates; expenses without a rate are counted separately).
+ *
+ * @returns {React.ReactElement} The rendered dashboard.
+ */
+function SummaryDashboard() {
+  const { settings } = useSettingsContext();
+  const rates = useExchangeRates();
+  const [period, setPeriod] = useState('month'); // Period of the breakdown and the comparison
+  const { homeCurrency } = settings;
+  const { expenses, error: rangeError } = useExpensesInRange({ from: getSummaryRangeStart(period, new Date()) });
+
+  const summary = useMemo(() => {
+    const now = new Date();
+    const options = { homeCurrency, rates };
+    const { start, end } = getPeriodRange(period, now);
+    const today = getPeriodRange('day', now);
+    const trendStart = getTrendStart(now);
+    return {
+      totals: getCurrentTotals(expenses, { ...options, now }),
+      comparison: comparePeriods(expenses, period, { ...options, now }),
+      breakdown: getCategoryBreakdown(filterByDateRange(expenses, { from: start, to: end }), options),
+      trend: getDailyTotals(expenses, { ...options, from: trendStart, to: today.end }),
+    };
+  }, [expenses, homeCurrency, rates, period]);
+
+  const { totals, comparison, breakdown, trend } = summary;
+  const labels = PERIOD_LABELS[period];
+  const unconvertedCount = totals.month.unconvertedCount;
+
+  return (
+    <Stack spacing={3}>
+      {/* Totals for the current day, week and month */}
+      <Grid container spacing={2}>
+        {[
+          ['Today', totals.day],
+          ['This week', totals.week],
+          ['This month', totals.month],
+        ].map(([label, total]) => (
+          <Grid item xs={12} sm={4} key={label}>
+            <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+              <Typography variant="overline" color="text.secondary">
+                {label}
+              </Typography>
+              <Typography variant="h5">{formatMoney(total.total, homeCurrency)}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {total.count} expense{total.count === 1 ? '' : 's'}
+              </Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+
+      {rangeError && (
+        <Alert severity="warning">
+          {rangeError.message} The figures only include the expenses listed so far.
+        </Alert>
+      )}
+
+      {unconvertedCount > 0 && (
+        <Alert severity="info">
+          {unconvertedCount} expense(s) this month are in another currency without an exchange rate and are not
+          included. Add rates in Settings.
+        </Alert>
+      )}
+
+      <Box>
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+          <Typography variant="h6" component="h2">
+            {labels.current}
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={period}
+            onChange={(event, value) => value && setPeriod(value)}
+            aria-label="summary period"
+          >
+            <ToggleButton value="week">Week</ToggleButton>
+            <ToggleButton value="month">Month</ToggleButton>
+          </ToggleButtonGroup>
+        </Stack>
+
+        {/* Daily average compared with the whole previous period */}
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          Daily average {formatMoney(comparison.current.dailyAverage, homeCurrency)} (
+          {describeChange(comparison.averageChange, labels.previous)}; {labels.previous}:{' '}
+          {formatMoney(comparison.previous.dailyAverage, homeCurrency)} a day,{' '}
+          {formatMoney(comparison.previous.total, homeCurrency)} in total).
+        </Typography>
+
+        <Typography variant="subtitle2" gutterBottom>
+          By category
+        </Typography>
+        <CategoryBreakdownChart breakdown={breakdown} currency={homeCurrency} />
+      </Box>
+
+      <Box>
+        <Typography variant="h6" component="h2" gutterBottom>
+          Last {TREND_DAYS} days
+        </Typography>
+        <SpendingTrendChart days={trend} currency={homeCurrency} />
+      </Box>
+    </Stack>
+  );
+}
+
+export default SummaryDashboard;
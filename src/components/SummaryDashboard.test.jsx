@@ -0,0 +1,91 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, cleanup, within } from '@testing-library/react';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import SummaryDashboard from './SummaryDashboard.jsx';
+
+vi.mock('../context/ExpenseContext.jsx', () => ({ useExpenseContext: vi.fn() }));
+vi.mock('../context/SettingsContext.jsx', () => ({
+  useSettingsContext: () => ({ settings: { homeCurrency: 'USD' } }),
+}));
+vi.mock('../hooks/useExchangeRates.js', () => ({ useExchangeRates: () => [] }));
+
+/**
+ * How many expenses this month holds; more than the newest page the expense list listens to.
+ * @constant {number}
+ */
+const EXPENSE_COUNT = 120;
+
+/**
+ * The size of the newest page (see `EXPENSE_PAGE_SIZE` in expenseService.js).
+ * @constant {number}
+ */
+const PAGE_SIZE = 50;
+
+const now = new Date();
+// One expense a minute from the start of the month, newest first, as the store returns them
+const monthExpenses = Array.from({ length: EXPENSE_COUNT }, (_, index) => {
+  const occurredAt = new Date(now.getFullYear(), now.getMonth(), 1, 0, EXPENSE_COUNT - index);
+  return {
+    id: `expense-${index}`,
+    description: `Coffee ${index}`,
+    amount: 2.5,
+    currency: 'USD',
+    category: 'food',
+    timestamp: occurredAt,
+    occurredAt,
+    deletedAt: null,
+    isDeleted: false,
+    pendingSync: false,
+    recurrence: null,
+  };
+});
+
+/**
+ * The "This month" card of the dashboard.
+ *
+ * @returns {HTMLElement} The card.
+ */
+const monthCard = () => screen.getByText('This month', { selector: 'span' }).parentElement;
+
+describe('SummaryDashboard with more expenses than the newest page', () => {
+  let loadExpensesInRange;
+
+  beforeEach(() => {
+    loadExpensesInRange = vi.fn(async ({ from = null, to = null } = {}) =>
+      monthExpenses.filter(({ occurredAt }) => (!from || occurredAt >= from) && (!to || occurredAt < to)),
+    );
+    useExpenseContext.mockReturnValue({
+      expenses: monthExpenses.slice(0, PAGE_SIZE), // Only the newest page is listed
+      deletedExpenses: [],
+      loadExpensesInRange,
+      expensesRevision: 0,
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.clearAllMocks();
+  });
+
+  it('totals every expense of the month, not only the listed ones', async () => {
+    render(<SummaryDashboard />);
+
+    expect(await within(monthCard()).findByText('$300.00')).toBeTruthy();
+    expect(within(monthCard()).getByText(`${EXPENSE_COUNT} expenses`)).toBeTruthy();
+    expect(loadExpensesInRange).toHaveBeenCalledWith(
+      expect.objectContaining({ from: expect.any(Date), to: null }),
+    );
+    expect(loadExpensesInRange.mock.calls[0][0].from <= new Date(now.getFullYear(), now.getMonth(), 1)).toBe(true);
+  });
+
+  it('shows the listed expenses, with a warning, when the store cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    loadExpensesInRange.mockRejectedValue(new Error('Failed to read your expenses. Please try again.'));
+
+    render(<SummaryDashboard />);
+
+    expect(await screen.findByText(/The figures only include the expenses listed so far/)).toBeTruthy();
+    expect(within(monthCard()).getByText('$125.00')).toBeTruthy();
+  });
+});
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Button from '@mui/material/Button';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import { formatMoney } from '../utils/currency.js';
+
+/**
+ * Formats when an expense was moved to the trash.
+ *
+ * @param {Date | null} deletedAt - The deletion time (null while the server timestamp is pending).
+ * @returns {string} A short label such as "Deleted Jun 1, 2024".
+ */
+const formatDeletedAt = (deletedAt) =>
+  deletedAt
+    ? `Deleted ${deletedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+    : 'Deleted just now';
+
+/**
+ * Dialog listing soft-deleted expenses. Each one can be restored to the main list or
+ * permanently deleted; "Empty trash" permanently deletes them all.
+ *
+ * @param {object} props - Component props.
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {() => void} props.onClose - Called when the dialog should close.
+ * @returns {React.ReactElement} The rendered dialog.
+ */
+function TrashDialog({ open, onClose }) {
+  const { deletedExpenses, restoreExpense, purgeExpense } = useExpenseContext();
+  const [actionError, setActionError] = useState(null);
+  const [busyId, setBusyId] = useState(null); // Expense id being restored/purged, or 'all'
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setActionError(null);
+    try {
+      await action();
+    } catch (error) {
+      setActionError(error?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm(`Permanently delete ${deletedExpenses.length} expense(s)? This cannot be undone.`)) {
+      return;
+    }
+    runAction('all', () => Promise.all(deletedExpenses.map((expense) => purgeExpense(expense.id))));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Trash</DialogTitle>
+      <DialogContent>
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {actionError}
+          </Alert>
+        )}
+        {deletedExpenses.length === 0 ? (
+          <Typography color="text.secondary">The trash is empty.</Typography>
+        ) : (
+          <List disablePadding>
+            {deletedExpenses.map((expense) => (
+              <ListItem
+                key={expense.id}
+                divider
+                secondaryAction={
+                  <Stack direction="row" spacing={0.5}>
+                    <Tooltip title="Restore">
+                      <span>
+                        <IconButton
+                          aria-label="restore expense"
+                          onClick={() => runAction(expense.id, () => restoreExpense(expense.id))}
+                          disabled={busyId !== null}
+                        >
+                          <RestoreFromTrashIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Delete forever">
+                      <span>
+                        <IconButton
+                          edge="end"
+                          aria-label="delete expense forever"
+                          onClick={() => runAction(expense.id, () => purgeExpense(expense.id))}
+                          disabled={busyId !== null}
+                        >
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Stack>
+                }
+                sx={{ pr: 12 }}
+              >
+                <ListItemText
+                  primary={expense.description || 'Missing Description'}
+                  secondary={`${formatMoney(expense.amount, expense.currency)} - ${formatDeletedAt(expense.deletedAt)}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleEmptyTrash} disabled={deletedExpenses.length === 0 || busyId !== null}>
+          Empty trash
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TrashDialog;
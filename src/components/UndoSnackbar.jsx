@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import Snackbar from '@mui/material/Snackbar';
+import Button from '@mui/material/Button';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+
+/**
+ * Snackbar messages for each kind of undoable action.
+ * @constant {Object<string, (description: string) => string>}
+ */
+const ACTION_MESSAGES = {
+  add: (description) => `Added "${description}"`,
+  update: (description) => `Updated "${description}"`,
+  delete: (description) => `Moved "${description}" to the trash`,
+};
+
+/**
+ * How long the snackbar stays open, in milliseconds.
+ * @constant {number}
+ */
+const AUTO_HIDE_DURATION = 6000;
+
+/**
+ * Shows a snackbar with an Undo action right after each add, edit or delete.
+ * It reads the action on offer from the ExpenseContext (`lastAction`); a new action replaces
+ * the previous snackbar and restarts the timer.
+ *
+ * @returns {React.ReactElement | null} The rendered snackbar, or null when no action is on offer.
+ */
+function UndoSnackbar() {
+  const { lastAction, undoLastAction, dismissLastAction } = useExpenseContext();
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  if (!lastAction) {
+    return null;
+  }
+
+  const handleUndo = async () => {
+    setIsUndoing(true);
+    try {
+      await undoLastAction();
+    } catch (error) {
+      // The context stores the error for display; just keep the snackbar from crashing
+      console.error('UndoSnackbar: Undo failed:', error);
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
+  const handleClose = (event, reason) => {
+    if (reason === 'clickaway') {
+      return; // Keep the undo on offer while the user keeps working
+    }
+    dismissLastAction();
+  };
+
+  const message = (ACTION_MESSAGES[lastAction.type] || ACTION_MESSAGES.update)(lastAction.description);
+
+  return (
+    <Snackbar
+      key={lastAction.key} // Restart the timer for every new action
+      open
+      autoHideDuration={AUTO_HIDE_DURATION}
+      onClose={handleClose}
+      message={message}
+      action={
+        <Button color="secondary" size="small" onClick={handleUndo} disabled={isUndoing}>
+          Undo
+        </Button>
+      }
+    />
+  );
+}
+
+export default UndoSnackbar;
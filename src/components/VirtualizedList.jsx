@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef, useCallback } from 'react';
+import List from '@mui/material/List';
+import Box from '@mui/material/Box';
+
+/**
+ * Finds the first item whose bottom edge is below a position.
+ *
+ * @param {number[]} offsets - Top offset of each item, followed by the total height.
+ * @param {number} position - The position, in pixels from the top of the list.
+ * @returns {number} The item index (the item count if the position is past the end).
+ */
+const findIndexAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle + 1] <= position) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * A list rendering only the items near the viewport, so thousands of expenses scroll as smoothly as a few.
+ * The page itself scrolls: the items above and below the rendered ones are replaced by spacers of the same
+ * height. Heights are measured once rendered (an item opened for editing grows) and estimated until then.
+ * Items must render a list item (`<li>`), such as `ExpenseItem`.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<*>} props.items - The items, in display order.
+ * @param {(item: *) => string} props.getItemKey - Returns the unique key of an item.
+ * @param {(item: *) => React.ReactElement} props.renderItem - Renders an item.
+ * @param {number} [props.estimatedItemHeight=72] - Height assumed for items not measured yet, in pixels.
+ * @param {number} [props.overscan=600] - How far beyond the viewport items are rendered, in pixels.
+ * @param {() => void} [props.onEndReached] - Called when the last few items are rendered (e.g. to load more).
+ * @returns {React.ReactElement} The rendered list.
+ */
+function VirtualizedList({ items, getItemKey, renderItem, estimatedItemHeight = 72, overscan = 600, onEndReached }) {
+  const listRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map()); // Measured heights by item key
+  const [viewport, setViewport] = useState({ top: 0, bottom: typeof window === 'undefined' ? 0 : window.innerHeight });
+
+  // offsets[i] is the top of item i; the last entry is the total height
+  const offsets = useMemo(() => {
+    const tops = [0];
+    items.forEach((item, index) => {
+      tops.push(tops[index] + (heights.get(getItemKey(item)) ?? estimatedItemHeight));
+    });
+    return tops;
+  }, [items, getItemKey, estimatedItemHeight, heights]);
+
+  const start = Math.min(findIndexAt(offsets, viewport.top - overscan), items.length);
+  const end = Math.min(findIndexAt(offsets, viewport.bottom + overscan) + 1, items.length);
+  const totalHeight = offsets[offsets.length - 1];
+
+  // Tracks which part of the list is on screen
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!listRef.current) return;
+      const { top } = listRef.current.getBoundingClientRect();
+      setViewport((previous) => {
+        const next = { top: -top, bottom: window.innerHeight - top };
+        return previous.top === next.top && previous.bottom === next.bottom ? previous : next;
+      });
+    };
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // Records the heights of the rendered items (re-rendering only if one changed)
+  const measure = useCallback(() => {
+    if (!listRef.current) return;
+    const rows = Array.from(listRef.current.children).filter((child) => !child.hasAttribute('data-spacer'));
+    const measured = rows
+      .map((row, index) => [items[start + index], row.getBoundingClientRect().height])
+      .filter(([item, height]) => item !== undefined && height > 0)
+      .map(([item, height]) => [getItemKey(item), height]);
+    setHeights((previous) => {
+      if (measured.every(([key, height]) => previous.get(key) === height)) return previous;
+      return new Map([...previous, ...measured]);
+    });
+  }, [items, start, getItemKey]);
+
+  useLayoutEffect(measure);
+
+  // An item changing size (e.g. opened for editing) changes the list's size
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined' || !listRef.current) return undefined;
+    const observer = new ResizeObserver(() => measure());
+    observer.observe(listRef.current);
+    return () => observer.disconnect();
+  }, [measure]);
+
+  useEffect(() => {
+    if (onEndReached && items.length > 0 && end >= items.length - 5) {
+      onEndReached();
+    }
+  }, [end, items.length, onEndReached]);
+
+  return (
+    <List disablePadding ref={listRef}>
+      {start > 0 && <Box component="li" data-spacer aria-hidden sx={{ height: offsets[start] }} />}
+      {items.slice(start, end).map((item) => (
+        <React.Fragment key={getItemKey(item)}>{renderItem(item)}</React.Fragment>
+      ))}
+      {end < items.length && <Box component="li" data-spacer aria-hidden sx={{ height: totalHeight - offsets[end] }} />}
+    </List>
+  );
+}
+
+export default VirtualizedList;
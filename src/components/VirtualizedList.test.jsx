@@ -0,0 +1,79 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, cleanup, waitFor } from '@testing-library/react';
+import VirtualizedList from './VirtualizedList.jsx';
+
+/**
+ * How many synthetic expenses the list is given.
+ * @constant {number}
+ */
+const EXPENSE_COUNT = 5000;
+
+/**
+ * Height assumed for each row; jsdom lays nothing out, so no row is ever measured.
+ * @constant {number}
+ */
+const ROW_HEIGHT = 72;
+
+const expenses = Array.from({ length: EXPENSE_COUNT }, (_, index) => ({
+  id: `expense-${index}`,
+  description: `Synthetic expense ${index}`,
+}));
+
+const getItemKey = (expense) => expense.id;
+const renderItem = (expense) => <li data-row>{expense.description}</li>;
+
+const renderList = (props = {}) =>
+  render(<VirtualizedList items={expenses} getItemKey={getItemKey} renderItem={renderItem} {...props} />);
+
+const renderedRows = (container) => Array.from(container.querySelectorAll('li[data-row]'));
+
+describe('VirtualizedList with thousands of expenses', () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it('renders only the rows near the viewport, with spacers keeping the full height', () => {
+    const { container } = renderList();
+
+    const rows = renderedRows(container);
+    // The viewport (jsdom's window is 768px tall) plus 600px of overscan
+    expect(rows.length).toBe(Math.ceil((window.innerHeight + 600) / ROW_HEIGHT) + 1);
+    expect(rows[0].textContent).toBe('Synthetic expense 0');
+
+    const spacer = container.querySelector('li[data-spacer]');
+    expect(spacer).not.toBeNull();
+    expect(getComputedStyle(spacer).height).toBe(`${(EXPENSE_COUNT - rows.length) * ROW_HEIGHT}px`);
+  });
+
+  it('renders the rows at the scroll position when scrolled deep into the list', async () => {
+    const { container } = renderList();
+    const list = container.querySelector('ul');
+    const scrolledTo = 2500;
+    vi.spyOn(list, 'getBoundingClientRect').mockReturnValue({ top: -scrolledTo * ROW_HEIGHT, height: 0 });
+
+    window.dispatchEvent(new Event('scroll'));
+
+    await waitFor(() => expect(renderedRows(container)[0].textContent).not.toBe('Synthetic expense 0'));
+    const rows = renderedRows(container);
+    const first = Number(rows[0].textContent.split(' ').pop());
+    expect(first).toBeLessThanOrEqual(scrolledTo);
+    expect(first + rows.length).toBeGreaterThan(scrolledTo + window.innerHeight / ROW_HEIGHT);
+    expect(rows.length).toBeLessThan(50);
+    expect(container.querySelectorAll('li[data-spacer]')).toHaveLength(2);
+  });
+
+  it('asks for more expenses only once the end of the list is rendered', async () => {
+    const onEndReached = vi.fn();
+    const { container } = renderList({ onEndReached });
+    expect(onEndReached).not.toHaveBeenCalled();
+
+    const list = container.querySelector('ul');
+    vi.spyOn(list, 'getBoundingClientRect').mockReturnValue({ top: -(EXPENSE_COUNT - 5) * ROW_HEIGHT, height: 0 });
+    window.dispatchEvent(new Event('scroll'));
+
+    await waitFor(() => expect(onEndReached).toHaveBeenCalled());
+    expect(renderedRows(container).pop().textContent).toBe(`Synthetic expense ${EXPENSE_COUNT - 1}`);
+  });
+});
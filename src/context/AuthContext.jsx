@@ -0,0 +1,98 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+} from 'react';
+import {
+  getAuthSubscription,
+  signInWithEmail,
+  signUpWithEmail,
+  signInAsGuest,
+  signOut,
+} from '../services/authService.js';
+
+/**
+ * @typedef {object} AuthContextType
+ * @property {import('../services/authService.js').AuthUser | null} user - The signed-in user, or null when signed out.
+ * @property {boolean} authLoading - True until the persisted session has been restored on startup.
+ * @property {boolean} authAvailable - False when Firebase Auth could not be initialised (e.g. missing configuration).
+ * @property {(email: string, password: string) => Promise<object | null>} signIn - Signs in with email and password.
+ * @property {(email: string, password: string) => Promise<object | null>} signUp - Creates an account, upgrading a guest session in place.
+ * @property {() => Promise<object | null>} signInAsGuest - Starts an anonymous session.
+ * @property {() => Promise<boolean>} signOut - Signs the current user out.
+ */
+
+/**
+ * Context for the authenticated user shared across the application.
+ * @type {React.Context<AuthContextType | undefined>}
+ */
+const AuthContext = createContext(undefined);
+
+/**
+ * Provides the current Firebase Auth user and the sign-in/sign-out actions to its children.
+ * The actions reject with user-facing error messages from the auth service; the user state
+ * itself is only ever updated by the auth state listener.
+ *
+ * @param {object} props - The component props.
+ * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @returns {React.ReactElement} The provider component wrapping its children.
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [authLoading, setAuthLoading] = useState(true);
+  const [authAvailable, setAuthAvailable] = useState(true);
+
+  useEffect(() => {
+    console.log('AuthProvider: Setting up auth state subscription.');
+    const unsubscribe = getAuthSubscription((currentUser) => {
+      console.log('AuthProvider: Auth state changed:', currentUser ? currentUser.uid : 'signed out');
+      setUser(currentUser);
+      setAuthLoading(false);
+    });
+    if (!unsubscribe) {
+      // Auth is unavailable (missing configuration); there is no session to wait for
+      setAuthAvailable(false);
+      setAuthLoading(false);
+    }
+    return () => {
+      if (unsubscribe && typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    };
+  }, []);
+
+  const contextValue = useMemo(
+    () => ({
+      user,
+      authLoading,
+      authAvailable,
+      signIn: signInWithEmail,
+      signUp: signUpWithEmail,
+      signInAsGuest,
+      signOut,
+    }),
+    [user, authLoading, authAvailable],
+  );
+
+  return (
+    <AuthContext.Provider value={contextValue}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to consume the AuthContext.
+ *
+ * @returns {AuthContextType} The auth context value ({ user, authLoading, authAvailable, signIn, signUp, signInAsGuest, signOut }).
+ * @throws {Error} If used outside of an AuthProvider.
+ */
+export function useAuthContext() {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuthContext must be used within an AuthProvider');
+  }
+  return context;
+}
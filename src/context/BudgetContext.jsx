@@ -0,0 +1,148 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from 'react';
+import {
+  saveBudget as saveBudgetService,
+  deleteBudget as deleteBudgetService,
+  getBudgetsSubscription,
+} from '../services/budgetService.js';
+import { useAuthContext } from './AuthContext.jsx';
+import { useSettingsContext } from './SettingsContext.jsx';
+import { useExchangeRates } from '../hooks/useExchangeRates.js';
+import { useExpensesInRange } from '../hooks/useExpensesInRange.js';
+import { getPeriodStart } from '../utils/aggregation.js';
+import { getBudgetStatus, getCrossedBudgetThresholds, findBudgetByName } from '../utils/budgets.js';
+import { categorizeDescription } from '../utils/categories.js';
+
+/**
+ * @typedef {object} BudgetContextType
+ * @property {import('../utils/budgets.js').Budget[]} budgets - The user's budgets, sorted by name.
+ * @property {import('../utils/budgets.js').BudgetStatus[]} budgetStatuses - Spending against each budget in its current period.
+ * @property {(budget: object) => Promise<string | null>} saveBudget - Creates a budget, or replaces the one with the same `id`.
+ * @property {(id: string) => Promise<void>} deleteBudget - Deletes a budget.
+ * @property {(expense: {id?: string, description: string, amount: number, currency: string, category?: string | null, date?: Date | null}) =>
+ *   Array<{status: import('../utils/budgets.js').BudgetStatus, threshold: number}>} getBudgetAlerts -
+ *   The budgets a just-added expense pushed past 80% or 100%.
+ * @property {(name: string) => import('../utils/budgets.js').BudgetStatus | null} findBudgetStatus - The status of the budget a spoken name refers to.
+ */
+
+// 1. Create Context
+/**
+ * Context for the signed-in user's budgets and the spending measured against them.
+ * @type {React.Context<BudgetContextType | undefined>}
+ */
+const BudgetContext = createContext(undefined);
+
+// 4. Implement Provider - BudgetProvider Function
+/**
+ * Provides the budgets and their progress to its children. Must be rendered inside the
+ * ExpenseProvider: progress is computed from every expense in the budgets' current periods, loaded into
+ * the list or not (see `useExpensesInRange`), converting other currencies with the locally stored exchange rates.
+ *
+ * @param {object} props - The component props.
+ * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @returns {React.ReactElement} The provider component wrapping its children.
+ */
+export function BudgetProvider({ children }) {
+  const [budgets, setBudgets] = useState([]);
+  const { user } = useAuthContext();
+  const uid = user?.uid || null;
+  const { settings } = useSettingsContext();
+  const { categoryRules } = settings;
+  const rates = useExchangeRates();
+  // The longest current budget period (a year budget needs the whole year)
+  const periodStarts = budgets.map((budget) => getPeriodStart(budget.period).getTime());
+  const { expenses } = useExpensesInRange({
+    from: periodStarts.length > 0 ? new Date(Math.min(...periodStarts)) : null,
+    enabled: periodStarts.length > 0,
+  });
+
+  // 4. Implement Provider - useEffect for Real-time Subscription (re-run on sign-in/sign-out)
+  useEffect(() => {
+    if (!uid) {
+      setBudgets([]);
+      return undefined;
+    }
+    const unsubscribe = getBudgetsSubscription(uid, setBudgets, (err) => {
+      console.error('BudgetProvider: Error fetching budgets:', err);
+      setBudgets([]);
+    });
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [uid]);
+
+  const budgetStatuses = useMemo(
+    () => budgets.map((budget) => getBudgetStatus(budget, expenses, { rates })),
+    [budgets, expenses, rates],
+  );
+
+  // 4. Implement Provider - Actions
+  const saveBudget = useCallback(async (budget) => {
+    const id = await saveBudgetService(uid, budget);
+    if (!id) {
+      throw new Error('Invalid budget. Give it a name, a positive limit and a category or keywords.');
+    }
+    return id;
+  }, [uid]);
+
+  const deleteBudget = useCallback(async (id) => {
+    const result = await deleteBudgetService(uid, id);
+    if (!result) {
+      throw new Error('Failed to delete budget.');
+    }
+  }, [uid]);
+
+  const getBudgetAlerts = useCallback(
+    (expense) =>
+      getCrossedBudgetThresholds(
+        budgets,
+        expenses,
+        // Same categorisation as ExpenseContext.addExpense, for expenses added without a spoken category
+        { ...expense, category: expense.category || categorizeDescription(expense.description, categoryRules) },
+        { rates },
+      ),
+    [budgets, expenses, categoryRules, rates],
+  );
+
+  const findBudgetStatus = useCallback(
+    (name) => {
+      const budget = findBudgetByName(budgets, name);
+      return budget ? budgetStatuses.find((status) => status.budget.id === budget.id) || null : null;
+    },
+    [budgets, budgetStatuses],
+  );
+
+  // 4. Implement Provider - Memoize Context Value
+  const contextValue = useMemo(
+    () => ({ budgets, budgetStatuses, saveBudget, deleteBudget, getBudgetAlerts, findBudgetStatus }),
+    [budgets, budgetStatuses, saveBudget, deleteBudget, getBudgetAlerts, findBudgetStatus],
+  );
+
+  return (
+    <BudgetContext.Provider value={contextValue}>
+      {children}
+    </BudgetContext.Provider>
+  );
+}
+
+// 5. Implement Custom Hook (`useBudgetContext`)
+/**
+ * Custom hook to consume the BudgetContext.
+ *
+ * @returns {BudgetContextType} The budget context value ({ budgets, budgetStatuses, saveBudget, deleteBudget,
+ *   getBudgetAlerts, findBudgetStatus }).
+ * @throws {Error} If used outside of a BudgetProvider.
+ */
+export function useBudgetContext() {
+  const context = useContext(BudgetContext);
+  if (context === undefined) {
+    throw new Error('useBudgetContext must be used within a BudgetProvider');
+  }
+  return context;
+}
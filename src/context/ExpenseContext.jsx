@@ -5,39 +5,191 @@ import React, {
   useEffect,
   useCallback,
   useMemo,
+  useRef,
 } from 'react';
 import {
   addExpense as addExpenseService,
+  addExpenses as addExpensesService,
+  updateExpense as updateExpenseService,
+  deleteExpense as deleteExpenseService,
+  restoreExpense as restoreExpenseService,
+  purgeExpense as purgeExpenseService,
   getExpensesSubscription,
+  getDeletedExpensesSubscription,
+  loadOlderExpenses as loadOlderExpensesService,
+  loadExpensesInRange as loadExpensesInRangeService,
+  flushQueuedExpenses,
+  expenseStorageBackend,
 } from '../services/expenseService.js'; // Assuming path based on structure
+import { getQueueSubscription, removeQueuedExpense } from '../services/offlineQueueService.js';
+import { useSettingsContext } from './SettingsContext.jsx';
+import { useAuthContext } from './AuthContext.jsx';
+import { categorizeDescription, isKnownCategory } from '../utils/categories.js';
+import { DEFAULT_CURRENCY, isValidCurrencyCode } from '../utils/currency.js';
 
 /**
  * @typedef {object} Expense
  * @property {string} id - The unique identifier for the expense (e.g., Firestore Document ID).
  * @property {string} description - A description of the expense.
  * @property {number} amount - The monetary value of the expense.
- * @property {object} timestamp - The timestamp when the expense was recorded (likely a Firestore Timestamp object).
+ * @property {string} currency - The ISO 4217 currency code of the amount (e.g. "USD").
+ * @property {string | null} category - The category id (e.g. "food"), or null for expenses saved before categories existed.
+ * @property {Date | null} timestamp - When the expense was recorded (creation time).
+ * @property {Date | null} occurredAt - When the expense happened (a spoken date such as "yesterday", otherwise the creation time).
+ * @property {Date | null} deletedAt - When the expense was moved to the trash (null for live expenses).
+ * @property {boolean} pendingSync - True while the expense has local changes that have not reached the server.
+ * @property {{templateId: string, occurrence: string} | null} recurrence - Set on expenses generated from a recurring
+ *   template: the template id and the "YYYY-MM-DD" occurrence.
+ * @property {boolean} [isQueued] - True for expenses that only exist in the offline queue so far
+ *   (they cannot be edited or deleted until they are written).
+ */
+
+/**
+ * @typedef {object} UndoableAction
+ * @property {number} key - Unique key of the action (changes with every new action).
+ * @property {'add' | 'update' | 'delete'} type - The kind of action.
+ * @property {string} description - Description of the affected expense, for display.
  */
 
 /**
  * @typedef {object} ExpenseContextType
- * @property {Expense[]} expenses - The current list of expense objects.
+ * @property {Expense[]} expenses - The current list of expense objects (soft-deleted ones excluded), including
+ *   expenses still waiting in the offline queue.
+ * @property {number} pendingSyncCount - How many listed expenses have not reached the server yet.
+ * @property {'firestore' | 'local'} storageBackend - Where expenses are stored ('local' keeps them in this browser only).
+ * @property {Expense[]} deletedExpenses - The soft-deleted expenses in the trash, most recently deleted first.
  * @property {boolean} loading - Indicates if the initial expense list is being loaded.
+ * @property {boolean} hasMoreExpenses - Whether older expenses than those listed may exist (see `loadMoreExpenses`).
+ * @property {boolean} loadingMoreExpenses - True while a page of older expenses is being read.
+ * @property {() => Promise<void>} loadMoreExpenses - Reads the next page of older expenses into `expenses`.
+ *   Does nothing while a page is already loading or when there is nothing older. A failure is reported in
+ *   `loadMoreError`, not `error`, so the expenses already listed stay on screen.
+ * @property {Error | null} loadMoreError - Why the last `loadMoreExpenses` failed; cleared when it is retried.
+ * @property {(range?: {from?: Date | null, to?: Date | null}) => Promise<Expense[]>} loadExpensesInRange - Reads every live
+ *   expense that occurred in `[from, to)` from the store, including pages not loaded into `expenses` and queued ones,
+ *   newest first. A failure rejects without setting `error`, so the caller can report it where it happened.
+ *   The expenses read can be edited and deleted like listed ones (see `useExpensesInRange`).
+ * @property {number} expensesRevision - Changes after every write made through this provider, so expenses read
+ *   with `loadExpensesInRange` can be read again.
  * @property {Error | null} error - Stores any error encountered during data fetching or adding operations.
- * @property {(expenseData: {description: string, amount: number}) => Promise<void>} addExpense - Function to add a new expense.
+ * @property {(expenseData: {description: string, amount: number, currency?: string, category?: string | null, date?: Date | null}) => Promise<string | null>} addExpense - Function to add a new expense.
+ *   Omitting `currency` uses the service default; omitting `category` categorises the description with the user's keyword rules.
+ *   Resolves with the new expense ID.
+ * @property {(expenseDataList: Array<{description: string, amount: number, currency?: string, category?: string | null, date?: Date | null}>) => Promise<{added: number, invalid: number}>} importExpenses
+ *   Adds many expenses at once (see `ImportDialog`), categorising each one without a category. Imports are not undoable.
+ * @property {(id: string, changes: {description?: string, amount?: number, currency?: string, category?: string | null, date?: Date | null}) => Promise<void>} updateExpense - Function to change fields of an expense.
+ * @property {(id: string) => Promise<void>} deleteExpense - Function to soft-delete an expense (move it to the trash).
+ * @property {(id: string) => Promise<void>} restoreExpense - Function to move an expense back out of the trash.
+ * @property {(id: string) => Promise<void>} purgeExpense - Function to permanently delete an expense from the trash.
+ * @property {() => Promise<'add' | 'update' | 'delete' | null>} undoLastAction - Reverts the most recent add, update or delete made
+ *   in this session. Resolves with the type of action undone, or null if there was nothing to undo.
+ * @property {UndoableAction | null} lastAction - The action `undoLastAction` would revert, while it is still on offer
+ *   (used by the Undo snackbar); null once undone or dismissed.
+ * @property {() => void} dismissLastAction - Stops offering `lastAction` (it can still be undone by voice).
+ */
+
+/**
+ * Maximum number of actions kept for undo.
+ * @constant {number}
+ */
+const UNDO_STACK_LIMIT = 20;
+
+/**
+ * Picks the editable fields of an expense, in the shape `updateExpense`/`addExpense` accept,
+ * so an action can be reverted.
+ *
+ * @param {Expense} expense - The expense to snapshot.
+ * @returns {{description: string, amount: number, currency: string, category: string | null, date: Date | null}} The fields.
+ */
+const snapshotExpense = (expense) => ({
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  date: expense.occurredAt,
+});
+
+/**
+ * Sort comparator placing the expenses that happened most recently first (pending server timestamps on top).
+ *
+ * @param {Expense} a - First expense.
+ * @param {Expense} b - Second expense.
+ * @returns {number} Negative if `a` happened after `b`.
+ */
+const byOccurredAtDesc = (a, b) => {
+  const timeOf = (expense) => expense.occurredAt?.getTime() ?? Date.now();
+  return timeOf(b) - timeOf(a);
+};
+
+/**
+ * Adds expenses to a list, replacing the entries with the same id.
+ *
+ * @param {Expense[]} list - The current list.
+ * @param {Expense[]} additions - The expenses to add.
+ * @returns {Expense[]} A new list (unsorted).
+ */
+const mergeById = (list, additions) => {
+  const ids = new Set(additions.map((expense) => expense.id));
+  return [...list.filter((expense) => !ids.has(expense.id)), ...additions];
+};
+
+/**
+ * Applies the changes given to `updateExpense` to an expense that is not listened to.
+ *
+ * @param {Expense} expense - The expense.
+ * @param {{description?: string, amount?: number, currency?: string, category?: string | null, date?: Date | null}} changes - The changes.
+ * @returns {Expense} The changed expense.
+ */
+const applyExpenseChanges = (expense, changes) => {
+  const { date, ...fields } = changes;
+  return {
+    ...expense,
+    ...fields,
+    ...(typeof fields.description === 'string' && { description: fields.description.trim() }),
+    ...(date !== undefined && { occurredAt: date || new Date() }),
+  };
+};
+
+/**
+ * Converts an offline-queue entry into an expense for display until Firestore has it.
+ *
+ * @param {import('../services/offlineQueueService.js').QueuedExpense} entry - The queued expense.
+ * @returns {Expense} The expense, marked as pending and queued.
  */
+const toQueuedExpense = (entry) => ({
+  id: entry.id,
+  description: entry.description,
+  amount: entry.amount,
+  currency: entry.currency,
+  category: entry.category,
+  timestamp: new Date(entry.queuedAt),
+  occurredAt: new Date(entry.occurredAt),
+  deletedAt: null,
+  isDeleted: false,
+  pendingSync: true,
+  recurrence: entry.recurrence ?? null,
+  isQueued: true,
+});
 
 // 1. Define Context
 /**
  * Context for managing expense data throughout the application.
- * Provides access to the expense list, loading state, error state, and an addExpense function.
+ * Provides access to the expense list, the trash, loading state, error state, and the add/update/delete/undo actions.
  * @type {React.Context<ExpenseContextType | undefined>}
  */
 const ExpenseContext = createContext(undefined);
 
 /**
  * Provides the expense state and actions to its children components.
- * Manages fetching expenses in real-time from Firestore and handles adding new expenses.
+ * Manages fetching the signed-in user's expenses (and trash) in real-time from Firestore and handles adding,
+ * editing and soft-deleting expenses, remembering each action so the most recent ones can be undone.
+ * The subscriptions are re-created whenever the auth state changes; while signed out the lists are empty.
+ * Undoing an add moves the expense to the trash, so a wrongly parsed voice add can still be recovered.
+ * Only the newest page of expenses is listened to. Older pages are read once, on demand (`loadMoreExpenses`,
+ * when the list is scrolled to the end or the user asks for more); changes made through this provider are
+ * applied to them locally. Expenses pushed off the newest page by new ones are kept.
+ * Expenses that could not be written (see the offline queue in `expenseService.addExpense`) are listed as
+ * pending and retried on sign-in and whenever the browser comes back online.
  *
  * @param {object} props - The component props.
  * @param {React.ReactNode} props.children - The child components that will consume the context.
@@ -45,18 +197,202 @@ const ExpenseContext = createContext(undefined);
  */
 export function ExpenseProvider({ children }) {
   // 2. Define State
-  const [expenses, setExpenses] = useState([]);
+  const [expenses, setExpenses] = useState([]); // The newest page, as reported by Firestore (including its local cache)
+  const [olderExpenses, setOlderExpenses] = useState([]); // Live expenses read from older pages
+  const [hasMoreExpenses, setHasMoreExpenses] = useState(false);
+  const [loadingMoreExpenses, setLoadingMoreExpenses] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [queuedExpenses, setQueuedExpenses] = useState([]); // Waiting in the offline queue for this user
+  const [deletedExpenses, setDeletedExpenses] = useState([]);
+  const [lastAction, setLastAction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [expensesRevision, setExpensesRevision] = useState(0);
+  const { settings } = useSettingsContext();
+  const { categoryRules } = settings;
+  const { user } = useAuthContext();
+  const uid = user?.uid || null;
+
+  // The newest page plus the older pages read so far, newest first
+  const syncedExpenses = useMemo(() => {
+    if (olderExpenses.length === 0) {
+      return expenses;
+    }
+    const pageIds = new Set(expenses.map((expense) => expense.id));
+    return [...expenses, ...olderExpenses.filter((expense) => !pageIds.has(expense.id))].sort(byOccurredAtDesc);
+  }, [expenses, olderExpenses]);
+  // Firestore expenses plus queued ones not written yet, newest first
+  const visibleExpenses = useMemo(() => {
+    const syncedIds = new Set(syncedExpenses.map((expense) => expense.id));
+    const queuedOnly = queuedExpenses.filter((entry) => !syncedIds.has(entry.id)).map(toQueuedExpense);
+    if (queuedOnly.length === 0) {
+      return syncedExpenses;
+    }
+    return [...queuedOnly, ...syncedExpenses].sort(byOccurredAtDesc);
+  }, [syncedExpenses, queuedExpenses]);
+  const pendingSyncCount = useMemo(
+    () => visibleExpenses.filter((expense) => expense.pendingSync).length,
+    [visibleExpenses],
+  );
+
+  // Latest expenses for the action callbacks (kept in refs so the callbacks stay stable)
+  const expensesRef = useRef(visibleExpenses);
+  expensesRef.current = visibleExpenses;
+  const syncedExpensesRef = useRef(syncedExpenses);
+  syncedExpensesRef.current = syncedExpenses;
+  const queuedExpensesRef = useRef(queuedExpenses);
+  queuedExpensesRef.current = queuedExpenses;
+  const deletedExpensesRef = useRef(deletedExpenses);
+  deletedExpensesRef.current = deletedExpenses;
+  const rangeExpensesRef = useRef(new Map()); // Expenses read by loadExpensesInRange, by id, for the actions below
+  // The newest page as last reported ({ expenses, cursor, hasMore, oldestOccurredAt }), and the cursor of the
+  // last older page read ({ cursor, hasMore }, null until one is read)
+  const pageRef = useRef({ expenses: [], cursor: null, hasMore: false, oldestOccurredAt: null });
+  const olderPageRef = useRef(null);
+  const loadedThroughRef = useRef(null); // When the oldest expense read so far occurred; older ones are not listed yet
+  const loadingMoreRef = useRef(false);
+  const sessionRef = useRef(0); // Changes on sign-in/sign-out, so a page read for the previous user is dropped
+  // Actions performed in this session, most recent last: { type, id, description, previous? }
+  const undoStackRef = useRef([]);
+  const actionKeyRef = useRef(0);
+
+  const pushUndo = useCallback((action) => {
+    undoStackRef.current = [...undoStackRef.current.slice(-(UNDO_STACK_LIMIT - 1)), action];
+    actionKeyRef.current += 1;
+    setLastAction({ key: actionKeyRef.current, type: action.type, description: action.description });
+  }, []);
 
-  // 4. Implement Provider - useEffect for Real-time Subscription
+  const dismissLastAction = useCallback(() => setLastAction(null), []);
+
+  // Lets readers of `loadExpensesInRange` know their copies are out of date
+  const markExpensesChanged = useCallback(() => setExpensesRevision((revision) => revision + 1), []);
+
+  /**
+   * Finds an expense the user can act on: a listed one, or one read by `loadExpensesInRange` (e.g. an older
+   * expense shown because it matches the list's search).
+   * @param {string} id - The expense id.
+   * @returns {Expense | undefined} The expense, if known.
+   */
+  const findKnownExpense = useCallback(
+    (id) => expensesRef.current.find((expense) => expense.id === id) || rangeExpensesRef.current.get(id),
+    [],
+  );
+
+  /**
+   * Logs, stores and returns a rejection for a failed action.
+   * @param {string} actionName - The context function that failed.
+   * @param {string} message - The user-facing error message.
+   * @param {Error} [cause] - The underlying error, if any.
+   * @returns {Promise<never>} A rejected promise carrying the user-facing error.
+   */
+  const rejectWith = useCallback((actionName, message, cause) => {
+    const actionError = new Error(message);
+    console.error(`ExpenseProvider: ${actionName} failed:`, cause || actionError);
+    setError(actionError);
+    return Promise.reject(actionError);
+  }, []);
+
+  /**
+   * Forgets the older pages read so far; they are read again from the newest page's cursor.
+   */
+  const resetOlderPages = useCallback(() => {
+    const page = pageRef.current;
+    olderPageRef.current = null;
+    loadedThroughRef.current = page.oldestOccurredAt;
+    setOlderExpenses([]);
+    setLoadMoreError(null);
+    setHasMoreExpenses(page.hasMore);
+  }, []);
+
+  /**
+   * Lists a new, changed or restored expense among the older pages when its date puts it before the newest page
+   * (which the live subscription covers by itself) but within the pages read so far. Anywhere else it is dropped
+   * from them: the live page or a page not read yet shows it instead.
+   * @param {Expense} expense - The expense as it now is.
+   */
+  const placeOlderExpense = useCallback((expense) => {
+    const { hasMore, oldestOccurredAt } = pageRef.current;
+    const occurredAt = expense.occurredAt || expense.timestamp;
+    const isListed =
+      hasMore &&
+      occurredAt &&
+      oldestOccurredAt &&
+      occurredAt < oldestOccurredAt &&
+      loadedThroughRef.current &&
+      occurredAt >= loadedThroughRef.current;
+    setOlderExpenses((previous) =>
+      isListed ? mergeById(previous, [expense]) : previous.filter((older) => older.id !== expense.id),
+    );
+  }, []);
+
+  // Puts a restored expense back among the older pages when it belongs there
+  const reinsertOlderExpense = useCallback((id) => {
+    const expense = deletedExpensesRef.current.find((deleted) => deleted.id === id);
+    if (expense) {
+      placeOlderExpense({ ...expense, deletedAt: null, isDeleted: false });
+    }
+  }, [placeOlderExpense]);
+
+  // Drops a deleted expense from the older pages
+  const removeOlderExpense = useCallback((id) => {
+    setOlderExpenses((previous) => previous.filter((expense) => expense.id !== id));
+  }, []);
+
+  // Applies an update to an expense listed on any page; a changed date can move it onto or off the older pages
+  const patchOlderExpense = useCallback((id, changes) => {
+    const expense = findKnownExpense(id);
+    if (expense) {
+      placeOlderExpense(applyExpenseChanges(expense, changes));
+    }
+  }, [placeOlderExpense, findKnownExpense]);
+
+  // 4. Implement Provider - useEffect for Real-time Subscription (re-run on sign-in/sign-out)
   useEffect(() => {
-    console.log('ExpenseProvider: Setting up expense subscription.');
-    setLoading(true);
+    // Actions from a previous user's session must not be undoable by the next one
+    undoStackRef.current = [];
+    setLastAction(null);
     setError(null); // Reset error on new subscription attempt
+    sessionRef.current += 1;
+    pageRef.current = { expenses: [], cursor: null, hasMore: false, oldestOccurredAt: null };
+    rangeExpensesRef.current = new Map();
+    resetOlderPages();
+
+    if (!uid) {
+      console.log('ExpenseProvider: No signed-in user; not subscribing to expenses.');
+      setExpenses([]);
+      setDeletedExpenses([]);
+      setLoading(false);
+      return undefined;
+    }
 
-    const handleUpdate = (updatedExpenses) => {
+    console.log('ExpenseProvider: Setting up expense subscription for user:', uid);
+    setLoading(true);
+
+    const handleUpdate = (updatedExpenses, page) => {
       // console.log('ExpenseProvider: Received expense update:', updatedExpenses);
+      const previous = pageRef.current;
+      pageRef.current = { expenses: updatedExpenses, ...page };
+      if (!page.hasMore) {
+        // Everything fits on the newest page
+        resetOlderPages();
+      } else {
+        // Keep the expenses that new ones pushed off the end of the page
+        const pageIds = new Set(updatedExpenses.map((expense) => expense.id));
+        const pushedOff = previous.expenses.filter((expense) => {
+          const occurredAt = expense.occurredAt || expense.timestamp;
+          return !pageIds.has(expense.id) && occurredAt && occurredAt < page.oldestOccurredAt;
+        });
+        if (pushedOff.length > 0) {
+          setOlderExpenses((older) => mergeById(older, pushedOff));
+        }
+        // The pushed-off expenses stay read, so the listed range only ever grows
+        if (!loadedThroughRef.current || page.oldestOccurredAt < loadedThroughRef.current) {
+          loadedThroughRef.current = page.oldestOccurredAt;
+        }
+        if (!olderPageRef.current) {
+          setHasMoreExpenses(true);
+        }
+      }
       setExpenses(updatedExpenses);
       setLoading(false);
       setError(null); // Clear error on successful update
@@ -67,21 +403,118 @@ export function ExpenseProvider({ children }) {
       setError(new Error('Failed to load expenses. Please try again later.'));
       setLoading(false);
       setExpenses([]); // Clear expenses on error
+      pageRef.current = { expenses: [], cursor: null, hasMore: false, oldestOccurredAt: null };
+      resetOlderPages();
     };
 
     // Call the service function to get the subscription
     // It's assumed getExpensesSubscription takes callbacks for updates and errors
     // and returns an unsubscribe function.
-    const unsubscribe = getExpensesSubscription(handleUpdate, handleError);
+    const unsubscribe = getExpensesSubscription(uid, handleUpdate, handleError);
+    // The trash is secondary: a failure there is logged but does not hide the main list
+    const unsubscribeTrash = getDeletedExpensesSubscription(uid, setDeletedExpenses, (err) => {
+      console.error('ExpenseProvider: Error fetching deleted expenses:', err);
+      setDeletedExpenses([]);
+    });
 
     // Cleanup function: Unsubscribe when the component unmounts
     return () => {
       console.log('ExpenseProvider: Unsubscribing from expenses.');
-      if (unsubscribe && typeof unsubscribe === 'function') {
-        unsubscribe();
+      [unsubscribe, unsubscribeTrash].forEach((unsubscribeFn) => {
+        if (unsubscribeFn && typeof unsubscribeFn === 'function') {
+          unsubscribeFn();
+        }
+      });
+    };
+  }, [uid, resetOlderPages]); // Resubscribe whenever a different user signs in (or out)
+
+  // 4. Implement Provider - Offline queue: list queued expenses and retry them when back online
+  useEffect(() => {
+    if (!uid) {
+      setQueuedExpenses([]);
+      return undefined;
+    }
+    const unsubscribeQueue = getQueueSubscription((queue) =>
+      setQueuedExpenses(queue.filter((entry) => entry.uid === uid)),
+    );
+    const flush = () => {
+      flushQueuedExpenses(uid).catch((err) =>
+        console.error('ExpenseProvider: Error flushing the offline queue:', err),
+      );
+    };
+    flush();
+    window.addEventListener('online', flush);
+    return () => {
+      window.removeEventListener('online', flush);
+      if (unsubscribeQueue) unsubscribeQueue();
+    };
+  }, [uid]);
+
+  // 4. Implement Provider - loadMoreExpenses Function
+  const loadMoreExpenses = useCallback(async () => {
+    const olderPage = olderPageRef.current;
+    const { cursor, hasMore } = olderPage || pageRef.current;
+    if (!uid || loadingMoreRef.current || !cursor || !hasMore) {
+      return;
+    }
+    const session = sessionRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMoreExpenses(true);
+    setLoadMoreError(null);
+    // Reported next to the list's "load more" footer rather than in place of the list
+    const rejectLoadMore = (message, cause) => {
+      const loadError = new Error(message);
+      console.error('ExpenseProvider: loadMoreExpenses failed:', cause || loadError);
+      if (session === sessionRef.current) {
+        setLoadMoreError(loadError);
       }
+      return Promise.reject(loadError);
     };
-  }, []); // Empty dependency array ensures this runs only once on mount
+
+    let page;
+    try {
+      page = await loadOlderExpensesService(uid, cursor);
+    } catch (err) {
+      return rejectLoadMore('Failed to load older expenses. Please try again.', err);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMoreExpenses(false);
+    }
+    if (session !== sessionRef.current) {
+      return; // Read for a user who has since signed out
+    }
+    if (!page) {
+      return rejectLoadMore('Older expenses could not be loaded.');
+    }
+    olderPageRef.current = { cursor: page.cursor, hasMore: page.hasMore };
+    if (page.oldestOccurredAt) {
+      loadedThroughRef.current = page.oldestOccurredAt;
+    }
+    setOlderExpenses((previous) => mergeById(previous, page.expenses));
+    setHasMoreExpenses(page.hasMore);
+  }, [uid]);
+
+  // 4. Implement Provider - loadExpensesInRange Function
+  const loadExpensesInRange = useCallback(async ({ from = null, to = null } = {}) => {
+    let stored;
+    try {
+      stored = await loadExpensesInRangeService(uid, { from, to });
+    } catch (err) {
+      console.error('ExpenseProvider: loadExpensesInRange failed:', err);
+      throw new Error('Failed to read your expenses. Please try again.');
+    }
+    if (!stored) {
+      throw new Error('Your expenses could not be read.');
+    }
+    stored.forEach((expense) => rangeExpensesRef.current.set(expense.id, expense));
+    // Expenses only in the offline queue are not in the store yet
+    const storedIds = new Set(stored.map((expense) => expense.id));
+    const queuedOnly = queuedExpensesRef.current
+      .filter((entry) => !storedIds.has(entry.id))
+      .map(toQueuedExpense)
+      .filter(({ occurredAt }) => (!from || occurredAt >= from) && (!to || occurredAt < to));
+    return queuedOnly.length === 0 ? stored : [...queuedOnly, ...stored].sort(byOccurredAtDesc);
+  }, [uid]);
 
   // 4. Implement Provider - addExpense Function
   const addExpense = useCallback(async (expenseData) => {
@@ -106,34 +539,272 @@ export function ExpenseProvider({ children }) {
       setError(validationError); // Optionally set context error for validation
        return Promise.reject(validationError); // Reject promise for clarity
     }
+    if (expenseData.currency != null && !isValidCurrencyCode(expenseData.currency)) {
+      const validationError = new Error('Invalid input: Currency must be an ISO 4217 code.');
+      console.error('ExpenseProvider: addExpense validation failed:', validationError);
+      setError(validationError);
+      return Promise.reject(validationError);
+    }
+    if (expenseData.category != null && !isKnownCategory(expenseData.category)) {
+      const validationError = new Error('Invalid input: Unknown category.');
+      console.error('ExpenseProvider: addExpense validation failed:', validationError);
+      setError(validationError);
+      return Promise.reject(validationError);
+    }
+    if (
+      expenseData.date != null &&
+      (!(expenseData.date instanceof Date) || isNaN(expenseData.date.getTime()))
+    ) {
+      const validationError = new Error('Invalid input: Date must be a valid date.');
+      console.error('ExpenseProvider: addExpense validation failed:', validationError);
+      setError(validationError);
+      return Promise.reject(validationError);
+    }
 
     // Clear previous errors before attempting to add
     // setError(null); // Optional: Decide if adding should clear previous loading errors
 
     try {
-      console.log('ExpenseProvider: Attempting to add expense:', expenseData);
-      await addExpenseService(expenseData);
+      // An explicitly chosen category wins; otherwise categorise from the description keywords
+      const category =
+        expenseData.category || categorizeDescription(expenseData.description, categoryRules);
+      console.log('ExpenseProvider: Attempting to add expense:', expenseData, 'category:', category);
+      const docRef = await addExpenseService(uid, { ...expenseData, category });
       console.log('ExpenseProvider: Expense added successfully.');
       // No need to manually update 'expenses' state here,
       // Firestore real-time listener (`getExpensesSubscription`) will trigger an update.
-      return Promise.resolve(); // Indicate success
+      if (docRef) {
+        pushUndo({ type: 'add', id: docRef.id, description: expenseData.description.trim() });
+        markExpensesChanged();
+        if (expenseData.date) {
+          // A backdated expense can belong before the newest page, which is all the listener covers
+          placeOlderExpense({
+            id: docRef.id,
+            description: expenseData.description.trim(),
+            amount: expenseData.amount,
+            currency: expenseData.currency || DEFAULT_CURRENCY,
+            category,
+            timestamp: new Date(),
+            occurredAt: expenseData.date,
+            deletedAt: null,
+            isDeleted: false,
+            pendingSync: false,
+            recurrence: null,
+          });
+        }
+      }
+      return docRef ? docRef.id : null; // Indicate success
     } catch (err) {
       console.error('ExpenseProvider: Error adding expense:', err);
       const addError = new Error('Failed to add expense. Please try again.');
       setError(addError); // Set context error state
       return Promise.reject(addError); // Propagate error
     }
-  }, []); // No dependencies needed as addExpenseService is stable
+  }, [uid, categoryRules, pushUndo, placeOlderExpense, markExpensesChanged]); // addExpenseService is stable; rules change when the user edits them
+
+  // 4. Implement Provider - importExpenses Function
+  const importExpenses = useCallback(async (expenseDataList) => {
+    const rows = (expenseDataList || []).map((expenseData) => ({
+      ...expenseData,
+      category: expenseData.category || categorizeDescription(expenseData.description || '', categoryRules),
+    }));
+
+    let result;
+    try {
+      console.log(`ExpenseProvider: Attempting to import ${rows.length} expense(s).`);
+      result = await addExpensesService(uid, rows);
+    } catch (err) {
+      return rejectWith('importExpenses', 'Failed to import expenses. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('importExpenses', 'Expenses could not be imported.');
+    }
+    if (result.ids.length > 0) {
+      // A large import can push more expenses off the newest page than were on it, leaving a gap before the
+      // older pages already read; read them again instead
+      resetOlderPages();
+      markExpensesChanged();
+    }
+    return { added: result.ids.length, invalid: result.invalidIndexes.length };
+  }, [uid, categoryRules, rejectWith, resetOlderPages, markExpensesChanged]);
+
+  // 4. Implement Provider - updateExpense Function
+  const updateExpense = useCallback(async (id, changes) => {
+    const existing = findKnownExpense(id);
+    if (!existing) {
+      return rejectWith('updateExpense', 'Expense not found.');
+    }
+    if (existing.isQueued) {
+      return rejectWith('updateExpense', 'This expense has not synced yet. Try again once it has.');
+    }
+    if (changes?.category != null && !isKnownCategory(changes.category)) {
+      return rejectWith('updateExpense', 'Invalid input: Unknown category.');
+    }
+
+    let result;
+    try {
+      console.log('ExpenseProvider: Attempting to update expense:', id, changes);
+      result = await updateExpenseService(uid, id, changes);
+    } catch (err) {
+      return rejectWith('updateExpense', 'Failed to update expense. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('updateExpense', 'Invalid changes: expense was not updated.');
+    }
+    patchOlderExpense(id, changes);
+    markExpensesChanged();
+    // Only the fields that changed need restoring on undo
+    const previous = snapshotExpense(existing);
+    pushUndo({
+      type: 'update',
+      id,
+      description: existing.description,
+      previous: Object.fromEntries(Object.keys(changes).filter((key) => key in previous).map((key) => [key, previous[key]])),
+    });
+  }, [uid, pushUndo, rejectWith, patchOlderExpense, findKnownExpense, markExpensesChanged]);
+
+  // 4. Implement Provider - deleteExpense Function
+  const deleteExpense = useCallback(async (id) => {
+    const existing = findKnownExpense(id);
+    if (!existing) {
+      return rejectWith('deleteExpense', 'Expense not found.');
+    }
+    if (existing.isQueued) {
+      return rejectWith('deleteExpense', 'This expense has not synced yet. Try again once it has.');
+    }
+
+    let result;
+    try {
+      console.log('ExpenseProvider: Attempting to delete expense:', id);
+      result = await deleteExpenseService(uid, id);
+    } catch (err) {
+      return rejectWith('deleteExpense', 'Failed to delete expense. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('deleteExpense', 'Expense could not be deleted.');
+    }
+    removeOlderExpense(id);
+    markExpensesChanged();
+    pushUndo({ type: 'delete', id, description: existing.description });
+  }, [uid, pushUndo, rejectWith, removeOlderExpense, findKnownExpense, markExpensesChanged]);
+
+  // 4. Implement Provider - restoreExpense Function
+  const restoreExpense = useCallback(async (id) => {
+    let result;
+    try {
+      console.log('ExpenseProvider: Attempting to restore expense:', id);
+      result = await restoreExpenseService(uid, id);
+    } catch (err) {
+      return rejectWith('restoreExpense', 'Failed to restore expense. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('restoreExpense', 'Expense could not be restored.');
+    }
+    reinsertOlderExpense(id);
+    markExpensesChanged();
+  }, [uid, rejectWith, reinsertOlderExpense, markExpensesChanged]);
+
+  // 4. Implement Provider - purgeExpense Function
+  const purgeExpense = useCallback(async (id) => {
+    let result;
+    try {
+      console.log('ExpenseProvider: Attempting to permanently delete expense:', id);
+      result = await purgeExpenseService(uid, id);
+    } catch (err) {
+      return rejectWith('purgeExpense', 'Failed to permanently delete expense. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('purgeExpense', 'Expense could not be permanently deleted.');
+    }
+    // A purged expense can no longer be restored, so drop any undo entries that point at it
+    undoStackRef.current = undoStackRef.current.filter((action) => action.id !== id);
+    markExpensesChanged();
+  }, [uid, rejectWith, markExpensesChanged]);
+
+  // 4. Implement Provider - undoLastAction Function
+  const undoLastAction = useCallback(async () => {
+    const action = undoStackRef.current[undoStackRef.current.length - 1];
+    if (!action) {
+      return null;
+    }
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    setLastAction(null); // The snackbar no longer offers the undone action
+
+    let result;
+    try {
+      console.log('ExpenseProvider: Undoing action:', action);
+      if (action.type === 'add') {
+        // An add still waiting in the offline queue is simply dropped from it
+        const isSynced = syncedExpensesRef.current.some((expense) => expense.id === action.id);
+        removeQueuedExpense(action.id);
+        // Undoing an add (e.g. a misheard voice command) moves it to the trash rather than destroying it
+        result = isSynced ? await deleteExpenseService(uid, action.id) : action.id;
+      } else if (action.type === 'update') {
+        result = await updateExpenseService(uid, action.id, action.previous);
+      } else if (action.type === 'delete') {
+        result = await restoreExpenseService(uid, action.id);
+      }
+    } catch (err) {
+      return rejectWith('undoLastAction', 'Failed to undo the last action. Please try again.', err);
+    }
+    if (!result) {
+      return rejectWith('undoLastAction', 'The last action could not be undone.');
+    }
+    // Older pages are not listened to, so the undone change is applied to them here
+    if (action.type === 'add') removeOlderExpense(action.id);
+    else if (action.type === 'update') patchOlderExpense(action.id, action.previous);
+    else reinsertOlderExpense(action.id);
+    markExpensesChanged();
+    return action.type;
+  }, [uid, rejectWith, removeOlderExpense, patchOlderExpense, reinsertOlderExpense, markExpensesChanged]);
 
   // 4. Implement Provider - Memoize Context Value
   const contextValue = useMemo(
     () => ({
-      expenses,
+      expenses: visibleExpenses,
+      pendingSyncCount,
+      storageBackend: expenseStorageBackend,
+      deletedExpenses,
       loading,
+      hasMoreExpenses,
+      loadingMoreExpenses,
+      loadMoreExpenses,
+      loadMoreError,
+      loadExpensesInRange,
+      expensesRevision,
       error,
       addExpense,
+      importExpenses,
+      updateExpense,
+      deleteExpense,
+      restoreExpense,
+      purgeExpense,
+      undoLastAction,
+      lastAction,
+      dismissLastAction,
     }),
-    [expenses, loading, error, addExpense], // Dependencies for useMemo
+    [
+      visibleExpenses,
+      pendingSyncCount,
+      deletedExpenses,
+      loading,
+      hasMoreExpenses,
+      loadingMoreExpenses,
+      loadMoreExpenses,
+      loadMoreError,
+      loadExpensesInRange,
+      expensesRevision,
+      error,
+      addExpense,
+      importExpenses,
+      updateExpense,
+      deleteExpense,
+      restoreExpense,
+      purgeExpense,
+      undoLastAction,
+      lastAction,
+      dismissLastAction,
+    ], // Dependencies for useMemo
   );
 
   // 4. Implement Provider - Render Provider Component
@@ -149,7 +820,9 @@ export function ExpenseProvider({ children }) {
  * Custom hook to consume the ExpenseContext.
  * Ensures the hook is used within a component wrapped by ExpenseProvider.
  *
- * @returns {ExpenseContextType} The expense context value ({ expenses, loading, error, addExpense }).
+ * @returns {ExpenseContextType} The expense context value ({ expenses, pendingSyncCount, storageBackend, deletedExpenses, loading, hasMoreExpenses,
+ *   loadingMoreExpenses, loadMoreExpenses, loadMoreError, loadExpensesInRange, expensesRevision, error, addExpense, importExpenses, updateExpense,
+ *   deleteExpense, restoreExpense, purgeExpense, undoLastAction, lastAction, dismissLastAction }).
  * @throws {Error} If used outside of an ExpenseProvider.
  */
 export function useExpenseContext() {
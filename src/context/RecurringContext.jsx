@@ -0,0 +1,201 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import {
+  saveRecurringTemplate as saveRecurringTemplateService,
+  deleteRecurringTemplate as deleteRecurringTemplateService,
+  getRecurringTemplatesSubscription,
+} from '../services/recurringService.js';
+import { addRecurringOccurrence as addRecurringOccurrenceService } from '../services/expenseService.js';
+import { useAuthContext } from './AuthContext.jsx';
+import { useExpenseContext } from './ExpenseContext.jsx';
+import { useSettingsContext } from './SettingsContext.jsx';
+import { getDueOccurrences } from '../utils/recurrence.js';
+import { getPeriodRange } from '../utils/aggregation.js';
+import { toDateKey } from '../utils/currencyConversion.js';
+import { categorizeDescription } from '../utils/categories.js';
+
+/**
+ * @typedef {object} RecurringContextType
+ * @property {import('../utils/recurrence.js').RecurringTemplate[]} templates - The user's recurring templates, sorted by description.
+ * @property {(template: object) => Promise<string>} saveTemplate - Creates a template, or replaces the one with the same `id`.
+ *   Occurrences that are already due (including today's) are generated straight away.
+ * @property {(id: string) => Promise<void>} deleteTemplate - Deletes a template; expenses it generated are kept.
+ * @property {number} lastGeneratedCount - How many expenses the most recent generation run added (0 until one did).
+ */
+
+// 1. Create Context
+/**
+ * Context for the signed-in user's recurring expense templates (rent, subscriptions).
+ * @type {React.Context<RecurringContextType | undefined>}
+ */
+const RecurringContext = createContext(undefined);
+
+// 4. Implement Provider - RecurringProvider Function
+/**
+ * Provides the recurring templates to its children and generates their missing occurrences. Must be
+ * rendered inside the ExpenseProvider. Whenever the templates load or change (so when the app opens and
+ * right after a template is saved), every occurrence between a template's `generatedThrough` and today
+ * is added as an expense linked back to it through `recurrence`, and `generatedThrough` is moved forward.
+ * Each occurrence is written under the deterministic id `${templateId}_${occurrence}` only if no expense has it
+ * yet, so a run interrupted before `generatedThrough` was saved, or one racing on another device, never adds
+ * duplicates, and deleting or editing a generated expense does not bring the original back. A run that fails
+ * (with Firestore, while offline) is retried once the browser is back online.
+ *
+ * @param {object} props - The component props.
+ * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @returns {React.ReactElement} The provider component wrapping its children.
+ */
+export function RecurringProvider({ children }) {
+  const [templates, setTemplates] = useState([]);
+  const [lastGeneratedCount, setLastGeneratedCount] = useState(0);
+  const { user } = useAuthContext();
+  const uid = user?.uid || null;
+  const { deletedExpenses, loading, loadExpensesInRange } = useExpenseContext();
+  const { settings } = useSettingsContext();
+  const { categoryRules } = settings;
+
+  // Latest trash for the generation run (kept in a ref so deleting an expense does not re-trigger it)
+  const deletedExpensesRef = useRef([]);
+  deletedExpensesRef.current = deletedExpenses;
+  const generatingRef = useRef(false);
+  const rerunRef = useRef(false); // Templates changed while a run was in progress
+  const [runKey, setRunKey] = useState(0);
+
+  // 4. Implement Provider - useEffect for Real-time Subscription (re-run on sign-in/sign-out)
+  useEffect(() => {
+    if (!uid) {
+      setTemplates([]);
+      return undefined;
+    }
+    const unsubscribe = getRecurringTemplatesSubscription(uid, setTemplates, (err) => {
+      console.error('RecurringProvider: Error fetching recurring templates:', err);
+      setTemplates([]);
+    });
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [uid]);
+
+  // 4. Implement Provider - Retry generation when the connection returns (Firestore runs fail while offline)
+  useEffect(() => {
+    const retry = () => setRunKey((key) => key + 1);
+    window.addEventListener('online', retry);
+    return () => window.removeEventListener('online', retry);
+  }, []);
+
+  // 4. Implement Provider - Generate missing occurrences once the expense list has loaded
+  useEffect(() => {
+    if (!uid || loading || templates.length === 0) {
+      return;
+    }
+    if (generatingRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+    const generate = async () => {
+      generatingRef.current = true;
+      let generated = 0;
+      try {
+        const dueByTemplate = templates
+          .map((template) => ({ template, due: getDueOccurrences(template) }))
+          .filter(({ due }) => due.length > 0);
+        if (dueByTemplate.length === 0) return;
+        // The occurrences already written, read from the store for the days they fall on (older ones are
+        // rarely in the listed pages). A failed read only costs extra checks: addIfAbsent still skips them.
+        const dueTimes = dueByTemplate.flatMap(({ due }) => due.map((date) => date.getTime()));
+        const stored = await loadExpensesInRange({
+          from: getPeriodRange('day', new Date(Math.min(...dueTimes))).start,
+          to: getPeriodRange('day', new Date(Math.max(...dueTimes))).end,
+        }).catch((err) => {
+          console.error('RecurringProvider: Error reading the expenses already generated:', err);
+          return [];
+        });
+        const existing = new Set(
+          [...stored, ...deletedExpensesRef.current]
+            .filter((expense) => expense.recurrence)
+            .map((expense) => `${expense.recurrence.templateId}/${expense.recurrence.occurrence}`),
+        );
+        for (const { template, due } of dueByTemplate) {
+          for (const date of due) {
+            const occurrence = toDateKey(date);
+            if (existing.has(`${template.id}/${occurrence}`)) continue;
+            // Written under a deterministic id, so another device (or a run before this list loaded) cannot double it
+            const result = await addRecurringOccurrenceService(uid, {
+              description: template.description,
+              amount: template.amount,
+              currency: template.currency,
+              category: template.category || categorizeDescription(template.description, categoryRules),
+              date,
+              recurrence: { templateId: template.id, occurrence },
+            });
+            if (result?.added) generated += 1;
+          }
+          await saveRecurringTemplateService(uid, { ...template, generatedThrough: toDateKey(due[due.length - 1]) });
+        }
+      } catch (err) {
+        console.error('RecurringProvider: Error generating recurring expenses:', err);
+      } finally {
+        generatingRef.current = false;
+        if (rerunRef.current) {
+          rerunRef.current = false;
+          setRunKey((key) => key + 1);
+        }
+        if (generated > 0) {
+          console.info(`RecurringProvider: Generated ${generated} recurring expense(s).`);
+          setLastGeneratedCount(generated);
+        }
+      }
+    };
+    generate();
+  }, [uid, loading, templates, categoryRules, runKey, loadExpensesInRange]);
+
+  // 4. Implement Provider - Actions
+  const saveTemplate = useCallback(async (template) => {
+    const id = await saveRecurringTemplateService(uid, template);
+    if (!id) {
+      throw new Error('Invalid recurring expense. Give it a description, a positive amount and a schedule.');
+    }
+    return id;
+  }, [uid]);
+
+  const deleteTemplate = useCallback(async (id) => {
+    const result = await deleteRecurringTemplateService(uid, id);
+    if (!result) {
+      throw new Error('Failed to delete recurring expense.');
+    }
+  }, [uid]);
+
+  // 4. Implement Provider - Memoize Context Value
+  const contextValue = useMemo(
+    () => ({ templates, saveTemplate, deleteTemplate, lastGeneratedCount }),
+    [templates, saveTemplate, deleteTemplate, lastGeneratedCount],
+  );
+
+  return (
+    <RecurringContext.Provider value={contextValue}>
+      {children}
+    </RecurringContext.Provider>
+  );
+}
+
+// 5. Implement Custom Hook (`useRecurringContext`)
+/**
+ * Custom hook to consume the RecurringContext.
+ *
+ * @returns {RecurringContextType} The recurring context value ({ templates, saveTemplate, deleteTemplate, lastGeneratedCount }).
+ * @throws {Error} If used outside of a RecurringProvider.
+ */
+export function useRecurringContext() {
+  const context = useContext(RecurringContext);
+  if (context === undefined) {
+    throw new Error('useRecurringContext must be used within a RecurringProvider');
+  }
+  return context;
+}
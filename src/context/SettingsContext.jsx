@@ -0,0 +1,96 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import {
+  adoptLegacySettings,
+  getSettingsSubscription,
+  loadSettings,
+  saveSettings,
+} from '../services/settingsService.js';
+import { useAuthContext } from './AuthContext.jsx';
+
+/**
+ * @typedef {object} SettingsContextType
+ * @property {import('../services/settingsService.js').UserSettings} settings - The current user settings.
+ * @property {(changes: object) => void} updateSettings - Merges the given changes into the settings and persists them.
+ */
+
+/**
+ * Context for user preferences (e.g. the default currency) shared across the application.
+ * @type {React.Context<SettingsContextType | undefined>}
+ */
+const SettingsContext = createContext(undefined);
+
+/**
+ * Provides the signed-in user's settings and an update action to its children.
+ * Settings are stored with the account (see `getSettingsSubscription`): the cached copy applies as soon as the
+ * user changes, the account's own settings replace it when they arrive, and every change is written back.
+ * Until someone signs in the defaults apply, and changes are kept for the session only.
+ *
+ * @param {object} props - The component props.
+ * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @returns {React.ReactElement} The provider component wrapping its children.
+ */
+export function SettingsProvider({ children }) {
+  const { user, authLoading } = useAuthContext();
+  const uid = user ? user.uid : null;
+  const [settings, setSettings] = useState(() => loadSettings(uid));
+  const legacySettingsCheckedRef = useRef(false);
+
+  // Switch to the new user's settings on sign-in, sign-out or account change
+  useEffect(() => {
+    if (authLoading) return undefined;
+    if (!legacySettingsCheckedRef.current) {
+      // The first settled user is the session restored on startup, the only one that may own device-wide settings
+      legacySettingsCheckedRef.current = true;
+      adoptLegacySettings(uid);
+    }
+    setSettings(loadSettings(uid));
+    if (!uid) return undefined;
+    const unsubscribe = getSettingsSubscription(uid, setSettings, (error) => {
+      console.error('SettingsProvider: Settings subscription failed, keeping the cached settings:', error);
+    });
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, [uid, authLoading]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((previous) => {
+      const saved = uid ? saveSettings(uid, { ...previous, ...changes }) : null;
+      // Keep the change for this session even if it could not be persisted
+      return saved || { ...previous, ...changes };
+    });
+  }, [uid]);
+
+  const contextValue = useMemo(
+    () => ({ settings, updateSettings }),
+    [settings, updateSettings],
+  );
+
+  return (
+    <SettingsContext.Provider value={contextValue}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to consume the SettingsContext.
+ *
+ * @returns {SettingsContextType} The settings context value ({ settings, updateSettings }).
+ * @throws {Error} If used outside of a SettingsProvider.
+ */
+export function useSettingsContext() {
+  const context = useContext(SettingsContext);
+  if (context === undefined) {
+    throw new Error('useSettingsContext must be used within a SettingsProvider');
+  }
+  return context;
+}
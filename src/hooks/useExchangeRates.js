@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { getRatesSubscription } from '../services/exchangeRateService.js';
+
+/**
+ * Custom React Hook exposing the locally stored exchange-rate table.
+ * Re-renders the caller whenever rates are imported, added or cleared.
+ *
+ * @returns {import('../utils/currencyConversion.js').ExchangeRate[]} The current rate table.
+ */
+export const useExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = getRatesSubscription(setRates);
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, []);
+
+  return rates;
+};
+
+export default useExchangeRates;
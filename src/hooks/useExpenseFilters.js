@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_FILTERS, filtersFromSearchParams, filtersToSearchParams } from '../utils/expenseFilters.js';
+
+/**
+ * Components using the hook, notified when any of them changes the filters.
+ * @type {Set<function(import('../utils/expenseFilters.js').ExpenseFilters): void>}
+ */
+const listeners = new Set();
+
+/**
+ * Reads the filters from the current URL.
+ *
+ * @returns {import('../utils/expenseFilters.js').ExpenseFilters} The filters.
+ */
+const readFilters = () => filtersFromSearchParams(window.location.search);
+
+/**
+ * Custom React Hook exposing the expense list filters, kept in the URL query string so a filtered
+ * view can be bookmarked or shared. Every component using the hook sees the same filters: the list
+ * controls and the voice command "show me taxi expenses last month" both update them.
+ * The URL is replaced rather than pushed, so typing a search does not fill the browser history.
+ *
+ * @returns {[import('../utils/expenseFilters.js').ExpenseFilters, function(object): void, function(): void]}
+ *   The current filters, a setter merging the given changes into them, and a function clearing them all.
+ */
+export const useExpenseFilters = () => {
+  const [filters, setFilters] = useState(readFilters);
+
+  useEffect(() => {
+    const handlePopState = () => setFilters(readFilters());
+    listeners.add(setFilters);
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      listeners.delete(setFilters);
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  const updateFilters = useCallback((changes) => {
+    const next = { ...readFilters(), ...changes };
+    const params = filtersToSearchParams(next, window.location.search).toString();
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${params ? `?${params}` : ''}${window.location.hash}`);
+    listeners.forEach((listener) => listener(next));
+  }, []);
+
+  const resetFilters = useCallback(() => updateFilters(DEFAULT_FILTERS), [updateFilters]);
+
+  return [filters, updateFilters, resetFilters];
+};
+
+export default useExpenseFilters;
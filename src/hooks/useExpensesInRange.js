@@ -0,0 +1,68 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useExpenseContext } from '../context/ExpenseContext.jsx';
+import { getExpenseDate } from '../utils/aggregation.js';
+
+/**
+ * Custom React Hook exposing every live expense that occurred in `[from, to)`, not just the pages the expense
+ * list has loaded. The range is read from the store with `loadExpensesInRange`, and read again whenever the
+ * range changes or an expense is written through the ExpenseProvider. The live list is laid over it, so
+ * changes reported by the subscription (new expenses, edits, moves to the trash) show at once.
+ * Until the first read finishes, and if it fails, the listed expenses in the range stand in for it.
+ *
+ * @param {object} [range] - The range to read.
+ * @param {Date | null} [range.from=null] - The first moment included, or null for no lower bound.
+ * @param {Date | null} [range.to=null] - The first moment excluded, or null for no upper bound.
+ * @param {boolean} [range.enabled=true] - False to read nothing and return only the listed expenses in the range.
+ * @returns {{expenses: Array<import('../context/ExpenseContext.jsx').Expense>, loading: boolean, error: Error | null}}
+ *   The expenses in the range (newest first), whether the store is still being read, and why the last read failed.
+ */
+export const useExpensesInRange = ({ from = null, to = null, enabled = true } = {}) => {
+  const { expenses, deletedExpenses, loadExpensesInRange, expensesRevision } = useExpenseContext();
+  const [stored, setStored] = useState(null);
+  const [error, setError] = useState(null);
+  // Compared by time, so callers can pass new Date objects on every render
+  const fromTime = from ? from.getTime() : null;
+  const toTime = to ? to.getTime() : null;
+
+  useEffect(() => {
+    setStored(null);
+    setError(null);
+    if (!enabled) {
+      return undefined;
+    }
+    let cancelled = false;
+    loadExpensesInRange({
+      from: fromTime === null ? null : new Date(fromTime),
+      to: toTime === null ? null : new Date(toTime),
+    })
+      .then((loaded) => {
+        if (!cancelled) setStored(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, fromTime, toTime, expensesRevision, loadExpensesInRange]);
+
+  const rangeExpenses = useMemo(() => {
+    const isInRange = (expense) => {
+      const time = getExpenseDate(expense).getTime();
+      return (fromTime === null || time >= fromTime) && (toTime === null || time < toTime);
+    };
+    const listed = expenses.filter(isInRange);
+    if (!stored) {
+      return listed;
+    }
+    // The listed copy is the current one; an expense listed outside the range has been moved out of it
+    const listedIds = new Set(expenses.map((expense) => expense.id));
+    const deletedIds = new Set(deletedExpenses.map((expense) => expense.id));
+    const older = stored.filter((expense) => !listedIds.has(expense.id) && !deletedIds.has(expense.id));
+    return [...listed, ...older].sort((a, b) => getExpenseDate(b) - getExpenseDate(a));
+  }, [expenses, deletedExpenses, stored, fromTime, toTime]);
+
+  return { expenses: rangeExpenses, loading: enabled && stored === null && error === null, error };
+};
+
+export default useExpensesInRange;
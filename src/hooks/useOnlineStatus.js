@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom React Hook tracking whether the browser reports a network connection.
+ * Re-renders the caller on the window `online` / `offline` events.
+ *
+ * @returns {boolean} True while the browser is online.
+ */
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
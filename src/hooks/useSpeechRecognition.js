@@ -1,76 +1,90 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { DEFAULT_LOCALE } from '../utils/commandGrammar.js';
+import { selectSpeechEngine } from '../services/speechEngine.js';
 
 /**
- * Custom React Hook to manage interaction with the browser's Web Speech API.
+ * How many alternatives the recognizer is asked for per result. The command pipeline parses each one,
+ * since the first guess is not always the one that makes sense ("for" heard as "four").
+ * @constant {number}
+ */
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Custom React Hook to manage speech recognition through a speech engine (see `src/services/speechEngine.js`):
+ * the browser's Web Speech API, or an on-device model where that is missing or preferred.
  * Provides functionality to start/stop listening, access the transcript,
  * track listening state, handle errors, and check for browser support.
+ * By default recognition stops after the first utterance. `startListening({ continuous: true })` keeps it
+ * running until `stopListening` is called, reporting each utterance as a new final transcript;
+ * `resultCount` tells repeated words apart.
+ * While the user is still speaking, `interimTranscript` holds the words recognised so far (for live captions;
+ * the on-device engine reports none); `alternatives` lists each alternative of the latest final result
+ * (up to `MAX_ALTERNATIVES`), best guess first, with the recognizer's confidence.
  *
+ * @param {object} [options] - Hook options.
+ * @param {string} [options.lang=DEFAULT_LOCALE] - BCP 47 tag of the language to recognise; applied when listening starts.
+ * @param {'auto' | 'web-speech' | 'on-device'} [options.engine='auto'] - The speech engine setting (see `selectSpeechEngine`).
  * @returns {{
  *   isListening: boolean,
  *   transcript: string,
- *   error: SpeechRecognitionError | string | null,
- *   startListening: () => void,
+ *   interimTranscript: string,
+ *   alternatives: Array<{transcript: string, confidence: number}>,
+ *   resultCount: number,
+ *   error: string | null,
+ *   startListening: (options?: {continuous?: boolean}) => void,
  *   stopListening: () => void,
- *   browserSupportsSpeechRecognition: boolean
+ *   browserSupportsSpeechRecognition: boolean,
+ *   engineName: 'web-speech' | 'on-device' | null
  * }} An object containing the state and control functions for speech recognition.
  */
-export const useSpeechRecognition = () => {
+export const useSpeechRecognition = ({ lang = DEFAULT_LOCALE, engine: enginePreference = 'auto' } = {}) => {
   // --- State ---
   const [isListening, setIsListening] = useState(false);
   const [transcript, setTranscript] = useState('');
+  const [interimTranscript, setInterimTranscript] = useState(''); // Words of the utterance still being spoken
+  const [alternatives, setAlternatives] = useState([]); // Alternatives of the latest final result
+  const [resultCount, setResultCount] = useState(0); // Increases with every final transcript
   const [error, setError] = useState(null);
 
   // --- Refs ---
-  // Ref to hold the SpeechRecognition instance
-  const recognitionRef = useRef(null);
-  // Ref to store the SpeechRecognition API constructor (handles browser prefixes)
-  const SpeechRecognition = useRef(
-    window.SpeechRecognition || window.webkitSpeechRecognition,
-  ).current;
-
-  // --- Browser Support Check ---
-  const browserSupportsSpeechRecognition = useMemo(
-    () => !!SpeechRecognition,
-    [SpeechRecognition],
-  );
+  // Ref to hold the running session of the speech engine
+  const sessionRef = useRef(null);
+
+  // --- Engine Selection / Browser Support Check ---
+  const engine = useMemo(() => selectSpeechEngine(enginePreference), [enginePreference]);
+  const browserSupportsSpeechRecognition = !!engine;
 
   // --- Event Handlers ---
   // These handlers need stable references or access to the latest state setters.
-  // Using refs for the handlers themselves ensures stability when passed to the recognition instance.
-
-  const handleResultRef = useRef((event) => {
-    console.debug('SpeechRecognition: onresult event triggered.');
-    let finalTranscript = '';
-    // Iterate through results, concatenating final results
-    for (let i = event.resultIndex; i < event.results.length; ++i) {
-      if (event.results[i].isFinal) {
-        finalTranscript += event.results[i][0].transcript;
-      }
-    }
+  // Using refs for the handlers themselves ensures stability when passed to the engine.
+
+  const handleResultRef = useRef(({ finalTranscript, interimTranscript: interim, alternatives: finalAlternatives }) => {
+    setInterimTranscript(interim);
     if (finalTranscript) {
       console.log('SpeechRecognition: Final transcript received:', finalTranscript);
       setTranscript(finalTranscript);
+      setAlternatives(finalAlternatives);
+      setResultCount((count) => count + 1);
       setError(null); // Clear error on successful result
-    } else {
-       console.debug('SpeechRecognition: Received non-final result, ignoring for MVP.');
     }
   });
 
-  const handleErrorRef = useRef((event) => {
-    console.error('SpeechRecognition: onerror event triggered:', event.error);
-    setError(event.error || 'Unknown recognition error'); // Store the error object or type string
+  const handleErrorRef = useRef((errorCode) => {
+    console.error('SpeechRecognition: Engine reported an error:', errorCode);
+    setInterimTranscript('');
+    setError(errorCode); // Store the error type string
     setIsListening(false); // Ensure listening stops on error
   });
 
   const handleEndRef = useRef(() => {
-    console.debug('SpeechRecognition: onend event triggered.');
+    console.debug('SpeechRecognition: Session ended.');
+    sessionRef.current = null;
+    setInterimTranscript(''); // Unfinished words are dropped with the session
     setIsListening(false); // Recognition service ended
-    // Note: Do not cleanup listeners here if the instance might be reused.
-    // Cleanup should happen on unmount or when explicitly stopping long-term.
   });
 
   // --- Control Functions ---
-  const startListening = useCallback(() => {
+  const startListening = useCallback(({ continuous = false } = {}) => {
     // Prevent starting if already listening
     if (isListening) {
       console.warn('SpeechRecognition: startListening called while already listening.');
@@ -78,58 +92,53 @@ export const useSpeechRecognition = () => {
     }
 
     // Check for browser support
-    if (!browserSupportsSpeechRecognition) {
-      console.error('SpeechRecognition: Browser does not support Speech Recognition API.');
+    if (!engine) {
+      console.error('SpeechRecognition: No speech engine is available in this browser.');
       setError('Browser does not support speech recognition.');
       return;
     }
 
-    console.log('SpeechRecognition: Starting listening...');
+    console.log(`SpeechRecognition: Starting listening with the ${engine.name} engine...`);
     // Reset state for a new session
     setTranscript('');
+    setInterimTranscript('');
+    setAlternatives([]);
     setError(null);
 
     try {
-      // Initialize the recognition instance if it doesn't exist
-      if (!recognitionRef.current) {
-        recognitionRef.current = new SpeechRecognition();
-        console.debug('SpeechRecognition: New instance created.');
-        // Configure the instance (only needs to be done once per instance)
-        recognitionRef.current.continuous = false; // Stop after first pause/result
-        recognitionRef.current.interimResults = false; // Only final results
-        recognitionRef.current.lang = 'en-US'; // Language setting
-      }
-
-      // Attach event listeners using the refs to ensure stable handlers
-      recognitionRef.current.onresult = handleResultRef.current;
-      recognitionRef.current.onerror = handleErrorRef.current;
-      recognitionRef.current.onend = handleEndRef.current;
-
-      // Start the recognition process
-      recognitionRef.current.start();
+      // Stop after the first pause/result, or keep listening for a dictation session
+      sessionRef.current = engine.start(
+        { lang, continuous, maxAlternatives: MAX_ALTERNATIVES },
+        {
+          onResult: (result) => handleResultRef.current(result),
+          onError: (errorCode) => handleErrorRef.current(errorCode),
+          onEnd: () => handleEndRef.current(),
+        },
+      );
       setIsListening(true); // Update listening state
 
     } catch (err) {
       // Catch potential synchronous errors during start (less common)
-      console.error('SpeechRecognition: Error starting recognition instance:', err);
+      console.error('SpeechRecognition: Error starting the speech engine:', err);
+      sessionRef.current = null;
       setError(err.message || 'Failed to start listening.');
       setIsListening(false); // Ensure state reflects failure
     }
-  }, [isListening, browserSupportsSpeechRecognition, SpeechRecognition]); // Dependencies ensure stability
+  }, [isListening, engine, lang]); // Dependencies ensure stability
 
   const stopListening = useCallback(() => {
-    // Prevent stopping if not listening or instance doesn't exist
-    if (!isListening || !recognitionRef.current) {
-       console.warn('SpeechRecognition: stopListening called when not listening or instance unavailable.');
+    // Prevent stopping if not listening or no session exists
+    if (!isListening || !sessionRef.current) {
+       console.warn('SpeechRecognition: stopListening called when not listening or session unavailable.');
       return;
     }
 
     console.log('SpeechRecognition: Stopping listening...');
     try {
-      recognitionRef.current.stop(); // Request stop
-      // setIsListening(false); // Let onend handle the final state change naturally
+      sessionRef.current.stop(); // Request stop
+      // setIsListening(false); // Let onEnd handle the final state change naturally
     } catch(err) {
-       console.error('SpeechRecognition: Error stopping recognition instance:', err);
+       console.error('SpeechRecognition: Error stopping the speech engine:', err);
        // Force state update if stop fails synchronously
        setIsListening(false);
     }
@@ -139,17 +148,10 @@ export const useSpeechRecognition = () => {
   useEffect(() => {
     // Return a cleanup function to run on component unmount
     return () => {
-      if (recognitionRef.current) {
-        console.debug('SpeechRecognition: Cleaning up instance on unmount...');
-        // Stop recognition if it's active
-        recognitionRef.current.abort(); // Abort is more forceful than stop
-        // Remove listeners to prevent memory leaks if the instance were somehow persisted
-        recognitionRef.current.onresult = null;
-        recognitionRef.current.onerror = null;
-        recognitionRef.current.onend = null;
-        // Nullify the ref to allow garbage collection
-        recognitionRef.current = null;
-         console.debug('SpeechRecognition: Instance aborted and listeners removed.');
+      if (sessionRef.current) {
+        console.debug('SpeechRecognition: Aborting session on unmount...');
+        sessionRef.current.abort(); // Abort is more forceful than stop, and calls no further handlers
+        sessionRef.current = null;
       }
     };
   }, []); // Empty dependency array ensures this runs only on mount and unmount
@@ -158,11 +160,15 @@ export const useSpeechRecognition = () => {
   return {
     isListening,
     transcript,
+    interimTranscript,
+    alternatives,
+    resultCount,
     error,
     startListening,
     stopListening,
     browserSupportsSpeechRecognition,
+    engineName: engine ? engine.name : null,
   };
 };
 
-export default useSpeechRecognition;
\ No newline at end of file
+export default useSpeechRecognition;
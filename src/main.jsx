@@ -2,6 +2,10 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
 import { ExpenseProvider } from './context/ExpenseContext.jsx';
+import { SettingsProvider } from './context/SettingsContext.jsx';
+import { AuthProvider } from './context/AuthContext.jsx';
+import { BudgetProvider } from './context/BudgetContext.jsx';
+import { RecurringProvider } from './context/RecurringContext.jsx';
 import './index.css';
 
 // Verify that the target HTML element exists in the DOM.
@@ -16,11 +20,23 @@ const root = ReactDOM.createRoot(rootElement);
 
 // Render the application within the root.
 // StrictMode enables extra checks and warnings for potential problems in the application during development.
+// AuthProvider supplies the signed-in user; expenses and settings are stored per user.
+// SettingsProvider supplies that user's preferences (e.g. default currency) to everything below it.
 // ExpenseProvider wraps the application to provide global state management for expenses.
+// BudgetProvider measures those expenses against the user's budgets.
+// RecurringProvider keeps recurring templates (rent, subscriptions) and adds their missing occurrences.
 root.render(
   <React.StrictMode>
-    <ExpenseProvider>
-      <App />
-    </ExpenseProvider>
+    <AuthProvider>
+      <SettingsProvider>
+        <ExpenseProvider>
+          <BudgetProvider>
+            <RecurringProvider>
+              <App />
+            </RecurringProvider>
+          </BudgetProvider>
+        </ExpenseProvider>
+      </SettingsProvider>
+    </AuthProvider>
   </React.StrictMode>
 );
\ No newline at end of file
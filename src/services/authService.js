@@ -0,0 +1,218 @@
+// src/services/authService.js
+
+import { auth, storageBackend } from './firebase.js'; // Import the configured Auth instance
+import {
+  onAuthStateChanged, // Function to listen for sign-in/sign-out
+  signInWithEmailAndPassword, // Function to sign in an existing account
+  createUserWithEmailAndPassword, // Function to create a new account
+  signInAnonymously as firebaseSignInAnonymously, // Function to start a guest session
+  linkWithCredential, // Function to upgrade an anonymous user to a permanent account
+  EmailAuthProvider, // Builds email/password credentials for linking
+  signOut as firebaseSignOut, // Function to sign out
+} from 'firebase/auth'; // Firebase v10.11.1
+
+/**
+ * @typedef {object} AuthUser
+ * @property {string} uid - The Firebase user id; expenses are stored under `users/{uid}/expenses`.
+ * @property {string | null} email - The account email (null for anonymous users).
+ * @property {boolean} isAnonymous - True for guest sessions that have not been upgraded yet.
+ * @property {boolean} [isLocal] - True for the built-in user of the local storage backend (no account at all).
+ */
+
+/**
+ * The single user of the local storage backend: without Firebase there are no accounts, and every
+ * expense stored in this browser belongs to this uid.
+ * @constant {AuthUser}
+ */
+const LOCAL_USER = Object.freeze({ uid: 'local', email: null, isAnonymous: false, isLocal: true });
+
+/**
+ * User-facing messages for the Firebase Auth error codes users can actually cause.
+ * @constant {Object<string, string>}
+ */
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-password': 'Please enter a password.',
+  'auth/weak-password': 'The password must be at least 6 characters.',
+  'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/credential-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/wrong-password': 'Incorrect email or password.',
+  'auth/user-not-found': 'Incorrect email or password.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'auth/network-request-failed': 'Network error. Please check your connection.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the Firebase project.',
+};
+
+/**
+ * Converts a Firebase user into the plain user object used by the app.
+ *
+ * @param {import('firebase/auth').User | null} firebaseUser - The Firebase user.
+ * @returns {AuthUser | null} The user, or null when signed out.
+ */
+const toAuthUser = (firebaseUser) =>
+  firebaseUser
+    ? { uid: firebaseUser.uid, email: firebaseUser.email, isAnonymous: firebaseUser.isAnonymous }
+    : null;
+
+/**
+ * Logs a failed Auth operation and builds the Error thrown to the caller.
+ *
+ * @param {string} functionName - The failing service function, used in log messages.
+ * @param {Error & {code?: string}} error - The Firebase error.
+ * @param {string} fallbackMessage - Message used for unexpected error codes.
+ * @returns {Error} An Error carrying a user-facing message.
+ */
+const toAuthError = (functionName, error, fallbackMessage) => {
+  console.error(`AuthService Error (${functionName}): Firebase Auth operation failed:`, error);
+  return new Error(AUTH_ERROR_MESSAGES[error?.code] || fallbackMessage);
+};
+
+/**
+ * Validates email/password input before it is sent to Firebase.
+ *
+ * @param {any} email - The email address.
+ * @param {any} password - The password.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if both are non-empty strings.
+ */
+const isValidCredentialInput = (email, password, functionName) => {
+  if (typeof email !== 'string' || email.trim() === '' || typeof password !== 'string' || password === '') {
+    console.error(`AuthService Error (${functionName}): Invalid input: email and password must be non-empty strings.`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Subscribes to authentication state changes (sign-in, sign-out, anonymous upgrade).
+ *
+ * @function getAuthSubscription
+ * @param {function(AuthUser | null): void} onUpdate - Callback invoked with the current user (null when signed out).
+ *   It is called once immediately with the restored session.
+ *   With the local storage backend it is called once with the built-in local user.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if Auth is unavailable or the callback is invalid.
+ */
+export function getAuthSubscription(onUpdate) {
+  if (storageBackend === 'local' && typeof onUpdate === 'function') {
+    onUpdate(LOCAL_USER); // Nothing to sign in to; the local user never changes
+    return () => {};
+  }
+  if (!auth) {
+    console.error(
+      'AuthService Error (getAuthSubscription): Firebase Auth is not available. Check Firebase configuration and initialization.',
+    );
+    return null;
+  }
+  if (typeof onUpdate !== 'function') {
+    console.error('AuthService Error (getAuthSubscription): Invalid input: onUpdate must be a function.');
+    return null;
+  }
+  return onAuthStateChanged(auth, (firebaseUser) => onUpdate(toAuthUser(firebaseUser)));
+}
+
+/**
+ * Signs in with an existing email/password account.
+ *
+ * @async
+ * @function signInWithEmail
+ * @param {string} email - The account email.
+ * @param {string} password - The account password.
+ * @returns {Promise<AuthUser | null>} The signed-in user, or null if Auth is unavailable or the input is invalid.
+ * @throws {Error} With a user-facing message if Firebase rejects the sign-in.
+ */
+export async function signInWithEmail(email, password) {
+  if (!auth) {
+    console.error('AuthService Error (signInWithEmail): Firebase Auth is not available.');
+    return null;
+  }
+  if (!isValidCredentialInput(email, password, 'signInWithEmail')) {
+    return null;
+  }
+  try {
+    const credential = await signInWithEmailAndPassword(auth, email.trim(), password);
+    console.info('AuthService: Signed in with email.');
+    return toAuthUser(credential.user);
+  } catch (error) {
+    throw toAuthError('signInWithEmail', error, 'Failed to sign in. Please try again.');
+  }
+}
+
+/**
+ * Creates an email/password account. When the current user is anonymous, the guest account is
+ * upgraded in place (same uid), so expenses recorded as a guest are kept.
+ *
+ * @async
+ * @function signUpWithEmail
+ * @param {string} email - The new account email.
+ * @param {string} password - The new account password.
+ * @returns {Promise<AuthUser | null>} The signed-in user, or null if Auth is unavailable or the input is invalid.
+ * @throws {Error} With a user-facing message if Firebase rejects the sign-up.
+ */
+export async function signUpWithEmail(email, password) {
+  if (!auth) {
+    console.error('AuthService Error (signUpWithEmail): Firebase Auth is not available.');
+    return null;
+  }
+  if (!isValidCredentialInput(email, password, 'signUpWithEmail')) {
+    return null;
+  }
+  try {
+    if (auth.currentUser?.isAnonymous) {
+      const emailCredential = EmailAuthProvider.credential(email.trim(), password);
+      const credential = await linkWithCredential(auth.currentUser, emailCredential);
+      console.info('AuthService: Upgraded anonymous user to an email account.');
+      return toAuthUser(credential.user);
+    }
+    const credential = await createUserWithEmailAndPassword(auth, email.trim(), password);
+    console.info('AuthService: Created email account.');
+    return toAuthUser(credential.user);
+  } catch (error) {
+    throw toAuthError('signUpWithEmail', error, 'Failed to create the account. Please try again.');
+  }
+}
+
+/**
+ * Starts an anonymous (guest) session. The guest can later keep their data by creating an
+ * account with `signUpWithEmail`.
+ *
+ * @async
+ * @function signInAsGuest
+ * @returns {Promise<AuthUser | null>} The anonymous user, or null if Auth is unavailable.
+ * @throws {Error} With a user-facing message if Firebase rejects the sign-in.
+ */
+export async function signInAsGuest() {
+  if (!auth) {
+    console.error('AuthService Error (signInAsGuest): Firebase Auth is not available.');
+    return null;
+  }
+  try {
+    const credential = await firebaseSignInAnonymously(auth);
+    console.info('AuthService: Signed in anonymously.');
+    return toAuthUser(credential.user);
+  } catch (error) {
+    throw toAuthError('signInAsGuest', error, 'Failed to start a guest session. Please try again.');
+  }
+}
+
+/**
+ * Signs the current user out.
+ *
+ * @async
+ * @function signOut
+ * @returns {Promise<boolean>} True on success, false if Auth is unavailable.
+ * @throws {Error} If Firebase fails to sign out.
+ */
+export async function signOut() {
+  if (!auth) {
+    console.error('AuthService Error (signOut): Firebase Auth is not available.');
+    return false;
+  }
+  try {
+    await firebaseSignOut(auth);
+    console.info('AuthService: Signed out.');
+    return true;
+  } catch (error) {
+    throw toAuthError('signOut', error, 'Failed to sign out. Please try again.');
+  }
+}
@@ -0,0 +1,73 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterEach, afterAll, vi } from 'vitest';
+import { runsOnEmulators, useEmulatorFirebaseConfig } from './emulatorTestEnv.js';
+
+/**
+ * A fresh email address, so runs against a long-lived emulator never collide.
+ *
+ * @param {string} name - The local part prefix.
+ * @returns {string} The address.
+ */
+const newEmail = (name) => `${name}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+
+describe.skipIf(!runsOnEmulators)('authService on the Auth emulator', () => {
+  let authService;
+
+  beforeAll(async () => {
+    useEmulatorFirebaseConfig();
+    authService = await import('./authService.js');
+  });
+
+  afterEach(async () => {
+    await authService.signOut();
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('creates an email account and signs back in with it', async () => {
+    const email = newEmail('alice');
+
+    const created = await authService.signUpWithEmail(email, 'secret-password');
+    expect(created).toMatchObject({ email, isAnonymous: false });
+
+    await authService.signOut();
+    const signedIn = await authService.signInWithEmail(email, 'secret-password');
+    expect(signedIn.uid).toBe(created.uid);
+  });
+
+  it('keeps the guest uid when a guest creates an account', async () => {
+    const guest = await authService.signInAsGuest();
+    expect(guest.isAnonymous).toBe(true);
+
+    const upgraded = await authService.signUpWithEmail(newEmail('guest'), 'secret-password');
+
+    expect(upgraded.uid).toBe(guest.uid);
+    expect(upgraded.isAnonymous).toBe(false);
+  });
+
+  it('reports sign-in failures with a user-facing message', async () => {
+    const email = newEmail('bob');
+    await authService.signUpWithEmail(email, 'secret-password');
+    await authService.signOut();
+
+    await expect(authService.signInWithEmail(email, 'wrong-password')).rejects.toThrow(
+      'Incorrect email or password.',
+    );
+    await expect(authService.signUpWithEmail(email, 'secret-password')).rejects.toThrow(
+      'An account with this email already exists. Sign in instead.',
+    );
+  });
+
+  it('reports the signed-in user to subscribers', async () => {
+    const users = [];
+    const unsubscribe = authService.getAuthSubscription((user) => users.push(user));
+
+    const guest = await authService.signInAsGuest();
+    await vi.waitFor(() => expect(users.at(-1)?.uid).toBe(guest.uid));
+    await authService.signOut();
+    await vi.waitFor(() => expect(users.at(-1)).toBeNull());
+    unsubscribe();
+  });
+});
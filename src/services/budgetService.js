@@ -0,0 +1,248 @@
+// src/services/budgetService.js
+
+import { db, storageBackend } from './firebase.js'; // Import the configured Firestore instance
+import { isValidCurrencyCode } from '../utils/currency.js';
+import { isKnownCategory } from '../utils/categories.js';
+import { BUDGET_PERIODS } from '../utils/budgets.js';
+import {
+  collection, // Function to get a collection reference
+  doc, // Function to get a document reference (or reserve a new document ID)
+  setDoc, // Function to write a document under a known ID
+  deleteDoc, // Function to delete a document
+  onSnapshot, // Function to listen for real-time updates
+} from 'firebase/firestore'; // Firebase v10.11.1
+
+/**
+ * The name of the top-level Firestore collection holding one document per user.
+ * @constant {string}
+ */
+const USERS_COLLECTION_NAME = 'users';
+
+/**
+ * The name of the per-user subcollection where budgets are stored (`users/{uid}/budgets`), next to `expenses`.
+ * @constant {string}
+ */
+const BUDGETS_COLLECTION_NAME = 'budgets';
+
+/**
+ * The localStorage key prefix for budgets in local mode (the uid is appended).
+ * @constant {string}
+ */
+const LOCAL_STORAGE_KEY_PREFIX = 'voiceExpenseTracker.budgets.';
+
+/**
+ * Listeners registered through `getBudgetsSubscription` in local mode, notified after every change.
+ * @type {Set<{uid: string, onUpdate: function(import('../utils/budgets.js').Budget[]): void}>}
+ */
+const localListeners = new Set();
+
+/**
+ * Validates and normalises a budget before it is stored.
+ *
+ * @param {object} budget - The raw budget fields (see `Budget` in utils/budgets.js; `id` optional).
+ * @returns {Omit<import('../utils/budgets.js').Budget, 'id'> | null} The validated fields (trimmed name, lower-case
+ *   keywords without blanks), or null if any field is invalid.
+ */
+export function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    console.error('BudgetService Error (validateBudget): Invalid input: budget must be an object.', budget);
+    return null;
+  }
+  const name = typeof budget.name === 'string' ? budget.name.trim() : '';
+  const keywords = Array.isArray(budget.keywords)
+    ? [...new Set(budget.keywords.filter((keyword) => typeof keyword === 'string').map((keyword) => keyword.trim().toLowerCase()))].filter(Boolean)
+    : [];
+  const category = budget.category ?? null;
+
+  if (name === '') {
+    console.error('BudgetService Error (validateBudget): Invalid input: Name must be a non-empty string.', budget.name);
+    return null;
+  }
+  if (typeof budget.limit !== 'number' || budget.limit <= 0 || !Number.isFinite(budget.limit)) {
+    console.error('BudgetService Error (validateBudget): Invalid input: Limit must be a positive finite number.', budget.limit);
+    return null;
+  }
+  if (!isValidCurrencyCode(budget.currency)) {
+    console.error('BudgetService Error (validateBudget): Invalid input: Currency must be an ISO 4217 code.', budget.currency);
+    return null;
+  }
+  if (!BUDGET_PERIODS.includes(budget.period)) {
+    console.error(`BudgetService Error (validateBudget): Invalid input: Period must be one of ${BUDGET_PERIODS.join(', ')}.`, budget.period);
+    return null;
+  }
+  if (category !== null && !isKnownCategory(category)) {
+    console.error('BudgetService Error (validateBudget): Invalid input: Category must be a known category id.', category);
+    return null;
+  }
+  if (category === null && keywords.length === 0) {
+    console.error('BudgetService Error (validateBudget): Invalid input: A budget needs a category or at least one keyword.');
+    return null;
+  }
+  return { name, limit: budget.limit, currency: budget.currency, period: budget.period, category, keywords };
+}
+
+/**
+ * Reads the budgets of a user in local mode, skipping malformed entries.
+ *
+ * @param {string} uid - The user id.
+ * @returns {import('../utils/budgets.js').Budget[]} The stored budgets (empty on error).
+ */
+function readLocalBudgets(uid) {
+  try {
+    const stored = window.localStorage.getItem(LOCAL_STORAGE_KEY_PREFIX + uid);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.filter((budget) => budget && typeof budget.id === 'string' && validateBudget(budget)) : [];
+  } catch (error) {
+    console.error('BudgetService Error (readLocalBudgets): Failed to read budgets from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes the budgets of a user in local mode and notifies that user's subscribers.
+ *
+ * @param {string} uid - The user id.
+ * @param {import('../utils/budgets.js').Budget[]} budgets - The full list to store.
+ * @throws {Error} If localStorage rejects the write (e.g. quota exceeded).
+ */
+function writeLocalBudgets(uid, budgets) {
+  window.localStorage.setItem(LOCAL_STORAGE_KEY_PREFIX + uid, JSON.stringify(budgets));
+  localListeners.forEach((listener) => {
+    if (listener.uid === uid) listener.onUpdate(budgets);
+  });
+}
+
+/**
+ * Checks the backend and uid shared by every budget operation.
+ *
+ * @param {any} uid - The user id.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if the operation can go ahead.
+ */
+const canUseBudgets = (uid, functionName) => {
+  if (storageBackend === 'firestore' && !db) {
+    console.error(`BudgetService Error (${functionName}): Firestore database is not available. Check Firebase configuration and initialization.`);
+    return false;
+  }
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.error(`BudgetService Error (${functionName}): Invalid input: uid must be a non-empty string (is a user signed in?).`, uid);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Creates a budget, or replaces the budget with the same `id`.
+ *
+ * @async
+ * @function saveBudget
+ * @param {string} uid - The user id owning the budget.
+ * @param {object} budget - The budget fields (see `validateBudget`); include `id` to replace an existing budget.
+ * @returns {Promise<string | null>} The budget id, or null if storage is unavailable or validation fails.
+ * @throws {Error} If the budget could not be stored.
+ */
+export async function saveBudget(uid, budget) {
+  if (!canUseBudgets(uid, 'saveBudget')) {
+    return null;
+  }
+  const fields = validateBudget(budget);
+  if (!fields) {
+    return null;
+  }
+
+  try {
+    if (storageBackend === 'firestore') {
+      const budgetsCollection = collection(db, USERS_COLLECTION_NAME, uid, BUDGETS_COLLECTION_NAME);
+      const docRef = budget.id ? doc(budgetsCollection, budget.id) : doc(budgetsCollection);
+      // Not awaited past the local write: offline, Firestore applies it to the cache immediately
+      setDoc(docRef, fields).catch((error) => console.error('BudgetService Error (saveBudget): Pending write failed:', error));
+      console.info(`BudgetService: Budget ${docRef.id} saved.`);
+      return docRef.id;
+    }
+    const id = budget.id || `budget-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const budgets = readLocalBudgets(uid).filter((existing) => existing.id !== id);
+    writeLocalBudgets(uid, [...budgets, { id, ...fields }]);
+    console.info(`BudgetService: Budget ${id} saved locally.`);
+    return id;
+  } catch (error) {
+    console.error('BudgetService Error (saveBudget): Failed to save budget:', error);
+    throw new Error('Failed to save budget.');
+  }
+}
+
+/**
+ * Deletes a budget. Expenses are not affected.
+ *
+ * @async
+ * @function deleteBudget
+ * @param {string} uid - The user id owning the budget.
+ * @param {string} id - The budget id.
+ * @returns {Promise<string | null>} The deleted budget id, or null if storage is unavailable or the id is invalid.
+ * @throws {Error} If the budget could not be deleted.
+ */
+export async function deleteBudget(uid, id) {
+  if (!canUseBudgets(uid, 'deleteBudget')) {
+    return null;
+  }
+  if (typeof id !== 'string' || id.trim() === '') {
+    console.error('BudgetService Error (deleteBudget): Invalid input: id must be a non-empty string.', id);
+    return null;
+  }
+
+  try {
+    if (storageBackend === 'firestore') {
+      deleteDoc(doc(db, USERS_COLLECTION_NAME, uid, BUDGETS_COLLECTION_NAME, id)).catch((error) =>
+        console.error('BudgetService Error (deleteBudget): Pending delete failed:', error),
+      );
+    } else {
+      writeLocalBudgets(uid, readLocalBudgets(uid).filter((budget) => budget.id !== id));
+    }
+    console.info(`BudgetService: Budget ${id} deleted.`);
+    return id;
+  } catch (error) {
+    console.error('BudgetService Error (deleteBudget): Failed to delete budget:', error);
+    throw new Error('Failed to delete budget.');
+  }
+}
+
+/**
+ * Subscribes to a user's budgets, sorted by name. The callback is invoked with the current budgets
+ * and again after every change.
+ *
+ * @function getBudgetsSubscription
+ * @param {string} uid - The user id whose budgets are listened to.
+ * @param {function(import('../utils/budgets.js').Budget[]): void} onUpdate - Callback invoked with the budgets.
+ * @param {function(Error): void} onErrorCallback - Callback invoked if the subscription fails.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the subscription could not be set up.
+ */
+export function getBudgetsSubscription(uid, onUpdate, onErrorCallback) {
+  if (!canUseBudgets(uid, 'getBudgetsSubscription')) {
+    return null;
+  }
+  if (typeof onUpdate !== 'function' || typeof onErrorCallback !== 'function') {
+    console.error('BudgetService Error (getBudgetsSubscription): Invalid input: onUpdate and onErrorCallback must be functions.');
+    return null;
+  }
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  if (storageBackend === 'firestore') {
+    return onSnapshot(
+      collection(db, USERS_COLLECTION_NAME, uid, BUDGETS_COLLECTION_NAME),
+      (querySnapshot) => {
+        const budgets = querySnapshot.docs
+          .map((budgetDoc) => ({ id: budgetDoc.id, ...budgetDoc.data() }))
+          .filter((budget) => validateBudget(budget)); // Skip documents edited into an invalid shape
+        onUpdate(budgets.sort(byName));
+      },
+      (error) => {
+        console.error('BudgetService Error (getBudgetsSubscription): Error listening to Firestore changes:', error);
+        onErrorCallback(new Error('Failed to subscribe to budget updates.'));
+      },
+    );
+  }
+
+  const listener = { uid, onUpdate: (budgets) => onUpdate([...budgets].sort(byName)) };
+  localListeners.add(listener);
+  listener.onUpdate(readLocalBudgets(uid));
+  return () => localListeners.delete(listener);
+}
@@ -0,0 +1,34 @@
+import { vi } from 'vitest';
+
+/**
+ * Helpers for the tests that run against the Firebase Auth and Firestore emulators (`npm run test:emulators`).
+ * Outside the emulators those tests are skipped, so `npm test` needs no Firebase project or CLI.
+ * Imported by tests only.
+ */
+
+/**
+ * The project the emulators run as. `demo-` projects need no credentials and can never reach a real project.
+ * @constant {string}
+ */
+export const EMULATOR_PROJECT_ID = 'demo-voice-expense-tracker';
+
+/**
+ * Whether both emulators are running; `firebase emulators:exec` sets their hosts in the environment.
+ * @constant {boolean}
+ */
+export const runsOnEmulators = Boolean(process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST);
+
+/**
+ * Points `firebase.js` at the emulators. Call it before the first (dynamic) import of a module using Firebase.
+ * Firestore persistence is unavailable outside the browser, so the SDK keeps its in-memory cache.
+ */
+export function useEmulatorFirebaseConfig() {
+  vi.stubEnv('VITE_FIREBASE_API_KEY', 'demo-api-key');
+  vi.stubEnv('VITE_FIREBASE_AUTH_DOMAIN', `${EMULATOR_PROJECT_ID}.firebaseapp.com`);
+  vi.stubEnv('VITE_FIREBASE_PROJECT_ID', EMULATOR_PROJECT_ID);
+  vi.stubEnv('VITE_FIREBASE_STORAGE_BUCKET', `${EMULATOR_PROJECT_ID}.appspot.com`);
+  vi.stubEnv('VITE_FIREBASE_MESSAGING_SENDER_ID', '000000000000');
+  vi.stubEnv('VITE_FIREBASE_APP_ID', '1:000000000000:web:0000000000000000');
+  vi.stubEnv('VITE_FIREBASE_USE_EMULATORS', 'true');
+  vi.stubEnv('VITE_STORAGE_BACKEND', '');
+}
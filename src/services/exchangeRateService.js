@@ -0,0 +1,129 @@
+// src/services/exchangeRateService.js
+
+import { normalizeRate, parseRateTable } from '../utils/currencyConversion.js';
+
+/**
+ * The localStorage key under which the exchange-rate table is persisted.
+ * @constant {string}
+ */
+const RATES_STORAGE_KEY = 'voiceExpenseTracker.exchangeRates';
+
+/**
+ * Listeners registered through `getRatesSubscription`, notified after every change.
+ * @type {Set<function(import('../utils/currencyConversion.js').ExchangeRate[]): void>}
+ */
+const listeners = new Set();
+
+/**
+ * Reads the stored rate table, skipping any entries that no longer validate.
+ *
+ * @returns {import('../utils/currencyConversion.js').ExchangeRate[]} The stored rates (empty on error).
+ */
+function readRates() {
+  try {
+    const stored = window.localStorage.getItem(RATES_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed)
+      ? parsed.map(normalizeRate).filter((entry) => typeof entry !== 'string')
+      : [];
+  } catch (error) {
+    console.error('ExchangeRateService Error (readRates): Failed to read rates from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes the rate table and notifies subscribers.
+ *
+ * @param {import('../utils/currencyConversion.js').ExchangeRate[]} rates - The full table to store.
+ * @returns {boolean} True if the table was persisted.
+ */
+function writeRates(rates) {
+  try {
+    window.localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify(rates));
+  } catch (error) {
+    console.error('ExchangeRateService Error (writeRates): Failed to write rates to localStorage:', error);
+    return false;
+  }
+  listeners.forEach((listener) => listener(rates));
+  return true;
+}
+
+/**
+ * Merges new rates into the stored table. An entry for the same date and currency pair replaces the old one.
+ *
+ * @param {import('../utils/currencyConversion.js').ExchangeRate[]} incoming - Validated rates to merge.
+ * @returns {boolean} True if the merged table was persisted.
+ */
+function mergeRates(incoming) {
+  const keyOf = (entry) => `${entry.date}|${entry.base}|${entry.quote}`;
+  const merged = new Map(readRates().map((entry) => [keyOf(entry), entry]));
+  incoming.forEach((entry) => merged.set(keyOf(entry), entry));
+  const sorted = [...merged.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return writeRates(sorted);
+}
+
+/**
+ * Imports an exchange-rate table from JSON or CSV text (see `parseRateTable` for the accepted layouts).
+ * Valid entries are stored even if some rows are rejected.
+ *
+ * @function importRates
+ * @param {string} text - The file contents.
+ * @returns {{imported: number, errors: string[]}} How many rates were stored and why any rows were rejected.
+ */
+export function importRates(text) {
+  const { rates, errors } = parseRateTable(text);
+  if (rates.length === 0) {
+    console.warn('ExchangeRateService: No valid rates found to import.', errors);
+    return { imported: 0, errors };
+  }
+  if (!mergeRates(rates)) {
+    return { imported: 0, errors: [...errors, 'Failed to save the rate table.'] };
+  }
+  console.info(`ExchangeRateService: Imported ${rates.length} exchange rates.`);
+  return { imported: rates.length, errors };
+}
+
+/**
+ * Adds (or replaces) a single hand-entered rate.
+ *
+ * @function addRate
+ * @param {{date: string, base: string, quote: string, rate: number | string}} entry - The rate to add.
+ * @returns {string | null} An error message if the entry is invalid or could not be saved, otherwise null.
+ */
+export function addRate(entry) {
+  const result = normalizeRate(entry);
+  if (typeof result === 'string') {
+    console.error('ExchangeRateService Error (addRate): Invalid input:', result);
+    return result;
+  }
+  return mergeRates([result]) ? null : 'Failed to save the rate.';
+}
+
+/**
+ * Removes every stored rate.
+ *
+ * @function clearRates
+ * @returns {boolean} True if the table was cleared.
+ */
+export function clearRates() {
+  return writeRates([]);
+}
+
+/**
+ * Subscribes to the stored rate table. The callback is invoked immediately with the current table
+ * and again after every import, addition or clear.
+ *
+ * @function getRatesSubscription
+ * @param {function(import('../utils/currencyConversion.js').ExchangeRate[]): void} onUpdate - Called with the full table.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the callback is invalid.
+ */
+export function getRatesSubscription(onUpdate) {
+  if (typeof onUpdate !== 'function') {
+    console.error('ExchangeRateService Error (getRatesSubscription): Invalid input: onUpdate must be a function.');
+    return null;
+  }
+  listeners.add(onUpdate);
+  onUpdate(readRates());
+  return () => listeners.delete(onUpdate);
+}
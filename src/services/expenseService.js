@@ -1,173 +1,795 @@
 // src/services/expenseService.js
 
-import { db } from './firebase.js'; // Import the configured Firestore instance
-import {
-  collection, // Function to get a collection reference
-  addDoc, // Function to add a new document
-  query, // Function to create a query
-  orderBy, // Function to specify ordering
-  onSnapshot, // Function to listen for real-time updates
-  serverTimestamp, // Function to get a server-generated timestamp
-} from 'firebase/firestore'; // Firebase v10.11.1
+import { storageBackend } from './firebase.js'; // Which backend this build stores expenses in
+import firestoreExpenseStore from './firestoreExpenseStore.js';
+import localExpenseStore from './localExpenseStore.js';
+import { DEFAULT_CURRENCY, isValidCurrencyCode } from '../utils/currency.js';
 
 /**
- * The name of the Firestore collection where expenses are stored.
- * @constant {string}
+ * @typedef {object} StoredExpense
+ * @property {string} id - The expense id.
+ * @property {string} description - The expense description.
+ * @property {number} amount - The expense amount.
+ * @property {string} currency - ISO 4217 code of the amount.
+ * @property {string | null} category - The category id.
+ * @property {Date | null} timestamp - When the expense was created.
+ * @property {Date | null} occurredAt - When the expense happened (falls back to `timestamp`).
+ * @property {Date | null} deletedAt - When the expense was moved to the trash.
+ * @property {boolean} isDeleted - True while the expense is in the trash.
+ * @property {boolean} pendingSync - True while local changes have not reached the server yet.
+ * @property {{templateId: string, occurrence: string} | null} recurrence - For expenses generated from a recurring
+ *   template: the template id and the "YYYY-MM-DD" occurrence; null for everything else.
  */
-const EXPENSES_COLLECTION_NAME = 'expenses';
 
 /**
- * Adds a new expense document to the Firestore database.
+ * The storage adapter interface implemented by `firestoreExpenseStore` and `localExpenseStore`.
+ * Inputs are already validated by this service; every method rejects with the backend's error on failure.
  *
- * @async
- * @function addExpense
- * @param {object} expenseData - The expense data to add.
- * @param {string} expenseData.description - A non-empty description of the expense.
- * @param {number} expenseData.amount - A positive number representing the expense amount.
- * @returns {Promise<import('firebase/firestore').DocumentReference | null>} A Promise that resolves with the DocumentReference of the newly added expense on success,
- *   or resolves with `null` if the database is unavailable or input validation fails.
- *   The Promise rejects with an Error if the Firestore operation fails.
- * @throws {Error} If the Firestore `addDoc` operation fails.
- */
-export async function addExpense(expenseData) {
-  // 1. Check if Firestore database instance is available
-  if (!db) {
+ * @typedef {object} ExpenseStore
+ * @property {'firestore' | 'local'} name - The backend name.
+ * @property {function(): boolean} isAvailable - Whether the backend can be used.
+ * @property {function(string, {description: string, amount: number, currency: string, category: string | null, date: Date | null,
+ *   recurrence: {templateId: string, occurrence: string} | null}): Promise<string>} add
+ *   Adds an expense for a uid and resolves with its new id.
+ * @property {function(string, object[]): Promise<string[]>} addMany - Adds several expenses (fields as for `add`) in as few
+ *   writes as the backend allows and resolves with their new ids, in order.
+ * @property {function(string, string, object): Promise<boolean>} addIfAbsent - Adds an expense (fields as for `add`) under a
+ *   given id unless one with that id already exists, live or trashed; resolves with whether it was written.
+ * @property {function(string, string, object): Promise<void>} update - Changes fields of an expense (`date` is stored as `occurredAt`).
+ * @property {function(string, string, boolean): Promise<void>} setDeleted - Moves an expense to the trash (true) or restores it (false).
+ * @property {function(string, string): Promise<void>} purge - Permanently deletes an expense.
+ * @property {function(string, number, function(StoredExpense[], {cursor: *, hasMore: boolean}): void, function(Error): void): function(): void} subscribeNewest
+ *   Reports the `pageSize` expenses that occurred most recently (live and trashed, ordered by `occurredAt` and then id,
+ *   newest first) now and after every change, with the cursor continuing after them and whether older ones may exist;
+ *   returns an unsubscribe function.
+ * @property {function(string, *, number): Promise<{expenses: StoredExpense[], cursor: *, hasMore: boolean}>} loadPage
+ *   Reads once the `pageSize` expenses that come after a cursor in the same order.
+ * @property {function(string, Date | null, Date | null): Promise<StoredExpense[]>} loadRange - Reads once every expense (live
+ *   and trashed, unsorted) that occurred from the first date up to, not including, the second; a null bound is open.
+ * @property {function(string, function(StoredExpense[]): void, function(Error): void): function(): void} subscribeDeleted
+ *   Reports the trashed expenses (unsorted) now and after every change; returns an unsubscribe function.
+ * @property {function(string): Promise<number>} flushQueue - Writes expenses queued while offline, leaving any the server
+ *   already has as they are, and resolves with how many left the queue.
+ */
+
+/**
+ * The store used for every expense operation, chosen once from the configured backend.
+ * @type {ExpenseStore}
+ */
+const store = storageBackend === 'firestore' ? firestoreExpenseStore : localExpenseStore;
+
+/**
+ * Checks that the selected store can be used, logging an error if not.
+ *
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if the store is available.
+ */
+const isStoreAvailable = (functionName) => {
+  if (!store.isAvailable()) {
     console.error(
-      'ExpenseService Error (addExpense): Firestore database is not available. Check Firebase configuration and initialization.',
+      `ExpenseService Error (${functionName}): The ${store.name} expense store is not available. Check the storage configuration.`,
     );
-    return null; // Indicate failure due to unavailable DB
+    return false;
   }
+  return true;
+};
 
-  // 2. Input Validation
+/**
+ * Checks that a user id was supplied; every expense operation is scoped to one user.
+ *
+ * @param {any} uid - The Firebase Auth user id.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if the uid is a non-empty string.
+ */
+const isValidUid = (uid, functionName) => {
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.error(`ExpenseService Error (${functionName}): Invalid input: uid must be a non-empty string (is a user signed in?).`, uid);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Checks that an expense id was supplied.
+ *
+ * @param {any} id - The expense id.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if the id is a non-empty string.
+ */
+const isValidId = (id, functionName) => {
+  if (typeof id !== 'string' || id.trim() === '') {
+    console.error(`ExpenseService Error (${functionName}): Invalid input: id must be a non-empty string.`, id);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Where expenses are stored in this build: 'firestore' or 'local' (this browser only).
+ * @type {'firestore' | 'local'}
+ */
+export const expenseStorageBackend = store.name;
+
+/**
+ * Validates and normalises expense fields before they are written to the store.
+ * Shared by every write path so all of them enforce the same rules.
+ *
+ * @param {object} expenseData - The raw expense fields.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.partial=false] - When true (updates), only the fields present are validated
+ *   and description/amount are not required.
+ * @returns {{description?: string, amount?: number, currency?: string, category?: string | null, date?: Date | null,
+ *   recurrence?: {templateId: string, occurrence: string} | null} | null}
+ *   The validated fields (trimmed description, upper-case currency), or null if any field is invalid.
+ */
+export function validateExpenseFields(expenseData, functionName, { partial = false } = {}) {
   if (!expenseData || typeof expenseData !== 'object') {
     console.error(
-      'ExpenseService Error (addExpense): Invalid input: expenseData must be an object.',
+      `ExpenseService Error (${functionName}): Invalid input: expenseData must be an object.`,
       expenseData,
     );
-    return null; // Indicate failure due to invalid input
+    return null;
   }
 
-  const trimmedDescription = expenseData.description
-    ? expenseData.description.trim()
-    : '';
-  if (typeof trimmedDescription !== 'string' || trimmedDescription === '') {
-    console.error(
-      'ExpenseService Error (addExpense): Invalid input: Description must be a non-empty string.',
-      expenseData.description,
-    );
-    return null; // Indicate failure due to invalid input
+  const fields = {};
+  const has = (key) => !partial || expenseData[key] !== undefined;
+
+  if (has('description')) {
+    const trimmedDescription =
+      typeof expenseData.description === 'string' ? expenseData.description.trim() : '';
+    if (trimmedDescription === '') {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Description must be a non-empty string.`,
+        expenseData.description,
+      );
+      return null;
+    }
+    fields.description = trimmedDescription;
   }
 
-  const { amount } = expenseData;
-  if (typeof amount !== 'number' || amount <= 0 || !Number.isFinite(amount)) {
-    console.error(
-      'ExpenseService Error (addExpense): Invalid input: Amount must be a positive finite number.',
-      amount,
-    );
-    return null; // Indicate failure due to invalid input
+  if (has('amount')) {
+    const { amount } = expenseData;
+    if (typeof amount !== 'number' || amount <= 0 || !Number.isFinite(amount)) {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Amount must be a positive finite number.`,
+        amount,
+      );
+      return null;
+    }
+    fields.amount = amount;
   }
 
-  // 3. Prepare data for Firestore
-  const dataToSave = {
-    description: trimmedDescription,
-    amount: amount,
-    timestamp: serverTimestamp(), // Use server timestamp for consistency
-  };
+  if (expenseData.currency != null) {
+    if (!isValidCurrencyCode(expenseData.currency)) {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Currency must be an ISO 4217 code.`,
+        expenseData.currency,
+      );
+      return null;
+    }
+    fields.currency = expenseData.currency;
+  }
+
+  if (expenseData.category !== undefined) {
+    const { category } = expenseData;
+    if (category !== null && (typeof category !== 'string' || category.trim() === '')) {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Category must be a non-empty string when provided.`,
+        category,
+      );
+      return null;
+    }
+    fields.category = category;
+  }
+
+  if (expenseData.date !== undefined) {
+    const { date } = expenseData;
+    if (date !== null && (!(date instanceof Date) || isNaN(date.getTime()))) {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Date must be a valid Date object when provided.`,
+        date,
+      );
+      return null;
+    }
+    fields.date = date;
+  }
+
+  if (expenseData.recurrence !== undefined) {
+    const { recurrence } = expenseData;
+    if (
+      recurrence !== null &&
+      (typeof recurrence?.templateId !== 'string' ||
+        recurrence.templateId.trim() === '' ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(recurrence.occurrence))
+    ) {
+      console.error(
+        `ExpenseService Error (${functionName}): Invalid input: Recurrence must name a template id and a YYYY-MM-DD occurrence when provided.`,
+        recurrence,
+      );
+      return null;
+    }
+    fields.recurrence = recurrence && { templateId: recurrence.templateId, occurrence: recurrence.occurrence };
+  }
+
+  return fields;
+}
+
+/**
+ * Adds a new expense to the user's expenses in the configured store.
+ *
+ * @async
+ * @function addExpense
+ * @param {string} uid - The user id owning the expense.
+ * @param {object} expenseData - The expense data to add.
+ * @param {string} expenseData.description - A non-empty description of the expense.
+ * @param {number} expenseData.amount - A positive number representing the expense amount.
+ * @param {string | null} [expenseData.category] - Category id (e.g. "food"); stored as null when omitted.
+ * @param {string} [expenseData.currency] - ISO 4217 code of the amount (e.g. "EUR"). Defaults to `DEFAULT_CURRENCY`.
+ * @param {Date | null} [expenseData.date] - When the expense happened, if spoken (e.g. "yesterday").
+ *   Stored as `occurredAt`; when omitted, `occurredAt` is the creation time.
+ * @param {{templateId: string, occurrence: string} | null} [expenseData.recurrence] - Links an expense generated from a
+ *   recurring template back to it (see `RecurringContext`).
+ * @returns {Promise<{id: string} | null>} A Promise that resolves with the id of the newly added expense on success,
+ *   or resolves with `null` if the store is unavailable or input validation fails.
+ *   With Firestore offline it resolves once the expense is in the local cache (or, if the write failed, in the offline queue).
+ * @throws {Error} If the store fails to save the expense.
+ */
+export async function addExpense(uid, expenseData) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('addExpense')) {
+    return null; // Indicate failure due to unavailable store
+  }
+
+  // 2. Input Validation
+  if (!isValidUid(uid, 'addExpense')) {
+    return null;
+  }
+  const fields = validateExpenseFields(expenseData, 'addExpense');
+  if (!fields) {
+    return null; // Indicate failure due to invalid input
+  }
 
-  // 4. Perform Firestore operation
+  // 3. Perform store operation
   try {
-    const collectionRef = collection(db, EXPENSES_COLLECTION_NAME);
-    const docRef = await addDoc(collectionRef, dataToSave);
-    console.info(
-      `ExpenseService: Expense added successfully with ID: ${docRef.id}`,
-    );
-    return docRef; // Resolve with the document reference on success
+    const id = await store.add(uid, {
+      description: fields.description,
+      amount: fields.amount,
+      currency: fields.currency ?? DEFAULT_CURRENCY,
+      category: fields.category ?? null,
+      date: fields.date ?? null,
+      recurrence: fields.recurrence ?? null,
+    });
+    console.info(`ExpenseService: Expense added with ID: ${id}`);
+    return { id }; // Resolve with the new expense reference on success
   } catch (error) {
-    console.error(
-      'ExpenseService Error (addExpense): Failed to add document to Firestore:',
-      error,
-    );
+    console.error(`ExpenseService Error (addExpense): Failed to add expense to the ${store.name} store:`, error);
     // Re-throw a specific error for the caller to handle
-    throw new Error('Failed to add expense to Firestore.');
+    throw new Error('Failed to add expense.');
   }
 }
 
 /**
- * Subscribes to real-time updates for the expenses collection in Firestore, ordered by timestamp.
+ * Returns the id an occurrence of a recurring template is stored under, so it is written once however often
+ * (or on however many devices) the schedule is generated.
  *
- * @function getExpensesSubscription
- * @param {function(Array<{id: string, description: string, amount: number, timestamp: Date | null}>): void} onUpdate - Callback function invoked with the updated list of expenses whenever changes occur.
- *   The timestamp field is converted to a JavaScript Date object (or null if unavailable/invalid).
- * @param {function(Error): void} onErrorCallback - Callback function invoked if the subscription encounters an error during setup or while listening.
- * @returns {function(): void | null} An unsubscribe function to stop the listener, or `null` if the database is unavailable or callback validation fails or initial setup fails.
+ * @param {{templateId: string, occurrence: string}} recurrence - The template id and "YYYY-MM-DD" occurrence.
+ * @returns {string} The id, e.g. "abc123_2024-05-01".
  */
-export function getExpensesSubscription(onUpdate, onErrorCallback) {
-  // 1. Check if Firestore database instance is available
-  if (!db) {
-    console.error(
-      'ExpenseService Error (getExpensesSubscription): Firestore database is not available. Check Firebase configuration and initialization.',
-    );
-    return null; // Indicate failure due to unavailable DB
+export const getRecurringOccurrenceId = (recurrence) => `${recurrence.templateId}_${recurrence.occurrence}`;
+
+/**
+ * Adds one occurrence of a recurring template under its deterministic id (see `getRecurringOccurrenceId`),
+ * leaving it untouched if it already exists, even when it has since been edited or moved to the trash.
+ *
+ * @async
+ * @function addRecurringOccurrence
+ * @param {string} uid - The user id owning the expense.
+ * @param {object} expenseData - The expense data, as for `addExpense`; `recurrence` is required.
+ * @returns {Promise<{id: string, added: boolean} | null>} A Promise that resolves with the occurrence's id and whether it
+ *   was written now, or resolves with `null` if the store is unavailable or input validation fails.
+ * @throws {Error} If the store fails to save the expense (with Firestore, also while offline).
+ */
+export async function addRecurringOccurrence(uid, expenseData) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('addRecurringOccurrence')) {
+    return null;
+  }
+
+  // 2. Input Validation
+  if (!isValidUid(uid, 'addRecurringOccurrence')) {
+    return null;
+  }
+  const fields = validateExpenseFields(expenseData, 'addRecurringOccurrence');
+  if (!fields) {
+    return null;
+  }
+  if (!fields.recurrence) {
+    console.error('ExpenseService Error (addRecurringOccurrence): Invalid input: recurrence is required.', expenseData);
+    return null;
+  }
+
+  // 3. Perform store operation
+  const id = getRecurringOccurrenceId(fields.recurrence);
+  try {
+    const added = await store.addIfAbsent(uid, id, {
+      description: fields.description,
+      amount: fields.amount,
+      currency: fields.currency ?? DEFAULT_CURRENCY,
+      category: fields.category ?? null,
+      date: fields.date ?? null,
+      recurrence: fields.recurrence,
+    });
+    console.info(`ExpenseService: Recurring expense ${id} ${added ? 'added' : 'already exists'}.`);
+    return { id, added };
+  } catch (error) {
+    console.error(`ExpenseService Error (addRecurringOccurrence): Failed to add expense to the ${store.name} store:`, error);
+    throw new Error('Failed to add recurring expense.');
+  }
+}
+
+/**
+ * Adds many expenses at once (e.g. rows imported from a bank export). Every row goes through the same
+ * validation as `addExpense`; rows that fail it are skipped and reported, and the rest are written together
+ * (Firestore batched writes of up to 500 expenses each, or a single write in the local store).
+ *
+ * @async
+ * @function addExpenses
+ * @param {string} uid - The user id owning the expenses.
+ * @param {Array<object>} expenseDataList - The expenses to add, each shaped like the `expenseData` of `addExpense`.
+ * @returns {Promise<{ids: string[], invalidIndexes: number[]} | null>} A Promise that resolves with the ids of the added
+ *   expenses and the positions of the rows that failed validation, or resolves with `null` if the store is unavailable
+ *   or the uid or list is invalid.
+ * @throws {Error} If the store fails to save the expenses.
+ */
+export async function addExpenses(uid, expenseDataList) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('addExpenses')) {
+    return null;
   }
 
-  // 2. Validate Callbacks
+  // 2. Input Validation, row by row
+  if (!isValidUid(uid, 'addExpenses')) {
+    return null;
+  }
+  if (!Array.isArray(expenseDataList)) {
+    console.error('ExpenseService Error (addExpenses): Invalid input: expenseDataList must be an array.', expenseDataList);
+    return null;
+  }
+  const validRows = [];
+  const invalidIndexes = [];
+  expenseDataList.forEach((expenseData, index) => {
+    const fields = validateExpenseFields(expenseData, 'addExpenses');
+    if (fields) {
+      validRows.push({
+        description: fields.description,
+        amount: fields.amount,
+        currency: fields.currency ?? DEFAULT_CURRENCY,
+        category: fields.category ?? null,
+        date: fields.date ?? null,
+        recurrence: fields.recurrence ?? null,
+      });
+    } else {
+      invalidIndexes.push(index);
+    }
+  });
+  if (validRows.length === 0) {
+    return { ids: [], invalidIndexes };
+  }
+
+  // 3. Perform store operation
+  try {
+    const ids = await store.addMany(uid, validRows);
+    console.info(`ExpenseService: Added ${ids.length} expense(s) in bulk; skipped ${invalidIndexes.length} invalid row(s).`);
+    return { ids, invalidIndexes };
+  } catch (error) {
+    console.error(`ExpenseService Error (addExpenses): Failed to add expenses to the ${store.name} store:`, error);
+    throw new Error('Failed to import expenses.');
+  }
+}
+
+/**
+ * Writes the expenses waiting in the offline queue for a user (see `addExpense`), oldest first.
+ * Only the Firestore store queues writes; the local store always reports 0.
+ *
+ * @async
+ * @function flushQueuedExpenses
+ * @param {string} uid - The user id whose queue is flushed.
+ * @returns {Promise<number | null>} The number of expenses written, or null if the store is
+ *   unavailable or the uid is invalid.
+ */
+export async function flushQueuedExpenses(uid) {
+  if (!isStoreAvailable('flushQueuedExpenses') || !isValidUid(uid, 'flushQueuedExpenses')) {
+    return null;
+  }
+  const flushed = await store.flushQueue(uid);
+  if (flushed > 0) {
+    console.info(`ExpenseService: Flushed ${flushed} queued expense(s).`);
+  }
+  return flushed;
+}
+
+/**
+ * Updates fields of an existing expense (e.g. to fix a mis-heard amount).
+ *
+ * @async
+ * @function updateExpense
+ * @param {string} uid - The user id owning the expense.
+ * @param {string} id - The expense id.
+ * @param {object} changes - The fields to change; any of description, amount, currency, category and date
+ *   (`date` is stored as `occurredAt`). Omitted fields are left untouched.
+ * @returns {Promise<string | null>} A Promise that resolves with the expense ID on success,
+ *   or resolves with `null` if the store is unavailable or input validation fails.
+ * @throws {Error} If the store fails to update the expense.
+ */
+export async function updateExpense(uid, id, changes) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('updateExpense')) {
+    return null;
+  }
+
+  // 2. Input Validation
+  if (!isValidUid(uid, 'updateExpense') || !isValidId(id, 'updateExpense')) {
+    return null;
+  }
+  const fields = validateExpenseFields(changes, 'updateExpense', { partial: true });
+  if (!fields) {
+    return null;
+  }
+  if (Object.keys(fields).length === 0) {
+    console.error('ExpenseService Error (updateExpense): Invalid input: No fields to update.', changes);
+    return null;
+  }
+
+  // 3. Perform store operation
+  try {
+    await store.update(uid, id, fields);
+    console.info(`ExpenseService: Expense ${id} updated.`);
+    return id;
+  } catch (error) {
+    console.error(`ExpenseService Error (updateExpense): Failed to update expense in the ${store.name} store:`, error);
+    throw new Error('Failed to update expense.');
+  }
+}
+
+/**
+ * Soft-deletes an expense by stamping it with `deletedAt`. Soft-deleted expenses drop out of
+ * `getExpensesSubscription`, appear in `getDeletedExpensesSubscription` (the trash), and can be
+ * brought back with `restoreExpense` or removed for good with `purgeExpense`.
+ *
+ * @async
+ * @function deleteExpense
+ * @param {string} uid - The user id owning the expense.
+ * @param {string} id - The expense id.
+ * @returns {Promise<string | null>} A Promise that resolves with the deleted expense ID on success,
+ *   or resolves with `null` if the store is unavailable or the id is invalid.
+ * @throws {Error} If the store fails to update the expense.
+ */
+export async function deleteExpense(uid, id) {
+  return setDeleted(uid, id, true, 'deleteExpense', 'Failed to delete expense.');
+}
+
+/**
+ * Restores a soft-deleted expense from the trash by clearing its `deletedAt` field.
+ *
+ * @async
+ * @function restoreExpense
+ * @param {string} uid - The user id owning the expense.
+ * @param {string} id - The expense id.
+ * @returns {Promise<string | null>} A Promise that resolves with the restored expense ID on success,
+ *   or resolves with `null` if the store is unavailable or the id is invalid.
+ * @throws {Error} If the store fails to update the expense.
+ */
+export async function restoreExpense(uid, id) {
+  return setDeleted(uid, id, false, 'restoreExpense', 'Failed to restore expense.');
+}
+
+/**
+ * Shared implementation of soft delete and restore.
+ *
+ * @async
+ * @param {string} uid - The user id owning the expense.
+ * @param {string} id - The expense id.
+ * @param {boolean} deleted - True to move the expense to the trash, false to restore it.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @param {string} failureMessage - The message of the Error thrown when the write fails.
+ * @returns {Promise<string | null>} The expense ID on success, or null if the store is unavailable or the id is invalid.
+ * @throws {Error} If the store fails to update the expense.
+ */
+async function setDeleted(uid, id, deleted, functionName, failureMessage) {
+  if (!isStoreAvailable(functionName)) {
+    return null;
+  }
+  if (!isValidUid(uid, functionName) || !isValidId(id, functionName)) {
+    return null;
+  }
+
+  try {
+    await store.setDeleted(uid, id, deleted);
+    console.info(`ExpenseService: Expense ${id} ${deleted ? 'moved to trash' : 'restored'}.`);
+    return id;
+  } catch (error) {
+    console.error(`ExpenseService Error (${functionName}): Failed to update expense in the ${store.name} store:`, error);
+    throw new Error(failureMessage);
+  }
+}
+
+/**
+ * Permanently deletes an expense (used to empty the trash). This cannot be undone.
+ *
+ * @async
+ * @function purgeExpense
+ * @param {string} uid - The user id owning the expense.
+ * @param {string} id - The expense id.
+ * @returns {Promise<string | null>} A Promise that resolves with the purged expense ID on success,
+ *   or resolves with `null` if the store is unavailable or the id is invalid.
+ * @throws {Error} If the store fails to delete the expense.
+ */
+export async function purgeExpense(uid, id) {
+  if (!isStoreAvailable('purgeExpense')) {
+    return null;
+  }
+  if (!isValidUid(uid, 'purgeExpense') || !isValidId(id, 'purgeExpense')) {
+    return null;
+  }
+
+  try {
+    await store.purge(uid, id);
+    console.info(`ExpenseService: Expense ${id} permanently deleted.`);
+    return id;
+  } catch (error) {
+    console.error(`ExpenseService Error (purgeExpense): Failed to delete expense from the ${store.name} store:`, error);
+    throw new Error('Failed to permanently delete expense.');
+  }
+}
+
+/**
+ * Sort comparator placing the most recently occurred expenses first.
+ * Expenses saved before `occurredAt` existed fall back to their creation `timestamp`;
+ * pending server timestamps (null) are treated as "now" so fresh adds stay on top.
+ *
+ * @param {{occurredAt: Date | null, timestamp: Date | null}} a - First expense.
+ * @param {{occurredAt: Date | null, timestamp: Date | null}} b - Second expense.
+ * @returns {number} Negative if `a` occurred after `b`.
+ */
+const byOccurredAtDesc = (a, b) => {
+  const timeOf = (expense) => (expense.occurredAt || expense.timestamp)?.getTime() ?? Date.now();
+  return timeOf(b) - timeOf(a);
+};
+
+/**
+ * Sort comparator placing the most recently deleted expenses first (pending deletes on top).
+ *
+ * @param {{deletedAt: Date | null}} a - First expense.
+ * @param {{deletedAt: Date | null}} b - Second expense.
+ * @returns {number} Negative if `a` was deleted after `b`.
+ */
+const byDeletedAtDesc = (a, b) => {
+  const timeOf = (expense) => expense.deletedAt?.getTime() ?? Date.now();
+  return timeOf(b) - timeOf(a);
+};
+
+/**
+ * How many expenses a page holds: the live subscription covers the newest page, older ones are read on demand.
+ * @constant {number}
+ */
+export const EXPENSE_PAGE_SIZE = 50;
+
+/**
+ * @typedef {object} ExpensePage
+ * @property {*} cursor - Opaque position after the page's last expense, passed to `loadOlderExpenses`.
+ * @property {boolean} hasMore - Whether older expenses may exist.
+ * @property {Date | null} oldestOccurredAt - When the page's oldest expense occurred (trashed ones included),
+ *   or null for an empty page. Expenses that occurred before it belong to older pages.
+ */
+
+/**
+ * Returns when the oldest expense of a page occurred.
+ *
+ * @param {StoredExpense[]} pageExpenses - The page, live and trashed expenses alike.
+ * @returns {Date | null} The oldest occurrence (pending server timestamps count as now), or null if empty.
+ */
+const getOldestOccurredAt = (pageExpenses) =>
+  pageExpenses.reduce((oldest, expense) => {
+    const occurredAt = expense.occurredAt || expense.timestamp || new Date();
+    return oldest && oldest <= occurredAt ? oldest : occurredAt;
+  }, null);
+
+/**
+ * Shared implementation of the expense subscriptions: listens to the store and reports
+ * the expenses in either the newest page of the live list or the trash.
+ *
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @param {string} uid - The user id whose expenses are listened to.
+ * @param {boolean} deleted - True to report soft-deleted expenses (the trash), false for live ones.
+ * @param {function(StoredExpense[], ExpensePage=): void} onUpdate - Callback invoked with the updated list of expenses
+ *   (and, for the live list, the page they belong to).
+ * @param {function(Error): void} onErrorCallback - Callback invoked if the subscription encounters an error.
+ * @param {number} [pageSize] - How many expenses the live list's page holds.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the subscription could not be set up.
+ */
+function subscribeToExpenses(functionName, uid, deleted, onUpdate, onErrorCallback, pageSize) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable(functionName)) {
+    return null; // Indicate failure due to unavailable store
+  }
+
+  // 2. Validate Input and Callbacks
+  if (!isValidUid(uid, functionName)) {
+    return null;
+  }
   if (typeof onUpdate !== 'function') {
     console.error(
-      'ExpenseService Error (getExpensesSubscription): Invalid input: onUpdate must be a function.',
+      `ExpenseService Error (${functionName}): Invalid input: onUpdate must be a function.`,
     );
     return null;
   }
   if (typeof onErrorCallback !== 'function') {
     console.error(
-      'ExpenseService Error (getExpensesSubscription): Invalid input: onErrorCallback must be a function.',
+      `ExpenseService Error (${functionName}): Invalid input: onErrorCallback must be a function.`,
     );
     return null;
   }
 
-  // 3. Set up Firestore listener
+  if (!deleted && (!Number.isInteger(pageSize) || pageSize <= 0)) {
+    console.error(`ExpenseService Error (${functionName}): Invalid input: pageSize must be a positive integer.`);
+    return null;
+  }
+
+  // 3. Set up the store listener
+  const handleError = (error) => {
+    // Error callback: Handle errors during the subscription lifetime
+    console.error(`ExpenseService Error (${functionName}): Error listening to ${store.name} changes:`, error);
+    onErrorCallback(new Error('Failed to subscribe to expense updates.'));
+  };
   try {
-    const collectionRef = collection(db, EXPENSES_COLLECTION_NAME);
-    // Create a query to order expenses by timestamp, newest first
-    const expensesQuery = query(collectionRef, orderBy('timestamp', 'desc'));
-
-    // Attach the real-time listener
-    const unsubscribe = onSnapshot(
-      expensesQuery,
-      (querySnapshot) => {
-        // Success callback: Process the snapshot
-        const expenses = querySnapshot.docs.map((doc) => {
-          const data = doc.data();
-          // Safely convert Firestore Timestamp to JS Date
-          const timestamp = data.timestamp?.toDate ? data.timestamp.toDate() : null;
-          return {
-            id: doc.id,
-            description: data.description || '', // Default to empty string if missing
-            amount: typeof data.amount === 'number' ? data.amount : 0, // Default to 0 if missing/invalid
-            timestamp: timestamp,
-          };
-        });
-        // console.info(`ExpenseService: Received ${expenses.length} expenses from Firestore.`);
-        onUpdate(expenses); // Pass the processed list to the provided callback
-      },
-      (error) => {
-        // Error callback: Handle errors during the subscription lifetime
-        console.error(
-          'ExpenseService Error (getExpensesSubscription): Error listening to Firestore changes:',
-          error,
-        );
-        onErrorCallback(new Error('Failed to subscribe to expense updates.'));
-      },
-    );
+    const unsubscribe = deleted
+      ? store.subscribeDeleted(
+        uid,
+        (deletedExpenses) => {
+          // The trash is ordered by when each expense was deleted
+          onUpdate(deletedExpenses.filter((expense) => expense.isDeleted).sort(byDeletedAtDesc));
+        },
+        handleError,
+      )
+      : store.subscribeNewest(
+        uid,
+        pageSize,
+        (pageExpenses, { cursor, hasMore }) => {
+          // Trashed expenses still count towards the page boundary, so deleting one does not shift the page
+          const expenses = pageExpenses.filter((expense) => !expense.isDeleted);
+          // The store orders by occurredAt already; this also places pending server timestamps on top
+          expenses.sort(byOccurredAtDesc);
+          onUpdate(expenses, { cursor, hasMore, oldestOccurredAt: getOldestOccurredAt(pageExpenses) });
+        },
+        handleError,
+      );
 
-    console.info('ExpenseService: Subscription to expenses established.');
+    console.info(`ExpenseService: Subscription to ${deleted ? 'deleted ' : ''}expenses established (${store.name}).`);
     return unsubscribe; // Return the unsubscribe function
   } catch (error) {
-    // Catch errors during the initial setup of the query or listener
-    console.error(
-      'ExpenseService Error (getExpensesSubscription): Failed to initialize Firestore subscription:',
-      error,
-    );
+    // Catch errors during the initial setup of the listener
+    console.error(`ExpenseService Error (${functionName}): Failed to initialize ${store.name} subscription:`, error);
     onErrorCallback(new Error('Failed to initialize expense subscription.'));
     return null; // Indicate setup failure
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Subscribes to real-time updates for the newest page of a user's expenses, ordered by when each expense occurred.
+ * The page holds the `pageSize` expenses that occurred most recently; older ones are read with `loadOlderExpenses`,
+ * starting from the reported cursor. Soft-deleted expenses (those with `deletedAt` set) are left out.
+ *
+ * @function getExpensesSubscription
+ * @param {string} uid - The user id whose expenses are listened to.
+ * @param {function(StoredExpense[], ExpensePage): void} onUpdate - Callback function invoked with the updated page of expenses whenever changes occur.
+ *   The list is sorted by occurredAt (falling back to timestamp), newest first.
+ * @param {function(Error): void} onErrorCallback - Callback function invoked if the subscription encounters an error during setup or while listening.
+ * @param {object} [options] - Subscription options.
+ * @param {number} [options.pageSize=EXPENSE_PAGE_SIZE] - How many of the most recent expenses are listened to.
+ * @returns {function(): void | null} An unsubscribe function to stop the listener, or `null` if the store is unavailable or callback validation fails or initial setup fails.
+ */
+export function getExpensesSubscription(uid, onUpdate, onErrorCallback, { pageSize = EXPENSE_PAGE_SIZE } = {}) {
+  return subscribeToExpenses('getExpensesSubscription', uid, false, onUpdate, onErrorCallback, pageSize);
+}
+
+/**
+ * Reads once the page of a user's expenses that occurred before a cursor (from `getExpensesSubscription` or a previous call).
+ * Older pages are not listened to; changes made through this service are applied to them by the caller.
+ *
+ * @async
+ * @function loadOlderExpenses
+ * @param {string} uid - The user id whose expenses are read.
+ * @param {*} cursor - The cursor of the page before.
+ * @param {number} [pageSize=EXPENSE_PAGE_SIZE] - How many expenses to read.
+ * @returns {Promise<{expenses: StoredExpense[], cursor: *, hasMore: boolean, oldestOccurredAt: Date | null} | null>}
+ *   The live expenses of the page (sorted by occurredAt, newest first) and the page's cursor, or `null` if the store is
+ *   unavailable or the input is invalid.
+ * @throws {Error} Throws an error if reading from the store fails.
+ */
+export async function loadOlderExpenses(uid, cursor, pageSize = EXPENSE_PAGE_SIZE) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('loadOlderExpenses')) {
+    return null;
+  }
+
+  // 2. Validate Input
+  if (!isValidUid(uid, 'loadOlderExpenses')) {
+    return null;
+  }
+  if (cursor == null) {
+    console.error('ExpenseService Error (loadOlderExpenses): Invalid input: cursor is required.');
+    return null;
+  }
+  if (!Number.isInteger(pageSize) || pageSize <= 0) {
+    console.error('ExpenseService Error (loadOlderExpenses): Invalid input: pageSize must be a positive integer.');
+    return null;
+  }
+
+  // 3. Read the page
+  try {
+    const page = await store.loadPage(uid, cursor, pageSize);
+    return {
+      expenses: page.expenses.filter((expense) => !expense.isDeleted).sort(byOccurredAtDesc),
+      cursor: page.cursor,
+      hasMore: page.hasMore,
+      oldestOccurredAt: getOldestOccurredAt(page.expenses),
+    };
+  } catch (error) {
+    console.error(`ExpenseService Error (loadOlderExpenses): Failed to read expenses from the ${store.name} store:`, error);
+    throw new Error('Failed to load older expenses.');
+  }
+}
+
+/**
+ * Reads once every live expense of a user that occurred within a date range, whichever pages have been
+ * loaded, e.g. to export a filtered list in full or to check an import for duplicates.
+ *
+ * @async
+ * @function loadExpensesInRange
+ * @param {string} uid - The user id whose expenses are read.
+ * @param {object} [range] - The date range.
+ * @param {Date | null} [range.from=null] - Earliest occurrence included, or null for no lower bound.
+ * @param {Date | null} [range.to=null] - Occurrences from this moment on are left out, or null for no upper bound.
+ * @returns {Promise<StoredExpense[] | null>} The live expenses, sorted by occurredAt (newest first), or `null` if the
+ *   store is unavailable or the input is invalid.
+ * @throws {Error} Throws an error if reading from the store fails.
+ */
+export async function loadExpensesInRange(uid, { from = null, to = null } = {}) {
+  // 1. Check if the store is available
+  if (!isStoreAvailable('loadExpensesInRange')) {
+    return null;
+  }
+
+  // 2. Validate Input
+  if (!isValidUid(uid, 'loadExpensesInRange')) {
+    return null;
+  }
+  const isValidBound = (bound) => bound === null || (bound instanceof Date && !isNaN(bound.getTime()));
+  if (!isValidBound(from) || !isValidBound(to)) {
+    console.error('ExpenseService Error (loadExpensesInRange): Invalid input: from and to must be valid Dates or null.', from, to);
+    return null;
+  }
+
+  // 3. Read the range
+  try {
+    const expenses = await store.loadRange(uid, from, to);
+    return expenses.filter((expense) => !expense.isDeleted).sort(byOccurredAtDesc);
+  } catch (error) {
+    console.error(`ExpenseService Error (loadExpensesInRange): Failed to read expenses from the ${store.name} store:`, error);
+    throw new Error('Failed to load expenses.');
+  }
+}
+
+/**
+ * Subscribes to real-time updates for a user's soft-deleted expenses (the trash), most recently deleted first.
+ *
+ * @function getDeletedExpensesSubscription
+ * @param {string} uid - The user id whose trash is listened to.
+ * @param {function(StoredExpense[]): void} onUpdate - Callback function invoked with the updated trash contents.
+ * @param {function(Error): void} onErrorCallback - Callback function invoked if the subscription encounters an error.
+ * @returns {function(): void | null} An unsubscribe function to stop the listener, or `null` if the subscription could not be set up.
+ */
+export function getDeletedExpensesSubscription(uid, onUpdate, onErrorCallback) {
+  return subscribeToExpenses('getDeletedExpensesSubscription', uid, true, onUpdate, onErrorCallback);
+}
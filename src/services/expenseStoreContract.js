@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+/**
+ * The behaviour every storage adapter (see `ExpenseStore` in expenseService.js) must share, as a Vitest suite.
+ * Test files call `describeExpenseStoreContract` with an adapter; each test works under a user id of its own,
+ * so the suite also runs against a backend that keeps data between tests (such as the Firestore emulator).
+ * Imported by tests only.
+ */
+
+/**
+ * Fields of a new expense, as `expenseService` passes them to a store.
+ *
+ * @param {object} [overrides] - Fields to change.
+ * @returns {object} The fields.
+ */
+const expenseFields = (overrides = {}) => ({
+  description: 'Coffee',
+  amount: 4.5,
+  currency: 'USD',
+  category: 'food',
+  date: null,
+  recurrence: null,
+  ...overrides,
+});
+
+/**
+ * Subscribes with a store's subscribe function and collects every report.
+ *
+ * @param {function(function(...*): void, function(Error): void): function(): void} subscribe - Subscribes with
+ *   (onUpdate, onError).
+ * @returns {{reports: Array<Array<*>>, errors: Error[], latest: function(): Array<*>, unsubscribe: function(): void}}
+ *   The reports (the arguments of each `onUpdate` call), the errors, the latest report and the unsubscribe function.
+ */
+const collectReports = (subscribe) => {
+  const reports = [];
+  const errors = [];
+  const unsubscribe = subscribe((...args) => reports.push(args), (error) => errors.push(error));
+  return { reports, errors, latest: () => reports[reports.length - 1], unsubscribe };
+};
+
+/**
+ * Waits until a check passes (stores report changes asynchronously).
+ *
+ * @param {function(): void} check - Throws until the expected state is reached.
+ * @returns {Promise<void>} Resolves once the check passes.
+ */
+const eventually = (check) => vi.waitFor(check, { timeout: 5000, interval: 10 });
+
+/**
+ * Defines the contract suite for a storage adapter.
+ *
+ * @param {string} name - Names the adapter in the test report.
+ * @param {function(): import('./expenseService.js').ExpenseStore} getStore - Returns the adapter under test.
+ */
+export function describeExpenseStoreContract(name, getStore) {
+  describe(`${name} store contract`, () => {
+    let uidCount = 0;
+    const subscriptions = [];
+
+    // A user id no other test (or earlier run against a persistent backend) has written to
+    const newUid = () => `contract-${Date.now().toString(36)}-${(uidCount += 1)}`;
+
+    const subscribe = (subscribeFn) => {
+      const subscription = collectReports(subscribeFn);
+      subscriptions.push(subscription);
+      return subscription;
+    };
+    const newest = (uid, pageSize = 50) =>
+      subscribe((onUpdate, onError) => getStore().subscribeNewest(uid, pageSize, onUpdate, onError));
+    const trashed = (uid) => subscribe((onUpdate, onError) => getStore().subscribeDeleted(uid, onUpdate, onError));
+
+    afterEach(() => {
+      subscriptions.splice(0).forEach((subscription) => subscription.unsubscribe());
+    });
+
+    it('is available', () => {
+      expect(getStore().isAvailable()).toBe(true);
+    });
+
+    it('adds an expense and reports it with its fields', async () => {
+      const uid = newUid();
+      const date = new Date('2024-03-05T12:00:00.000Z');
+      const id = await getStore().add(uid, expenseFields({ date }));
+
+      expect(typeof id).toBe('string');
+      const list = newest(uid);
+      await eventually(() => expect(list.latest()?.[0]).toHaveLength(1));
+      expect(list.latest()[0][0]).toMatchObject({
+        id,
+        description: 'Coffee',
+        amount: 4.5,
+        currency: 'USD',
+        category: 'food',
+        occurredAt: date,
+        deletedAt: null,
+        isDeleted: false,
+        recurrence: null,
+      });
+      expect(list.latest()[0][0].timestamp).toBeInstanceOf(Date);
+    });
+
+    it('uses the creation time as occurredAt when no date is given', async () => {
+      const uid = newUid();
+      const before = Date.now();
+      await getStore().add(uid, expenseFields());
+
+      const [expense] = await getStore().loadRange(uid, null, null);
+      expect(expense.occurredAt.getTime()).toBeGreaterThanOrEqual(before - 1000);
+      expect(expense.occurredAt.getTime()).toBeLessThanOrEqual(Date.now() + 1000);
+    });
+
+    it('adds several expenses and resolves with their ids in order', async () => {
+      const uid = newUid();
+      const ids = await getStore().addMany(uid, [
+        expenseFields({ description: 'One' }),
+        expenseFields({ description: 'Two' }),
+        expenseFields({ description: 'Three' }),
+      ]);
+
+      expect(ids).toHaveLength(3);
+      expect(new Set(ids).size).toBe(3);
+      const stored = await getStore().loadRange(uid, null, null);
+      const byId = new Map(stored.map((expense) => [expense.id, expense.description]));
+      expect(ids.map((id) => byId.get(id))).toEqual(['One', 'Two', 'Three']);
+    });
+
+    it('adds under a given id only once, even after the expense was trashed', async () => {
+      const uid = newUid();
+      const recurrence = { templateId: 'rent', occurrence: '2024-03-01' };
+      const fields = expenseFields({ description: 'Rent', recurrence });
+
+      expect(await getStore().addIfAbsent(uid, 'rent_2024-03-01', fields)).toBe(true);
+      expect(await getStore().addIfAbsent(uid, 'rent_2024-03-01', expenseFields({ description: 'Again' }))).toBe(false);
+      await getStore().setDeleted(uid, 'rent_2024-03-01', true);
+      expect(await getStore().addIfAbsent(uid, 'rent_2024-03-01', fields)).toBe(false);
+
+      const stored = await getStore().loadRange(uid, null, null);
+      expect(stored).toHaveLength(1);
+      expect(stored[0]).toMatchObject({ id: 'rent_2024-03-01', description: 'Rent', recurrence, isDeleted: true });
+    });
+
+    it('updates the given fields and stores a date as occurredAt', async () => {
+      const uid = newUid();
+      const id = await getStore().add(uid, expenseFields());
+
+      await getStore().update(uid, id, { amount: 6, date: new Date('2023-12-31T08:00:00.000Z') });
+
+      const [expense] = await getStore().loadRange(uid, null, null);
+      expect(expense).toMatchObject({ description: 'Coffee', amount: 6, occurredAt: new Date('2023-12-31T08:00:00.000Z') });
+    });
+
+    it('fails to update an expense that does not exist', async () => {
+      const uid = newUid();
+      await expect(getStore().update(uid, 'missing', { amount: 1 })).rejects.toThrow();
+      await expect(getStore().setDeleted(uid, 'missing', true)).rejects.toThrow();
+    });
+
+    it('moves expenses to the trash and back', async () => {
+      const uid = newUid();
+      const id = await getStore().add(uid, expenseFields());
+      const list = newest(uid);
+      const trash = trashed(uid);
+
+      await getStore().setDeleted(uid, id, true);
+      await eventually(() => expect(trash.latest()?.[0].map((expense) => expense.id)).toEqual([id]));
+      expect(trash.latest()[0][0].deletedAt).toBeInstanceOf(Date);
+      // Trashed expenses stay in the newest page, marked as deleted
+      await eventually(() => expect(list.latest()?.[0][0]?.isDeleted).toBe(true));
+
+      await getStore().setDeleted(uid, id, false);
+      await eventually(() => expect(trash.latest()[0]).toEqual([]));
+      await eventually(() => expect(list.latest()[0][0]).toMatchObject({ id, isDeleted: false, deletedAt: null }));
+    });
+
+    it('purges an expense for good', async () => {
+      const uid = newUid();
+      const id = await getStore().add(uid, expenseFields());
+      await getStore().setDeleted(uid, id, true);
+
+      await getStore().purge(uid, id);
+
+      expect(await getStore().loadRange(uid, null, null)).toEqual([]);
+      const trash = trashed(uid);
+      await eventually(() => expect(trash.latest()?.[0]).toEqual([]));
+    });
+
+    it('reports changes to subscribers until they unsubscribe', async () => {
+      const uid = newUid();
+      const list = newest(uid);
+      await eventually(() => expect(list.latest()?.[0]).toEqual([]));
+
+      await getStore().add(uid, expenseFields({ description: 'First' }));
+      await eventually(() => expect(list.latest()[0].map((expense) => expense.description)).toEqual(['First']));
+
+      list.unsubscribe();
+      const reportCount = list.reports.length;
+      await getStore().add(uid, expenseFields({ description: 'Second' }));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(list.reports).toHaveLength(reportCount);
+      expect(list.errors).toEqual([]);
+    });
+
+    it('pages by occurredAt, newest first, with the id breaking ties', async () => {
+      const uid = newUid();
+      const sameMoment = new Date('2024-02-01T09:00:00.000Z');
+      const ids = await getStore().addMany(uid, [
+        expenseFields({ description: 'Oldest', date: new Date('2024-01-01T09:00:00.000Z') }),
+        expenseFields({ description: 'Tied A', date: sameMoment }),
+        expenseFields({ description: 'Tied B', date: sameMoment }),
+        expenseFields({ description: 'Newest', date: new Date('2024-03-01T09:00:00.000Z') }),
+        expenseFields({ description: 'Middle', date: new Date('2024-02-15T09:00:00.000Z') }),
+      ]);
+      const [tiedFirst, tiedSecond] = [ids[1], ids[2]].sort().reverse();
+
+      const list = newest(uid, 2);
+      await eventually(() => expect(list.latest()?.[0]).toHaveLength(2));
+      const [firstPage, { cursor, hasMore }] = list.latest();
+      expect(firstPage.map((expense) => expense.id)).toEqual([ids[3], ids[4]]);
+      expect(hasMore).toBe(true);
+
+      const secondPage = await getStore().loadPage(uid, cursor, 2);
+      expect(secondPage.expenses.map((expense) => expense.id)).toEqual([tiedFirst, tiedSecond]);
+      expect(secondPage.hasMore).toBe(true);
+
+      const lastPage = await getStore().loadPage(uid, secondPage.cursor, 2);
+      expect(lastPage.expenses.map((expense) => expense.id)).toEqual([ids[0]]);
+      expect(lastPage.hasMore).toBe(false);
+    });
+
+    it('reads a date range from its start up to, not including, its end', async () => {
+      const uid = newUid();
+      const [january, february, march] = await getStore().addMany(uid, [
+        expenseFields({ date: new Date('2024-01-31T23:00:00.000Z') }),
+        expenseFields({ date: new Date('2024-02-01T00:00:00.000Z') }),
+        expenseFields({ date: new Date('2024-03-01T00:00:00.000Z') }),
+      ]);
+      await getStore().setDeleted(uid, february, true);
+
+      const ids = async (from, to) =>
+        (await getStore().loadRange(uid, from, to)).map((expense) => expense.id).sort();
+      expect(await ids(new Date('2024-02-01T00:00:00.000Z'), new Date('2024-03-01T00:00:00.000Z'))).toEqual([february]);
+      expect(await ids(null, new Date('2024-02-01T00:00:00.000Z'))).toEqual([january]);
+      expect(await ids(new Date('2024-02-01T00:00:00.000Z'), null)).toEqual([february, march].sort());
+      expect(await ids(null, null)).toEqual([january, february, march].sort());
+    });
+
+    it("keeps each user's expenses apart", async () => {
+      const alice = newUid();
+      const bob = newUid();
+      const id = await getStore().add(alice, expenseFields());
+
+      expect(await getStore().loadRange(bob, null, null)).toEqual([]);
+      expect(await getStore().addIfAbsent(bob, id, expenseFields({ description: 'Bob' }))).toBe(true);
+      await getStore().purge(bob, id);
+      expect((await getStore().loadRange(alice, null, null)).map((expense) => expense.id)).toEqual([id]);
+    });
+
+    it('resolves flushQueue with the number of expenses written', async () => {
+      const written = await getStore().flushQueue(newUid());
+      expect(Number.isInteger(written) && written >= 0).toBe(true);
+    });
+  });
+}
@@ -4,7 +4,14 @@
 // is added to your .gitignore file to prevent leaking sensitive keys!
 
 import { initializeApp } from 'firebase/app'; // Firebase v10.11.1 (as per package.json)
-import { getFirestore } from 'firebase/firestore'; // Firebase v10.11.1
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+} from 'firebase/firestore'; // Firebase v10.11.1
+import { getAuth, connectAuthEmulator } from 'firebase/auth'; // Firebase v10.11.1
 
 // Define the Firebase configuration object using Vite environment variables.
 const firebaseConfig = {
@@ -17,6 +24,14 @@ const firebaseConfig = {
   // Optional: measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
 };
 
+// Set VITE_FIREBASE_USE_EMULATORS=true to run against the local Auth and Firestore emulators
+// (`firebase emulators:start --only auth,firestore`) instead of the real project.
+const useEmulators = import.meta.env.VITE_FIREBASE_USE_EMULATORS === 'true';
+
+// Set VITE_STORAGE_BACKEND=local to keep expenses in this browser only (no Firebase at all), even when
+// the Firebase variables are present. The local backend is also used automatically when they are missing.
+const forceLocalStorage = import.meta.env.VITE_STORAGE_BACKEND === 'local';
+
 // Function to check if all required environment variables are present.
 function checkFirebaseConfig(config) {
   const missingKeys = Object.entries(config)
@@ -34,12 +49,21 @@ function checkFirebaseConfig(config) {
   return true;
 }
 
-// Initialize Firebase App and Firestore Database instance.
+// Initialize Firebase App, Firestore Database and Auth instances.
 let app = null;
 let db = null; // Firestore database instance
+let auth = null; // Firebase Auth instance
+let persistenceEnabled = false; // True when Firestore caches data and queues writes in IndexedDB
+
+// Check if configuration is valid before attempting initialization (not needed when local storage is forced).
+const isConfigValid = !forceLocalStorage && checkFirebaseConfig(firebaseConfig);
 
-// Check if configuration is valid before attempting initialization.
-const isConfigValid = checkFirebaseConfig(firebaseConfig);
+/**
+ * Where expenses are stored: 'firestore' (per-user cloud collections) or 'local' (IndexedDB/localStorage
+ * in this browser, used when Firebase is not configured or VITE_STORAGE_BACKEND=local).
+ * @type {'firestore' | 'local'}
+ */
+const storageBackend = isConfigValid ? 'firestore' : 'local';
 
 if (isConfigValid) {
   try {
@@ -47,23 +71,48 @@ if (isConfigValid) {
     app = initializeApp(firebaseConfig);
     console.info('Firebase app initialized successfully.');
 
-    // Get the Firestore database instance from the initialized app.
-    db = getFirestore(app);
+    // Get the Firestore database instance from the initialized app, with IndexedDB persistence so
+    // expenses stay readable offline and writes made offline survive a reload until they sync.
+    // Falls back to the default in-memory cache where IndexedDB is unavailable (e.g. some private modes).
+    try {
+      db = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
+      persistenceEnabled = true;
+    } catch (persistenceError) {
+      console.warn('Firestore persistence unavailable, using the in-memory cache:', persistenceError);
+      db = getFirestore(app);
+    }
     console.info('Firestore database instance obtained successfully.');
+
+    // Get the Auth instance; expenses are stored per signed-in user.
+    auth = getAuth(app);
+    console.info('Firebase Auth instance obtained successfully.');
+
+    if (useEmulators) {
+      connectFirestoreEmulator(db, 'localhost', 8080);
+      connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+      console.info('Firebase: Connected to the local Auth and Firestore emulators.');
+    }
   } catch (error) {
     // Catch and log any errors during Firebase initialization.
     console.error('Firebase initialization failed:', error);
-    // Ensure db remains null if initialization fails.
+    // Ensure db and auth remain null if initialization fails.
     db = null;
+    auth = null;
   }
 } else {
-  // Log that initialization is skipped due to missing configuration.
+  // Log that initialization is skipped and expenses are kept locally instead.
   console.warn(
-    'Firebase initialization skipped due to missing configuration variables.',
+    forceLocalStorage
+      ? 'Firebase initialization skipped: VITE_STORAGE_BACKEND=local. Expenses are stored in this browser.'
+      : 'Firebase initialization skipped due to missing configuration variables. Expenses are stored in this browser.',
   );
 }
 
-// Export the Firestore database instance.
-// This will be null if initialization failed or configuration was missing.
-// Other services (like expenseService.js) should handle the case where `db` might be null.
-export { db };
\ No newline at end of file
+// Export the Firestore database and Auth instances.
+// These will be null if initialization failed or configuration was missing.
+// Other services (like expenseService.js and authService.js) should handle the case where they might be null.
+// `persistenceEnabled` tells the offline queue whether the SDK itself keeps pending writes across reloads.
+// `storageBackend` tells the services whether to use Firestore or the local browser store.
+export { db, auth, persistenceEnabled, storageBackend };
\ No newline at end of file
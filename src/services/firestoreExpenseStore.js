@@ -0,0 +1,433 @@
+// src/services/firestoreExpenseStore.js
+
+import { db, persistenceEnabled } from './firebase.js'; // Import the configured Firestore instance
+import { enqueueExpense, removeQueuedExpense, getQueuedExpenses } from './offlineQueueService.js';
+import { DEFAULT_CURRENCY, isValidCurrencyCode } from '../utils/currency.js';
+import {
+  collection, // Function to get a collection reference
+  doc, // Function to get a document reference (or reserve a new document ID)
+  setDoc, // Function to write a document under a known ID
+  writeBatch, // Function to group writes into one atomic commit
+  runTransaction, // Function to read and write documents atomically
+  updateDoc, // Function to update fields of a document
+  deleteDoc, // Function to delete a document
+  getDocs, // Function to read a query once
+  getDocsFromServer, // Function to read a query from the server only, never from the cache
+  getCountFromServer, // Function to count a query's documents on the server without reading them
+  query, // Function to create a query
+  where, // Function to filter a query
+  orderBy, // Function to specify ordering
+  limit, // Function to cap the number of documents a query returns
+  startAfter, // Function to continue a query after a cursor document
+  documentId, // Sentinel for ordering by document ID (the tie-breaker between equal dates)
+  onSnapshot, // Function to listen for real-time updates
+  serverTimestamp, // Function to get a server-generated timestamp
+  Timestamp, // Class used to store client-side dates (e.g. spoken expense dates)
+} from 'firebase/firestore'; // Firebase v10.11.1
+
+/**
+ * The name of the top-level Firestore collection holding one document per user.
+ * @constant {string}
+ */
+const USERS_COLLECTION_NAME = 'users';
+
+/**
+ * The name of the per-user subcollection where expenses are stored (`users/{uid}/expenses`).
+ * @constant {string}
+ */
+const EXPENSES_COLLECTION_NAME = 'expenses';
+
+/**
+ * How long a write waits for the server to acknowledge it before it is reported as pending, in milliseconds.
+ * Offline the SDK applies the write to its local cache at once and syncs it later, but the write's
+ * promise only settles once the server answers, so awaiting it would block until the device is back online.
+ * @constant {number}
+ */
+const WRITE_ACK_TIMEOUT_MS = 3000;
+
+/**
+ * The most writes Firestore accepts in one batch; larger imports are committed in several batches.
+ * @constant {number}
+ */
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * The localStorage key prefix marking users whose older documents have been given an `occurredAt` on this
+ * device (the uid is appended).
+ * @constant {string}
+ */
+const OCCURRED_AT_BACKFILL_KEY_PREFIX = 'voiceExpenseTracker.occurredAtBackfilled.';
+
+/**
+ * Returns the reference of a user's expenses collection.
+ *
+ * @param {string} uid - The Firebase Auth user id.
+ * @returns {import('firebase/firestore').CollectionReference} The `users/{uid}/expenses` collection.
+ */
+const getExpensesCollection = (uid) => collection(db, USERS_COLLECTION_NAME, uid, EXPENSES_COLLECTION_NAME);
+
+/**
+ * Returns the reference of one expense document of a user.
+ *
+ * @param {string} uid - The Firebase Auth user id.
+ * @param {string} id - The expense document ID.
+ * @returns {import('firebase/firestore').DocumentReference} The `users/{uid}/expenses/{id}` document.
+ */
+const getExpenseDoc = (uid, id) => doc(db, USERS_COLLECTION_NAME, uid, EXPENSES_COLLECTION_NAME, id);
+
+/**
+ * Waits for a Firestore write to be acknowledged by the server, giving up after `WRITE_ACK_TIMEOUT_MS`
+ * (immediately when the browser reports being offline). A write still pending at that point stays in
+ * the SDK's queue; if it fails later the failure can only be logged.
+ *
+ * @async
+ * @param {Promise<void>} write - The pending Firestore write.
+ * @param {string} operation - The store operation, used in log messages.
+ * @returns {Promise<boolean>} True if the server acknowledged the write, false if it is still pending.
+ * @throws {Error} The write's own error if it fails before the cut-off.
+ */
+async function awaitWrite(write, operation) {
+  let timedOut = false;
+  let timer = null;
+  write.catch((error) => {
+    if (timedOut) {
+      console.error(`FirestoreExpenseStore Error (${operation}): A pending write failed after going offline:`, error);
+    }
+  });
+  const cutOff = new Promise((resolve) => {
+    const delay = typeof navigator !== 'undefined' && navigator.onLine === false ? 0 : WRITE_ACK_TIMEOUT_MS;
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve(false);
+    }, delay);
+  });
+  try {
+    return await Promise.race([write.then(() => true), cutOff]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Returns the query ordering a user's expenses as pages are read: by when they occurred, newest first, with the
+ * document ID breaking ties so a cursor never skips or repeats expenses recorded on the same instant.
+ *
+ * @param {string} uid - The Firebase Auth user id.
+ * @param {...import('firebase/firestore').QueryConstraint} constraints - Further constraints (cursor, limit).
+ * @returns {import('firebase/firestore').Query} The query.
+ */
+const queryNewestFirst = (uid, ...constraints) =>
+  query(getExpensesCollection(uid), orderBy('occurredAt', 'desc'), orderBy(documentId(), 'desc'), ...constraints);
+
+/**
+ * Gives the documents saved before `occurredAt` existed their creation time as `occurredAt`, once per user on
+ * this device. Firestore leaves documents without an ordered field out of a query, so they would never be paged in.
+ * The live listener picks the updated documents up by itself.
+ * Firestore cannot query for a missing field, so the documents without one are counted instead: every document,
+ * less those ordered by `occurredAt`. Usually that is none, and no document is read. Otherwise the documents are
+ * read oldest first, a page at a time (the ones missing the field predate it), until all of them are found.
+ * Everything is read from the server, and the user is only marked as done once the server has confirmed it;
+ * offline the backfill fails and is tried again next time.
+ *
+ * @async
+ * @param {string} uid - The Firebase Auth user id.
+ * @returns {Promise<number>} How many documents were updated.
+ */
+async function backfillOccurredAt(uid) {
+  const storageKey = OCCURRED_AT_BACKFILL_KEY_PREFIX + uid;
+  if (window.localStorage.getItem(storageKey)) {
+    return 0;
+  }
+  const [all, ordered] = await Promise.all([
+    getCountFromServer(getExpensesCollection(uid)),
+    getCountFromServer(query(getExpensesCollection(uid), orderBy('occurredAt'))),
+  ]);
+  let remaining = all.data().count - ordered.data().count;
+  let updated = 0;
+  let cursor = null;
+  while (remaining > 0) {
+    const constraints = [orderBy('timestamp'), limit(MAX_BATCH_WRITES)];
+    if (cursor) constraints.push(startAfter(cursor));
+    const querySnapshot = await getDocsFromServer(query(getExpensesCollection(uid), ...constraints));
+    const missing = querySnapshot.docs.filter((expenseDoc) => expenseDoc.data().occurredAt === undefined);
+    if (missing.length > 0) {
+      const batch = writeBatch(db);
+      missing.forEach((expenseDoc) => batch.update(expenseDoc.ref, { occurredAt: expenseDoc.data().timestamp }));
+      await batch.commit();
+      updated += missing.length;
+      remaining -= missing.length;
+    }
+    if (querySnapshot.docs.length < MAX_BATCH_WRITES) {
+      break; // Read to the end; any left have no timestamp either and are only found by unbounded reads
+    }
+    cursor = querySnapshot.docs[querySnapshot.docs.length - 1];
+  }
+  window.localStorage.setItem(storageKey, new Date().toISOString());
+  return updated;
+}
+
+/**
+ * Builds the Firestore document for a new expense.
+ *
+ * @param {object} fields - The validated expense fields (see `ExpenseStore.add`).
+ * @returns {object} The document data.
+ */
+const toNewDocData = (fields) => ({
+  description: fields.description,
+  amount: fields.amount,
+  currency: fields.currency,
+  category: fields.category,
+  timestamp: serverTimestamp(), // Creation time; use server timestamp for consistency
+  occurredAt: fields.date ? Timestamp.fromDate(fields.date) : serverTimestamp(), // When the expense actually happened
+  recurrence: fields.recurrence, // Link to the recurring template that generated it, if any
+});
+
+/**
+ * Builds the offline queue entry for a new expense, so it can be replayed under the same document ID.
+ *
+ * @param {string} uid - The Firebase Auth user id.
+ * @param {string} id - The reserved document ID.
+ * @param {object} fields - The validated expense fields (see `ExpenseStore.add`).
+ * @returns {import('./offlineQueueService.js').QueuedExpense} The queue entry.
+ */
+const toQueueEntry = (uid, id, fields) => ({
+  id,
+  uid,
+  description: fields.description,
+  amount: fields.amount,
+  currency: fields.currency,
+  category: fields.category,
+  occurredAt: (fields.date || new Date()).toISOString(),
+  recurrence: fields.recurrence,
+  queuedAt: new Date().toISOString(),
+});
+
+/**
+ * Builds the Firestore document for an expense replayed from the offline queue.
+ *
+ * @param {import('./offlineQueueService.js').QueuedExpense} entry - The queued expense.
+ * @returns {object} The document data.
+ */
+const toQueuedDocData = (entry) => ({
+  description: entry.description,
+  amount: entry.amount,
+  currency: entry.currency,
+  category: entry.category,
+  timestamp: serverTimestamp(),
+  occurredAt: Timestamp.fromDate(new Date(entry.occurredAt)),
+  recurrence: entry.recurrence ?? null,
+});
+
+/**
+ * Converts a Firestore expense document into the plain expense object used by the UI.
+ * Timestamps become JavaScript Dates (or null if unavailable/invalid) and fields missing
+ * from documents saved by older versions get their defaults.
+ *
+ * @param {import('firebase/firestore').QueryDocumentSnapshot} expenseDoc - The Firestore document.
+ * @returns {import('./expenseService.js').StoredExpense} The expense.
+ */
+const toExpense = (expenseDoc) => {
+  const data = expenseDoc.data({ serverTimestamps: 'estimate' }); // Pending soft deletes still read as deleted
+  // Safely convert Firestore Timestamp to JS Date
+  const timestamp = data.timestamp?.toDate ? data.timestamp.toDate() : null;
+  const occurredAt = data.occurredAt?.toDate ? data.occurredAt.toDate() : timestamp; // Older docs have no occurredAt
+  return {
+    id: expenseDoc.id,
+    description: data.description || '', // Default to empty string if missing
+    amount: typeof data.amount === 'number' ? data.amount : 0, // Default to 0 if missing/invalid
+    currency: isValidCurrencyCode(data.currency) ? data.currency : DEFAULT_CURRENCY, // Older docs were all USD
+    category: typeof data.category === 'string' ? data.category : null, // Older docs have no category
+    timestamp: timestamp,
+    occurredAt: occurredAt,
+    deletedAt: data.deletedAt?.toDate ? data.deletedAt.toDate() : null,
+    isDeleted: data.deletedAt != null, // Missing or null means the expense is live
+    pendingSync: expenseDoc.metadata.hasPendingWrites, // Local changes not yet acknowledged by the server
+    recurrence: typeof data.recurrence?.templateId === 'string' ? data.recurrence : null, // Only generated expenses have one
+  };
+};
+
+/**
+ * The Firestore implementation of the expense store interface (see `ExpenseStore` in expenseService.js).
+ * Expenses live in `users/{uid}/expenses`. Writes are cached offline by the SDK; adds that fail outright
+ * (or cannot be persisted locally) go to the offline queue and are replayed by `flushQueue`.
+ * Reads are paged by `occurredAt` (ties broken by document ID): only the newest page is listened to, and older pages
+ * are read once with a `startAfter` cursor (the last document snapshot of the previous page).
+ *
+ * @type {import('./expenseService.js').ExpenseStore}
+ */
+const firestoreExpenseStore = {
+  name: 'firestore',
+
+  isAvailable: () => Boolean(db),
+
+  async add(uid, fields) {
+    // The ID is reserved up front so a replay from the offline queue writes the same document, never a duplicate.
+    const docRef = doc(getExpensesCollection(uid));
+    const queueEntry = () => toQueueEntry(uid, docRef.id, fields);
+
+    try {
+      const write = setDoc(docRef, toNewDocData(fields));
+      const acknowledged = await awaitWrite(write, 'add');
+      if (!acknowledged) {
+        console.info(`FirestoreExpenseStore: Expense ${docRef.id} saved locally; it will sync when back online.`);
+        if (!persistenceEnabled) {
+          // The in-memory cache loses pending writes on reload, so keep a copy until the server has it
+          enqueueExpense(queueEntry());
+          write.then(() => removeQueuedExpense(docRef.id)).catch(() => {});
+        }
+      }
+    } catch (error) {
+      // Keep the expense in the offline queue instead of losing it; it is replayed by flushQueue
+      if (!enqueueExpense(queueEntry())) {
+        throw error;
+      }
+      console.warn(`FirestoreExpenseStore: Write failed; expense ${docRef.id} queued locally for a later retry.`, error);
+    }
+    return docRef.id;
+  },
+
+  async addMany(uid, fieldsList) {
+    const ids = [];
+    for (let start = 0; start < fieldsList.length; start += MAX_BATCH_WRITES) {
+      const chunk = fieldsList.slice(start, start + MAX_BATCH_WRITES);
+      const batch = writeBatch(db);
+      const docRefs = chunk.map((fields) => {
+        const docRef = doc(getExpensesCollection(uid));
+        batch.set(docRef, toNewDocData(fields));
+        return docRef;
+      });
+      const queueEntries = () => chunk.map((fields, index) => toQueueEntry(uid, docRefs[index].id, fields));
+
+      try {
+        const write = batch.commit();
+        const acknowledged = await awaitWrite(write, 'addMany');
+        if (!acknowledged && !persistenceEnabled) {
+          // As in add: keep copies until the server has the batch
+          queueEntries().forEach((entry) => enqueueExpense(entry));
+          write.then(() => docRefs.forEach((docRef) => removeQueuedExpense(docRef.id))).catch(() => {});
+        }
+      } catch (error) {
+        // Batches are atomic, so none of this chunk was written; queue it whole or give up
+        const entries = queueEntries();
+        const queued = entries.filter((entry) => enqueueExpense(entry));
+        if (queued.length < entries.length) {
+          queued.forEach((entry) => removeQueuedExpense(entry.id));
+          throw error;
+        }
+        console.warn(`FirestoreExpenseStore: Batch write failed; ${chunk.length} expense(s) queued locally for a later retry.`, error);
+      }
+      ids.push(...docRefs.map((docRef) => docRef.id));
+    }
+    return ids;
+  },
+
+  async addIfAbsent(uid, id, fields) {
+    // A transaction reads and writes against the server, so two devices generating the same occurrence
+    // at once still write it only once. Transactions fail while offline; the caller retries later.
+    const docRef = getExpenseDoc(uid, id);
+    return runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(docRef);
+      if (existing.exists()) {
+        return false; // Already written (possibly edited or trashed since); leave it as it is
+      }
+      transaction.set(docRef, toNewDocData(fields));
+      return true;
+    });
+  },
+
+  async update(uid, id, fields) {
+    // The spoken/edited date is stored as occurredAt
+    const { date, ...dataToUpdate } = fields;
+    if (date !== undefined) {
+      dataToUpdate.occurredAt = date ? Timestamp.fromDate(date) : serverTimestamp();
+    }
+    await awaitWrite(updateDoc(getExpenseDoc(uid, id), dataToUpdate), 'update');
+  },
+
+  async setDeleted(uid, id, deleted) {
+    await awaitWrite(updateDoc(getExpenseDoc(uid, id), { deletedAt: deleted ? serverTimestamp() : null }), 'setDeleted');
+  },
+
+  async purge(uid, id) {
+    await awaitWrite(deleteDoc(getExpenseDoc(uid, id)), 'purge');
+  },
+
+  subscribeNewest(uid, pageSize, onUpdate, onError) {
+    // deletedAt is filtered client-side: a Firestore `where` would skip older docs that lack the field.
+    const newestQuery = queryNewestFirst(uid, limit(pageSize));
+    backfillOccurredAt(uid)
+      .then((updated) => updated > 0 && console.info(`FirestoreExpenseStore: Gave ${updated} older expense(s) an occurredAt.`))
+      .catch((error) => console.error('FirestoreExpenseStore Error (backfillOccurredAt): Failed to update older expenses:', error));
+    // Metadata changes are included so the "pending sync" marker clears as soon as the server acknowledges a write.
+    return onSnapshot(
+      newestQuery,
+      { includeMetadataChanges: true },
+      (querySnapshot) =>
+        onUpdate(querySnapshot.docs.map(toExpense), {
+          cursor: querySnapshot.docs[querySnapshot.docs.length - 1] ?? null,
+          hasMore: querySnapshot.docs.length === pageSize,
+        }),
+      onError,
+    );
+  },
+
+  async loadPage(uid, cursor, pageSize) {
+    const pageQuery = queryNewestFirst(uid, startAfter(cursor), limit(pageSize));
+    const querySnapshot = await getDocs(pageQuery);
+    return {
+      expenses: querySnapshot.docs.map(toExpense),
+      cursor: querySnapshot.docs[querySnapshot.docs.length - 1] ?? cursor,
+      hasMore: querySnapshot.docs.length === pageSize,
+    };
+  },
+
+  async loadRange(uid, from, to) {
+    // Without bounds every document is read, so documents saved before occurredAt existed are included too
+    const constraints = [];
+    if (from) constraints.push(where('occurredAt', '>=', Timestamp.fromDate(from)));
+    if (to) constraints.push(where('occurredAt', '<', Timestamp.fromDate(to)));
+    const querySnapshot = await getDocs(query(getExpensesCollection(uid), ...constraints));
+    return querySnapshot.docs.map(toExpense);
+  },
+
+  subscribeDeleted(uid, onUpdate, onError) {
+    // Only trashed documents have a non-null deletedAt. A delete made offline shows up here once the
+    // server has set its timestamp; until then the expense is already gone from the live list.
+    const deletedQuery = query(getExpensesCollection(uid), where('deletedAt', '!=', null));
+    return onSnapshot(
+      deletedQuery,
+      { includeMetadataChanges: true },
+      (querySnapshot) => onUpdate(querySnapshot.docs.map(toExpense)),
+      onError,
+    );
+  },
+
+  async flushQueue(uid) {
+    let flushed = 0;
+    for (const entry of getQueuedExpenses(uid)) {
+      try {
+        // Like addIfAbsent, the replay only writes an expense the server does not have yet. The SDK may have
+        // delivered it already, and it may have been edited or trashed since; a blind write would undo that.
+        const docRef = getExpenseDoc(uid, entry.id);
+        const replay = runTransaction(db, async (transaction) => {
+          const existing = await transaction.get(docRef);
+          if (!existing.exists()) {
+            transaction.set(docRef, toQueuedDocData(entry));
+          }
+        });
+        // Transactions need the server, so nothing is written while offline
+        if (!(await awaitWrite(replay, 'flushQueue'))) {
+          break; // Still offline; keep the rest queued
+        }
+        removeQueuedExpense(entry.id);
+        flushed += 1;
+      } catch (error) {
+        console.error('FirestoreExpenseStore Error (flushQueue): Failed to write a queued expense:', error);
+        break;
+      }
+    }
+    return flushed;
+  },
+};
+
+export default firestoreExpenseStore;
@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import { disableNetwork, enableNetwork, doc, setDoc, Timestamp } from 'firebase/firestore';
+import { runsOnEmulators, useEmulatorFirebaseConfig } from './emulatorTestEnv.js';
+
+// Outside the browser the SDK has no IndexedDB, so (as in private browsing) pending writes live in memory only
+// and the offline queue has to keep them
+vi.mock('./firebase.js', async (importOriginal) => ({ ...(await importOriginal()), persistenceEnabled: false }));
+
+/**
+ * Fields of a new expense, as `expenseService` passes them to the store.
+ *
+ * @param {object} [overrides] - Fields to change.
+ * @returns {object} The fields.
+ */
+const expenseFields = (overrides = {}) => ({
+  description: 'Coffee',
+  amount: 4.5,
+  currency: 'USD',
+  category: 'food',
+  date: new Date('2024-03-05T12:00:00.000Z'),
+  recurrence: null,
+  ...overrides,
+});
+
+describe.skipIf(!runsOnEmulators)('firestoreExpenseStore on the Firestore emulator', () => {
+  let db;
+  let store;
+  let queue;
+  let uid;
+
+  // The emulator going away and coming back, as the SDK sees it
+  const goOffline = async ({ browserKnows = true } = {}) => {
+    if (browserKnows) vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    await disableNetwork(db);
+  };
+  const goOnline = async () => {
+    vi.restoreAllMocks();
+    await enableNetwork(db);
+  };
+
+  // A queue entry as the store builds it
+  const queuedExpense = (id, occurredAt) => ({
+    id,
+    uid,
+    description: 'Coffee',
+    amount: 4.5,
+    currency: 'USD',
+    category: 'food',
+    occurredAt,
+    recurrence: null,
+    queuedAt: occurredAt,
+  });
+
+  // The ids of the user's expenses, sorted
+  const storedIds = async () => (await store.loadRange(uid, null, null)).map((expense) => expense.id).sort();
+
+  beforeAll(async () => {
+    useEmulatorFirebaseConfig();
+    ({ db } = await import('./firebase.js'));
+    store = (await import('./firestoreExpenseStore.js')).default;
+    queue = await import('./offlineQueueService.js');
+    const { signInAsGuest } = await import('./authService.js');
+    ({ uid } = await signInAsGuest()); // firestore.rules only let a user at their own expenses
+  });
+
+  beforeEach(async () => {
+    window.localStorage.clear();
+    await Promise.all((await store.loadRange(uid, null, null)).map((expense) => store.purge(uid, expense.id)));
+  });
+
+  afterEach(async () => {
+    await goOnline();
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('writes an expense straight through while online, queueing nothing', async () => {
+    const id = await store.add(uid, expenseFields());
+
+    expect(await storedIds()).toEqual([id]);
+    expect(queue.getQueuedExpenses(uid)).toEqual([]);
+  });
+
+  it('queues an expense added offline under its reserved id and syncs it once back online', async () => {
+    await goOffline();
+
+    const id = await store.add(uid, expenseFields());
+
+    expect(queue.getQueuedExpenses(uid)).toEqual([
+      expect.objectContaining({ id, uid, description: 'Coffee', occurredAt: '2024-03-05T12:00:00.000Z' }),
+    ]);
+
+    await goOnline();
+    // The SDK delivers its own pending write; the queued copy is dropped once the server has it
+    await vi.waitFor(() => expect(queue.getQueuedExpenses(uid)).toEqual([]), { timeout: 10000 });
+    expect(await storedIds()).toEqual([id]);
+  });
+
+  it('marks offline adds as pending sync until the server acknowledges them', async () => {
+    const reports = [];
+    const unsubscribe = store.subscribeNewest(uid, 50, (expenses) => reports.push(expenses), () => {});
+    await goOffline();
+
+    const id = await store.add(uid, expenseFields());
+    await vi.waitFor(() => expect(reports.at(-1)).toEqual([expect.objectContaining({ id, pendingSync: true })]));
+
+    await goOnline();
+    await vi.waitFor(() => expect(reports.at(-1)).toEqual([expect.objectContaining({ id, pendingSync: false })]), {
+      timeout: 10000,
+    });
+    unsubscribe();
+  });
+
+  it('replays a queued expense idempotently, however often it is replayed', async () => {
+    await goOffline();
+    const id = await store.add(uid, expenseFields());
+    const [entry] = queue.getQueuedExpenses(uid);
+    await goOnline();
+    await vi.waitFor(() => expect(queue.getQueuedExpenses(uid)).toEqual([]), { timeout: 10000 });
+
+    // The SDK's own write and a replay (e.g. from another tab holding a copy of the queue) target one document
+    queue.enqueueExpense(entry);
+    expect(await store.flushQueue(uid)).toBe(1);
+    queue.enqueueExpense(entry);
+    expect(await store.flushQueue(uid)).toBe(1);
+    expect(await store.flushQueue(uid)).toBe(0);
+
+    expect(await storedIds()).toEqual([id]);
+    const [expense] = await store.loadRange(uid, null, null);
+    expect(expense).toMatchObject({
+      description: 'Coffee',
+      amount: 4.5,
+      occurredAt: new Date('2024-03-05T12:00:00.000Z'),
+    });
+  });
+
+  it.each([
+    ['edited', (id) => store.update(uid, id, { description: 'Flat white', amount: 5.2 })],
+    ['trashed', (id) => store.setDeleted(uid, id, true)],
+  ])('leaves a queued expense that was already written and then %s as it is', async (change, makeChange) => {
+    await goOffline();
+    const id = await store.add(uid, expenseFields());
+    const [entry] = queue.getQueuedExpenses(uid);
+    await goOnline();
+    await vi.waitFor(() => expect(queue.getQueuedExpenses(uid)).toEqual([]), { timeout: 10000 });
+    const [written] = await store.loadRange(uid, null, null);
+    await makeChange(id);
+    const [changed] = await store.loadRange(uid, null, null);
+
+    // A stale copy of the queue (another tab, or a reload before the entry was dropped) replays the add
+    queue.enqueueExpense(entry);
+    expect(await store.flushQueue(uid)).toBe(1);
+
+    const [expense] = await store.loadRange(uid, null, null);
+    expect(expense).toEqual(changed);
+    expect(expense.timestamp).toEqual(written.timestamp);
+    expect(expense.isDeleted).toBe(change === 'trashed');
+  });
+
+  it('replays expenses queued before a reload, in order, and keeps them while still offline', async () => {
+    // Entries left in localStorage by an earlier session whose in-memory writes were lost
+    queue.enqueueExpense(queuedExpense('reserved-a', '2024-03-01T09:00:00.000Z'));
+    queue.enqueueExpense(queuedExpense('reserved-b', '2024-03-02T09:00:00.000Z'));
+
+    await goOffline();
+    expect(await store.flushQueue(uid)).toBe(0);
+    expect(queue.getQueuedExpenses(uid).map((entry) => entry.id)).toEqual(['reserved-a', 'reserved-b']);
+
+    await goOnline();
+    expect(await store.flushQueue(uid)).toBe(2);
+    expect(queue.getQueuedExpenses(uid)).toEqual([]);
+    expect(await storedIds()).toEqual(['reserved-a', 'reserved-b']);
+  });
+
+  it('gives expenses saved before occurredAt existed one, marking the user done only once the server answered', async () => {
+    const createdAt = new Date('2023-01-05T09:00:00.000Z');
+    await setDoc(doc(db, 'users', uid, 'expenses', 'legacy-1'), {
+      description: 'Old coffee',
+      amount: 3,
+      timestamp: Timestamp.fromDate(createdAt),
+    });
+    const doneKey = `voiceExpenseTracker.occurredAtBackfilled.${uid}`;
+    const reports = [];
+
+    // Offline the documents cannot be counted on the server, so nothing is marked as done
+    await goOffline();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    store.subscribeNewest(uid, 50, () => {}, () => {})();
+    await vi.waitFor(() =>
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('(backfillOccurredAt)'),
+        expect.anything(),
+      ),
+    );
+    expect(window.localStorage.getItem(doneKey)).toBeNull();
+
+    await goOnline();
+    const unsubscribe = store.subscribeNewest(uid, 50, (expenses) => reports.push(expenses), () => {});
+    await vi.waitFor(
+      () => expect(reports.at(-1)).toEqual([expect.objectContaining({ id: 'legacy-1', occurredAt: createdAt })]),
+      { timeout: 10000 },
+    );
+    expect(window.localStorage.getItem(doneKey)).not.toBeNull();
+    unsubscribe();
+  });
+
+  it(
+    'gives up waiting for an acknowledgement after the timeout when the browser thinks it is online',
+    async () => {
+      // The connection drops without the browser noticing, so only the acknowledgement timeout ends the wait
+      await goOffline({ browserKnows: false });
+
+      const startedAt = Date.now();
+      const id = await store.add(uid, expenseFields());
+      const waited = Date.now() - startedAt;
+
+      expect(waited).toBeGreaterThanOrEqual(2900);
+      expect(waited).toBeLessThan(10000);
+      expect(queue.getQueuedExpenses(uid).map((entry) => entry.id)).toEqual([id]);
+
+      await goOnline();
+      await vi.waitFor(() => expect(queue.getQueuedExpenses(uid)).toEqual([]), { timeout: 10000 });
+      expect(await storedIds()).toEqual([id]);
+    },
+    20000,
+  );
+});
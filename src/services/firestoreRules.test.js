@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+import { EMULATOR_PROJECT_ID, runsOnEmulators } from './emulatorTestEnv.js';
+
+/**
+ * The per-user collections the app writes to (see the services' collection name constants).
+ * @constant {string[]}
+ */
+const USER_COLLECTIONS = ['expenses', 'budgets', 'recurring'];
+
+describe.skipIf(!runsOnEmulators)('Firestore security rules (firestore.rules)', () => {
+  let testEnv;
+
+  const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: EMULATOR_PROJECT_ID,
+      firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // Bob already has data in every collection
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await Promise.all(
+        USER_COLLECTIONS.map((name) => setDoc(doc(context.firestore(), 'users', 'bob', name, 'b1'), { amount: 12 })),
+      );
+    });
+  });
+
+  it.each(USER_COLLECTIONS)('lets a user read and write their own %s', async (name) => {
+    const db = firestoreAs('alice');
+
+    await assertSucceeds(setDoc(doc(db, 'users', 'alice', name, 'a1'), { amount: 4.5 }));
+    await assertSucceeds(getDoc(doc(db, 'users', 'alice', name, 'a1')));
+    await assertSucceeds(getDocs(collection(db, 'users', 'alice', name)));
+    await assertSucceeds(deleteDoc(doc(db, 'users', 'alice', name, 'a1')));
+  });
+
+  it.each(USER_COLLECTIONS)("does not let user A read user B's %s", async (name) => {
+    const db = firestoreAs('alice');
+
+    await assertFails(getDoc(doc(db, 'users', 'bob', name, 'b1')));
+    await assertFails(getDocs(collection(db, 'users', 'bob', name)));
+  });
+
+  it.each(USER_COLLECTIONS)("does not let user A change user B's %s", async (name) => {
+    const db = firestoreAs('alice');
+
+    await assertFails(setDoc(doc(db, 'users', 'bob', name, 'a1'), { amount: 1 }));
+    await assertFails(setDoc(doc(db, 'users', 'bob', name, 'b1'), { amount: 0 }));
+    await assertFails(deleteDoc(doc(db, 'users', 'bob', name, 'b1')));
+  });
+
+  it("lets a user read and write their own settings document, but not another user's", async () => {
+    const db = firestoreAs('alice');
+
+    await assertSucceeds(setDoc(doc(db, 'users', 'alice'), { settings: { confirmBeforeSave: true } }));
+    await assertSucceeds(getDoc(doc(db, 'users', 'alice')));
+    await assertFails(getDoc(doc(db, 'users', 'bob')));
+    await assertFails(setDoc(doc(db, 'users', 'bob'), { settings: { confirmBeforeSave: true } }));
+  });
+
+  it('denies everything to signed-out visitors', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+
+    await assertFails(getDoc(doc(db, 'users', 'bob', 'expenses', 'b1')));
+    await assertFails(getDocs(collection(db, 'users', 'bob', 'expenses')));
+    await assertFails(setDoc(doc(db, 'users', 'bob', 'expenses', 'x1'), { amount: 1 }));
+  });
+
+  it('denies the shared collection used before per-user storage', async () => {
+    const db = firestoreAs('alice');
+
+    await assertFails(getDocs(collection(db, 'expenses')));
+    await assertFails(setDoc(doc(db, 'expenses', 'x1'), { amount: 1 }));
+  });
+});
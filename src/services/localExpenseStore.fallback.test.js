@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import localExpenseStore from './localExpenseStore.js';
+import { describeExpenseStoreContract } from './expenseStoreContract.js';
+
+// jsdom has no IndexedDB, so here the store keeps its localStorage fallback
+describeExpenseStoreContract('localExpenseStore (localStorage)', () => localExpenseStore);
+
+describe('localExpenseStore without IndexedDB', () => {
+  it('keeps each user\'s expenses in localStorage', async () => {
+    const id = await localExpenseStore.add('fallback-user', {
+      description: 'Tea',
+      amount: 3,
+      currency: 'EUR',
+      category: null,
+      date: null,
+      recurrence: null,
+    });
+
+    const stored = JSON.parse(window.localStorage.getItem('voiceExpenseTracker.localExpenses.fallback-user'));
+    expect(stored.map((record) => record.id)).toEqual([id]);
+  });
+});
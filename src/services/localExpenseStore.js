@@ -0,0 +1,539 @@
+// src/services/localExpenseStore.js
+
+/**
+ * The IndexedDB database holding locally stored expenses.
+ * @constant {string}
+ */
+const DATABASE_NAME = 'voiceExpenseTracker';
+
+/**
+ * The database version. Version 1 kept one record per user holding all of that user's expenses, so every write
+ * re-serialised the whole list; version 2 keeps one record per expense.
+ * @constant {number}
+ */
+const DATABASE_VERSION = 2;
+
+/**
+ * The object store inside `DATABASE_NAME` holding one record per expense, keyed by `[uid, id]`.
+ * @constant {string}
+ */
+const OBJECT_STORE_NAME = 'expenseRecords';
+
+/**
+ * The version 1 object store (one record per uid holding an array of expenses), migrated and deleted on upgrade.
+ * @constant {string}
+ */
+const LEGACY_OBJECT_STORE_NAME = 'expenses';
+
+/**
+ * The index ordering a user's expenses as pages are read: `[uid, occurredAt, id]`.
+ * @constant {string}
+ */
+const OCCURRED_AT_INDEX = 'byOccurredAt';
+
+/**
+ * The index of a user's trashed expenses: `[uid, deletedAt]`. Live expenses (deletedAt null) are not in it,
+ * as null is not a valid IndexedDB key.
+ * @constant {string}
+ */
+const DELETED_AT_INDEX = 'byDeletedAt';
+
+/**
+ * The localStorage key prefix used when IndexedDB is unavailable (the uid is appended).
+ * @constant {string}
+ */
+const FALLBACK_STORAGE_KEY_PREFIX = 'voiceExpenseTracker.localExpenses.';
+
+/**
+ * @typedef {object} LocalExpenseRecord
+ * @property {string} uid - The user id owning the expense (IndexedDB only; part of the key).
+ * @property {string} id - The expense id.
+ * @property {string} description - The expense description.
+ * @property {number} amount - The expense amount.
+ * @property {string} currency - ISO 4217 code of the amount.
+ * @property {string | null} category - The category id.
+ * @property {string} timestamp - ISO timestamp of when the expense was created.
+ * @property {string} occurredAt - ISO timestamp of when the expense happened.
+ * @property {string | null} deletedAt - ISO timestamp of the soft delete, or null while live.
+ * @property {{templateId: string, occurrence: string} | null} [recurrence] - The recurring template link, if generated.
+ */
+
+/**
+ * Listeners registered through `subscribeNewest` and `subscribeDeleted`, per uid, called after every write.
+ * @type {Map<string, Set<function(): void>>}
+ */
+const listeners = new Map();
+
+/**
+ * The pending database connection (resolves with null when IndexedDB cannot be used).
+ * @type {Promise<IDBDatabase | null> | null}
+ */
+let databasePromise = null;
+
+/**
+ * Tail of the localStorage write chain; every read-modify-write of the fallback list waits for the previous one
+ * so concurrent writes (e.g. an add and an undo in quick succession) never overwrite each other.
+ * IndexedDB orders its own read-write transactions.
+ * @type {Promise<void>}
+ */
+let fallbackWriteChain = Promise.resolve();
+
+/**
+ * Copies the version 1 per-user lists into one record per expense and deletes the old object store.
+ * Runs inside the upgrade transaction, so a failed migration leaves the database at version 1.
+ *
+ * @param {IDBTransaction} transaction - The version change transaction.
+ * @param {IDBObjectStore} records - The new object store.
+ */
+function migrateLegacyRecords(transaction, records) {
+  const legacyRequest = transaction.objectStore(LEGACY_OBJECT_STORE_NAME).openCursor();
+  legacyRequest.onsuccess = () => {
+    const cursor = legacyRequest.result;
+    if (!cursor) {
+      transaction.db.deleteObjectStore(LEGACY_OBJECT_STORE_NAME);
+      return;
+    }
+    (Array.isArray(cursor.value) ? cursor.value : []).forEach((record) => {
+      records.put({ ...record, uid: cursor.key, occurredAt: record.occurredAt || record.timestamp });
+    });
+    cursor.continue();
+  };
+}
+
+/**
+ * Opens (once) the IndexedDB database, or resolves with null if IndexedDB is unavailable or fails to open.
+ *
+ * @returns {Promise<IDBDatabase | null>} The database connection.
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      try {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = (event) => {
+          const records = request.result.createObjectStore(OBJECT_STORE_NAME, { keyPath: ['uid', 'id'] });
+          records.createIndex(OCCURRED_AT_INDEX, ['uid', 'occurredAt', 'id']);
+          records.createIndex(DELETED_AT_INDEX, ['uid', 'deletedAt']);
+          if (event.oldVersion === 1) {
+            migrateLegacyRecords(request.transaction, records);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('LocalExpenseStore: IndexedDB unavailable, falling back to localStorage:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('LocalExpenseStore: IndexedDB unavailable, falling back to localStorage:', error);
+        resolve(null);
+      }
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs requests in one IndexedDB transaction and resolves with the value `run` returns once it has completed.
+ *
+ * @param {IDBDatabase} database - The database connection.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): *} run - Issues the requests; may return a getter for the result.
+ * @returns {Promise<*>} The result (`run`'s return value, called if it is a function).
+ */
+function runTransaction(database, mode, run) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(OBJECT_STORE_NAME, mode);
+    const result = run(transaction.objectStore(OBJECT_STORE_NAME));
+    transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Reads the fallback list of a user's records from localStorage.
+ *
+ * @param {string} uid - The user id.
+ * @returns {LocalExpenseRecord[]} The records (empty when nothing is stored yet).
+ */
+function readFallbackRecords(uid) {
+  const stored = window.localStorage.getItem(FALLBACK_STORAGE_KEY_PREFIX + uid);
+  const parsed = stored ? JSON.parse(stored) : [];
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Tells a user's subscribers to read their view again.
+ *
+ * @param {string} uid - The user id.
+ */
+const notifyListeners = (uid) => listeners.get(uid)?.forEach((listener) => listener());
+
+/**
+ * Writes records of a user (new ones, or replacing those with the same id) and notifies that user's subscribers.
+ *
+ * @param {string} uid - The user id.
+ * @param {LocalExpenseRecord[]} records - The records to write.
+ * @returns {Promise<void>} Resolves once the records are persisted; rejects if writing fails.
+ */
+async function putRecords(uid, records) {
+  const database = await openDatabase();
+  if (database) {
+    await runTransaction(database, 'readwrite', (store) => {
+      records.forEach((record) => store.put({ ...record, uid }));
+    });
+  } else {
+    await modifyFallbackRecords(uid, (stored) => {
+      const ids = new Set(records.map((record) => record.id));
+      return [...stored.filter((record) => !ids.has(record.id)), ...records];
+    });
+  }
+  notifyListeners(uid);
+}
+
+/**
+ * Applies a read-modify-write to the fallback list of a user's records. Changes run one at a time.
+ *
+ * @param {string} uid - The user id.
+ * @param {function(LocalExpenseRecord[]): LocalExpenseRecord[]} change - Returns the new list from the current one.
+ * @returns {Promise<void>} Resolves once the change is persisted.
+ */
+function modifyFallbackRecords(uid, change) {
+  const result = fallbackWriteChain.then(() => {
+    const records = change(readFallbackRecords(uid));
+    window.localStorage.setItem(FALLBACK_STORAGE_KEY_PREFIX + uid, JSON.stringify(records));
+  });
+  fallbackWriteChain = result.catch(() => {}); // A failed write must not block the ones after it
+  return result;
+}
+
+/**
+ * Reads one record and replaces or deletes it in the same transaction, then notifies the user's subscribers.
+ *
+ * @param {string} uid - The user id.
+ * @param {string} id - The expense id.
+ * @param {function(LocalExpenseRecord | undefined): (LocalExpenseRecord | null | undefined)} change - Given the stored
+ *   record (undefined if there is none), returns the record to store, null to delete it, or undefined to leave it.
+ *   It may throw to abort the change.
+ * @returns {Promise<LocalExpenseRecord | undefined>} The record as it was before the change.
+ */
+async function modifyRecord(uid, id, change) {
+  const database = await openDatabase();
+  let previous;
+  if (database) {
+    let changeError = null;
+    await runTransaction(database, 'readwrite', (store) => {
+      const request = store.get([uid, id]);
+      request.onsuccess = () => {
+        previous = request.result;
+        try {
+          const next = change(previous);
+          if (next === null) store.delete([uid, id]);
+          else if (next !== undefined) store.put({ ...next, uid });
+        } catch (error) {
+          changeError = error;
+          request.transaction.abort();
+        }
+      };
+    }).catch((error) => {
+      // A transaction aborted here has no error of its own
+      throw changeError || error;
+    });
+  } else {
+    await modifyFallbackRecords(uid, (records) => {
+      previous = records.find((record) => record.id === id);
+      const next = change(previous);
+      if (next === undefined) return records;
+      const others = records.filter((record) => record.id !== id);
+      return next === null ? others : [...others, next];
+    });
+  }
+  notifyListeners(uid);
+  return previous;
+}
+
+/**
+ * Changes an existing record, failing if it does not exist.
+ *
+ * @param {string} uid - The user id.
+ * @param {string} id - The expense id.
+ * @param {function(LocalExpenseRecord): LocalExpenseRecord} change - Returns the updated record.
+ * @returns {Promise<void>} Resolves once the change is persisted.
+ */
+async function updateRecord(uid, id, change) {
+  const previous = await modifyRecord(uid, id, (record) => (record ? change(record) : undefined));
+  if (!previous) {
+    throw new Error(`Expense ${id} does not exist.`);
+  }
+}
+
+/**
+ * Reads a user's records newest first by `occurredAt` (ties by id, the order pages are read in).
+ *
+ * @param {string} uid - The user id.
+ * @param {object} [options] - Which records to read.
+ * @param {{occurredAt: string, id: string} | null} [options.after=null] - Only records after this cursor.
+ * @param {string | null} [options.from=null] - Only records that occurred at or after this ISO timestamp.
+ * @param {string | null} [options.to=null] - Only records that occurred before this ISO timestamp.
+ * @param {number} [options.limit=Infinity] - The most records to read.
+ * @returns {Promise<LocalExpenseRecord[]>} The records.
+ */
+async function queryRecords(uid, { after = null, from = null, to = null, limit = Infinity } = {}) {
+  const database = await openDatabase();
+  if (!database) {
+    await fallbackWriteChain; // Read after any write already in flight
+    return readFallbackRecords(uid)
+      .filter(
+        (record) =>
+          (!after || compareNewestFirst(record, after) > 0) &&
+          (!from || record.occurredAt >= from) &&
+          (!to || record.occurredAt < to),
+      )
+      .sort(compareNewestFirst)
+      .slice(0, limit);
+  }
+  // Arrays sort after strings, so [uid, []] is above every [uid, occurredAt, id] key
+  const lower = from ? [uid, from] : [uid];
+  const upper = after ? [uid, after.occurredAt, after.id] : to ? [uid, to] : [uid, []];
+  const range = IDBKeyRange.bound(lower, upper, false, Boolean(after || to));
+  const records = [];
+  return runTransaction(database, 'readonly', (store) => {
+    const request = store.index(OCCURRED_AT_INDEX).openCursor(range, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && records.length < limit) {
+        records.push(cursor.value);
+        cursor.continue();
+      }
+    };
+    return () => records;
+  });
+}
+
+/**
+ * Reads a user's trashed records.
+ *
+ * @param {string} uid - The user id.
+ * @returns {Promise<LocalExpenseRecord[]>} The records (unsorted).
+ */
+async function queryDeletedRecords(uid) {
+  const database = await openDatabase();
+  if (!database) {
+    await fallbackWriteChain;
+    return readFallbackRecords(uid).filter((record) => record.deletedAt != null);
+  }
+  return runTransaction(database, 'readonly', (store) => {
+    const request = store.index(DELETED_AT_INDEX).getAll(IDBKeyRange.bound([uid], [uid, []]));
+    return () => request.result;
+  });
+}
+
+/**
+ * Returns a new unique expense id.
+ *
+ * @returns {string} The id.
+ */
+const createId = () =>
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Parses a stored ISO timestamp, returning null for missing or invalid values.
+ *
+ * @param {string | null | undefined} value - The stored value.
+ * @returns {Date | null} The date.
+ */
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Builds the stored record of a new expense.
+ *
+ * @param {object} fields - The validated expense fields (see `ExpenseStore.add`).
+ * @param {string} [id] - The id to store it under; a new one by default.
+ * @returns {LocalExpenseRecord} The record (without its uid).
+ */
+const toRecord = (fields, id = createId()) => {
+  const now = new Date().toISOString();
+  return {
+    id,
+    description: fields.description,
+    amount: fields.amount,
+    currency: fields.currency,
+    category: fields.category,
+    timestamp: now,
+    occurredAt: fields.date ? fields.date.toISOString() : now,
+    deletedAt: null,
+    recurrence: fields.recurrence,
+  };
+};
+
+/**
+ * Converts a stored record into the plain expense object used by the UI.
+ *
+ * @param {LocalExpenseRecord} record - The stored record.
+ * @returns {import('./expenseService.js').StoredExpense} The expense.
+ */
+const toExpense = (record) => ({
+  id: record.id,
+  description: record.description,
+  amount: record.amount,
+  currency: record.currency,
+  category: record.category ?? null,
+  timestamp: toDate(record.timestamp),
+  occurredAt: toDate(record.occurredAt) || toDate(record.timestamp),
+  deletedAt: toDate(record.deletedAt),
+  isDeleted: record.deletedAt != null,
+  pendingSync: false, // Local writes are final; there is nothing to sync
+  recurrence: record.recurrence ?? null,
+});
+
+/**
+ * Orders records newest first by when they occurred (ties by id), the order pages are read in.
+ *
+ * @param {{occurredAt: string, id: string}} a - First record (or cursor).
+ * @param {{occurredAt: string, id: string}} b - Second record (or cursor).
+ * @returns {number} Negative if `a` comes before `b`.
+ */
+const compareNewestFirst = (a, b) =>
+  (a.occurredAt < b.occurredAt ? 1 : a.occurredAt > b.occurredAt ? -1 : 0) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+/**
+ * Builds the cursor continuing a page after a record.
+ *
+ * @param {LocalExpenseRecord} record - The last record of the page.
+ * @returns {{occurredAt: string, id: string}} The cursor.
+ */
+const toCursor = (record) => ({ occurredAt: record.occurredAt, id: record.id });
+
+/**
+ * Reads a page of a user's records: the `pageSize` records after a cursor (or the newest ones).
+ *
+ * @param {string} uid - The user id.
+ * @param {{occurredAt: string, id: string} | null} after - The cursor, or null for the newest page.
+ * @param {number} pageSize - How many records the page holds.
+ * @returns {Promise<{expenses: import('./expenseService.js').StoredExpense[], cursor: *, hasMore: boolean}>} The page.
+ */
+async function readPage(uid, after, pageSize) {
+  // One record more than the page tells whether older ones exist
+  const records = await queryRecords(uid, { after, limit: pageSize + 1 });
+  const page = records.slice(0, pageSize);
+  const last = page[page.length - 1];
+  return {
+    expenses: page.map(toExpense),
+    cursor: last ? toCursor(last) : after,
+    hasMore: records.length > pageSize,
+  };
+}
+
+/**
+ * Reports a view of a user's records now and after every write to them.
+ *
+ * @param {string} uid - The user id.
+ * @param {function(...*): void} onUpdate - Called with the arguments `read` resolves with.
+ * @param {function(Error): void} onError - Called if a read fails.
+ * @param {function(): Promise<Array>} read - Reads the view, as the arguments of `onUpdate`.
+ * @returns {function(): void} The unsubscribe function.
+ */
+function subscribeRecords(uid, onUpdate, onError, read) {
+  let active = true;
+  let latest = 0; // Reads can settle out of order; only the most recent one is reported
+  const listener = () => {
+    latest += 1;
+    const readNumber = latest;
+    read()
+      .then((args) => active && readNumber === latest && onUpdate(...args))
+      .catch((error) => active && onError(error));
+  };
+  if (!listeners.has(uid)) {
+    listeners.set(uid, new Set());
+  }
+  listeners.get(uid).add(listener);
+  listener(); // Report the stored expenses once
+  return () => {
+    active = false;
+    listeners.get(uid)?.delete(listener);
+  };
+}
+
+/**
+ * The browser-local implementation of the expense store interface (see `ExpenseStore` in expenseService.js).
+ * Expenses are kept in IndexedDB, one record per expense indexed by when it occurred, so a write touches only
+ * the expenses it changes and a page reads only its own records. Where IndexedDB is unavailable they are kept
+ * as one list per user in localStorage. Nothing ever leaves the device.
+ *
+ * @type {import('./expenseService.js').ExpenseStore}
+ */
+const localExpenseStore = {
+  name: 'local',
+
+  isAvailable: () => typeof window !== 'undefined' && (typeof indexedDB !== 'undefined' || Boolean(window.localStorage)),
+
+  async add(uid, fields) {
+    const record = toRecord(fields);
+    await putRecords(uid, [record]);
+    return record.id;
+  },
+
+  async addMany(uid, fieldsList) {
+    const records = fieldsList.map((fields) => toRecord(fields));
+    await putRecords(uid, records);
+    return records.map((record) => record.id);
+  },
+
+  async addIfAbsent(uid, id, fields) {
+    // Already written (possibly edited or trashed since); leave it as it is
+    const previous = await modifyRecord(uid, id, (record) => (record ? undefined : toRecord(fields, id)));
+    return !previous;
+  },
+
+  async update(uid, id, fields) {
+    const { date, ...changes } = fields;
+    await updateRecord(uid, id, (record) => ({
+      ...record,
+      ...changes,
+      ...(date !== undefined && { occurredAt: (date || new Date()).toISOString() }),
+    }));
+  },
+
+  async setDeleted(uid, id, deleted) {
+    await updateRecord(uid, id, (record) => ({ ...record, deletedAt: deleted ? new Date().toISOString() : null }));
+  },
+
+  async purge(uid, id) {
+    await modifyRecord(uid, id, () => null);
+  },
+
+  subscribeNewest(uid, pageSize, onUpdate, onError) {
+    return subscribeRecords(uid, onUpdate, onError, async () => {
+      const { expenses, cursor, hasMore } = await readPage(uid, null, pageSize);
+      return [expenses, { cursor, hasMore }];
+    });
+  },
+
+  loadPage: (uid, cursor, pageSize) => readPage(uid, cursor, pageSize),
+
+  async loadRange(uid, from, to) {
+    const records = await queryRecords(uid, {
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+    });
+    return records.map(toExpense);
+  },
+
+  subscribeDeleted(uid, onUpdate, onError) {
+    return subscribeRecords(uid, onUpdate, onError, async () => [(await queryDeletedRecords(uid)).map(toExpense)]);
+  },
+
+  // Nothing is ever queued: local writes cannot be offline
+  flushQueue: async () => 0,
+};
+
+export default localExpenseStore;
@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect } from 'vitest';
+import localExpenseStore from './localExpenseStore.js';
+import { describeExpenseStoreContract } from './expenseStoreContract.js';
+
+describeExpenseStoreContract('localExpenseStore (IndexedDB)', () => localExpenseStore);
+
+/**
+ * How many synthetic expenses are stored.
+ * @constant {number}
+ */
+const EXPENSE_COUNT = 3000;
+
+/**
+ * Builds the fields of synthetic expenses spread over about a year, several on the same day and some at the
+ * same moment, so pages also split expenses that only the id tells apart.
+ *
+ * @param {number} count - How many expenses to build.
+ * @returns {Array<object>} The expense fields (see `ExpenseStore.add`).
+ */
+const buildSyntheticExpenses = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    description: `Synthetic expense ${index}`,
+    amount: (index % 97) + 0.5,
+    currency: 'USD',
+    category: null,
+    date: new Date(Date.UTC(2024, 0, 1 + (index % 365), index % 3)),
+  }));
+
+/**
+ * Reads every page of a user's expenses, from the newest page on.
+ *
+ * @param {string} uid - The user id.
+ * @param {number} pageSize - How many expenses a page holds.
+ * @returns {Promise<Array<object>>} The pages' expenses, in the order they were read.
+ */
+const readAllPages = async (uid, pageSize) => {
+  const expenses = [];
+  let page = { cursor: null, hasMore: true };
+  while (page.hasMore) {
+    page = await localExpenseStore.loadPage(uid, page.cursor, pageSize);
+    expenses.push(...page.expenses);
+  }
+  return expenses;
+};
+
+describe('localExpenseStore with thousands of expenses', () => {
+  it('pages through every expense exactly once, newest first', async () => {
+    const ids = await localExpenseStore.addMany('pager', buildSyntheticExpenses(EXPENSE_COUNT));
+
+    const expenses = await readAllPages('pager', 50);
+
+    expect(expenses).toHaveLength(EXPENSE_COUNT);
+    expect(new Set(expenses.map((expense) => expense.id))).toEqual(new Set(ids));
+    expenses.slice(1).forEach((expense, index) => {
+      const previous = expenses[index];
+      const newerOrTied = previous.occurredAt > expense.occurredAt
+        || (previous.occurredAt.getTime() === expense.occurredAt.getTime() && previous.id > expense.id);
+      expect(newerOrTied).toBe(true);
+    });
+  });
+
+  it('reads the newest page and a date range without the rest of the history', async () => {
+    await localExpenseStore.addMany('ranges', buildSyntheticExpenses(EXPENSE_COUNT));
+
+    const newest = await new Promise((resolve, reject) => {
+      const unsubscribe = localExpenseStore.subscribeNewest('ranges', 50, (expenses, page) => {
+        unsubscribe();
+        resolve({ expenses, page });
+      }, reject);
+    });
+    expect(newest.expenses).toHaveLength(50);
+    expect(newest.page.hasMore).toBe(true);
+    expect(newest.expenses[0].occurredAt.toISOString()).toBe('2024-12-30T02:00:00.000Z');
+
+    const march = await localExpenseStore.loadRange('ranges', new Date('2024-03-01'), new Date('2024-04-01'));
+    expect(march.length).toBeGreaterThan(0);
+    expect(march.every(({ occurredAt }) => occurredAt.getUTCMonth() === 2)).toBe(true);
+  });
+
+  it('keeps paging consistent when an expense is trashed or removed between pages', async () => {
+    await localExpenseStore.addMany('edits', buildSyntheticExpenses(500));
+    const first = await localExpenseStore.loadPage('edits', null, 100);
+    const next = await localExpenseStore.loadPage('edits', first.cursor, 100);
+
+    await localExpenseStore.purge('edits', next.expenses[0].id);
+    await localExpenseStore.setDeleted('edits', next.expenses[1].id, true);
+    const reread = await localExpenseStore.loadPage('edits', first.cursor, 100);
+
+    expect(reread.expenses[0].id).toBe(next.expenses[1].id);
+    expect(reread.expenses[0].isDeleted).toBe(true);
+    expect(reread.expenses.at(-1).id).not.toBe(next.expenses.at(-1).id);
+  });
+});
@@ -0,0 +1,353 @@
+// src/services/localSpeechEngine.js
+
+/**
+ * URL of the on-device speech runtime: an ES module, served by the app, wrapping a WASM speech model such as
+ * whisper.cpp or Vosk (see `localSpeechWorker.js` for what it must export). Set with VITE_LOCAL_SPEECH_RUNTIME_URL.
+ * @constant {string | undefined}
+ */
+const RUNTIME_URL = import.meta.env.VITE_LOCAL_SPEECH_RUNTIME_URL;
+
+/**
+ * URL of the model file the runtime loads (e.g. a ggml Whisper model or a Vosk model archive).
+ * Set with VITE_LOCAL_SPEECH_MODEL_URL.
+ * @constant {string | undefined}
+ */
+const MODEL_URL = import.meta.env.VITE_LOCAL_SPEECH_MODEL_URL;
+
+/**
+ * Whether this build was configured with a speech runtime and model. None ships with the app, so without
+ * both URLs the on-device engine is never available, whatever the browser supports.
+ * @constant {boolean}
+ */
+export const LOCAL_SPEECH_CONFIGURED = Boolean(RUNTIME_URL && MODEL_URL);
+
+/**
+ * Sample rate of the audio handed to the model; whisper.cpp and Vosk models expect 16 kHz mono.
+ * @constant {number}
+ */
+const MODEL_SAMPLE_RATE = 16000;
+
+/**
+ * Microphone level (RMS of the waveform, 0-1) above which the user counts as speaking.
+ * @constant {number}
+ */
+const SPEECH_LEVEL = 0.02;
+
+/**
+ * Silence after speech that ends an utterance, in milliseconds.
+ * @constant {number}
+ */
+const END_OF_UTTERANCE_MS = 1200;
+
+/**
+ * Longest utterance recorded before it is transcribed anyway, in milliseconds.
+ * @constant {number}
+ */
+const MAX_UTTERANCE_MS = 15000;
+
+/**
+ * How long a single-utterance session waits for speech before reporting 'no-speech', in milliseconds.
+ * @constant {number}
+ */
+const NO_SPEECH_TIMEOUT_MS = 8000;
+
+/**
+ * How often the microphone level is checked, in milliseconds.
+ * @constant {number}
+ */
+const LEVEL_CHECK_INTERVAL_MS = 100;
+
+/**
+ * The worker running the model, created on first use.
+ * @type {Worker | null}
+ */
+let worker = null;
+
+/**
+ * Resolves once the worker has loaded the runtime and model (null until the first session starts).
+ * @type {Promise<void> | null}
+ */
+let workerReady = null;
+
+/**
+ * Requests sent to the worker and waiting for its reply, by request id.
+ * @type {Map<number, {resolve: function(*): void, reject: function(Error): void}>}
+ */
+const pendingRequests = new Map();
+
+let nextRequestId = 0; // Increases with every request
+
+/**
+ * The AudioContext constructor (prefixed in older Safari), or undefined where Web Audio is missing.
+ *
+ * @returns {typeof AudioContext | undefined} The constructor.
+ */
+const getAudioContextClass = () =>
+  typeof window === 'undefined' ? undefined : window.AudioContext || window.webkitAudioContext;
+
+/**
+ * Sends a request to the worker and resolves with its result.
+ *
+ * @param {string} type - The request type ('load' or 'transcribe').
+ * @param {object} payload - The request fields.
+ * @param {Transferable[]} [transfer=[]] - Buffers handed over to the worker instead of copied.
+ * @returns {Promise<*>} The worker's result; rejects with the worker's error.
+ */
+const requestWorker = (type, payload, transfer = []) =>
+  new Promise((resolve, reject) => {
+    nextRequestId += 1;
+    pendingRequests.set(nextRequestId, { resolve, reject });
+    worker.postMessage({ id: nextRequestId, type, ...payload }, transfer);
+  });
+
+/**
+ * Starts the worker and has it load the runtime and model, once. A failed load is retried by the next session.
+ *
+ * @returns {Promise<void>} Resolves once the model is ready.
+ */
+const loadWorker = () => {
+  if (!workerReady) {
+    worker = new Worker(new URL('./localSpeechWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id);
+      if (!request) return;
+      pendingRequests.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      console.error('LocalSpeechEngine Error (worker): The speech worker failed:', event.message);
+      pendingRequests.forEach((request) => request.reject(new Error('The speech worker failed.')));
+      pendingRequests.clear();
+    };
+    workerReady = requestWorker('load', { runtimeUrl: RUNTIME_URL, modelUrl: MODEL_URL }).catch((error) => {
+      console.error('LocalSpeechEngine Error (loadWorker): Failed to load the on-device speech model:', error);
+      worker.terminate();
+      worker = null;
+      workerReady = null;
+      throw error;
+    });
+  }
+  return workerReady;
+};
+
+/**
+ * Decodes a recorded utterance into 16 kHz mono samples for the model.
+ *
+ * @param {Blob} recording - The MediaRecorder output.
+ * @returns {Promise<Float32Array>} The samples.
+ */
+const decodeRecording = async (recording) => {
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+  let decoded;
+  try {
+    decoded = await context.decodeAudioData(await recording.arrayBuffer());
+  } finally {
+    context.close();
+  }
+  // Rendering into a one-channel context at the model's rate resamples and mixes down in one go
+  const offline = new OfflineAudioContext(1, Math.ceil(decoded.duration * MODEL_SAMPLE_RATE), MODEL_SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+  return rendered.getChannelData(0);
+};
+
+/**
+ * Transcribes a recorded utterance in the worker.
+ *
+ * @param {Blob} recording - The MediaRecorder output.
+ * @param {string} lang - BCP 47 tag of the spoken language.
+ * @returns {Promise<{text: string, confidence: number}>} The transcript and the model's confidence (0 if it gives none).
+ */
+const transcribeRecording = async (recording, lang) => {
+  const [samples] = await Promise.all([decodeRecording(recording), loadWorker()]);
+  return requestWorker(
+    'transcribe',
+    { samples, sampleRate: MODEL_SAMPLE_RATE, language: lang.split('-')[0] },
+    [samples.buffer],
+  );
+};
+
+/**
+ * Measures the microphone level (RMS of the current waveform).
+ *
+ * @param {AnalyserNode} analyser - The analyser on the microphone stream.
+ * @param {Float32Array} buffer - Scratch buffer of `analyser.fftSize` samples.
+ * @returns {number} The level, from 0 to 1.
+ */
+const measureLevel = (analyser, buffer) => {
+  analyser.getFloatTimeDomainData(buffer);
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i += 1) {
+    sum += buffer[i] * buffer[i];
+  }
+  return Math.sqrt(sum / buffer.length);
+};
+
+/**
+ * Speech engine that keeps audio on the device: the microphone is recorded with MediaRecorder, an utterance
+ * ends after a short silence, and it is transcribed by a WASM model (whisper.cpp, Vosk) in a Web Worker.
+ * Available when the browser can record audio and the runtime and model URLs are configured; the app ships
+ * neither, so out of the box it is never available (see "On-device recognition" in the README). Only final
+ * transcripts are reported (no interim results), with a single alternative.
+ * @type {import('./speechEngine.js').SpeechEngine}
+ */
+const localSpeechEngine = {
+  name: 'on-device',
+
+  isAvailable: () =>
+    Boolean(
+      LOCAL_SPEECH_CONFIGURED &&
+        typeof window !== 'undefined' &&
+        window.Worker &&
+        window.MediaRecorder &&
+        window.OfflineAudioContext &&
+        navigator.mediaDevices?.getUserMedia &&
+        getAudioContextClass(),
+    ),
+
+  start({ lang, continuous }, { onResult, onError, onEnd }) {
+    let stream = null;
+    let audioContext = null;
+    let recorder = null;
+    let levelTimer = null;
+    let utterance = null; // {startedAt, lastSpeechAt, heardSpeech} of the utterance being recorded
+    let stopping = false; // No new utterance is recorded
+    let ended = false; // The microphone is released; transcripts still being worked on are reported
+    let cancelled = false; // Aborted or failed: nothing more is reported
+    let transcriptions = Promise.resolve(); // Utterances are transcribed one at a time, in order
+
+    const release = () => {
+      clearInterval(levelTimer);
+      if (recorder) recorder.onstop = null;
+      if (recorder?.state === 'recording') recorder.stop();
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      if (audioContext) audioContext.close();
+    };
+
+    const finish = () => {
+      if (ended) return;
+      ended = true;
+      release();
+      transcriptions.then(() => onEnd()); // After the last transcript has been reported
+    };
+
+    const fail = (code) => {
+      if (cancelled) return;
+      cancelled = true;
+      stopping = true;
+      onError(code);
+      finish();
+    };
+
+    const transcribe = (recording) => {
+      transcriptions = transcriptions
+        .then(() => (cancelled ? null : transcribeRecording(recording, lang)))
+        .then((result) => {
+          if (result?.text && !cancelled) {
+            const { text, confidence } = result;
+            onResult({ finalTranscript: text, interimTranscript: '', alternatives: [{ transcript: text, confidence }] });
+          }
+        })
+        .catch((error) => {
+          console.error('LocalSpeechEngine Error (transcribe): Failed to transcribe the recording:', error);
+          fail('engine-error');
+        });
+    };
+
+    const recordUtterance = () => {
+      const chunks = [];
+      const current = { startedAt: Date.now(), lastSpeechAt: 0, heardSpeech: false };
+      utterance = current;
+      const mediaRecorder = new MediaRecorder(stream);
+      recorder = mediaRecorder;
+      mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      mediaRecorder.onstop = () => {
+        if (current.heardSpeech) {
+          transcribe(new Blob(chunks, { type: mediaRecorder.mimeType }));
+        }
+        if (continuous && !stopping) {
+          recordUtterance();
+        } else {
+          finish();
+        }
+      };
+      mediaRecorder.start();
+    };
+
+    const endUtterance = () => {
+      if (recorder?.state === 'recording') recorder.stop();
+    };
+
+    const startLevelChecks = () => {
+      const analyser = audioContext.createAnalyser();
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+      const buffer = new Float32Array(analyser.fftSize);
+      levelTimer = setInterval(() => {
+        const now = Date.now();
+        if (measureLevel(analyser, buffer) > SPEECH_LEVEL) {
+          utterance.heardSpeech = true;
+          utterance.lastSpeechAt = now;
+        }
+        if (utterance.heardSpeech && now - utterance.lastSpeechAt > END_OF_UTTERANCE_MS) {
+          endUtterance();
+        } else if (now - utterance.startedAt > MAX_UTTERANCE_MS) {
+          endUtterance(); // Transcribe long utterances anyway; in a dictation session recording carries on
+        } else if (!continuous && !utterance.heardSpeech && now - utterance.startedAt > NO_SPEECH_TIMEOUT_MS) {
+          fail('no-speech');
+        }
+      }, LEVEL_CHECK_INTERVAL_MS);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ audio: true })
+      .then((microphone) => {
+        if (ended) {
+          // Aborted or failed before the microphone was granted: release() found no stream to stop then
+          microphone.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = microphone;
+        if (stopping) {
+          finish(); // Stopped before the microphone was granted
+          return;
+        }
+        audioContext = new (getAudioContextClass())();
+        recordUtterance();
+        startLevelChecks();
+        loadWorker().catch(() => fail('engine-unavailable')); // Load the model while the user speaks
+      })
+      .catch((error) => {
+        console.error('LocalSpeechEngine Error (start): Failed to open the microphone:', error);
+        fail(error?.name === 'NotAllowedError' || error?.name === 'SecurityError' ? 'not-allowed' : 'audio-capture');
+      });
+
+    return {
+      stop() {
+        stopping = true;
+        if (recorder?.state === 'recording') {
+          recorder.stop(); // onstop transcribes what was said so far, then ends the session
+        } else if (stream) {
+          finish();
+        }
+      },
+      abort() {
+        cancelled = true; // No further callbacks
+        stopping = true;
+        ended = true;
+        release();
+      },
+    };
+  },
+};
+
+export default localSpeechEngine;
@@ -0,0 +1,69 @@
+// src/services/localSpeechWorker.js
+
+/**
+ * Web Worker running the on-device speech model for `localSpeechEngine`, so transcribing never blocks the page.
+ *
+ * The model itself is not bundled: the worker imports the runtime module configured with
+ * VITE_LOCAL_SPEECH_RUNTIME_URL, a thin wrapper around a WASM build of whisper.cpp or Vosk served by the app.
+ * It must export:
+ *
+ *   createTranscriber({ modelUrl }) => Promise<{
+ *     transcribe(samples: Float32Array, options: {sampleRate: number, language: string})
+ *       => Promise<{text: string, confidence?: number}>
+ *   }>
+ *
+ * where `samples` is mono audio at `sampleRate` (16 kHz) and `language` an ISO 639-1 code ("en", "de").
+ *
+ * Messages: {id, type: 'load', runtimeUrl, modelUrl} and {id, type: 'transcribe', samples, sampleRate, language};
+ * each is answered with {id, result} or {id, error}.
+ */
+
+/**
+ * The transcriber created by the runtime (null until loaded, or after a failed load so it can be retried).
+ * @type {Promise<{transcribe: function(Float32Array, object): Promise<{text: string, confidence?: number}>}> | null}
+ */
+let transcriberPromise = null;
+
+/**
+ * Handlers for each message type, resolving with the result sent back.
+ * @constant {Object<string, function(object): Promise<*>>}
+ */
+const MESSAGE_HANDLERS = {
+  load: async ({ runtimeUrl, modelUrl }) => {
+    if (!transcriberPromise) {
+      transcriberPromise = import(/* @vite-ignore */ runtimeUrl)
+        .then((runtime) => runtime.createTranscriber({ modelUrl }))
+        .catch((error) => {
+          transcriberPromise = null;
+          throw error;
+        });
+    }
+    await transcriberPromise;
+    return null;
+  },
+
+  transcribe: async ({ samples, sampleRate, language }) => {
+    if (!transcriberPromise) {
+      throw new Error('The speech model is not loaded.');
+    }
+    const transcriber = await transcriberPromise;
+    const { text, confidence } = await transcriber.transcribe(samples, { sampleRate, language });
+    return {
+      text: typeof text === 'string' ? text.trim() : '',
+      confidence: typeof confidence === 'number' ? confidence : 0,
+    };
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const handler = MESSAGE_HANDLERS[data?.type];
+  try {
+    if (!handler) {
+      throw new Error(`Unknown message type "${data?.type}".`);
+    }
+    self.postMessage({ id: data.id, result: await handler(data) });
+  } catch (error) {
+    console.error(`LocalSpeechWorker Error (${data?.type}): Failed to handle the message:`, error);
+    self.postMessage({ id: data?.id, error: error?.message || 'Transcription failed.' });
+  }
+};
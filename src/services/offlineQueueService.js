@@ -0,0 +1,119 @@
+// src/services/offlineQueueService.js
+
+/**
+ * The localStorage key under which queued expense writes are persisted.
+ * @constant {string}
+ */
+const QUEUE_STORAGE_KEY = 'voiceExpenseTracker.pendingWrites';
+
+/**
+ * @typedef {object} QueuedExpense
+ * @property {string} id - The Firestore document ID reserved for the expense (replays are idempotent).
+ * @property {string} uid - The user the expense belongs to.
+ * @property {string} description - The expense description.
+ * @property {number} amount - The expense amount.
+ * @property {string} currency - ISO 4217 code of the amount.
+ * @property {string | null} category - The category id.
+ * @property {string} occurredAt - ISO timestamp of when the expense happened (the spoken date, or when it was captured).
+ * @property {{templateId: string, occurrence: string} | null} [recurrence] - The recurring template link, if generated.
+ * @property {string} queuedAt - ISO timestamp of when the expense was queued.
+ */
+
+/**
+ * Listeners registered through `getQueueSubscription`, notified after every change.
+ * @type {Set<function(QueuedExpense[]): void>}
+ */
+const listeners = new Set();
+
+/**
+ * Reads the stored queue, skipping malformed entries.
+ *
+ * @returns {QueuedExpense[]} The queued expenses (empty on error).
+ */
+function readQueue() {
+  try {
+    const stored = window.localStorage.getItem(QUEUE_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed)
+      ? parsed.filter((entry) => entry && typeof entry.id === 'string' && typeof entry.uid === 'string')
+      : [];
+  } catch (error) {
+    console.error('OfflineQueueService Error (readQueue): Failed to read the queue from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes the queue and notifies subscribers.
+ *
+ * @param {QueuedExpense[]} queue - The full queue to store.
+ * @returns {boolean} True if the queue was persisted.
+ */
+function writeQueue(queue) {
+  try {
+    window.localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('OfflineQueueService Error (writeQueue): Failed to write the queue to localStorage:', error);
+    return false;
+  }
+  listeners.forEach((listener) => listener(queue));
+  return true;
+}
+
+/**
+ * Adds (or replaces, by id) an expense that could not be written to Firestore.
+ *
+ * @function enqueueExpense
+ * @param {QueuedExpense} entry - The expense to queue.
+ * @returns {boolean} True if the entry was persisted.
+ */
+export function enqueueExpense(entry) {
+  if (!entry || typeof entry.id !== 'string' || typeof entry.uid !== 'string') {
+    console.error('OfflineQueueService Error (enqueueExpense): Invalid input: entry needs an id and a uid.', entry);
+    return false;
+  }
+  const queue = readQueue().filter((queued) => queued.id !== entry.id);
+  return writeQueue([...queue, entry]);
+}
+
+/**
+ * Removes a queued expense (after it has been written, or when the user undoes it).
+ *
+ * @function removeQueuedExpense
+ * @param {string} id - The document ID of the queued expense.
+ * @returns {boolean} True if the queue was persisted (also when the id was not queued).
+ */
+export function removeQueuedExpense(id) {
+  const queue = readQueue();
+  const remaining = queue.filter((queued) => queued.id !== id);
+  return remaining.length === queue.length ? true : writeQueue(remaining);
+}
+
+/**
+ * Returns the queued expenses of one user, oldest first.
+ *
+ * @function getQueuedExpenses
+ * @param {string} uid - The user id.
+ * @returns {QueuedExpense[]} The user's queued expenses.
+ */
+export function getQueuedExpenses(uid) {
+  return readQueue().filter((queued) => queued.uid === uid);
+}
+
+/**
+ * Subscribes to the queue. The callback is invoked immediately with the current queue
+ * and again after every change.
+ *
+ * @function getQueueSubscription
+ * @param {function(QueuedExpense[]): void} onUpdate - Called with the full queue (all users).
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the callback is invalid.
+ */
+export function getQueueSubscription(onUpdate) {
+  if (typeof onUpdate !== 'function') {
+    console.error('OfflineQueueService Error (getQueueSubscription): Invalid input: onUpdate must be a function.');
+    return null;
+  }
+  listeners.add(onUpdate);
+  onUpdate(readQueue());
+  return () => listeners.delete(onUpdate);
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  enqueueExpense,
+  removeQueuedExpense,
+  getQueuedExpenses,
+  getQueueSubscription,
+} from './offlineQueueService.js';
+
+/**
+ * A queue entry as `firestoreExpenseStore` builds it.
+ *
+ * @param {object} [overrides] - Fields to change.
+ * @returns {import('./offlineQueueService.js').QueuedExpense} The entry.
+ */
+const queuedExpense = (overrides = {}) => ({
+  id: 'reserved-1',
+  uid: 'alice',
+  description: 'Coffee',
+  amount: 4.5,
+  currency: 'USD',
+  category: 'food',
+  occurredAt: '2024-03-05T12:00:00.000Z',
+  recurrence: null,
+  queuedAt: '2024-03-05T12:00:01.000Z',
+  ...overrides,
+});
+
+describe('offlineQueueService', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('keeps queued expenses per user, oldest first', () => {
+    enqueueExpense(queuedExpense({ id: 'a1' }));
+    enqueueExpense(queuedExpense({ id: 'b1', uid: 'bob' }));
+    enqueueExpense(queuedExpense({ id: 'a2' }));
+
+    expect(getQueuedExpenses('alice').map((entry) => entry.id)).toEqual(['a1', 'a2']);
+    expect(getQueuedExpenses('bob').map((entry) => entry.id)).toEqual(['b1']);
+  });
+
+  it('replaces an entry queued again under the same reserved id', () => {
+    enqueueExpense(queuedExpense({ amount: 4.5 }));
+    enqueueExpense(queuedExpense({ amount: 5 }));
+
+    expect(getQueuedExpenses('alice')).toEqual([queuedExpense({ amount: 5 })]);
+  });
+
+  it('removes entries by id, also ones that are no longer queued', () => {
+    enqueueExpense(queuedExpense());
+
+    expect(removeQueuedExpense('reserved-1')).toBe(true);
+    expect(removeQueuedExpense('reserved-1')).toBe(true);
+    expect(getQueuedExpenses('alice')).toEqual([]);
+  });
+
+  it('survives a reload and skips malformed stored entries', () => {
+    window.localStorage.setItem(
+      'voiceExpenseTracker.pendingWrites',
+      JSON.stringify([queuedExpense(), { id: 'no-uid' }, null, 'garbage']),
+    );
+
+    expect(getQueuedExpenses('alice')).toEqual([queuedExpense()]);
+  });
+
+  it('refuses entries without an id or uid', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(enqueueExpense(queuedExpense({ id: undefined }))).toBe(false);
+    expect(enqueueExpense(queuedExpense({ uid: null }))).toBe(false);
+    expect(getQueuedExpenses('alice')).toEqual([]);
+  });
+
+  it('reports the queue to subscribers now and after every change', () => {
+    const onUpdate = vi.fn();
+    const unsubscribe = getQueueSubscription(onUpdate);
+    expect(onUpdate).toHaveBeenLastCalledWith([]);
+
+    enqueueExpense(queuedExpense());
+    expect(onUpdate).toHaveBeenLastCalledWith([queuedExpense()]);
+    removeQueuedExpense('reserved-1');
+    expect(onUpdate).toHaveBeenLastCalledWith([]);
+
+    unsubscribe();
+    enqueueExpense(queuedExpense());
+    expect(onUpdate).toHaveBeenCalledTimes(3);
+  });
+});
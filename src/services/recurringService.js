@@ -0,0 +1,270 @@
+// src/services/recurringService.js
+
+import { db, storageBackend } from './firebase.js'; // Import the configured Firestore instance
+import { isValidCurrencyCode } from '../utils/currency.js';
+import { isKnownCategory } from '../utils/categories.js';
+import { fromDateKey, isValidSchedule } from '../utils/recurrence.js';
+import {
+  collection, // Function to get a collection reference
+  doc, // Function to get a document reference (or reserve a new document ID)
+  setDoc, // Function to write a document under a known ID
+  deleteDoc, // Function to delete a document
+  onSnapshot, // Function to listen for real-time updates
+} from 'firebase/firestore'; // Firebase v10.11.1
+
+/**
+ * The name of the top-level Firestore collection holding one document per user.
+ * @constant {string}
+ */
+const USERS_COLLECTION_NAME = 'users';
+
+/**
+ * The name of the per-user subcollection where recurring templates are stored (`users/{uid}/recurring`), next to `expenses`.
+ * @constant {string}
+ */
+const RECURRING_COLLECTION_NAME = 'recurring';
+
+/**
+ * The localStorage key prefix for recurring templates in local mode (the uid is appended).
+ * @constant {string}
+ */
+const LOCAL_STORAGE_KEY_PREFIX = 'voiceExpenseTracker.recurring.';
+
+/**
+ * Listeners registered through `getRecurringTemplatesSubscription` in local mode, notified after every change.
+ * @type {Set<{uid: string, onUpdate: function(import('../utils/recurrence.js').RecurringTemplate[]): void}>}
+ */
+const localListeners = new Set();
+
+/**
+ * Validates and normalises a recurring template before it is stored.
+ *
+ * @param {object} template - The raw template fields (see `RecurringTemplate` in utils/recurrence.js; `id` optional).
+ * @returns {Omit<import('../utils/recurrence.js').RecurringTemplate, 'id'> | null} The validated fields
+ *   (trimmed description), or null if any field is invalid.
+ */
+export function validateRecurringTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: template must be an object.', template);
+    return null;
+  }
+  const description = typeof template.description === 'string' ? template.description.trim() : '';
+  const category = template.category ?? null;
+  const generatedThrough = template.generatedThrough ?? null;
+
+  if (description === '') {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Description must be a non-empty string.', template.description);
+    return null;
+  }
+  if (typeof template.amount !== 'number' || template.amount <= 0 || !Number.isFinite(template.amount)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Amount must be a positive finite number.', template.amount);
+    return null;
+  }
+  if (!isValidCurrencyCode(template.currency)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Currency must be an ISO 4217 code.', template.currency);
+    return null;
+  }
+  if (category !== null && !isKnownCategory(category)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Category must be a known category id.', category);
+    return null;
+  }
+  if (!isValidSchedule(template.schedule)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Schedule is incomplete or out of range.', template.schedule);
+    return null;
+  }
+  if (!fromDateKey(template.startDate)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: Start date must be a YYYY-MM-DD date.', template.startDate);
+    return null;
+  }
+  if (generatedThrough !== null && !fromDateKey(generatedThrough)) {
+    console.error('RecurringService Error (validateRecurringTemplate): Invalid input: generatedThrough must be a YYYY-MM-DD date.', generatedThrough);
+    return null;
+  }
+  const { frequency, interval, dayOfWeek, dayOfMonth, month } = template.schedule;
+  return {
+    description,
+    amount: template.amount,
+    currency: template.currency,
+    category,
+    // Only the fields the frequency uses, so Firestore never sees `undefined`
+    schedule: {
+      frequency,
+      interval,
+      ...(frequency === 'weekly' ? { dayOfWeek } : { dayOfMonth }),
+      ...(frequency === 'yearly' && { month }),
+    },
+    startDate: template.startDate,
+    generatedThrough,
+  };
+}
+
+/**
+ * Reads the recurring templates of a user in local mode, skipping malformed entries.
+ *
+ * @param {string} uid - The user id.
+ * @returns {import('../utils/recurrence.js').RecurringTemplate[]} The stored templates (empty on error).
+ */
+function readLocalTemplates(uid) {
+  try {
+    const stored = window.localStorage.getItem(LOCAL_STORAGE_KEY_PREFIX + uid);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed)
+      ? parsed.filter((template) => template && typeof template.id === 'string' && validateRecurringTemplate(template))
+      : [];
+  } catch (error) {
+    console.error('RecurringService Error (readLocalTemplates): Failed to read recurring templates from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes the recurring templates of a user in local mode and notifies that user's subscribers.
+ *
+ * @param {string} uid - The user id.
+ * @param {import('../utils/recurrence.js').RecurringTemplate[]} templates - The full list to store.
+ * @throws {Error} If localStorage rejects the write (e.g. quota exceeded).
+ */
+function writeLocalTemplates(uid, templates) {
+  window.localStorage.setItem(LOCAL_STORAGE_KEY_PREFIX + uid, JSON.stringify(templates));
+  localListeners.forEach((listener) => {
+    if (listener.uid === uid) listener.onUpdate(templates);
+  });
+}
+
+/**
+ * Checks the backend and uid shared by every recurring template operation.
+ *
+ * @param {any} uid - The user id.
+ * @param {string} functionName - The calling service function, used in log messages.
+ * @returns {boolean} True if the operation can go ahead.
+ */
+const canUseRecurring = (uid, functionName) => {
+  if (storageBackend === 'firestore' && !db) {
+    console.error(`RecurringService Error (${functionName}): Firestore database is not available. Check Firebase configuration and initialization.`);
+    return false;
+  }
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.error(`RecurringService Error (${functionName}): Invalid input: uid must be a non-empty string (is a user signed in?).`, uid);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Creates a recurring template, or replaces the template with the same `id`
+ * (also used to record how far occurrences have been generated).
+ *
+ * @async
+ * @function saveRecurringTemplate
+ * @param {string} uid - The user id owning the template.
+ * @param {object} template - The template fields (see `validateRecurringTemplate`); include `id` to replace an existing template.
+ * @returns {Promise<string | null>} The template id, or null if storage is unavailable or validation fails.
+ * @throws {Error} If the template could not be stored.
+ */
+export async function saveRecurringTemplate(uid, template) {
+  if (!canUseRecurring(uid, 'saveRecurringTemplate')) {
+    return null;
+  }
+  const fields = validateRecurringTemplate(template);
+  if (!fields) {
+    return null;
+  }
+
+  try {
+    if (storageBackend === 'firestore') {
+      const recurringCollection = collection(db, USERS_COLLECTION_NAME, uid, RECURRING_COLLECTION_NAME);
+      const docRef = template.id ? doc(recurringCollection, template.id) : doc(recurringCollection);
+      // Not awaited past the local write: offline, Firestore applies it to the cache immediately
+      setDoc(docRef, fields).catch((error) =>
+        console.error('RecurringService Error (saveRecurringTemplate): Pending write failed:', error),
+      );
+      console.info(`RecurringService: Recurring template ${docRef.id} saved.`);
+      return docRef.id;
+    }
+    const id = template.id || `recurring-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const templates = readLocalTemplates(uid).filter((existing) => existing.id !== id);
+    writeLocalTemplates(uid, [...templates, { id, ...fields }]);
+    console.info(`RecurringService: Recurring template ${id} saved locally.`);
+    return id;
+  } catch (error) {
+    console.error('RecurringService Error (saveRecurringTemplate): Failed to save recurring template:', error);
+    throw new Error('Failed to save recurring expense.');
+  }
+}
+
+/**
+ * Deletes a recurring template. Expenses it already generated are kept.
+ *
+ * @async
+ * @function deleteRecurringTemplate
+ * @param {string} uid - The user id owning the template.
+ * @param {string} id - The template id.
+ * @returns {Promise<string | null>} The deleted template id, or null if storage is unavailable or the id is invalid.
+ * @throws {Error} If the template could not be deleted.
+ */
+export async function deleteRecurringTemplate(uid, id) {
+  if (!canUseRecurring(uid, 'deleteRecurringTemplate')) {
+    return null;
+  }
+  if (typeof id !== 'string' || id.trim() === '') {
+    console.error('RecurringService Error (deleteRecurringTemplate): Invalid input: id must be a non-empty string.', id);
+    return null;
+  }
+
+  try {
+    if (storageBackend === 'firestore') {
+      deleteDoc(doc(db, USERS_COLLECTION_NAME, uid, RECURRING_COLLECTION_NAME, id)).catch((error) =>
+        console.error('RecurringService Error (deleteRecurringTemplate): Pending delete failed:', error),
+      );
+    } else {
+      writeLocalTemplates(uid, readLocalTemplates(uid).filter((template) => template.id !== id));
+    }
+    console.info(`RecurringService: Recurring template ${id} deleted.`);
+    return id;
+  } catch (error) {
+    console.error('RecurringService Error (deleteRecurringTemplate): Failed to delete recurring template:', error);
+    throw new Error('Failed to delete recurring expense.');
+  }
+}
+
+/**
+ * Subscribes to a user's recurring templates, sorted by description. The callback is invoked with the
+ * current templates and again after every change.
+ *
+ * @function getRecurringTemplatesSubscription
+ * @param {string} uid - The user id whose templates are listened to.
+ * @param {function(import('../utils/recurrence.js').RecurringTemplate[]): void} onUpdate - Callback invoked with the templates.
+ * @param {function(Error): void} onErrorCallback - Callback invoked if the subscription fails.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the subscription could not be set up.
+ */
+export function getRecurringTemplatesSubscription(uid, onUpdate, onErrorCallback) {
+  if (!canUseRecurring(uid, 'getRecurringTemplatesSubscription')) {
+    return null;
+  }
+  if (typeof onUpdate !== 'function' || typeof onErrorCallback !== 'function') {
+    console.error('RecurringService Error (getRecurringTemplatesSubscription): Invalid input: onUpdate and onErrorCallback must be functions.');
+    return null;
+  }
+  const byDescription = (a, b) => a.description.localeCompare(b.description);
+
+  if (storageBackend === 'firestore') {
+    return onSnapshot(
+      collection(db, USERS_COLLECTION_NAME, uid, RECURRING_COLLECTION_NAME),
+      (querySnapshot) => {
+        const templates = querySnapshot.docs
+          .map((templateDoc) => ({ id: templateDoc.id, ...templateDoc.data() }))
+          .filter((template) => validateRecurringTemplate(template)); // Skip documents edited into an invalid shape
+        onUpdate(templates.sort(byDescription));
+      },
+      (error) => {
+        console.error('RecurringService Error (getRecurringTemplatesSubscription): Error listening to Firestore changes:', error);
+        onErrorCallback(new Error('Failed to subscribe to recurring expense updates.'));
+      },
+    );
+  }
+
+  const listener = { uid, onUpdate: (templates) => onUpdate([...templates].sort(byDescription)) };
+  localListeners.add(listener);
+  listener.onUpdate(readLocalTemplates(uid));
+  return () => localListeners.delete(listener);
+}
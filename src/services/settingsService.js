@@ -0,0 +1,268 @@
+// src/services/settingsService.js
+
+import { db, storageBackend } from './firebase.js';
+import { DEFAULT_CATEGORY_RULES, isKnownCategory } from '../utils/categories.js';
+import { DEFAULT_LOCALE, LOCALE_PACKS } from '../utils/commandGrammar.js';
+import { DEFAULT_CURRENCY, isValidCurrencyCode } from '../utils/currency.js';
+import { SPEECH_ENGINE_OPTIONS } from './speechEngine.js';
+import {
+  doc, // Function to get a document reference
+  setDoc, // Function to write (or merge into) a document
+  onSnapshot, // Function to listen for real-time updates
+} from 'firebase/firestore'; // Firebase v10.11.1
+
+/**
+ * The name of the top-level Firestore collection holding one document per user. A user's settings are the
+ * `settings` field of their own document (`users/{uid}`), so they follow the account to every device.
+ * @constant {string}
+ */
+const USERS_COLLECTION_NAME = 'users';
+
+/**
+ * The localStorage key prefix under which each user's settings are cached (the uid is appended), so they apply
+ * before Firestore answers and while offline. In local mode this is where settings are stored.
+ * @constant {string}
+ */
+const SETTINGS_STORAGE_KEY_PREFIX = 'voiceExpenseTracker.settings.';
+
+/**
+ * The key settings were kept under before they were stored per user. They belong to the account that was
+ * signed in when they were written, which is the session restored on startup (see `adoptLegacySettings`).
+ * @constant {string}
+ */
+const LEGACY_SETTINGS_STORAGE_KEY = 'voiceExpenseTracker.settings';
+
+/**
+ * @typedef {object} UserSettings
+ * @property {string} defaultCurrency - ISO 4217 code applied to amounts spoken without a currency.
+ * @property {string} homeCurrency - ISO 4217 code expenses are converted into for display alongside the original amount.
+ * @property {Array<{keyword: string, category: string}>} categoryRules - Keyword -> category rules used to categorise new expenses.
+ * @property {boolean} confirmBeforeSave - When true, a parsed voice expense is shown as an editable preview
+ *   and only saved once confirmed; when false it is added immediately.
+ * @property {string} language - BCP 47 tag of the recognition language, which also selects the locale pack
+ *   used to parse spoken expenses (see `LOCALE_PACKS`).
+ * @property {'auto' | 'web-speech' | 'on-device'} speechEngine - Which speech engine recognises voice commands
+ *   (see `selectSpeechEngine`); 'auto' prefers the browser's own and falls back to the on-device model.
+ */
+
+/**
+ * Settings used when nothing has been stored yet (or stored values are invalid).
+ * @constant {UserSettings}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  defaultCurrency: DEFAULT_CURRENCY,
+  homeCurrency: DEFAULT_CURRENCY,
+  categoryRules: DEFAULT_CATEGORY_RULES,
+  confirmBeforeSave: false,
+  language: DEFAULT_LOCALE,
+  speechEngine: 'auto',
+});
+
+/**
+ * Per-setting validators. Stored values failing validation are replaced by their default.
+ * @constant {Object<string, function(any): boolean>}
+ */
+const SETTING_VALIDATORS = {
+  defaultCurrency: isValidCurrencyCode,
+  homeCurrency: isValidCurrencyCode,
+  categoryRules: (rules) =>
+    Array.isArray(rules) &&
+    rules.every(
+      (rule) =>
+        rule &&
+        typeof rule.keyword === 'string' &&
+        rule.keyword.trim() !== '' &&
+        isKnownCategory(rule.category),
+    ),
+  confirmBeforeSave: (value) => typeof value === 'boolean',
+  language: (value) => LOCALE_PACKS.some((pack) => pack.code === value),
+  speechEngine: (value) => SPEECH_ENGINE_OPTIONS.some((option) => option.value === value),
+};
+
+/**
+ * Merges raw settings over the defaults, dropping unknown keys and invalid values.
+ *
+ * @param {object} rawSettings - Settings read from storage or supplied by the caller.
+ * @returns {UserSettings} A complete, valid settings object.
+ */
+const sanitizeSettings = (rawSettings) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!rawSettings || typeof rawSettings !== 'object') {
+    return settings;
+  }
+  for (const [key, validate] of Object.entries(SETTING_VALIDATORS)) {
+    if (key in rawSettings && validate(rawSettings[key])) {
+      settings[key] = rawSettings[key];
+    } else if (key in rawSettings) {
+      console.warn(`SettingsService: Ignoring invalid value for setting "${key}":`, rawSettings[key]);
+    }
+  }
+  return settings;
+};
+
+/**
+ * Reads the cached settings of a user.
+ *
+ * @param {string} uid - The user id.
+ * @returns {object | null} The raw cached settings, or null if there are none.
+ * @throws {Error} If localStorage cannot be read or holds invalid JSON.
+ */
+function readCachedSettings(uid) {
+  const stored = window.localStorage.getItem(`${SETTINGS_STORAGE_KEY_PREFIX}${uid}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Caches the settings of a user.
+ *
+ * @param {string} uid - The user id.
+ * @param {UserSettings} settings - The sanitized settings.
+ * @throws {Error} If localStorage rejects the write (e.g. quota exceeded).
+ */
+function writeCachedSettings(uid, settings) {
+  window.localStorage.setItem(`${SETTINGS_STORAGE_KEY_PREFIX}${uid}`, JSON.stringify(settings));
+}
+
+/**
+ * Writes a user's settings to their Firestore document. Not awaited past the local write: offline,
+ * Firestore applies it to its cache immediately and sends it once back online.
+ *
+ * @param {string} uid - The user id.
+ * @param {UserSettings} settings - The sanitized settings.
+ */
+function writeAccountSettings(uid, settings) {
+  setDoc(doc(db, USERS_COLLECTION_NAME, uid), { settings }, { merge: true }).catch((error) =>
+    console.error('SettingsService Error (writeAccountSettings): Pending write failed:', error),
+  );
+}
+
+/**
+ * Gives the device-wide settings of older versions to the account that wrote them, and removes them.
+ * They were written by whoever was signed in at the time, which is the session Firebase Auth restores when
+ * this version first loads; a user signing in afterwards is a different session and never adopts them. Without
+ * a restored session their owner is unknown, so they are dropped. An account that already has its own
+ * settings keeps them.
+ *
+ * @function adoptLegacySettings
+ * @param {string | null} restoredUid - The uid of the session restored on startup, or null if nobody was signed in.
+ * @returns {boolean} True if the settings were given to the restored account.
+ */
+export function adoptLegacySettings(restoredUid) {
+  try {
+    const legacy = window.localStorage.getItem(LEGACY_SETTINGS_STORAGE_KEY);
+    if (legacy === null) {
+      return false;
+    }
+    window.localStorage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+    if (!restoredUid || readCachedSettings(restoredUid) !== null) {
+      return false;
+    }
+    // Cached only; the settings subscription uploads them if the account has none in Firestore yet
+    writeCachedSettings(restoredUid, sanitizeSettings(JSON.parse(legacy)));
+    return true;
+  } catch (error) {
+    console.error('SettingsService Error (adoptLegacySettings): Failed to migrate device-wide settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads a user's cached settings, for use until the account's own settings arrive (see `getSettingsSubscription`).
+ *
+ * @function loadSettings
+ * @param {string | null} uid - The signed-in user's id; without one the defaults are returned.
+ * @returns {UserSettings} The cached settings merged over the defaults. Never throws;
+ *   storage or JSON errors are logged and the defaults are returned.
+ */
+export function loadSettings(uid) {
+  if (!uid) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  try {
+    return sanitizeSettings(readCachedSettings(uid));
+  } catch (error) {
+    console.error('SettingsService Error (loadSettings): Failed to read settings from localStorage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Saves a user's settings: to their Firestore document, and to the local cache.
+ *
+ * @function saveSettings
+ * @param {string | null} uid - The signed-in user's id.
+ * @param {UserSettings} settings - The settings to persist (invalid values are replaced by defaults).
+ * @returns {UserSettings | null} The settings actually saved, or null if there is no user or storage failed.
+ */
+export function saveSettings(uid, settings) {
+  if (!uid) {
+    console.error('SettingsService Error (saveSettings): Invalid input: A user id is required.');
+    return null;
+  }
+  const sanitized = sanitizeSettings(settings);
+  try {
+    if (storageBackend === 'firestore' && db) {
+      writeAccountSettings(uid, sanitized);
+    }
+    writeCachedSettings(uid, sanitized);
+    return sanitized;
+  } catch (error) {
+    console.error('SettingsService Error (saveSettings): Failed to save settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Subscribes to a user's settings. The callback is invoked with the settings stored for the account, and again
+ * whenever they change on another device; each version is cached locally. An account without settings in
+ * Firestore is given its cached ones (saved on this device by an earlier version, or adopted from the
+ * device-wide settings), or the defaults, once the server has confirmed there are none. In local mode the cached settings are
+ * reported once.
+ *
+ * @function getSettingsSubscription
+ * @param {string} uid - The user id whose settings are listened to.
+ * @param {function(UserSettings): void} onUpdate - Callback invoked with the settings.
+ * @param {function(Error): void} onErrorCallback - Callback invoked if the subscription fails.
+ * @returns {function(): void | null} An unsubscribe function, or `null` if the subscription could not be set up.
+ */
+export function getSettingsSubscription(uid, onUpdate, onErrorCallback) {
+  if (typeof uid !== 'string' || uid.trim() === '') {
+    console.error('SettingsService Error (getSettingsSubscription): Invalid input: uid must be a non-empty string (is a user signed in?).', uid);
+    return null;
+  }
+  if (typeof onUpdate !== 'function' || typeof onErrorCallback !== 'function') {
+    console.error('SettingsService Error (getSettingsSubscription): Invalid input: onUpdate and onErrorCallback must be functions.');
+    return null;
+  }
+
+  if (storageBackend !== 'firestore' || !db) {
+    onUpdate(loadSettings(uid));
+    return () => {};
+  }
+
+  return onSnapshot(
+    doc(db, USERS_COLLECTION_NAME, uid),
+    { includeMetadataChanges: true },
+    (snapshot) => {
+      const stored = snapshot.data()?.settings;
+      if (stored) {
+        const settings = sanitizeSettings(stored);
+        try {
+          writeCachedSettings(uid, settings);
+        } catch (error) {
+          console.error('SettingsService Error (getSettingsSubscription): Failed to cache settings:', error);
+        }
+        onUpdate(settings);
+      } else if (!snapshot.metadata.fromCache) {
+        // The server has nothing for this account yet: it gets what this device has (or the defaults)
+        const settings = loadSettings(uid);
+        writeAccountSettings(uid, settings);
+        onUpdate(settings);
+      }
+    },
+    (error) => {
+      console.error('SettingsService Error (getSettingsSubscription): Error listening to Firestore changes:', error);
+      onErrorCallback(new Error('Failed to subscribe to settings updates.'));
+    },
+  );
+}
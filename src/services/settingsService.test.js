@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import {
+  DEFAULT_SETTINGS,
+  adoptLegacySettings,
+  getSettingsSubscription,
+  loadSettings,
+  saveSettings,
+} from './settingsService.js';
+import { runsOnEmulators, useEmulatorFirebaseConfig } from './emulatorTestEnv.js';
+
+// Local mode: settings live in localStorage only (the emulator tests below load the real Firebase setup)
+vi.mock('./firebase.js', () => ({ db: null, storageBackend: 'local' }));
+
+describe('settingsService', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('keeps each user\'s settings apart', () => {
+    saveSettings('alice', { ...DEFAULT_SETTINGS, confirmBeforeSave: true });
+
+    expect(loadSettings('alice').confirmBeforeSave).toBe(true);
+    expect(loadSettings('bob').confirmBeforeSave).toBe(false);
+  });
+
+  it('returns the defaults and saves nothing without a user', () => {
+    expect(loadSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(saveSettings(null, { ...DEFAULT_SETTINGS, confirmBeforeSave: true })).toBeNull();
+    expect(window.localStorage.length).toBe(0);
+  });
+
+  it('gives the device-wide settings of older versions to the session restored on startup only', () => {
+    window.localStorage.setItem('voiceExpenseTracker.settings', JSON.stringify({ confirmBeforeSave: true }));
+
+    expect(adoptLegacySettings('alice')).toBe(true);
+    expect(adoptLegacySettings('bob')).toBe(false);
+    expect(loadSettings('alice').confirmBeforeSave).toBe(true);
+    expect(loadSettings('bob').confirmBeforeSave).toBe(false);
+    expect(window.localStorage.getItem('voiceExpenseTracker.settings')).toBeNull();
+  });
+
+  it('drops the device-wide settings when nobody was signed in, and never overwrites an account', () => {
+    window.localStorage.setItem('voiceExpenseTracker.settings', JSON.stringify({ confirmBeforeSave: true }));
+    expect(adoptLegacySettings(null)).toBe(false);
+    expect(window.localStorage.getItem('voiceExpenseTracker.settings')).toBeNull();
+
+    saveSettings('alice', { ...DEFAULT_SETTINGS, defaultCurrency: 'EUR' });
+    window.localStorage.setItem('voiceExpenseTracker.settings', JSON.stringify({ defaultCurrency: 'GBP' }));
+    expect(adoptLegacySettings('alice')).toBe(false);
+    expect(loadSettings('alice').defaultCurrency).toBe('EUR');
+  });
+
+  it('reports the stored settings to a subscriber in local mode', () => {
+    saveSettings('alice', { ...DEFAULT_SETTINGS, confirmBeforeSave: true });
+    const onUpdate = vi.fn();
+
+    const unsubscribe = getSettingsSubscription('alice', onUpdate, () => {});
+
+    expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({ confirmBeforeSave: true }));
+    unsubscribe();
+  });
+
+  it('replaces invalid stored values with their defaults', () => {
+    window.localStorage.setItem(
+      'voiceExpenseTracker.settings.alice',
+      JSON.stringify({ confirmBeforeSave: 'yes', defaultCurrency: 'EUR' }),
+    );
+
+    const settings = loadSettings('alice');
+    expect(settings.confirmBeforeSave).toBe(false);
+    expect(settings.defaultCurrency).toBe('EUR');
+  });
+});
+
+describe.skipIf(!runsOnEmulators)('settingsService on the Firestore emulator', () => {
+  let settingsService;
+  let uid;
+
+  beforeAll(async () => {
+    useEmulatorFirebaseConfig();
+    vi.doUnmock('./firebase.js');
+    vi.resetModules(); // Load Firebase afresh, now pointed at the emulators
+    settingsService = await import('./settingsService.js');
+    const { signInAsGuest } = await import('./authService.js');
+    ({ uid } = await signInAsGuest()); // firestore.rules only let a user at their own document
+  });
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  // The settings the subscription reports last, once they match
+  const subscribedSettings = async (expected) => {
+    const reports = [];
+    const unsubscribe = settingsService.getSettingsSubscription(uid, (settings) => reports.push(settings), () => {});
+    await vi.waitFor(() => expect(reports.at(-1)).toMatchObject(expected), { timeout: 10000 });
+    unsubscribe();
+    return reports.at(-1);
+  };
+
+  it('follows the account to a device that has never seen it', async () => {
+    settingsService.saveSettings(uid, { ...DEFAULT_SETTINGS, defaultCurrency: 'EUR', confirmBeforeSave: true });
+    await subscribedSettings({ defaultCurrency: 'EUR' });
+
+    window.localStorage.clear(); // Another device: nothing cached
+
+    expect(settingsService.loadSettings(uid).defaultCurrency).toBe('USD');
+    await subscribedSettings({ defaultCurrency: 'EUR', confirmBeforeSave: true });
+    expect(settingsService.loadSettings(uid).defaultCurrency).toBe('EUR'); // Cached for next time
+  });
+});
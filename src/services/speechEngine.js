@@ -0,0 +1,67 @@
+// src/services/speechEngine.js
+
+import webSpeechEngine from './webSpeechEngine.js';
+import localSpeechEngine from './localSpeechEngine.js';
+
+/**
+ * @typedef {object} SpeechResult
+ * @property {string} finalTranscript - Words recognised for good in this event (empty if none).
+ * @property {string} interimTranscript - Words of the utterance still being spoken (empty if none or unsupported).
+ * @property {Array<{transcript: string, confidence: number}>} alternatives - Alternatives of the latest final result,
+ *   best guess first, with the engine's confidence (0 when it gives none); empty without a final result.
+ */
+
+/**
+ * @typedef {object} SpeechSession
+ * @property {function(): void} stop - Stops listening; what was already said is still transcribed, then `onEnd` is called.
+ * @property {function(): void} abort - Stops at once; no further handler is called.
+ */
+
+/**
+ * The speech engine interface implemented by `webSpeechEngine` and `localSpeechEngine`, and used by
+ * `useSpeechRecognition`. Handlers are called with results, at most one error code ('no-speech', 'not-allowed',
+ * 'audio-capture', 'network', 'engine-unavailable', 'engine-error', ...) and finally `onEnd`.
+ *
+ * @typedef {object} SpeechEngine
+ * @property {'web-speech' | 'on-device'} name - The engine name.
+ * @property {function(): boolean} isAvailable - Whether this browser (and build configuration) can use the engine.
+ * @property {function({lang: string, continuous: boolean, maxAlternatives: number},
+ *   {onResult: function(SpeechResult): void, onError: function(string): void, onEnd: function(): void}): SpeechSession} start
+ *   Starts listening. Single-utterance sessions end after the first utterance; continuous ones report each
+ *   utterance as a final result until stopped.
+ */
+
+/**
+ * The engines, in the order they are preferred when the choice is automatic: the browser's own recognizer
+ * where it exists, then the on-device model.
+ * @constant {SpeechEngine[]}
+ */
+export const SPEECH_ENGINES = [webSpeechEngine, localSpeechEngine];
+
+/**
+ * The engine choices offered in the settings: automatic, or one engine by name.
+ * @constant {Array<{value: 'auto' | 'web-speech' | 'on-device', label: string}>}
+ */
+export const SPEECH_ENGINE_OPTIONS = [
+  { value: 'auto', label: 'Automatic' },
+  { value: 'web-speech', label: 'Browser speech recognition (may send audio to a cloud service)' },
+  { value: 'on-device', label: 'On this device (audio stays on the device)' },
+];
+
+/**
+ * Picks the speech engine to use. A named engine is used when this browser supports it; otherwise (and for
+ * 'auto') the first available engine is chosen.
+ *
+ * @param {'auto' | 'web-speech' | 'on-device'} [preference='auto'] - The engine setting.
+ * @returns {SpeechEngine | null} The engine, or null if no engine can be used in this browser.
+ */
+export function selectSpeechEngine(preference = 'auto') {
+  const preferred = SPEECH_ENGINES.find((engine) => engine.name === preference);
+  if (preferred && preferred.isAvailable()) {
+    return preferred;
+  }
+  if (preferred) {
+    console.warn(`SpeechEngine: The ${preference} engine is not available in this browser; choosing automatically.`);
+  }
+  return SPEECH_ENGINES.find((engine) => engine.isAvailable()) || null;
+}
@@ -0,0 +1,96 @@
+// src/services/webSpeechEngine.js
+
+/**
+ * The browser's SpeechRecognition constructor (prefixed in Chrome and Safari), or undefined where the
+ * Web Speech API is missing (Firefox, several mobile browsers).
+ *
+ * @returns {typeof SpeechRecognition | undefined} The constructor.
+ */
+const getRecognitionClass = () =>
+  typeof window === 'undefined' ? undefined : window.SpeechRecognition || window.webkitSpeechRecognition;
+
+/**
+ * Speech engine backed by the browser's Web Speech API. Recognition quality is good and interim results
+ * are reported while the user speaks, but Chrome sends the audio to a cloud service to transcribe it.
+ * @type {import('./speechEngine.js').SpeechEngine}
+ */
+const webSpeechEngine = {
+  name: 'web-speech',
+
+  isAvailable: () => Boolean(getRecognitionClass()),
+
+  start({ lang, continuous, maxAlternatives }, { onResult, onError, onEnd }) {
+    const RecognitionClass = getRecognitionClass();
+    const recognition = new RecognitionClass();
+    recognition.interimResults = true; // Interim results feed the live captions
+    recognition.maxAlternatives = maxAlternatives;
+    recognition.lang = lang;
+    // Stop after the first pause/result, or keep listening for a dictation session
+    recognition.continuous = continuous;
+    let keepGoing = continuous; // Cleared once stopping is requested or a real error occurs
+
+    recognition.onresult = (event) => {
+      console.debug('WebSpeechEngine: onresult event triggered.');
+      let finalTranscript = '';
+      let interimTranscript = '';
+      let alternatives = [];
+      // Iterate through results, concatenating final results and, separately, the ones still changing
+      for (let i = event.resultIndex; i < event.results.length; ++i) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          finalTranscript += result[0].transcript;
+          alternatives = Array.from(result, (alternative) => ({
+            transcript: alternative.transcript,
+            confidence: alternative.confidence,
+          }));
+        } else {
+          interimTranscript += result[0].transcript;
+        }
+      }
+      onResult({ finalTranscript, interimTranscript, alternatives });
+    };
+
+    recognition.onerror = (event) => {
+      if (keepGoing && event.error === 'no-speech') {
+        // A pause while dictating: the session is restarted when the recognizer ends
+        console.debug('WebSpeechEngine: No speech in continuous session, continuing.');
+        return;
+      }
+      keepGoing = false; // Do not restart after a real error
+      onError(event.error || 'Unknown recognition error');
+    };
+
+    recognition.onend = () => {
+      console.debug('WebSpeechEngine: onend event triggered.');
+      if (keepGoing) {
+        // Browsers end even continuous recognition after a silence; keep the session going
+        try {
+          recognition.start();
+          return;
+        } catch (error) {
+          console.error('WebSpeechEngine: Error restarting continuous recognition:', error);
+          keepGoing = false;
+        }
+      }
+      onEnd();
+    };
+
+    recognition.start();
+
+    return {
+      stop() {
+        keepGoing = false; // Let the session end instead of restarting
+        recognition.stop();
+      },
+      abort() {
+        keepGoing = false;
+        recognition.onresult = null;
+        recognition.onerror = null;
+        recognition.onend = null;
+        recognition.abort(); // Abort is more forceful than stop
+      },
+    };
+  },
+};
+
+export default webSpeechEngine;
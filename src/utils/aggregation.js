@@ -0,0 +1,246 @@
+/**
+ * Spending aggregation for the Voice Expense Tracker application.
+ * Pure functions over the plain expense objects provided by `ExpenseContext`: period boundaries,
+ * totals, category breakdowns, daily trends and period-over-period comparisons. Amounts in other
+ * currencies are converted into the home currency with the locally stored exchange rates; expenses
+ * without an applicable rate are counted separately instead of being silently dropped or mixed in.
+ */
+
+import { convertAmount, toDateKey } from './currencyConversion.js';
+import { FALLBACK_CATEGORY } from './categories.js';
+
+/**
+ * The calendar periods totals can be computed for. Weeks start on Monday.
+ * @constant {string[]}
+ */
+export const PERIODS = ['day', 'week', 'month', 'year'];
+
+/**
+ * @typedef {object} AggregationOptions
+ * @property {string} homeCurrency - ISO 4217 code every amount is converted into.
+ * @property {import('./currencyConversion.js').ExchangeRate[]} [rates=[]] - The rate table used for conversions.
+ */
+
+/**
+ * @typedef {object} SpendingTotal
+ * @property {number} total - The sum in the home currency, rounded to cents.
+ * @property {number} count - How many expenses were summed.
+ * @property {number} unconvertedCount - Expenses left out because no exchange rate applied.
+ */
+
+/**
+ * Returns when an expense happened, falling back to its creation time (and to now for pending server times).
+ *
+ * @param {{occurredAt?: Date | null, timestamp?: Date | null}} expense - The expense.
+ * @returns {Date} The expense date.
+ */
+export const getExpenseDate = (expense) => expense.occurredAt || expense.timestamp || new Date();
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Returns local midnight at the start of the period containing `date`.
+ *
+ * @param {'day' | 'week' | 'month' | 'year'} period - The period.
+ * @param {Date} [date=new Date()] - The reference time.
+ * @returns {Date} The start of the period.
+ */
+export const getPeriodStart = (period, date = new Date()) => {
+  switch (period) {
+    case 'day':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    case 'week': {
+      const daysSinceMonday = (date.getDay() + 6) % 7;
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+    }
+    case 'year':
+      return new Date(date.getFullYear(), 0, 1);
+    default:
+      return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+};
+
+/**
+ * Returns the boundaries of the period containing `date`, or of an earlier one.
+ *
+ * @param {'day' | 'week' | 'month' | 'year'} period - The period.
+ * @param {Date} [date=new Date()] - The reference time.
+ * @param {number} [offset=0] - 0 for the current period, -1 for the previous one, and so on.
+ * @returns {{start: Date, end: Date}} The period; `end` is the (exclusive) start of the next period.
+ */
+export const getPeriodRange = (period, date = new Date(), offset = 0) => {
+  const current = getPeriodStart(period, date);
+  const shift = (steps) => {
+    const shifted = new Date(current);
+    if (period === 'day') shifted.setDate(shifted.getDate() + steps);
+    else if (period === 'week') shifted.setDate(shifted.getDate() + steps * 7);
+    else if (period === 'year') shifted.setFullYear(shifted.getFullYear() + steps);
+    else shifted.setMonth(shifted.getMonth() + steps);
+    return shifted;
+  };
+  return { start: shift(offset), end: shift(offset + 1) };
+};
+
+/**
+ * Counts the calendar days from `start` up to `end` (a partly elapsed last day counts as a whole one).
+ * Steps through the calendar rather than dividing milliseconds, so daylight-saving changes do not skew it.
+ *
+ * @param {Date} start - Local midnight on the first day.
+ * @param {Date} end - The end (exclusive).
+ * @returns {number} The number of days (at least 1).
+ */
+const countDays = (start, end) => {
+  let days = 0;
+  for (let day = start; day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    days += 1;
+  }
+  return Math.max(1, days);
+};
+
+/**
+ * Keeps the expenses that happened in `[from, to)`.
+ *
+ * @param {Array<object>} expenses - The expenses.
+ * @param {{from?: Date, to?: Date}} range - The range; omitted bounds are open.
+ * @returns {Array<object>} The expenses in range.
+ */
+export const filterByDateRange = (expenses, { from, to } = {}) =>
+  expenses.filter((expense) => {
+    const date = getExpenseDate(expense);
+    return (!from || date >= from) && (!to || date < to);
+  });
+
+/**
+ * Converts an expense amount into the home currency.
+ *
+ * @param {{amount: number, currency: string, occurredAt?: Date | null, timestamp?: Date | null}} expense - The expense.
+ * @param {AggregationOptions} options - The home currency and rates.
+ * @returns {number | null} The amount in the home currency, or null if no rate applies.
+ */
+export const toHomeAmount = (expense, { homeCurrency, rates = [] }) =>
+  expense.currency === homeCurrency
+    ? expense.amount
+    : convertAmount(expense.amount, expense.currency, homeCurrency, getExpenseDate(expense), rates);
+
+/**
+ * Sums expenses in the home currency.
+ *
+ * @param {Array<object>} expenses - The expenses to sum (already filtered).
+ * @param {AggregationOptions} options - The home currency and rates.
+ * @returns {SpendingTotal} The total.
+ */
+export const sumExpenses = (expenses, options) => {
+  let total = 0;
+  let count = 0;
+  let unconvertedCount = 0;
+  for (const expense of expenses) {
+    const amount = toHomeAmount(expense, options);
+    if (amount === null) {
+      unconvertedCount += 1;
+    } else {
+      total += amount;
+      count += 1;
+    }
+  }
+  return { total: roundToCents(total), count, unconvertedCount };
+};
+
+/**
+ * Totals for the current day, week and month.
+ *
+ * @param {Array<object>} expenses - The live expenses.
+ * @param {AggregationOptions & {now?: Date}} options - The home currency, rates and reference time.
+ * @returns {{day: SpendingTotal, week: SpendingTotal, month: SpendingTotal}} The totals.
+ */
+export const getCurrentTotals = (expenses, { now = new Date(), ...options }) =>
+  Object.fromEntries(
+    ['day', 'week', 'month'].map((period) => {
+      const { start, end } = getPeriodRange(period, now);
+      return [period, sumExpenses(filterByDateRange(expenses, { from: start, to: end }), options)];
+    }),
+  );
+
+/**
+ * Breaks spending down by category, largest first.
+ *
+ * @param {Array<object>} expenses - The expenses to break down (already filtered).
+ * @param {AggregationOptions} options - The home currency and rates.
+ * @returns {Array<{category: string, total: number, count: number, share: number}>} One entry per category with
+ *   spending; `share` is the fraction of the overall total. Uncategorised expenses count as `FALLBACK_CATEGORY`.
+ */
+export const getCategoryBreakdown = (expenses, options) => {
+  const byCategory = new Map();
+  for (const expense of expenses) {
+    const amount = toHomeAmount(expense, options);
+    if (amount === null) continue;
+    const category = expense.category || FALLBACK_CATEGORY;
+    const entry = byCategory.get(category) || { category, total: 0, count: 0 };
+    entry.total += amount;
+    entry.count += 1;
+    byCategory.set(category, entry);
+  }
+  const overall = [...byCategory.values()].reduce((sum, entry) => sum + entry.total, 0);
+  return [...byCategory.values()]
+    .map((entry) => ({ ...entry, total: roundToCents(entry.total), share: overall > 0 ? entry.total / overall : 0 }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Daily spending for every day in a range, including days without expenses.
+ *
+ * @param {Array<object>} expenses - The expenses.
+ * @param {AggregationOptions & {from: Date, to: Date}} options - The range `[from, to)`, home currency and rates.
+ * @returns {Array<{date: Date, dateKey: string, total: number}>} One entry per day, oldest first.
+ */
+export const getDailyTotals = (expenses, { from, to, ...options }) => {
+  const totals = new Map();
+  for (const expense of filterByDateRange(expenses, { from, to })) {
+    const amount = toHomeAmount(expense, options);
+    if (amount === null) continue;
+    const dateKey = toDateKey(getExpenseDate(expense));
+    totals.set(dateKey, (totals.get(dateKey) || 0) + amount);
+  }
+  const days = [];
+  for (let day = getPeriodStart('day', from); day < to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const dateKey = toDateKey(day);
+    days.push({ date: day, dateKey, total: roundToCents(totals.get(dateKey) || 0) });
+  }
+  return days;
+};
+
+/**
+ * Compares the current period so far with the whole previous period, as totals and daily averages.
+ *
+ * @param {Array<object>} expenses - The live expenses.
+ * @param {'week' | 'month' | 'year'} period - The period to compare.
+ * @param {AggregationOptions & {now?: Date}} options - The home currency, rates and reference time.
+ * @returns {{current: SpendingTotal & {dailyAverage: number, days: number},
+ *   previous: SpendingTotal & {dailyAverage: number, days: number},
+ *   averageChange: number | null}} The comparison; `averageChange` is the relative change of the daily
+ *   average (0.1 = 10% more), or null when the previous period had no spending.
+ */
+export const comparePeriods = (expenses, period, { now = new Date(), ...options }) => {
+  const current = getPeriodRange(period, now);
+  const previous = getPeriodRange(period, now, -1);
+  const summarise = (from, to, elapsedUntil) => {
+    const total = sumExpenses(filterByDateRange(expenses, { from, to }), options);
+    const days = countDays(from, elapsedUntil);
+    return { ...total, days, dailyAverage: roundToCents(total.total / days) };
+  };
+  const currentSummary = summarise(current.start, current.end, now < current.end ? now : current.end);
+  const previousSummary = summarise(previous.start, previous.end, previous.end);
+  return {
+    current: currentSummary,
+    previous: previousSummary,
+    averageChange:
+      previousSummary.dailyAverage > 0
+        ? (currentSummary.dailyAverage - previousSummary.dailyAverage) / previousSummary.dailyAverage
+        : null,
+  };
+};
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  comparePeriods,
+  getCategoryBreakdown,
+  getCurrentTotals,
+  getDailyTotals,
+  getPeriodRange,
+  sumExpenses,
+} from './aggregation.js';
+
+// A fixed "now": Wednesday 15 May 2024, midday
+const NOW = new Date(2024, 4, 15, 12, 0, 0);
+
+const OPTIONS = {
+  homeCurrency: 'USD',
+  rates: [
+    { date: '2024-01-01', base: 'EUR', quote: 'USD', rate: 1.1 },
+    { date: '2024-05-01', base: 'EUR', quote: 'USD', rate: 1.2 },
+  ],
+};
+
+const expense = (amount, occurredAt, { currency = 'USD', category = 'food' } = {}) => ({
+  amount,
+  currency,
+  category,
+  description: 'test',
+  occurredAt,
+  timestamp: occurredAt,
+});
+
+describe('getPeriodRange', () => {
+  it('starts weeks on Monday', () => {
+    const { start, end } = getPeriodRange('week', NOW);
+    expect(start).toEqual(new Date(2024, 4, 13));
+    expect(end).toEqual(new Date(2024, 4, 20));
+  });
+
+  it('returns earlier weeks and months for negative offsets', () => {
+    expect(getPeriodRange('week', NOW, -1)).toEqual({ start: new Date(2024, 4, 6), end: new Date(2024, 4, 13) });
+    expect(getPeriodRange('month', NOW, -1)).toEqual({ start: new Date(2024, 3, 1), end: new Date(2024, 4, 1) });
+  });
+
+  it('crosses year boundaries', () => {
+    expect(getPeriodRange('month', new Date(2024, 0, 10), -1)).toEqual({
+      start: new Date(2023, 11, 1),
+      end: new Date(2024, 0, 1),
+    });
+  });
+});
+
+describe('getCurrentTotals', () => {
+  it('buckets expenses into the current day, week and month', () => {
+    const expenses = [
+      expense(10, new Date(2024, 4, 15, 9)), // today
+      expense(5, new Date(2024, 4, 13, 9)), // Monday this week
+      expense(20, new Date(2024, 4, 12, 9)), // Sunday last week, this month
+      expense(40, new Date(2024, 3, 30, 9)), // last month
+    ];
+
+    const totals = getCurrentTotals(expenses, { ...OPTIONS, now: NOW });
+
+    expect(totals.day).toEqual({ total: 10, count: 1, unconvertedCount: 0 });
+    expect(totals.week).toEqual({ total: 15, count: 2, unconvertedCount: 0 });
+    expect(totals.month).toEqual({ total: 35, count: 3, unconvertedCount: 0 });
+  });
+});
+
+describe('comparePeriods', () => {
+  it('compares weekly daily averages with the whole previous week', () => {
+    const expenses = [
+      expense(30, new Date(2024, 4, 14, 9)), // this week, 3 days elapsed (Mon-Wed)
+      expense(70, new Date(2024, 4, 8, 9)), // last week, 7 days
+    ];
+
+    const { current, previous, averageChange } = comparePeriods(expenses, 'week', { ...OPTIONS, now: NOW });
+
+    expect(current).toMatchObject({ total: 30, days: 3, dailyAverage: 10 });
+    expect(previous).toMatchObject({ total: 70, days: 7, dailyAverage: 10 });
+    expect(averageChange).toBe(0);
+  });
+
+  it('compares months and reports no change without previous spending', () => {
+    const { current, previous, averageChange } = comparePeriods(
+      [expense(45, new Date(2024, 4, 2, 9))],
+      'month',
+      { ...OPTIONS, now: NOW },
+    );
+
+    expect(current).toMatchObject({ total: 45, days: 15, dailyAverage: 3 });
+    expect(previous).toMatchObject({ total: 0, days: 30, dailyAverage: 0 });
+    expect(averageChange).toBeNull();
+  });
+});
+
+describe('currency conversion', () => {
+  it('converts with the rate in effect on the day each expense happened', () => {
+    const expenses = [
+      expense(10, new Date(2024, 3, 20), { currency: 'EUR' }), // 1.1
+      expense(10, new Date(2024, 4, 2), { currency: 'EUR' }), // 1.2
+      expense(1, new Date(2024, 4, 2)),
+    ];
+
+    expect(sumExpenses(expenses, OPTIONS)).toEqual({ total: 24, count: 3, unconvertedCount: 0 });
+  });
+
+  it('counts expenses without an applicable rate separately', () => {
+    const expenses = [
+      expense(10, new Date(2024, 4, 2), { currency: 'GBP' }),
+      expense(10, new Date(2023, 5, 1), { currency: 'EUR' }), // before the first EUR rate
+      expense(3, new Date(2024, 4, 2)),
+    ];
+
+    expect(sumExpenses(expenses, OPTIONS)).toEqual({ total: 3, count: 1, unconvertedCount: 2 });
+    expect(getCategoryBreakdown(expenses, OPTIONS)).toEqual([{ category: 'food', total: 3, count: 1, share: 1 }]);
+  });
+});
+
+describe('getCategoryBreakdown', () => {
+  it('sorts categories by total and reports their share', () => {
+    const breakdown = getCategoryBreakdown(
+      [
+        expense(10, NOW, { category: 'food' }),
+        expense(30, NOW, { category: 'travel' }),
+        expense(5, NOW, { category: null }),
+        expense(5, NOW, { category: 'food' }),
+      ],
+      OPTIONS,
+    );
+
+    expect(breakdown.map(({ category, total, count }) => [category, total, count])).toEqual([
+      ['travel', 30, 1],
+      ['food', 15, 2],
+      ['other', 5, 1],
+    ]);
+    expect(breakdown[0].share).toBeCloseTo(0.6);
+  });
+});
+
+describe('empty input', () => {
+  it('returns zero totals, no categories and zero days', () => {
+    const zero = { total: 0, count: 0, unconvertedCount: 0 };
+
+    expect(sumExpenses([], OPTIONS)).toEqual(zero);
+    expect(getCurrentTotals([], { ...OPTIONS, now: NOW })).toEqual({ day: zero, week: zero, month: zero });
+    expect(getCategoryBreakdown([], OPTIONS)).toEqual([]);
+    expect(comparePeriods([], 'week', { ...OPTIONS, now: NOW }).averageChange).toBeNull();
+
+    const days = getDailyTotals([], { ...OPTIONS, from: new Date(2024, 4, 13), to: new Date(2024, 4, 16) });
+    expect(days.map(({ dateKey, total }) => [dateKey, total])).toEqual([
+      ['2024-05-13', 0],
+      ['2024-05-14', 0],
+      ['2024-05-15', 0],
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Choosing between the recogniser's alternatives for the Voice Expense Tracker application. The recogniser
+ * returns several guesses for an utterance, and its first guess is not always the one that parses: "coffee
+ * for 5 dollars" may come back as "coffee four 5 dollars" first. Every alternative is parsed, and the
+ * candidates are ranked by how well they parse and by the recogniser's confidence. These helpers are pure.
+ */
+
+import { INTENTS } from './commandGrammar.js';
+import { parseCommand } from './index.js';
+import { normalizeSpokenNumbers } from './spokenNumbers.js';
+
+/**
+ * Weight of the recogniser's confidence against the parse quality (which ranges from 0 to 1).
+ * @constant {number}
+ */
+const CONFIDENCE_WEIGHT = 0.5;
+
+/**
+ * Score difference below which the two best candidates are too close to choose between without asking.
+ * @constant {number}
+ */
+const AMBIGUITY_MARGIN = 0.1;
+
+/**
+ * Most candidates offered when the user is asked to choose.
+ * @constant {number}
+ */
+const MAX_CHOICES = 3;
+
+/**
+ * @typedef {object} CommandCandidate
+ * @property {string} transcript - The alternative as heard.
+ * @property {number} confidence - The recogniser's confidence (0-1); 0 when it did not report one.
+ * @property {object} command - The parsed command (see `parseCommand`).
+ * @property {number} score - The rank score; higher is better.
+ */
+
+/**
+ * Rates how well an alternative parses, from 0 to 1. Expenses lose points when a number is left in the
+ * description (a word heard as a number, as in "coffee four 5 dollars") or when it has no letters at all.
+ *
+ * @param {object} command - The parsed command of the alternative.
+ * @returns {number} The parse quality.
+ */
+const getParseQuality = (command) => {
+  if (command.intent !== INTENTS.ADD) {
+    return 1;
+  }
+  let quality = 1;
+  if (/\d/.test(normalizeSpokenNumbers(command.description))) quality -= 0.4;
+  if (!/\p{L}/u.test(command.description)) quality -= 0.3;
+  return quality;
+};
+
+/**
+ * The confidence used to rank an alternative. Some browsers only report a confidence for the first
+ * alternative (and 0 for the rest), so those fall back to a value that decreases with their position.
+ *
+ * @param {{confidence: number}} alternative - The alternative.
+ * @param {number} index - Its position in the recogniser's list.
+ * @returns {number} The confidence, from 0 to 1.
+ */
+const getRankConfidence = (alternative, index) =>
+  alternative.confidence > 0 ? alternative.confidence : 1 / (index + 2);
+
+/**
+ * Key that tells apart what two candidates would do: two alternatives that differ only in case or
+ * punctuation lead to the same command and are not worth asking about.
+ *
+ * @param {object} command - The parsed command.
+ * @returns {string} The key.
+ */
+const getCommandKey = (command) =>
+  JSON.stringify(command, (key, value) => {
+    if (key === 'patternId') return undefined;
+    return key === 'description' && typeof value === 'string' ? value.toLowerCase() : value;
+  });
+
+/**
+ * Parses each of the recogniser's alternatives and ranks the ones that parse, best first. Alternatives that
+ * lead to the same command are kept once, at their best rank. `ambiguous` is set when the two best lead to
+ * different commands and score too close to pick one; `candidates` then holds only the close ones, to offer
+ * as choices.
+ *
+ * @param {Array<{transcript: string, confidence: number}>} alternatives - The recogniser's alternatives, in its order.
+ * @param {object} [options] - Ranking options.
+ * @param {string} [options.locale] - The recognition language (see `parseExpenseString`).
+ * @returns {{best: CommandCandidate | null, candidates: CommandCandidate[], ambiguous: boolean}} The ranking;
+ *   `best` is null when no alternative parses.
+ */
+export const rankAlternatives = (alternatives, { locale } = {}) => {
+  const ranked = (Array.isArray(alternatives) ? alternatives : [])
+    .map((alternative, index) => {
+      const transcript = typeof alternative?.transcript === 'string' ? alternative.transcript.trim() : '';
+      const command = transcript ? parseCommand(transcript, { locale }) : null;
+      if (!command) {
+        return null;
+      }
+      const score = getParseQuality(command) + CONFIDENCE_WEIGHT * getRankConfidence(alternative, index);
+      return { transcript, confidence: alternative.confidence || 0, command, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score); // Stable: equal scores keep the recogniser's order
+
+  const seen = new Set();
+  const candidates = ranked.filter((candidate) => {
+    const key = getCommandKey(candidate.command);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  const best = candidates[0] || null;
+  const choices = candidates.filter((candidate) => best.score - candidate.score < AMBIGUITY_MARGIN);
+  const ambiguous = choices.length > 1;
+  return { best, candidates: ambiguous ? choices.slice(0, MAX_CHOICES) : candidates, ambiguous };
+};
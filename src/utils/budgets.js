@@ -0,0 +1,190 @@
+/**
+ * Budget calculations for the Voice Expense Tracker application.
+ * A budget is a spending limit for one bucket of expenses (a category, or description keywords)
+ * over a recurring period. These helpers are pure: they work on the plain expense objects from
+ * `ExpenseContext` and the stored budgets, and never touch storage or the UI.
+ */
+
+import { getPeriodStart, toHomeAmount } from './aggregation.js';
+import { DEFAULT_CATEGORIES, getCategoryLabel } from './categories.js';
+
+/**
+ * The periods a budget limit can apply to. Weeks start on Monday.
+ * @constant {string[]}
+ */
+export const BUDGET_PERIODS = ['week', 'month', 'year'];
+
+/**
+ * Fractions of a budget that trigger a warning when an add crosses them, highest first.
+ * @constant {number[]}
+ */
+export const BUDGET_ALERT_THRESHOLDS = [1, 0.8];
+
+/**
+ * @typedef {object} Budget
+ * @property {string} id - The budget id.
+ * @property {string} name - Display name, also used to ask about it by voice ("groceries").
+ * @property {number} limit - The spending limit per period, in `currency`.
+ * @property {string} currency - ISO 4217 code of the limit.
+ * @property {'week' | 'month' | 'year'} period - The period the limit applies to.
+ * @property {string | null} category - Expenses with this category id count towards the budget.
+ * @property {string[]} keywords - Expenses whose description contains one of these words count too.
+ */
+
+/**
+ * @typedef {object} BudgetStatus
+ * @property {Budget} budget - The budget.
+ * @property {number} spent - Spending in the current period, in the budget currency.
+ * @property {number} remaining - `limit - spent` (negative when over budget).
+ * @property {number} ratio - `spent / limit` (1 means the budget is used up).
+ * @property {number} unconvertedCount - Matching expenses left out because no exchange rate was available.
+ */
+
+/**
+ * Splits text into lower-case words (letters and digits in any script, so "café" and "für" are whole words).
+ *
+ * @param {string} text - The text.
+ * @returns {string[]} The words.
+ */
+const toWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Checks whether an expense belongs to a budget's bucket: its category matches the budget category,
+ * or its description contains one of the budget keywords as whole words ("water bill" matches
+ * "monthly water bill" but not "waterbill").
+ *
+ * @param {{description: string, category: string | null}} expense - The expense.
+ * @param {Budget} budget - The budget.
+ * @returns {boolean} True if the expense counts towards the budget.
+ */
+export const expenseMatchesBudget = (expense, budget) => {
+  if (budget.category && expense.category === budget.category) {
+    return true;
+  }
+  const words = toWords(expense.description || '');
+  return (budget.keywords || []).some((keyword) => {
+    const keywordWords = toWords(keyword);
+    return (
+      keywordWords.length > 0 &&
+      words.some((_, start) => keywordWords.every((word, offset) => words[start + offset] === word))
+    );
+  });
+};
+
+/**
+ * Converts an expense amount into a budget currency.
+ *
+ * @param {{amount: number, currency: string, occurredAt?: Date | null, timestamp?: Date | null}} expense - The expense.
+ * @param {string} currency - The budget currency.
+ * @param {import('./currencyConversion.js').ExchangeRate[]} rates - The rate table.
+ * @returns {number | null} The amount in the budget currency, or null if no rate applies.
+ */
+const toBudgetAmount = (expense, currency, rates) => toHomeAmount(expense, { homeCurrency: currency, rates });
+
+/**
+ * Computes how much of a budget has been spent in its current period.
+ *
+ * @param {Budget} budget - The budget.
+ * @param {Array<object>} expenses - The live expenses (as provided by `ExpenseContext`).
+ * @param {object} [options] - Calculation options.
+ * @param {import('./currencyConversion.js').ExchangeRate[]} [options.rates=[]] - Rates for expenses in other currencies.
+ * @param {Date} [options.now=new Date()] - The reference time.
+ * @returns {BudgetStatus} The budget status.
+ */
+export const getBudgetStatus = (budget, expenses, { rates = [], now = new Date() } = {}) => {
+  const periodStart = getPeriodStart(budget.period, now);
+  let spent = 0;
+  let unconvertedCount = 0;
+  for (const expense of expenses) {
+    const occurredAt = expense.occurredAt || expense.timestamp || now; // Pending server times are "now"
+    if (occurredAt < periodStart || !expenseMatchesBudget(expense, budget)) {
+      continue;
+    }
+    const amount = toBudgetAmount(expense, budget.currency, rates);
+    if (amount === null) {
+      unconvertedCount += 1;
+    } else {
+      spent += amount;
+    }
+  }
+  spent = Math.round(spent * 100) / 100;
+  return {
+    budget,
+    spent,
+    remaining: Math.round((budget.limit - spent) * 100) / 100,
+    ratio: budget.limit > 0 ? spent / budget.limit : 0,
+    unconvertedCount,
+  };
+};
+
+/**
+ * Works out which budgets a newly added expense pushed past a warning threshold.
+ * The expense's own amount is compared against the spending without it, so the result does not
+ * depend on whether the live list has already caught up with the add.
+ *
+ * @param {Budget[]} budgets - All budgets.
+ * @param {Array<object>} expenses - The live expenses (may or may not include the new one).
+ * @param {{id?: string, description: string, amount: number, currency: string, category: string | null, date?: Date | null}} expense -
+ *   The expense that was just added.
+ * @param {object} [options] - Same as `getBudgetStatus`.
+ * @returns {Array<{status: BudgetStatus, threshold: number}>} The crossed thresholds (the highest one per budget).
+ */
+export const getCrossedBudgetThresholds = (budgets, expenses, expense, options = {}) => {
+  const now = options.now || new Date();
+  const occurredAt = expense.date || now;
+  const others = expenses.filter((existing) => existing.id !== expense.id);
+  const crossed = [];
+  for (const budget of budgets) {
+    if (occurredAt < getPeriodStart(budget.period, now) || !expenseMatchesBudget(expense, budget)) {
+      continue;
+    }
+    const amount = toBudgetAmount({ ...expense, occurredAt }, budget.currency, options.rates || []);
+    if (amount === null || budget.limit <= 0) {
+      continue;
+    }
+    const before = getBudgetStatus(budget, others, { ...options, now });
+    const spentAfter = before.spent + amount;
+    const threshold = BUDGET_ALERT_THRESHOLDS.find(
+      (limitShare) => before.spent < budget.limit * limitShare && spentAfter >= budget.limit * limitShare,
+    );
+    if (threshold !== undefined) {
+      crossed.push({
+        status: {
+          ...before,
+          spent: Math.round(spentAfter * 100) / 100,
+          remaining: Math.round((budget.limit - spentAfter) * 100) / 100,
+          ratio: spentAfter / budget.limit,
+        },
+        threshold,
+      });
+    }
+  }
+  return crossed;
+};
+
+/**
+ * Finds the budget a spoken name refers to ("groceries", "the food budget"): an exact name match first,
+ * then a name, category (or one of its aliases) or keyword containing the spoken word.
+ *
+ * @param {Budget[]} budgets - All budgets.
+ * @param {string} spokenName - The spoken budget name.
+ * @returns {Budget | null} The budget, or null if none matches.
+ */
+export const findBudgetByName = (budgets, spokenName) => {
+  const needle = (spokenName || '').trim().toLowerCase().replace(/\s+budget$/, '');
+  if (!needle) {
+    return null;
+  }
+  const names = (budget) => [
+    budget.name,
+    ...(budget.category
+      ? [budget.category, getCategoryLabel(budget.category), ...(DEFAULT_CATEGORIES.find((category) => category.id === budget.category)?.aliases || [])]
+      : []),
+    ...(budget.keywords || []),
+  ].map((name) => name.toLowerCase());
+  return (
+    budgets.find((budget) => budget.name.toLowerCase() === needle) ||
+    budgets.find((budget) => names(budget).some((name) => name.includes(needle) || needle.includes(name))) ||
+    null
+  );
+};
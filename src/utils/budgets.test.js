@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { expenseMatchesBudget } from './budgets.js';
+
+const keywordBudget = (...keywords) => ({ category: null, keywords });
+
+describe('expenseMatchesBudget', () => {
+  it('matches keywords with non-ASCII letters as whole words', () => {
+    expect(expenseMatchesBudget({ description: 'Café au lait' }, keywordBudget('café'))).toBe(true);
+    expect(expenseMatchesBudget({ description: 'Mittagessen für das Team' }, keywordBudget('für'))).toBe(true);
+    expect(expenseMatchesBudget({ description: 'Комуналка за квітень' }, keywordBudget('комуналка'))).toBe(true);
+  });
+
+  it('does not match a keyword inside a longer word', () => {
+    expect(expenseMatchesBudget({ description: 'cafés in Paris' }, keywordBudget('café'))).toBe(false);
+    expect(expenseMatchesBudget({ description: 'carpool' }, keywordBudget('car'))).toBe(false);
+  });
+
+  it('matches multi-word keywords as consecutive words', () => {
+    expect(expenseMatchesBudget({ description: 'monthly water bill' }, keywordBudget('water bill'))).toBe(true);
+    expect(expenseMatchesBudget({ description: 'water and gas bill' }, keywordBudget('water bill'))).toBe(false);
+  });
+
+  it('matches by category', () => {
+    const budget = { category: 'food', keywords: [] };
+    expect(expenseMatchesBudget({ description: 'anything', category: 'food' }, budget)).toBe(true);
+    expect(expenseMatchesBudget({ description: 'anything', category: 'travel' }, budget)).toBe(false);
+  });
+});
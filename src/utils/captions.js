@@ -0,0 +1,119 @@
+/**
+ * Live captions for the Voice Expense Tracker application: while the user is still speaking, the interim
+ * transcript is shown with the amount and description the parser would pick out of it, and a spoken
+ * "scratch that" throws away what was said before it. These helpers are pure.
+ */
+
+import { getLocalePack, normalizeLocaleNumbers } from './commandGrammar.js';
+import { parseExpenseString } from './index.js';
+
+/**
+ * The correction phrase: everything said before it in the same utterance is thrown away.
+ * @constant {RegExp}
+ */
+const SCRATCH_THAT = /\b(?:scratch|scrap)\s+that\b/gi;
+
+/**
+ * Applies spoken corrections to an utterance, keeping only what was said after the last "scratch that".
+ * "Coffee 5 dollars, scratch that, tea 3 dollars" becomes "tea 3 dollars"; "Coffee 5 dollars scratch that"
+ * becomes empty, so nothing is committed.
+ *
+ * @param {string} transcript - The utterance.
+ * @returns {{text: string, scratched: boolean}} The remaining text and whether a correction was heard.
+ */
+export const applyScratchThat = (transcript) => {
+  if (typeof transcript !== 'string') {
+    return { text: '', scratched: false };
+  }
+  const matches = [...transcript.matchAll(SCRATCH_THAT)];
+  if (matches.length === 0) {
+    return { text: transcript.trim(), scratched: false };
+  }
+  const last = matches[matches.length - 1];
+  const text = transcript.slice(last.index + last[0].length).replace(/^[\s,.;:!?]+/, '').trim();
+  return { text, scratched: true };
+};
+
+/**
+ * Finds where a number with the given value is written in a caption ("$12.50", "12 dollars", "12,50 €"),
+ * reading it with the separators of the recognition language.
+ *
+ * @param {string} text - The caption.
+ * @param {number} amount - The parsed amount.
+ * @param {import('./commandGrammar.js').LocalePack} pack - The locale pack of the recognition language.
+ * @returns {{start: number, end: number} | null} The span, or null when the amount was spoken in words.
+ */
+const findAmountSpan = (text, amount, pack) => {
+  const separators = pack.thousandsSeparator.trim() === '' ? '[.,\\s]' : '[.,]';
+  const pattern = new RegExp(
+    `[$£€]?\\s*(\\d+(?:${separators}\\d+)*)(?:\\s*(?:[$£€]|dollars?|pounds?|euros?|usd|bucks|quid))?`,
+    'gi',
+  );
+  for (const match of text.matchAll(pattern)) {
+    if (parseFloat(normalizeLocaleNumbers(match[1], pack).replace(/,/g, '')) === amount) {
+      const leading = match[0].length - match[0].trimStart().length;
+      return { start: match.index + leading, end: match.index + match[0].length };
+    }
+  }
+  return null;
+};
+
+/**
+ * @typedef {object} CaptionPart
+ * @property {string} text - A run of the caption.
+ * @property {'amount' | 'description' | null} highlight - What the run was recognised as, if anything.
+ */
+
+/**
+ * @typedef {object} Caption
+ * @property {CaptionPart[]} parts - The caption split into plain and highlighted runs.
+ * @property {{amount: number, currency: string | null, description: string} | null} expense - What the parser
+ *   would save from the caption so far, or null while it is not an expense yet.
+ * @property {boolean} scratched - Whether a "scratch that" threw away the start of the utterance.
+ */
+
+/**
+ * Builds the live caption of an interim transcript: the text left after any "scratch that", with the
+ * amount and description the parser would pick out of it highlighted. An amount spoken in words ("twelve
+ * fifty") is only reported in `expense`, as it has no digits to highlight.
+ *
+ * @param {string} transcript - The interim transcript.
+ * @param {object} [options] - Caption options.
+ * @param {string} [options.locale] - The recognition language (see `parseExpenseString`).
+ * @returns {Caption} The caption.
+ */
+export const buildCaption = (transcript, { locale } = {}) => {
+  const { text, scratched } = applyScratchThat(transcript);
+  const parsed = text ? parseExpenseString(text, { locale }) : null;
+  if (!parsed) {
+    return { parts: text ? [{ text, highlight: null }] : [], expense: null, scratched };
+  }
+
+  const lowerText = text.toLowerCase();
+  const spans = [];
+  const amountSpan = findAmountSpan(text, parsed.amount, getLocalePack(locale));
+  if (amountSpan) spans.push({ ...amountSpan, highlight: 'amount' });
+  const descriptionStart = lowerText.indexOf(parsed.description.toLowerCase());
+  if (descriptionStart !== -1) {
+    const descriptionSpan = { start: descriptionStart, end: descriptionStart + parsed.description.length };
+    if (!amountSpan || descriptionSpan.end <= amountSpan.start || descriptionSpan.start >= amountSpan.end) {
+      spans.push({ ...descriptionSpan, highlight: 'description' });
+    }
+  }
+  spans.sort((a, b) => a.start - b.start);
+
+  const parts = [];
+  let position = 0;
+  spans.forEach((span) => {
+    if (span.start > position) parts.push({ text: text.slice(position, span.start), highlight: null });
+    parts.push({ text: text.slice(span.start, span.end), highlight: span.highlight });
+    position = span.end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), highlight: null });
+
+  return {
+    parts,
+    expense: { amount: parsed.amount, currency: parsed.currency, description: parsed.description },
+    scratched,
+  };
+};
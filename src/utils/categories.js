@@ -0,0 +1,144 @@
+/**
+ * Expense categorisation for the Voice Expense Tracker application.
+ * Provides the default category set, the default keyword -> category rules,
+ * keyword-based categorisation of descriptions, and extraction of an explicitly
+ * spoken category ("... under travel").
+ */
+
+/**
+ * Category assigned when no rule matches.
+ * @constant {string}
+ */
+export const FALLBACK_CATEGORY = 'other';
+
+/**
+ * The built-in category set. `aliases` are extra words accepted when a category is spoken explicitly.
+ * @constant {Array<{id: string, label: string, aliases: string[]}>}
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'food', label: 'Food & Drink', aliases: ['food', 'drinks', 'dining', 'eating out', 'restaurants'] },
+  { id: 'groceries', label: 'Groceries', aliases: ['grocery', 'supermarket'] },
+  { id: 'transport', label: 'Transport', aliases: ['transportation', 'commute', 'travel costs'] },
+  { id: 'travel', label: 'Travel', aliases: ['trip', 'trips', 'holiday', 'vacation'] },
+  { id: 'rent', label: 'Rent & Housing', aliases: ['housing', 'mortgage'] },
+  { id: 'utilities', label: 'Utilities', aliases: ['bills', 'utility'] },
+  { id: 'entertainment', label: 'Entertainment', aliases: ['fun', 'leisure'] },
+  { id: 'shopping', label: 'Shopping', aliases: ['clothes', 'clothing'] },
+  { id: 'health', label: 'Health', aliases: ['medical', 'healthcare', 'fitness'] },
+  { id: FALLBACK_CATEGORY, label: 'Other', aliases: ['misc', 'miscellaneous', 'general'] },
+];
+
+/**
+ * The keyword -> category rules a new user starts with. Users can edit these in Settings.
+ * @constant {Array<{keyword: string, category: string}>}
+ */
+export const DEFAULT_CATEGORY_RULES = [
+  ...['coffee', 'lunch', 'dinner', 'breakfast', 'restaurant', 'pizza', 'sandwich', 'snack', 'snacks', 'beer', 'cafe']
+    .map((keyword) => ({ keyword, category: 'food' })),
+  ...['groceries', 'grocery', 'supermarket', 'milk', 'bread', 'vegetables']
+    .map((keyword) => ({ keyword, category: 'groceries' })),
+  ...['taxi', 'uber', 'bus', 'train', 'metro', 'subway', 'fuel', 'gas', 'petrol', 'parking', 'fare']
+    .map((keyword) => ({ keyword, category: 'transport' })),
+  ...['flight', 'flights', 'hotel', 'airbnb', 'hostel']
+    .map((keyword) => ({ keyword, category: 'travel' })),
+  ...['rent', 'mortgage']
+    .map((keyword) => ({ keyword, category: 'rent' })),
+  ...['electricity', 'water bill', 'internet', 'phone bill', 'heating']
+    .map((keyword) => ({ keyword, category: 'utilities' })),
+  ...['movie', 'cinema', 'concert', 'netflix', 'spotify', 'game', 'tickets']
+    .map((keyword) => ({ keyword, category: 'entertainment' })),
+  ...['shoes', 'shirt', 'clothes', 'jacket', 'amazon']
+    .map((keyword) => ({ keyword, category: 'shopping' })),
+  ...['pharmacy', 'doctor', 'medicine', 'dentist', 'gym']
+    .map((keyword) => ({ keyword, category: 'health' })),
+];
+
+/**
+ * Checks whether a value is the id of a known category.
+ *
+ * @param {any} id - The value to check.
+ * @returns {boolean} True for a known category id.
+ */
+export const isKnownCategory = (id) => DEFAULT_CATEGORIES.some((category) => category.id === id);
+
+/**
+ * Returns the display label of a category id (the id itself if unknown).
+ *
+ * @param {string} id - The category id.
+ * @returns {string} The label, e.g. "Food & Drink".
+ */
+export const getCategoryLabel = (id) =>
+  DEFAULT_CATEGORIES.find((category) => category.id === id)?.label || id;
+
+/**
+ * Escapes a literal string for safe use inside a RegExp.
+ *
+ * @param {string} value - The literal text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Assigns a category to a description using keyword rules. Longer keywords are tried first
+ * so "water bill" wins over "bill"; keywords match whole words only.
+ *
+ * @param {string} description - The expense description.
+ * @param {Array<{keyword: string, category: string}>} [rules=DEFAULT_CATEGORY_RULES] - The keyword rules to apply.
+ * @returns {string} The matching category id, or `FALLBACK_CATEGORY` when no rule matches.
+ */
+export const categorizeDescription = (description, rules = DEFAULT_CATEGORY_RULES) => {
+  if (typeof description !== 'string' || !Array.isArray(rules)) {
+    return FALLBACK_CATEGORY;
+  }
+  const text = description.toLowerCase();
+  const sortedRules = [...rules].sort((a, b) => b.keyword.length - a.keyword.length);
+  for (const rule of sortedRules) {
+    const keyword = rule.keyword.trim().toLowerCase();
+    if (keyword && new RegExp(`\\b${escapeRegExp(keyword).replace(/\s+/g, '\\s+')}\\b`).test(text)) {
+      return rule.category;
+    }
+  }
+  return FALLBACK_CATEGORY;
+};
+
+/**
+ * Spoken names for each category (id, label and aliases), longest first, mapped back to the id.
+ * @constant {Array<{name: string, id: string}>}
+ */
+const CATEGORY_NAMES = DEFAULT_CATEGORIES.flatMap((category) =>
+  [category.id, category.label.toLowerCase(), ...category.aliases].map((name) => ({ name, id: category.id })),
+).sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Matches an explicit category phrase: "under travel", "under the travel category",
+ * "in category travel", "category: travel", "as groceries".
+ * @constant {RegExp}
+ */
+const EXPLICIT_CATEGORY_REGEX = new RegExp(
+  `(?:^|\\s)(?:under|as|in|category:?|in\\s+category|under\\s+category)\\s+(?:the\\s+)?(${CATEGORY_NAMES.map(({ name }) => escapeRegExp(name)).join('|')})(?:\\s+category)?(?=\\s*$|\\s*[.,!?;:])`,
+  'i',
+);
+
+/**
+ * Extracts an explicitly spoken category from the end of a transcript and removes it from the text.
+ * Only trailing phrases are accepted so descriptions like "lunch in food court" are left alone.
+ *
+ * @example
+ * extractExplicitCategory('spent 300 on flights under travel'); // { category: 'travel', text: 'spent 300 on flights' }
+ *
+ * @param {string} transcript - The transcript (date phrases may already be removed).
+ * @returns {{category: string | null, text: string}} The category id (null if none was spoken) and the remaining text.
+ */
+export const extractExplicitCategory = (transcript) => {
+  if (typeof transcript !== 'string') {
+    return { category: null, text: transcript };
+  }
+  const match = transcript.match(EXPLICIT_CATEGORY_REGEX);
+  if (!match) {
+    return { category: null, text: transcript };
+  }
+  const spoken = match[1].toLowerCase();
+  const category = CATEGORY_NAMES.find(({ name }) => name === spoken)?.id || null;
+  const text = `${transcript.slice(0, match.index)}${transcript.slice(match.index + match[0].length)}`.trim();
+  return { category, text };
+};
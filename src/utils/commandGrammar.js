@@ -0,0 +1,518 @@
+/**
+ * Command grammar engine for the Voice Expense Tracker application.
+ * Compiles the pattern definitions in `commands.json` (add-expense patterns and the other voice
+ * intents such as undo, delete and update) into matchers so new phrasings
+ * can be supported by editing the JSON file alone, without touching parser code.
+ * The `locales` section holds a parsing pack per recognition language (number separators, currency,
+ * delimiter and noise words), so expenses spoken in German, French or Spanish are read correctly too.
+ */
+
+import commandsConfig from '../../commands.json';
+
+/**
+ * Words stripped from the start or end of an extracted description.
+ * @constant {RegExp[]}
+ */
+const NOISE_WORD_PATTERNS = [
+  /^(?:spent|add|log|cost|expense|was|is|buy|get|paid|a|an|the)\s+/i,
+  /\s+(?:spent|add|log|cost|expense|was|is|buy|get|paid|a|an|the)$/i,
+  /^(?:spent|add|log|cost|expense|was|is|buy|get|paid|a|an|the)$/i,
+];
+
+/**
+ * Escapes a literal string for safe use inside a RegExp.
+ *
+ * @param {string} value - The literal text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a whole-word, case-insensitive matcher for a keyword or delimiter phrase.
+ * Inner whitespace in multi-word phrases matches any run of whitespace.
+ *
+ * @param {string} phrase - The keyword or delimiter phrase (e.g. "add expense").
+ * @returns {RegExp} The compiled matcher.
+ */
+const compileWordPattern = (phrase) =>
+  new RegExp(
+    `(?:^|\\s)(${phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+')})(?=\\s|$|[.,!?;:])`,
+    'i',
+  );
+
+/**
+ * @typedef {object} CompiledCommandPattern
+ * @property {string} id - The pattern identifier from `commands.json`.
+ * @property {RegExp[]} keywords - Keyword matchers, longest phrase first. Empty means no keyword is required.
+ * @property {RegExp[]} amountRegexes - Amount matchers; capture group 1 holds the numeric part.
+ * @property {RegExp[]} delimiters - Delimiter matchers that introduce the description.
+ * @property {RegExp[]} [noisePatterns] - Noise-word matchers stripped from the description
+ *   (defaults to the English `NOISE_WORD_PATTERNS`).
+ * @property {string[]} testPhrases - Example phrases the pattern must be able to parse.
+ */
+
+/**
+ * Compiles one raw pattern definition from `commands.json`.
+ * Invalid regular expressions are logged and skipped rather than breaking the whole grammar.
+ *
+ * @param {object} definition - A raw entry from `expenseCommands.add`.
+ * @returns {CompiledCommandPattern | null} The compiled pattern, or null if the definition is unusable.
+ */
+const compilePattern = (definition) => {
+  if (!definition || typeof definition.id !== 'string') {
+    console.error('commandGrammar: Skipping pattern without a string id:', definition);
+    return null;
+  }
+
+  const amountRegexes = (definition.amount_regex || [])
+    .map((source) => {
+      try {
+        return new RegExp(source, 'i');
+      } catch (error) {
+        console.error(
+          `commandGrammar: Invalid amount_regex "${source}" in pattern "${definition.id}":`,
+          error,
+        );
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (amountRegexes.length === 0) {
+    console.error(`commandGrammar: Pattern "${definition.id}" has no usable amount_regex.`);
+    return null;
+  }
+
+  return {
+    id: definition.id,
+    keywords: [...(definition.keywords || [])]
+      .sort((a, b) => b.length - a.length)
+      .map(compileWordPattern),
+    amountRegexes,
+    delimiters: (definition.description_delimiters || []).map(compileWordPattern),
+    testPhrases: definition.test_phrases || [],
+  };
+};
+
+/**
+ * The add-expense patterns from `commands.json`, compiled once at module load and tried in order.
+ * @constant {CompiledCommandPattern[]}
+ */
+export const ADD_EXPENSE_PATTERNS = (commandsConfig?.expenseCommands?.add || [])
+  .map(compilePattern)
+  .filter(Boolean);
+
+/**
+ * The locale used when no language is set or an unknown one is: US English, parsed by the add-expense patterns.
+ * @constant {string}
+ */
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * @typedef {object} LocalePack
+ * @property {string} code - The BCP 47 language tag, also passed to the speech recognizer (e.g. "de-DE").
+ * @property {string} label - The language name shown in the settings.
+ * @property {boolean} englishGrammar - Whether expenses are parsed by the English add-expense patterns
+ *   (including spoken numbers such as "twelve fifty") rather than by the pack's own pattern.
+ * @property {string} decimalSeparator - The decimal separator of written amounts ("," in "12,50").
+ * @property {string} thousandsSeparator - The thousands separator of written amounts ("." in "1.200").
+ * @property {Object<string, string>} currencyWords - Lowercase currency words mapped to ISO 4217 codes.
+ * @property {CompiledCommandPattern[]} patterns - The add-expense patterns tried for the locale.
+ */
+
+/**
+ * Pack used when `commands.json` defines no locales: the English grammar.
+ * @constant {LocalePack}
+ */
+const ENGLISH_PACK = Object.freeze({
+  code: DEFAULT_LOCALE,
+  label: 'English (US)',
+  englishGrammar: true,
+  decimalSeparator: '.',
+  thousandsSeparator: ',',
+  currencyWords: {},
+  patterns: ADD_EXPENSE_PATTERNS,
+});
+
+/**
+ * Builds the matchers that strip any run of the given noise words from the start or end of a description.
+ *
+ * @param {string[]} words - The noise words.
+ * @returns {RegExp[]} The matchers.
+ */
+const compileNoisePatterns = (words) => {
+  if (words.length === 0) {
+    return [];
+  }
+  const alternation = words.map((word) => escapeRegExp(word.toLowerCase())).join('|');
+  return [
+    new RegExp(`^(?:(?:${alternation})\\s+)+`, 'i'),
+    new RegExp(`(?:\\s+(?:${alternation}))+$`, 'i'),
+    new RegExp(`^(?:${alternation})$`, 'i'),
+  ];
+};
+
+/**
+ * Compiles one locale pack from `commands.json`. English packs reuse the add-expense patterns; any other pack
+ * gets a single pattern reading "{description} {amount}" or "{amount} {delimiter} {description}", where the
+ * amount (already in "12.50" form, see `normalizeLocaleNumbers`) may carry a currency symbol or one of the
+ * pack's currency words.
+ *
+ * @param {[string, object]} entry - The locale code and its raw definition.
+ * @returns {LocalePack | null} The compiled pack, or null if the definition is unusable.
+ */
+const compileLocalePack = ([code, definition]) => {
+  if (
+    !definition ||
+    typeof definition.decimal_separator !== 'string' ||
+    typeof definition.thousands_separator !== 'string' ||
+    definition.decimal_separator === definition.thousands_separator
+  ) {
+    console.error(`commandGrammar: Skipping locale "${code}" without distinct decimal and thousands separators.`);
+    return null;
+  }
+
+  const currencyWords = Object.fromEntries(
+    Object.entries(definition.currency_words || {}).map(([word, currency]) => [word.toLowerCase(), currency]),
+  );
+  const pack = {
+    code,
+    label: definition.label || code,
+    englishGrammar: definition.english_grammar === true,
+    decimalSeparator: definition.decimal_separator,
+    thousandsSeparator: definition.thousands_separator,
+    currencyWords,
+  };
+  if (pack.englishGrammar) {
+    return { ...pack, patterns: ADD_EXPENSE_PATTERNS };
+  }
+
+  const currencyMarkers = [
+    '[$£€]',
+    ...Object.keys(currencyWords).sort((a, b) => b.length - a.length).map(escapeRegExp),
+  ].join('|');
+  const amountRegex = new RegExp(
+    `[$£€]?\\s*(\\d+(?:\\.\\d{1,2})?)(?:\\s*(?:${currencyMarkers})(?=\\s|$|[.,!?;:]))?`,
+    'i',
+  );
+  return {
+    ...pack,
+    patterns: [
+      {
+        id: `locale_${code}`,
+        keywords: [],
+        amountRegexes: [amountRegex],
+        delimiters: (definition.description_delimiters || []).map(compileWordPattern),
+        noisePatterns: compileNoisePatterns(definition.noise_words || []),
+        testPhrases: definition.test_phrases || [],
+      },
+    ],
+  };
+};
+
+/**
+ * The locale packs from `commands.json`, in the order they are offered as languages.
+ * @constant {LocalePack[]}
+ */
+export const LOCALE_PACKS = Object.entries(commandsConfig?.locales || {})
+  .map(compileLocalePack)
+  .filter(Boolean);
+
+/**
+ * Finds the pack for a language: an exact match, else a pack of the same language ("de-AT" uses "de-DE"),
+ * else the default English pack.
+ *
+ * @param {string} [locale] - The BCP 47 language tag.
+ * @returns {LocalePack} The pack.
+ */
+export const getLocalePack = (locale) => {
+  const code = typeof locale === 'string' ? locale.toLowerCase() : '';
+  const language = code.split('-')[0];
+  return (
+    LOCALE_PACKS.find((pack) => pack.code.toLowerCase() === code) ||
+    LOCALE_PACKS.find((pack) => pack.code.toLowerCase().split('-')[0] === language) ||
+    LOCALE_PACKS.find((pack) => pack.code === DEFAULT_LOCALE) ||
+    ENGLISH_PACK
+  );
+};
+
+/**
+ * Rewrites the written amounts of a locale in the "1200.50" form the amount regexes expect: thousands
+ * separators are dropped and the decimal separator becomes ".". German "1.200,50" and French "1 200,50"
+ * both become "1200.50"; digits the locale would not write this way are left alone.
+ *
+ * @param {string} text - The text.
+ * @param {LocalePack} pack - The locale pack.
+ * @returns {string} The text with its amounts rewritten.
+ */
+export const normalizeLocaleNumbers = (text, pack) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  // A space as thousands separator may also be written as a (narrow) no-break space
+  const thousands = pack.thousandsSeparator.trim() === '' ? '[ \\u00a0\\u202f]' : escapeRegExp(pack.thousandsSeparator);
+  const number = new RegExp(
+    `(?<![\\d.,])(\\d{1,3}(?:${thousands}\\d{3})+|\\d+)(?:${escapeRegExp(pack.decimalSeparator)}(\\d{1,2}))?(?![\\d])`,
+    'g',
+  );
+  return text.replace(number, (match, whole, fraction) =>
+    `${whole.replace(new RegExp(thousands, 'g'), '')}${fraction ? `.${fraction}` : ''}`,
+  );
+};
+
+/**
+ * The intents the voice pipeline understands. `add` uses the structured add-expense patterns;
+ * every other intent is a list of full-phrase regexes under the same key in `commands.json`.
+ * `confirm`/`cancel` ("yes", "no") only mean something while a parsed expense is waiting for confirmation.
+ * `budget_left` and the `query_*` intents are questions ("how much budget is left for groceries?", "how much did I
+ * spend on coffee this week?", "what was my last expense?", "total for March") answered without changing anything.
+ * `show_expenses` ("show me taxi expenses last month", "clear filters") sets the search and filters of the expense list.
+ * `end_dictation` ("done", "stop") ends a continuous dictation session.
+ * @constant {{ADD: string, UNDO: string, DELETE_LAST: string, UPDATE_AMOUNT: string, CONFIRM: string, CANCEL: string,
+ *   END_DICTATION: string, BUDGET_LEFT: string, QUERY_SPENDING: string, QUERY_LAST: string, QUERY_TOTAL: string,
+ *   SHOW_EXPENSES: string}}
+ */
+export const INTENTS = Object.freeze({
+  ADD: 'add',
+  UNDO: 'undo',
+  DELETE_LAST: 'delete_last',
+  UPDATE_AMOUNT: 'update_amount',
+  CONFIRM: 'confirm',
+  CANCEL: 'cancel',
+  END_DICTATION: 'end_dictation',
+  BUDGET_LEFT: 'budget_left',
+  QUERY_SPENDING: 'query_spending',
+  QUERY_LAST: 'query_last',
+  QUERY_TOTAL: 'query_total',
+  SHOW_EXPENSES: 'show_expenses',
+});
+
+/**
+ * @typedef {object} CompiledIntentPattern
+ * @property {string} id - The pattern identifier from `commands.json`.
+ * @property {string} intent - The intent key the pattern belongs to (e.g. "undo").
+ * @property {RegExp[]} regexes - Full-phrase matchers; named groups (e.g. `amount`, `target`) carry the slots.
+ * @property {string[]} testPhrases - Example phrases the pattern must be able to parse.
+ */
+
+/**
+ * Compiles one raw non-add intent pattern from `commands.json`.
+ *
+ * @param {string} intent - The intent key the definition is listed under.
+ * @param {object} definition - A raw pattern entry with `id`, `regex` and `test_phrases`.
+ * @returns {CompiledIntentPattern | null} The compiled pattern, or null if the definition is unusable.
+ */
+const compileIntentPattern = (intent, definition) => {
+  if (!definition || typeof definition.id !== 'string') {
+    console.error(`commandGrammar: Skipping "${intent}" pattern without a string id:`, definition);
+    return null;
+  }
+  const regexes = (definition.regex || [])
+    .map((source) => {
+      try {
+        return new RegExp(source, 'i');
+      } catch (error) {
+        console.error(`commandGrammar: Invalid regex "${source}" in pattern "${definition.id}":`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+  if (regexes.length === 0) {
+    console.error(`commandGrammar: Pattern "${definition.id}" has no usable regex.`);
+    return null;
+  }
+  return { id: definition.id, intent, regexes, testPhrases: definition.test_phrases || [] };
+};
+
+/**
+ * The non-add intent patterns from `commands.json` (undo, delete, update...), compiled once at module load.
+ * They are anchored full phrases, so they are tried before the looser add-expense patterns.
+ * @constant {CompiledIntentPattern[]}
+ */
+export const INTENT_PATTERNS = Object.entries(commandsConfig?.expenseCommands || {})
+  .filter(([intent]) => intent !== INTENTS.ADD)
+  .flatMap(([intent, definitions]) =>
+    (Array.isArray(definitions) ? definitions : []).map((definition) =>
+      compileIntentPattern(intent, definition),
+    ),
+  )
+  .filter(Boolean);
+
+/**
+ * Matches a transcript against the non-add intent patterns, in order.
+ * Trailing punctuation added by the recogniser ("Undo.") is ignored.
+ *
+ * @param {string} transcript - The raw transcript.
+ * @param {CompiledIntentPattern[]} [patterns=INTENT_PATTERNS] - The patterns to try.
+ * @returns {{intent: string, patternId: string, slots: Object<string, string>} | null}
+ *   The matched intent, pattern id and named-group values, or null if no intent pattern matched.
+ */
+export const matchIntentPattern = (transcript, patterns = INTENT_PATTERNS) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    return null;
+  }
+  const text = transcript.trim().replace(/[.!?]+$/, '').trim();
+  for (const pattern of patterns) {
+    for (const regex of pattern.regexes) {
+      const match = text.match(regex);
+      if (match) {
+        const slots = {};
+        Object.entries(match.groups || {}).forEach(([name, value]) => {
+          if (value !== undefined) slots[name] = value.trim();
+        });
+        return { intent: pattern.intent, patternId: pattern.id, slots };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the longest match produced by any of the given regexes.
+ * Longer matches carry more context (e.g. "15 euro" rather than "15").
+ *
+ * @param {string} text - The text to search.
+ * @param {RegExp[]} regexes - Candidate regexes.
+ * @returns {RegExpMatchArray | null} The longest match, or null if none matched.
+ */
+const findLongestMatch = (text, regexes) => {
+  let best = null;
+  for (const regex of regexes) {
+    const match = text.match(regex);
+    if (match && (!best || match[0].length > best[0].length)) {
+      best = match;
+    }
+  }
+  return best;
+};
+
+/**
+ * Blanks out the given character spans so the remaining words can be inspected.
+ *
+ * @param {string} text - The source text.
+ * @param {Array<{start: number, end: number}>} spans - Spans to remove.
+ * @returns {string} The text with the spans removed and whitespace collapsed.
+ */
+const removeSpans = (text, spans) => {
+  let result = text;
+  for (const { start, end } of spans) {
+    result = result.slice(0, start) + ' '.repeat(end - start) + result.slice(end);
+  }
+  return result.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Picks the description out of the text left after removing keyword and amount.
+ * If a delimiter is present the text after the earliest delimiter wins; otherwise the whole remainder is used.
+ *
+ * @param {string} remaining - Text with keyword and amount removed.
+ * @param {RegExp[]} delimiters - Delimiter matchers for the pattern.
+ * @param {RegExp[]} [noisePatterns=NOISE_WORD_PATTERNS] - Noise-word matchers for the pattern's language.
+ * @returns {string} The cleaned description (possibly empty).
+ */
+const extractDescription = (remaining, delimiters, noisePatterns = NOISE_WORD_PATTERNS) => {
+  let description = remaining;
+  let earliest = null;
+  for (const delimiter of delimiters) {
+    const match = remaining.match(delimiter);
+    if (match && (earliest === null || match.index < earliest.index)) {
+      earliest = match;
+    }
+  }
+  if (earliest) {
+    const afterDelimiter = remaining.slice(earliest.index + earliest[0].length).trim();
+    // Fall back to the text before the delimiter if nothing follows it ("coffee was 5 dollars" -> "coffee")
+    description = afterDelimiter || remaining.slice(0, earliest.index).trim();
+  }
+
+  // Clean up common leading/trailing noise words and punctuation that might be left
+  for (const pattern of noisePatterns) {
+    description = description.replace(pattern, '').trim();
+  }
+  return description.replace(/^[.,!?;:]+|[.,!?;:]+$/g, '').trim();
+};
+
+/**
+ * @typedef {object} CommandPatternMatch
+ * @property {string} patternId - The id of the `commands.json` pattern that matched.
+ * @property {string} numericString - The raw numeric text captured by the amount regex.
+ * @property {string} amountPhrase - The full matched amount phrase (including currency, if any).
+ * @property {string} description - The extracted, cleaned description.
+ */
+
+/**
+ * Tries each compiled add-expense pattern in order against a transcript.
+ * A pattern matches when its keywords (if any) are present, one of its amount regexes matches,
+ * and a non-empty description remains once the keyword and amount are removed.
+ *
+ * @param {string} transcript - The raw transcript (any case).
+ * @param {CompiledCommandPattern[]} [patterns=ADD_EXPENSE_PATTERNS] - The patterns to try.
+ * @returns {CommandPatternMatch | null} The first successful match, or null if no pattern matched.
+ */
+export const matchExpensePattern = (transcript, patterns = ADD_EXPENSE_PATTERNS) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    return null;
+  }
+  const text = transcript.toLowerCase();
+
+  for (const pattern of patterns) {
+    // 1. Keyword check (patterns without keywords accept any phrasing)
+    let keywordMatch = null;
+    if (pattern.keywords.length > 0) {
+      keywordMatch = findLongestMatch(text, pattern.keywords);
+      if (!keywordMatch) continue;
+    }
+
+    // 2. Amount check
+    const amountMatch = findLongestMatch(text, pattern.amountRegexes);
+    if (!amountMatch || !amountMatch[1]) continue;
+
+    // 3. Description check
+    const spans = [{ start: amountMatch.index, end: amountMatch.index + amountMatch[0].length }];
+    if (keywordMatch) {
+      const keywordStart = keywordMatch.index + keywordMatch[0].indexOf(keywordMatch[1]);
+      const keywordEnd = keywordStart + keywordMatch[1].length;
+      // Ignore the keyword if it overlaps the amount (it is then part of the amount phrase)
+      if (keywordEnd <= spans[0].start || keywordStart >= spans[0].end) {
+        spans.push({ start: keywordStart, end: keywordEnd });
+      }
+    }
+    const description = extractDescription(removeSpans(text, spans), pattern.delimiters, pattern.noisePatterns);
+    if (!description) continue;
+
+    return {
+      patternId: pattern.id,
+      numericString: amountMatch[1],
+      amountPhrase: amountMatch[0].trim(),
+      description,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Runs every `test_phrases` entry through the given parser and collects the ones that fail
+ * or that are claimed by a different pattern than the one declaring them.
+ *
+ * @param {function(string): ({patternId?: string} | null)} parse - The parser to check (normally `parseCommand`,
+ *   or `parseExpenseString` together with `ADD_EXPENSE_PATTERNS` only).
+ * @param {Array<CompiledCommandPattern | CompiledIntentPattern>} [patterns] - The patterns whose phrases are checked
+ *   (defaults to every intent pattern and every add-expense pattern).
+ * @returns {Array<{patternId: string, phrase: string, result: object | null}>} The failing phrases (empty when all pass).
+ */
+export const verifyGrammarTestPhrases = (
+  parse,
+  patterns = [...INTENT_PATTERNS, ...ADD_EXPENSE_PATTERNS],
+) => {
+  const failures = [];
+  for (const pattern of patterns) {
+    for (const phrase of pattern.testPhrases) {
+      const result = parse(phrase);
+      if (!result || result.patternId !== pattern.id) {
+        failures.push({ patternId: pattern.id, phrase, result });
+      }
+    }
+  }
+  return failures;
+};
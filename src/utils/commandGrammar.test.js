@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseAmountPhrase, parseCommand, parseExpenseString } from './index.js';
+import {
+  ADD_EXPENSE_PATTERNS,
+  INTENT_PATTERNS,
+  LOCALE_PACKS,
+  verifyGrammarTestPhrases,
+} from './commandGrammar.js';
+
+describe('commands.json test_phrases', () => {
+  it('has test phrases to check', () => {
+    expect(ADD_EXPENSE_PATTERNS.length).toBeGreaterThan(0);
+    expect(INTENT_PATTERNS.length).toBeGreaterThan(0);
+    for (const pattern of [...ADD_EXPENSE_PATTERNS, ...INTENT_PATTERNS]) {
+      expect(pattern.testPhrases.length, pattern.id).toBeGreaterThan(0);
+    }
+  });
+
+  it('parses every add-expense phrase with the pattern declaring it', () => {
+    expect(verifyGrammarTestPhrases(parseCommand, ADD_EXPENSE_PATTERNS)).toEqual([]);
+  });
+
+  it('parses every intent phrase with the pattern declaring it', () => {
+    expect(verifyGrammarTestPhrases(parseCommand, INTENT_PATTERNS)).toEqual([]);
+  });
+
+  describe.each(LOCALE_PACKS.map((pack) => [pack.code, pack]))('locale pack %s', (code, pack) => {
+    it('parses every phrase of the pack in its language', () => {
+      const parse = (phrase) => parseExpenseString(phrase, { locale: code });
+      expect(pack.patterns.length).toBeGreaterThan(0);
+      expect(verifyGrammarTestPhrases(parse, pack.patterns)).toEqual([]);
+    });
+  });
+});
+
+describe('amount validation', () => {
+  it.each(['spent -5 on coffee', 'spent minus five dollars on coffee', 'coffee $-4.50', 'lunch negative 12 dollars'])(
+    'rejects the negative amount in "%s" instead of dropping its sign',
+    (transcript) => {
+      expect(parseExpenseString(transcript)).toBeNull();
+    },
+  );
+
+  it('rejects a negative amount in an update', () => {
+    expect(parseAmountPhrase('-5 dollars')).toBeNull();
+    expect(parseAmountPhrase('5 dollars')).toEqual({ amount: 5, currency: 'USD' });
+  });
+
+  it('still reads hyphens that are not signs', () => {
+    expect(parseExpenseString('covid-19 test 30 dollars')).toMatchObject({ amount: 30, description: 'covid-19 test' });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Currency helpers for the Voice Expense Tracker application.
+ * Maps the currency symbols and words recognised by the command grammar to ISO 4217 codes
+ * and formats amounts in an expense's own currency.
+ */
+
+/**
+ * Currency used for expenses saved before per-expense currencies existed,
+ * and the initial user default.
+ * @constant {string}
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Currencies offered when choosing a default currency.
+ * Any valid ISO 4217 code can still be stored on an expense.
+ * @constant {string[]}
+ */
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY', 'INR'];
+
+/**
+ * Spoken or written currency markers mapped to their ISO 4217 code.
+ * Keys are lowercase; plural forms are handled by `detectCurrency`.
+ * @constant {Object<string, string>}
+ */
+const CURRENCY_ALIASES = {
+  $: 'USD',
+  usd: 'USD',
+  dollar: 'USD',
+  buck: 'USD',
+  '£': 'GBP',
+  gbp: 'GBP',
+  pound: 'GBP',
+  quid: 'GBP',
+  '€': 'EUR',
+  eur: 'EUR',
+  euro: 'EUR',
+};
+
+/**
+ * ISO 4217 codes of the currencies in circulation, for engines without `Intl.supportedValuesOf`.
+ * @constant {string[]}
+ */
+const FALLBACK_CURRENCY_CODES = (
+  'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD CAD ' +
+  'CDF CHF CLP CNY COP CRC CUC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF ' +
+  'GTQ GYD HKD HNL HRK HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT LAK ' +
+  'LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR ' +
+  'PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SLL SOS SRD SSP STN SVC ' +
+  'SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG XDR XOF XPF ' +
+  'XSU YER ZAR ZMW ZWG ZWL'
+).split(' ');
+
+/**
+ * The currency codes the app accepts: the ones the browser lists as supported, or the fallback list.
+ * @constant {Set<string>}
+ */
+const SUPPORTED_CURRENCY_CODES = new Set(
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : FALLBACK_CURRENCY_CODES,
+);
+
+/**
+ * Checks that a value is the ISO 4217 code of a real currency ("USD", "EUR"). `Intl.NumberFormat` alone would
+ * accept any three letters ("XYZ"), so the code is looked up in `Intl.supportedValuesOf('currency')`, or in a
+ * built-in list of circulating currencies where the browser does not provide it.
+ *
+ * @param {any} code - The value to check.
+ * @returns {boolean} True if the code is a known currency.
+ */
+export const isValidCurrencyCode = (code) => typeof code === 'string' && SUPPORTED_CURRENCY_CODES.has(code);
+
+/**
+ * Detects the currency named in an amount phrase such as "$10.50", "20 euros" or "5 quid".
+ * Currency words of the recognition language ("Pfund", "libras") can be passed in, and win over the English ones.
+ *
+ * @param {string} amountPhrase - The matched amount phrase.
+ * @param {Object<string, string>} [localeWords={}] - Lowercase currency words of the language mapped to ISO 4217 codes.
+ * @returns {string | null} The ISO 4217 code, or null if the phrase names no currency.
+ */
+export const detectCurrency = (amountPhrase, localeWords = {}) => {
+  if (typeof amountPhrase !== 'string') {
+    return null;
+  }
+  const phrase = amountPhrase.toLowerCase();
+  const symbol = phrase.match(/[$£€]/);
+  if (symbol) {
+    return CURRENCY_ALIASES[symbol[0]];
+  }
+  for (const word of phrase.match(/\p{L}+/gu) || []) {
+    const singular = word.endsWith('s') ? word.slice(0, -1) : word;
+    if (localeWords[word] || CURRENCY_ALIASES[word] || CURRENCY_ALIASES[singular]) {
+      return localeWords[word] || CURRENCY_ALIASES[word] || CURRENCY_ALIASES[singular];
+    }
+  }
+  return null;
+};
+
+/**
+ * Formats a numeric amount in the given currency (e.g. "€20.00", "£5.00").
+ * Unknown or missing codes fall back to `DEFAULT_CURRENCY`, matching how older expenses are read.
+ *
+ * @param {number} amount - The amount to format.
+ * @param {string} [currency=DEFAULT_CURRENCY] - ISO 4217 currency code.
+ * @returns {string} The formatted amount.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: isValidCurrencyCode(currency) ? currency : DEFAULT_CURRENCY,
+  }).format(amount);
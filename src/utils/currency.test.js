@@ -0,0 +1,38 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// Each test imports the module afresh, since the supported codes are read once when it loads
+
+describe('isValidCurrencyCode', () => {
+  afterEach(() => {
+    vi.resetModules();
+  });
+
+  it('accepts the codes of real currencies', async () => {
+    const { isValidCurrencyCode } = await import('./currency.js');
+
+    expect(['USD', 'EUR', 'GBP', 'JPY', 'CHF'].every(isValidCurrencyCode)).toBe(true);
+  });
+
+  it('rejects made-up, lower-case and non-string codes', async () => {
+    const { isValidCurrencyCode } = await import('./currency.js');
+
+    expect(isValidCurrencyCode('XYZ')).toBe(false);
+    expect(isValidCurrencyCode('usd')).toBe(false);
+    expect(isValidCurrencyCode('US')).toBe(false);
+    expect(isValidCurrencyCode(null)).toBe(false);
+    expect(isValidCurrencyCode(840)).toBe(false);
+  });
+
+  it('falls back to the built-in list where Intl cannot list currencies', async () => {
+    const supportedValuesOf = Intl.supportedValuesOf;
+    Intl.supportedValuesOf = undefined;
+    try {
+      const { isValidCurrencyCode } = await import('./currency.js');
+
+      expect(isValidCurrencyCode('EUR')).toBe(true);
+      expect(isValidCurrencyCode('XYZ')).toBe(false);
+    } finally {
+      Intl.supportedValuesOf = supportedValuesOf;
+    }
+  });
+});
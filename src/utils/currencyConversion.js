@@ -0,0 +1,193 @@
+/**
+ * Currency conversion helpers for the Voice Expense Tracker application.
+ * Works on a locally stored table of dated exchange rates (no live FX API):
+ * parsing imported JSON/CSV tables and converting amounts using the rate in effect on a given date.
+ */
+
+import { isValidCurrencyCode } from './currency.js';
+
+/**
+ * @typedef {object} ExchangeRate
+ * @property {string} date - The day the rate takes effect, as "YYYY-MM-DD".
+ * @property {string} base - ISO 4217 code of the currency being priced.
+ * @property {string} quote - ISO 4217 code the rate is expressed in.
+ * @property {number} rate - Units of `quote` per one unit of `base` (e.g. base EUR, quote USD, rate 1.08).
+ */
+
+/**
+ * Formats a Date as a local "YYYY-MM-DD" key, comparable as a string.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The date key.
+ */
+export const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Validates and normalises one raw rate entry.
+ *
+ * @param {object} raw - An entry with date, base, quote and rate (strings or numbers).
+ * @returns {ExchangeRate | string} The normalised entry, or an error message describing what is wrong.
+ */
+export const normalizeRate = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return 'Entry must be an object with date, base, quote and rate.';
+  }
+  const date = String(raw.date ?? '').trim();
+  const base = String(raw.base ?? '').trim().toUpperCase();
+  const quote = String(raw.quote ?? '').trim().toUpperCase();
+  const rate = typeof raw.rate === 'number' ? raw.rate : parseFloat(String(raw.rate ?? '').trim());
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00`).getTime())) {
+    return `Invalid date "${raw.date}" (expected YYYY-MM-DD).`;
+  }
+  if (!isValidCurrencyCode(base) || !isValidCurrencyCode(quote) || base === quote) {
+    return `Invalid currency pair "${raw.base}/${raw.quote}".`;
+  }
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return `Invalid rate "${raw.rate}" for ${base}/${quote} (must be a positive number).`;
+  }
+  return { date, base, quote, rate };
+};
+
+/**
+ * Splits CSV text into rows of trimmed cells. Handles comma, semicolon or tab delimiters
+ * (detected from the first line) and double-quoted cells.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The non-empty rows.
+ */
+const parseCsvRows = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const delimiter = [';', '\t', ','].find((candidate) => lines[0].includes(candidate)) || ',';
+  return lines.map((line) =>
+    line
+      .split(delimiter)
+      .map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim()),
+  );
+};
+
+/**
+ * Parses an exchange-rate table exported as JSON or CSV.
+ *
+ * JSON: an array of `{date, base, quote, rate}` objects, or an object with such an array under `rates`.
+ * CSV: one rate per line with columns date, base, quote, rate. A header row naming those columns
+ * may reorder them; without one, that column order is assumed.
+ *
+ * @param {string} text - The file contents.
+ * @returns {{rates: ExchangeRate[], errors: string[]}} The valid rates and a message for each rejected entry.
+ */
+export const parseRateTable = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { rates: [], errors: ['The rate table is empty.'] };
+  }
+
+  let rawEntries = [];
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      rawEntries = Array.isArray(parsed) ? parsed : parsed?.rates;
+      if (!Array.isArray(rawEntries)) {
+        return { rates: [], errors: ['JSON rate table must be an array or have a "rates" array.'] };
+      }
+    } catch (error) {
+      return { rates: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  } else {
+    const rows = parseCsvRows(trimmed);
+    let columns = ['date', 'base', 'quote', 'rate'];
+    const header = rows[0]?.map((cell) => cell.toLowerCase());
+    if (header && columns.every((column) => header.includes(column))) {
+      columns = header;
+      rows.shift();
+    }
+    rawEntries = rows.map((cells) =>
+      Object.fromEntries(columns.map((column, index) => [column, cells[index]])),
+    );
+  }
+
+  const rates = [];
+  const errors = [];
+  rawEntries.forEach((raw, index) => {
+    const result = normalizeRate(raw);
+    if (typeof result === 'string') {
+      errors.push(`Entry ${index + 1}: ${result}`);
+    } else {
+      rates.push(result);
+    }
+  });
+  return { rates, errors };
+};
+
+/**
+ * Finds the latest rate converting `from` into `to` that is in effect on `dateKey`,
+ * using a direct or inverse entry for the pair.
+ *
+ * @param {ExchangeRate[]} rates - The rate table.
+ * @param {string} from - Source currency code.
+ * @param {string} to - Target currency code.
+ * @param {string} dateKey - The "YYYY-MM-DD" day the rate must be in effect on.
+ * @returns {{rate: number, date: string} | null} The multiplier and the date of the entry used.
+ */
+const findPairRate = (rates, from, to, dateKey) => {
+  let best = null;
+  for (const entry of rates) {
+    if (entry.date > dateKey) continue;
+    let rate = null;
+    if (entry.base === from && entry.quote === to) rate = entry.rate;
+    else if (entry.base === to && entry.quote === from) rate = 1 / entry.rate;
+    if (rate !== null && (!best || entry.date > best.date)) {
+      best = { rate, date: entry.date };
+    }
+  }
+  return best;
+};
+
+/**
+ * Finds the multiplier converting `from` into `to` on the given date.
+ * Falls back to a single intermediate currency (e.g. GBP -> USD -> EUR) when the table has no entry for the pair.
+ *
+ * @param {ExchangeRate[]} rates - The rate table.
+ * @param {string} from - Source currency code.
+ * @param {string} to - Target currency code.
+ * @param {Date} date - The date the rate must be in effect on.
+ * @returns {number | null} The multiplier, or null if no rate was in effect on that date.
+ */
+export const findRate = (rates, from, to, date) => {
+  if (from === to) return 1;
+  if (!Array.isArray(rates) || !(date instanceof Date) || isNaN(date.getTime())) return null;
+
+  const dateKey = toDateKey(date);
+  const direct = findPairRate(rates, from, to, dateKey);
+  if (direct) return direct.rate;
+
+  const intermediates = new Set(rates.flatMap((entry) => [entry.base, entry.quote]));
+  intermediates.delete(from);
+  intermediates.delete(to);
+  for (const via of intermediates) {
+    const first = findPairRate(rates, from, via, dateKey);
+    const second = first && findPairRate(rates, via, to, dateKey);
+    if (second) return first.rate * second.rate;
+  }
+  return null;
+};
+
+/**
+ * Converts an amount between currencies using the rate in effect on the given date.
+ *
+ * @param {number} amount - The amount in `from` currency.
+ * @param {string} from - Source currency code.
+ * @param {string} to - Target currency code.
+ * @param {Date} date - The date of the expense.
+ * @param {ExchangeRate[]} rates - The rate table.
+ * @returns {number | null} The converted amount rounded to cents, or null if no rate applies.
+ */
+export const convertAmount = (amount, from, to, date, rates) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+  const rate = findRate(rates, from, to, date);
+  return rate === null ? null : Math.round(amount * rate * 100) / 100;
+};
@@ -0,0 +1,378 @@
+/**
+ * Date extraction for the Voice Expense Tracker application.
+ * Finds relative ("yesterday", "two days ago", "last Tuesday") and absolute ("on the 5th", "on March 3rd")
+ * date phrases in a transcript so expenses can be backdated, and removes them from the text.
+ * Also resolves spoken periods ("this week", "last month", "March") into date ranges for spending questions,
+ * and recurrence phrases ("every month", "monthly on the 1st") into schedules for recurring expenses.
+ */
+
+import { getPeriodRange } from './aggregation.js';
+
+/** @constant {string[]} */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/** @constant {string[]} */
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+/** @constant {Object<string, number>} */
+const SMALL_NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+};
+
+/**
+ * Ordinal words for days of the month ("first" ... "thirty first").
+ * @constant {Object<string, number>}
+ */
+const ORDINAL_WORDS = (() => {
+  const base = [
+    'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+    'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth',
+    'eighteenth', 'nineteenth',
+  ];
+  const ordinals = {};
+  base.forEach((word, index) => {
+    ordinals[word] = index + 1;
+  });
+  ordinals.twentieth = 20;
+  ordinals.thirtieth = 30;
+  base.slice(0, 9).forEach((word, index) => {
+    ordinals[`twenty ${word}`] = 21 + index;
+    ordinals[`twenty-${word}`] = 21 + index;
+  });
+  ordinals['thirty first'] = 31;
+  ordinals['thirty-first'] = 31;
+  return ordinals;
+})();
+
+// Longest alternatives first so "twenty first" wins over "first"
+const ORDINAL_ALTERNATION = Object.keys(ORDINAL_WORDS)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+const DAY_OF_MONTH = `(\\d{1,2})(?:st|nd|rd|th)?|(${ORDINAL_ALTERNATION})`;
+const MONTH_ALTERNATION = `(${MONTHS.join('|')}|${MONTHS.map((month) => month.slice(0, 3)).join('|')})\\.?`;
+const COUNT_ALTERNATION = `(\\d+|${Object.keys(SMALL_NUMBER_WORDS).join('|')})`;
+
+/**
+ * Words that may follow an ordinal standing on its own as a date ("on the 5th for lunch"). Any other word makes
+ * the ordinal part of the description ("on the second floor"), so it is not taken as a date.
+ * @constant {string[]}
+ */
+const BARE_ORDINAL_FOLLOWERS = [
+  'for', 'on', 'in', 'at', 'and', 'then', 'with', 'from', 'i', 'we', 'it', 'paid', 'spent', 'was',
+];
+
+/**
+ * Spoken cardinals that can start an amount after a bare ordinal ("on the 5th twelve dollars"); typed amounts
+ * ("on the 5th 12 dollars", "on the 5th $12") are recognised by their digit or currency symbol.
+ * @constant {string[]}
+ */
+const AMOUNT_START_WORDS = [
+  ...Object.keys(SMALL_NUMBER_WORDS).filter((word) => word !== 'a' && word !== 'an'),
+  'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+  'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety', 'hundred',
+];
+
+// After a bare ordinal: "of this/the/last month", or the end of the clause, one of the words above or an amount
+const BARE_ORDINAL_CUE =
+  `(?:\\s+of\\s+(this|the|last)\\s+month)?` +
+  `(?=\\s*(?:$|[.,!?;:])|\\s+(?:${[...BARE_ORDINAL_FOLLOWERS, ...AMOUNT_START_WORDS].join('|')})\\b|\\s+[$£€]?\\d)`;
+
+/**
+ * Returns a copy of `now` moved by a number of days, keeping the time of day
+ * so backdated expenses still sort naturally against each other.
+ *
+ * @param {Date} now - The reference date.
+ * @param {number} days - Days to add (negative for the past).
+ * @returns {Date} The shifted date.
+ */
+const addDays = (now, days) => {
+  const date = new Date(now.getTime());
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+/**
+ * Resolves a day-of-month capture (digits or ordinal word) to a number.
+ *
+ * @param {string | undefined} digits - Captured digits, if any.
+ * @param {string | undefined} word - Captured ordinal word, if any.
+ * @returns {number} The day of the month.
+ */
+const toDayOfMonth = (digits, word) => (digits ? parseInt(digits, 10) : ORDINAL_WORDS[word]);
+
+/**
+ * Resolves a month name or abbreviation to a 0-based month index.
+ *
+ * @param {string} name - The month name ("march", "mar").
+ * @returns {number} The month index.
+ */
+const toMonthIndex = (name) => MONTHS.findIndex((month) => month.startsWith(name.slice(0, 3)));
+
+/**
+ * Builds a date in the given month/day, moving it back a year (or month) if it would lie in the future.
+ * Returns null when the day does not exist in that month (e.g. "February 30th").
+ *
+ * @param {Date} now - The reference date.
+ * @param {number} monthIndex - 0-based month, or null to use the current month.
+ * @param {number} day - Day of the month.
+ * @returns {Date | null} The resolved past date.
+ */
+const resolveDayOfMonth = (now, monthIndex, day) => {
+  if (!Number.isInteger(day) || day < 1 || day > 31) return null;
+  const build = (year, month) => {
+    const date = new Date(now.getTime());
+    date.setFullYear(year, month, day);
+    return date.getMonth() === ((month % 12) + 12) % 12 && date.getDate() === day ? date : null;
+  };
+
+  if (monthIndex === null) {
+    const thisMonth = build(now.getFullYear(), now.getMonth());
+    if (thisMonth && thisMonth <= now) return thisMonth;
+    return build(now.getFullYear(), now.getMonth() - 1);
+  }
+  const thisYear = build(now.getFullYear(), monthIndex);
+  if (thisYear && thisYear <= now) return thisYear;
+  return build(now.getFullYear() - 1, monthIndex);
+};
+
+/**
+ * Date phrase rules, tried in order. Each rule's regex must be matched as whole words;
+ * `resolve` turns the match into a Date (or null if the phrase is not a real date).
+ * A leading "on" / "last" belongs to the phrase so it is removed with it.
+ *
+ * @constant {Array<{regex: RegExp, resolve: function(RegExpMatchArray, Date): (Date | null)}>}
+ */
+const DATE_RULES = [
+  {
+    // "2024-03-03"
+    regex: /\b(?:on\s+)?(\d{4})-(\d{2})-(\d{2})\b/,
+    resolve: (match, now) => {
+      const date = new Date(now.getTime());
+      date.setFullYear(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+      return date.getDate() === parseInt(match[3], 10) ? date : null;
+    },
+  },
+  {
+    regex: /\b(?:on\s+)?(?:the\s+)?day\s+before\s+yesterday\b/,
+    resolve: (match, now) => addDays(now, -2),
+  },
+  {
+    regex: /\byesterday\b/,
+    resolve: (match, now) => addDays(now, -1),
+  },
+  {
+    regex: /\b(?:today|this\s+morning|this\s+afternoon|this\s+evening|tonight)\b/,
+    resolve: (match, now) => new Date(now.getTime()),
+  },
+  {
+    // "two days ago", "3 weeks ago", "a week ago"
+    regex: new RegExp(`\\b${COUNT_ALTERNATION}\\s+(days?|weeks?)\\s+ago\\b`),
+    resolve: (match, now) => {
+      const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : SMALL_NUMBER_WORDS[match[1]];
+      return addDays(now, -count * (match[2].startsWith('week') ? 7 : 1));
+    },
+  },
+  {
+    regex: /\blast\s+week\b/,
+    resolve: (match, now) => addDays(now, -7),
+  },
+  {
+    // "last Tuesday": the most recent Tuesday strictly before today
+    regex: new RegExp(`\\blast\\s+(${WEEKDAYS.join('|')})\\b`),
+    resolve: (match, now) => {
+      const diff = (now.getDay() - WEEKDAYS.indexOf(match[1]) + 7) % 7 || 7;
+      return addDays(now, -diff);
+    },
+  },
+  {
+    // "on Tuesday": the most recent Tuesday, today included
+    regex: new RegExp(`\\bon\\s+(${WEEKDAYS.join('|')})\\b`),
+    resolve: (match, now) => addDays(now, -((now.getDay() - WEEKDAYS.indexOf(match[1]) + 7) % 7)),
+  },
+  {
+    // "on March 3rd", "March 3", "on Mar. 3rd"
+    regex: new RegExp(`\\b(?:on\\s+)?${MONTH_ALTERNATION}\\s+(?:the\\s+)?(?:${DAY_OF_MONTH})\\b`),
+    resolve: (match, now) => resolveDayOfMonth(now, toMonthIndex(match[1]), toDayOfMonth(match[2], match[3])),
+  },
+  {
+    // "on the 3rd of March", "3 March" (full month names only, so "20 jan" stays an amount and a name)
+    regex: new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(?:${DAY_OF_MONTH})\\s+(?:of\\s+)?(${MONTHS.join('|')})\\b`),
+    resolve: (match, now) => resolveDayOfMonth(now, toMonthIndex(match[3]), toDayOfMonth(match[1], match[2])),
+  },
+  {
+    // "on the 5th", "on the fifth of last month" (an ordinal is required so plain amounts are never taken as dates,
+    // and a date cue after it so "on the second floor" stays a description)
+    regex: new RegExp(`\\bon\\s+the\\s+(?:(\\d{1,2})(?:st|nd|rd|th)|(${ORDINAL_ALTERNATION}))${BARE_ORDINAL_CUE}`),
+    resolve: (match, now) =>
+      resolveDayOfMonth(now, match[3] === 'last' ? (now.getMonth() + 11) % 12 : null, toDayOfMonth(match[1], match[2])),
+  },
+];
+
+/**
+ * Extracts the first recognised date phrase from a transcript.
+ * Dates are always resolved into the past (or today), since expenses are logged after they happen.
+ *
+ * @example
+ * extractDate('spent 5 dollars on coffee yesterday');
+ * // { date: <yesterday>, text: 'spent 5 dollars on coffee', phrase: 'yesterday' }
+ *
+ * @param {string} transcript - The raw transcript.
+ * @param {Date} [now=new Date()] - The reference "current" date.
+ * @returns {{date: Date | null, text: string, phrase: string | null}} The resolved date (null if none was found),
+ *   the transcript with the date phrase removed, and the phrase that was removed.
+ */
+export const extractDate = (transcript, now = new Date()) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    return { date: null, text: transcript, phrase: null };
+  }
+
+  const lowerTranscript = transcript.toLowerCase();
+  for (const rule of DATE_RULES) {
+    const match = lowerTranscript.match(rule.regex);
+    if (!match) continue;
+
+    const date = rule.resolve(match, now);
+    if (!date || isNaN(date.getTime())) continue;
+
+    // Same length in lower case, so the index maps straight back onto the original transcript
+    const text = `${transcript.slice(0, match.index)} ${transcript.slice(match.index + match[0].length)}`
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { date, text, phrase: match[0] };
+  }
+
+  return { date: null, text: transcript, phrase: null };
+};
+
+/**
+ * Capitalises a month name for spoken and displayed answers ("march" -> "March").
+ *
+ * @param {number} monthIndex - The 0-based month index.
+ * @returns {string} The month name.
+ */
+const toMonthName = (monthIndex) => MONTHS[monthIndex].charAt(0).toUpperCase() + MONTHS[monthIndex].slice(1);
+
+/**
+ * Resolves a spoken period ("today", "this week", "last month", "March", "March 2024") into a date range,
+ * for questions about spending rather than for dating a single expense. A month without a year is the most
+ * recent one, so "March" asked in February means March of last year.
+ *
+ * @example
+ * parsePeriodPhrase('last month', new Date(2024, 4, 10));
+ * // { from: 2024-04-01, to: 2024-05-01, label: 'last month' }
+ *
+ * @param {string} phrase - The spoken period.
+ * @param {Date} [now=new Date()] - The reference "current" date.
+ * @returns {{from: Date, to: Date, label: string} | null} The range `[from, to)` and a label for answers
+ *   ("this week", "in March"), or null if the phrase is not a recognised period.
+ */
+export const parsePeriodPhrase = (phrase, now = new Date()) => {
+  if (typeof phrase !== 'string' || phrase.trim() === '') {
+    return null;
+  }
+  const text = phrase.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^(?:in|for|during|over) (?:the )?/, '');
+
+  const relative = text.match(/^(today|yesterday|(this|last) (week|month|year))$/);
+  if (relative) {
+    const period = relative[3] || 'day';
+    const offset = relative[1] === 'yesterday' || relative[2] === 'last' ? -1 : 0;
+    const { start, end } = getPeriodRange(period, now, offset);
+    return { from: start, to: end, label: relative[1] };
+  }
+
+  const month = text.match(new RegExp(`^${MONTH_ALTERNATION}(?: (?:of )?(\\d{4}))?$`));
+  if (month) {
+    const monthIndex = toMonthIndex(month[1]);
+    let year = month[2] ? parseInt(month[2], 10) : now.getFullYear();
+    if (!month[2] && monthIndex > now.getMonth()) year -= 1;
+    const { start, end } = getPeriodRange('month', new Date(year, monthIndex, 1));
+    return { from: start, to: end, label: `in ${toMonthName(monthIndex)}${month[2] ? ` ${year}` : ''}` };
+  }
+
+  return null;
+};
+
+/**
+ * Resolves an optional spoken count ("2", "two") to a number, defaulting to 1.
+ *
+ * @param {string | undefined} count - The captured count, if any.
+ * @returns {number} The count.
+ */
+const toCount = (count) => {
+  if (!count) return 1;
+  return /^\d+$/.test(count) ? parseInt(count, 10) : SMALL_NUMBER_WORDS[count];
+};
+
+/**
+ * Recurrence phrase rules, tried in order. Each `resolve` turns the match into a partial schedule
+ * (see `RecurrenceSchedule` in `./recurrence.js`); day fields left out are filled from the start date.
+ *
+ * @constant {Array<{regex: RegExp, resolve: function(RegExpMatchArray): object}>}
+ */
+const RECURRENCE_RULES = [
+  {
+    // "every month on the 1st", "monthly on the first", "every 2 months on the 15th"
+    regex: new RegExp(
+      `\\b(?:(?:every|each)\\s+(?:${COUNT_ALTERNATION}\\s+)?months?|monthly)\\s+on\\s+the\\s+(?:${DAY_OF_MONTH})\\b`,
+    ),
+    resolve: (match) => ({ frequency: 'monthly', interval: toCount(match[1]), dayOfMonth: toDayOfMonth(match[2], match[3]) }),
+  },
+  {
+    // "every Friday", "every other Monday"
+    regex: new RegExp(`\\b(?:every|each)\\s+(other\\s+)?(${WEEKDAYS.join('|')})\\b`),
+    resolve: (match) => ({ frequency: 'weekly', interval: match[1] ? 2 : 1, dayOfWeek: WEEKDAYS.indexOf(match[2]) }),
+  },
+  {
+    // "every month", "every 2 weeks", "every other year", "each week"
+    regex: new RegExp(`\\b(?:every|each)\\s+(?:(other)\\s+|${COUNT_ALTERNATION}\\s+)?(weeks?|months?|years?)\\b`),
+    resolve: (match) => ({
+      frequency: { w: 'weekly', m: 'monthly', y: 'yearly' }[match[3][0]],
+      interval: match[1] ? 2 : toCount(match[2]),
+    }),
+  },
+  {
+    regex: /\b(weekly|monthly|yearly|annually)\b/,
+    resolve: (match) => ({ frequency: match[1] === 'annually' ? 'yearly' : match[1], interval: 1 }),
+  },
+];
+
+/**
+ * Extracts a recurrence phrase ("every month", "monthly on the 1st", "every Friday") from a transcript,
+ * so "add rent 1200 every month" can create a recurring expense. Run it before `extractDate`, which would
+ * otherwise take "on the 1st" as the date of a single expense.
+ *
+ * @example
+ * extractRecurrence('add rent 1200 every month on the 1st');
+ * // { schedule: { frequency: 'monthly', interval: 1, dayOfMonth: 1 }, text: 'add rent 1200', phrase: 'every month on the 1st' }
+ *
+ * @param {string} transcript - The raw transcript.
+ * @returns {{schedule: object | null, text: string, phrase: string | null}} The partial schedule (null if none was
+ *   found; complete it with `completeSchedule`), the transcript with the phrase removed, and the phrase that was removed.
+ */
+export const extractRecurrence = (transcript) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    return { schedule: null, text: transcript, phrase: null };
+  }
+
+  const lowerTranscript = transcript.toLowerCase();
+  for (const rule of RECURRENCE_RULES) {
+    const match = lowerTranscript.match(rule.regex);
+    if (!match) continue;
+
+    const schedule = rule.resolve(match);
+    if (!Number.isInteger(schedule.interval) || schedule.interval < 1) continue;
+
+    const text = `${transcript.slice(0, match.index)} ${transcript.slice(match.index + match[0].length)}`
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { schedule, text, phrase: match[0] };
+  }
+
+  return { schedule: null, text: transcript, phrase: null };
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { extractDate } from './dateExtraction.js';
+
+// A fixed "now": Wednesday 15 May 2024, midday
+const NOW = new Date(2024, 4, 15, 12, 0, 0);
+
+const toDay = (date) => date && [date.getFullYear(), date.getMonth(), date.getDate()];
+
+describe('extractDate', () => {
+  it('takes a bare ordinal at the end of the transcript as a day of this month', () => {
+    const result = extractDate('coffee 5 dollars on the 5th', NOW);
+    expect(toDay(result.date)).toEqual([2024, 4, 5]);
+    expect(result.text).toBe('coffee 5 dollars');
+  });
+
+  it('takes a bare ordinal followed by the rest of the command as a date', () => {
+    const result = extractDate('spent 12 on the second for lunch', NOW);
+    expect(toDay(result.date)).toEqual([2024, 4, 2]);
+    expect(result.text).toBe('spent 12 for lunch');
+  });
+
+  it('takes a bare ordinal followed by an amount as a date', () => {
+    const result = extractDate('lunch on the 5th 12 dollars', NOW);
+    expect(toDay(result.date)).toEqual([2024, 4, 5]);
+    expect(result.text).toBe('lunch 12 dollars');
+    expect(toDay(extractDate('lunch on the 5th $12', NOW).date)).toEqual([2024, 4, 5]);
+    expect(toDay(extractDate('lunch on the fifth twelve dollars', NOW).date)).toEqual([2024, 4, 5]);
+  });
+
+  it('takes a bare ordinal after the amount as a date', () => {
+    const result = extractDate('spent 7 on the 3rd', NOW);
+    expect(toDay(result.date)).toEqual([2024, 4, 3]);
+    expect(result.text).toBe('spent 7');
+  });
+
+  it('moves a bare ordinal still to come this month into last month', () => {
+    expect(toDay(extractDate('taxi 20 on the twentieth', NOW).date)).toEqual([2024, 3, 20]);
+  });
+
+  it('resolves "of last month" and "of this month"', () => {
+    expect(toDay(extractDate('rent 900 on the 3rd of last month', NOW).date)).toEqual([2024, 3, 3]);
+    expect(toDay(extractDate('rent 900 on the 3rd of this month', NOW).date)).toEqual([2024, 4, 3]);
+  });
+
+  it('does not take an ordinal without a date cue as a date', () => {
+    const result = extractDate('parking 5 on the second floor', NOW);
+    expect(result.date).toBeNull();
+    expect(result.text).toBe('parking 5 on the second floor');
+    expect(extractDate('lunch 8 on the 3rd floor cafe', NOW).date).toBeNull();
+  });
+
+  it('takes an ordinal with a month name as a date', () => {
+    expect(toDay(extractDate('lunch 8 on the second of March', NOW).date)).toEqual([2024, 2, 2]);
+    expect(toDay(extractDate('lunch 8 on March 2nd', NOW).date)).toEqual([2024, 2, 2]);
+  });
+});
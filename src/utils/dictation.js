@@ -0,0 +1,141 @@
+/**
+ * Continuous dictation for the Voice Expense Tracker application: one listening session can log several
+ * expenses ("coffee 4 dollars, then lunch 12, and taxi 20"). Each recognised utterance is split into segments,
+ * and every segment is parsed on its own by `parseCommand` and classified as an expense to save, one to hold
+ * for review, or the spoken end of the session ("done", "stop"). These helpers are pure.
+ */
+
+import { INTENTS } from './commandGrammar.js';
+import { parseCommand, parseExpenseString } from './index.js';
+import { normalizeSpokenNumbers } from './spokenNumbers.js';
+
+/**
+ * Separators between expenses that never occur inside one: punctuation followed by a space (so "4.50" and
+ * "1,200" stay whole) and the connectors "then", "and then" and "also".
+ * @constant {RegExp}
+ */
+const SEGMENT_SEPARATOR = /[,;.!?]+(?=\s|$)|\s+(?:and\s+)?then\s+|\s+also\s+/i;
+
+/**
+ * Connector words left at the start of a segment ("and taxi 20").
+ * @constant {RegExp}
+ */
+const LEADING_CONNECTOR = /^(?:(?:and|then|also|plus)\s+)+/i;
+
+/**
+ * Whether a segment is the spoken end of a dictation session.
+ *
+ * @param {string} segment - The segment.
+ * @param {string} [locale] - The recognition language.
+ * @returns {boolean} True for "done", "stop", "that's all" and the like.
+ */
+const isEndPhrase = (segment, locale) => parseCommand(segment, { locale })?.intent === INTENTS.END_DICTATION;
+
+/**
+ * Splits a segment on "and" where both sides stand on their own: the part before is an expense and
+ * everything after is one too (or ends the session). "Lunch 12 and taxi 20" is split; "fish and chips 12"
+ * and "a hundred and five dollars for groceries" are not.
+ *
+ * @param {string} segment - The segment.
+ * @param {string} [locale] - The recognition language.
+ * @returns {string[]} The parts, in order.
+ */
+const splitOnAnd = (segment, locale) => {
+  const parts = segment.split(/\s+and\s+/i);
+  const result = [];
+  let current = parts[0];
+  for (let index = 1; index < parts.length; index += 1) {
+    const rest = parts.slice(index).join(' and ');
+    if (
+      parseExpenseString(current, { locale }) &&
+      (isEndPhrase(rest, locale) || parseExpenseString(rest, { locale }))
+    ) {
+      result.push(current);
+      current = parts[index];
+    } else {
+      current = `${current} and ${parts[index]}`;
+    }
+  }
+  result.push(current);
+  return result;
+};
+
+/**
+ * Splits a dictated utterance into the phrases of its expenses.
+ * "Coffee 4 dollars, then lunch 12, and taxi 20" becomes ["Coffee 4 dollars", "lunch 12", "taxi 20"].
+ *
+ * @param {string} transcript - The utterance.
+ * @param {object} [options] - Splitting options.
+ * @param {string} [options.locale] - The recognition language, used to parse the parts (see `parseExpenseString`).
+ * @returns {string[]} The non-empty segments, in order.
+ */
+export const splitDictation = (transcript, { locale } = {}) => {
+  if (typeof transcript !== 'string') {
+    return [];
+  }
+  return transcript
+    .split(SEGMENT_SEPARATOR)
+    .map((segment) => segment.trim().replace(LEADING_CONNECTOR, '').trim())
+    .filter(Boolean)
+    .flatMap((segment) => splitOnAnd(segment, locale))
+    .map((segment) => segment.replace(LEADING_CONNECTOR, '').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Counts the numbers in a segment once spoken numbers are written as digits (ordinals such as "5th" are dates).
+ *
+ * @param {string} segment - The segment.
+ * @returns {number} How many numbers it contains.
+ */
+const countNumbers = (segment) => (normalizeSpokenNumbers(segment).match(/\b\d+(?:[.,]\d+)?\b/g) || []).length;
+
+/**
+ * Recogniser confidence below which a segment is held for review. Browsers that do not report a
+ * confidence give 0, which is not treated as low.
+ * @constant {number}
+ */
+const LOW_CONFIDENCE = 0.5;
+
+/**
+ * @typedef {object} DictationSegment
+ * @property {string} transcript - The segment as heard.
+ * @property {'ready' | 'review' | 'end'} status - `ready` to save straight away, `review` to hold for the
+ *   user to check, `end` when the segment ends the session.
+ * @property {object | null} command - The parsed command (see `parseCommand`), or null if nothing was understood.
+ * @property {string | null} reason - Why a segment is held for review.
+ */
+
+/**
+ * Parses one dictated segment and decides what to do with it. Segments are held for review when they are not
+ * understood as an expense, when more than one number was heard (which one is the amount?) and when the
+ * recogniser reported a low confidence for the utterance. A ready segment with a `recurrence` ("rent 1200 every
+ * month") is saved as a recurring template rather than logged, as it is when spoken on its own.
+ *
+ * @param {string} segment - The segment, from `splitDictation`.
+ * @param {object} [options] - Classification options.
+ * @param {number | null} [options.confidence] - The recogniser's confidence in the utterance (0-1), if known.
+ * @param {string} [options.locale] - The recognition language (see `parseExpenseString`).
+ * @returns {DictationSegment} The classified segment.
+ */
+export const classifyDictationSegment = (segment, { confidence = null, locale } = {}) => {
+  const command = parseCommand(segment, { locale });
+  const hold = (reason) => ({ transcript: segment, status: 'review', command, reason });
+
+  if (command?.intent === INTENTS.END_DICTATION) {
+    return { transcript: segment, status: 'end', command, reason: null };
+  }
+  if (!command) {
+    return hold('Could not understand this as an expense.');
+  }
+  if (command.intent !== INTENTS.ADD) {
+    return hold('Only expenses are logged while dictating.');
+  }
+  if (countNumbers(segment) > 1) {
+    return hold('More than one number was heard; check the amount.');
+  }
+  if (confidence > 0 && confidence < LOW_CONFIDENCE) {
+    return hold('The recogniser was not sure it heard this right.');
+  }
+  return { transcript: segment, status: 'ready', command, reason: null };
+};
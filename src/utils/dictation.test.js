@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { classifyDictationSegment } from './dictation.js';
+
+describe('classifyDictationSegment', () => {
+  it('saves a recurring expense straight away, with its schedule', () => {
+    const segment = classifyDictationSegment('rent 1200 every month');
+    expect(segment.status).toBe('ready');
+    expect(segment.command.amount).toBe(1200);
+    expect(segment.command.recurrence).toMatchObject({ frequency: 'monthly', interval: 1 });
+  });
+
+  it('saves a plain expense straight away', () => {
+    const segment = classifyDictationSegment('coffee 4 dollars');
+    expect(segment.status).toBe('ready');
+    expect(segment.command.recurrence).toBeNull();
+  });
+
+  it('holds segments it is unsure about', () => {
+    expect(classifyDictationSegment('gym 30 every 2 weeks').status).toBe('review');
+    expect(classifyDictationSegment('coffee 4 dollars', { confidence: 0.2 }).status).toBe('review');
+  });
+
+  it('ends the session on "done"', () => {
+    expect(classifyDictationSegment('done').status).toBe('end');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Search, filter and sort for the expense list of the Voice Expense Tracker application.
+ * Filters are plain strings so they round-trip through the URL query string (a filtered view can be
+ * bookmarked); `applyExpenseFilters` turns them into the list to show. These helpers are pure.
+ */
+
+import { FALLBACK_CATEGORY } from './categories.js';
+import { toDateKey } from './currencyConversion.js';
+import { findTargetCategories } from './spendingQueries.js';
+
+/**
+ * @typedef {object} ExpenseFilters
+ * @property {string} q - Search text; every word must appear in the description.
+ * @property {string} from - First day shown ("YYYY-MM-DD"), or '' for no lower bound.
+ * @property {string} to - Last day shown ("YYYY-MM-DD", inclusive), or '' for no upper bound.
+ * @property {string} category - Category id, or '' for every category.
+ * @property {string} currency - ISO 4217 code, or '' for every currency.
+ * @property {string} min - Smallest amount shown (in the expense's own currency), or ''.
+ * @property {string} max - Largest amount shown, or ''.
+ * @property {string} sort - One of the `SORT_OPTIONS` ids.
+ */
+
+/**
+ * The sort orders of the list. The first is the default: most recent first, as the list has always been shown.
+ * @constant {Array<{id: string, label: string}>}
+ */
+export const SORT_OPTIONS = [
+  { id: 'date-desc', label: 'Newest first' },
+  { id: 'date-asc', label: 'Oldest first' },
+  { id: 'amount-desc', label: 'Largest amount' },
+  { id: 'amount-asc', label: 'Smallest amount' },
+  { id: 'description-asc', label: 'Description (A–Z)' },
+];
+
+/**
+ * The filters of an unfiltered list.
+ * @constant {ExpenseFilters}
+ */
+export const DEFAULT_FILTERS = Object.freeze({
+  q: '',
+  from: '',
+  to: '',
+  category: '',
+  currency: '',
+  min: '',
+  max: '',
+  sort: SORT_OPTIONS[0].id,
+});
+
+/**
+ * Reads filters from a URL query string, ignoring unknown parameters and malformed values.
+ *
+ * @param {string | URLSearchParams} search - The query string (e.g. `window.location.search`).
+ * @returns {ExpenseFilters} The filters.
+ */
+export const filtersFromSearchParams = (search) => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    const value = params.get(key);
+    if (value !== null) filters[key] = value.trim();
+  });
+  ['from', 'to'].forEach((key) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) filters[key] = '';
+  });
+  ['min', 'max'].forEach((key) => {
+    if (filters[key] !== '' && !Number.isFinite(parseFloat(filters[key]))) filters[key] = '';
+  });
+  if (!SORT_OPTIONS.some((option) => option.id === filters.sort)) filters.sort = DEFAULT_FILTERS.sort;
+  return filters;
+};
+
+/**
+ * Writes filters into URL query parameters, leaving out the ones at their default so an
+ * unfiltered list has a clean URL. Parameters other than the filters are kept.
+ *
+ * @param {ExpenseFilters} filters - The filters.
+ * @param {string | URLSearchParams} [search=''] - The current query string, whose other parameters are kept.
+ * @returns {URLSearchParams} The updated parameters.
+ */
+export const filtersToSearchParams = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+  Object.entries(DEFAULT_FILTERS).forEach(([key, defaultValue]) => {
+    const value = filters[key] ?? defaultValue;
+    if (value === defaultValue) params.delete(key);
+    else params.set(key, value);
+  });
+  return params;
+};
+
+/**
+ * Counts the filters that narrow the list (the search text and sort order are not counted).
+ *
+ * @param {ExpenseFilters} filters - The filters.
+ * @returns {number} How many of date range bounds, category, currency and amount bounds are set.
+ */
+export const countActiveFilters = (filters) =>
+  ['from', 'to', 'category', 'currency', 'min', 'max'].filter((key) => filters[key] !== '').length;
+
+/**
+ * Whether the filters differ from an unfiltered list in anything but the sort order.
+ *
+ * @param {ExpenseFilters} filters - The filters.
+ * @returns {boolean} True if some expenses may be hidden.
+ */
+export const isFiltered = (filters) => filters.q.trim() !== '' || countActiveFilters(filters) > 0;
+
+/**
+ * Whether a description contains a search word. Plural words also match their singular
+ * ("taxis" finds "Taxi to the airport", "buses" finds "bus ticket").
+ *
+ * @param {string} description - The lower-case description.
+ * @param {string} word - The lower-case search word.
+ * @returns {boolean} True on a match.
+ */
+const containsWord = (description, word) =>
+  description.includes(word) || (word.length > 3 && description.includes(word.replace(/e?s$/, '')));
+
+/**
+ * Returns the date an expense is filed under.
+ *
+ * @param {{occurredAt?: Date | null, timestamp?: Date | null}} expense - The expense.
+ * @returns {Date} When it happened; pending server timestamps count as now.
+ */
+const dateOf = (expense) => expense.occurredAt || expense.timestamp || new Date();
+
+/**
+ * Sort comparators by sort option id. Ties fall back to the newest first.
+ * @constant {Object<string, function(object, object): number>}
+ */
+const COMPARATORS = {
+  'date-desc': (a, b) => dateOf(b) - dateOf(a),
+  'date-asc': (a, b) => dateOf(a) - dateOf(b),
+  'amount-desc': (a, b) => b.amount - a.amount,
+  'amount-asc': (a, b) => a.amount - b.amount,
+  'description-asc': (a, b) => a.description.localeCompare(b.description, undefined, { sensitivity: 'base' }),
+};
+
+/**
+ * Filters and sorts expenses. Amount bounds compare the amount in the expense's own currency;
+ * expenses saved without a category are filed under "Other".
+ *
+ * @param {Array<import('../context/ExpenseContext.jsx').Expense>} expenses - The expenses.
+ * @param {ExpenseFilters} filters - The filters.
+ * @returns {Array<import('../context/ExpenseContext.jsx').Expense>} A new array with the matching expenses, sorted.
+ */
+export const applyExpenseFilters = (expenses, filters) => {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const min = filters.min === '' ? null : parseFloat(filters.min);
+  const max = filters.max === '' ? null : parseFloat(filters.max);
+
+  const matches = expenses.filter((expense) => {
+    const description = (expense.description || '').toLowerCase();
+    const day = toDateKey(dateOf(expense));
+    return (
+      words.every((word) => containsWord(description, word)) &&
+      (filters.from === '' || day >= filters.from) &&
+      (filters.to === '' || day <= filters.to) &&
+      (filters.category === '' || (expense.category || FALLBACK_CATEGORY) === filters.category) &&
+      (filters.currency === '' || expense.currency === filters.currency) &&
+      (min === null || expense.amount >= min) &&
+      (max === null || expense.amount <= max)
+    );
+  });
+
+  const compare = COMPARATORS[filters.sort] || COMPARATORS[DEFAULT_FILTERS.sort];
+  return matches.sort((a, b) => compare(a, b) || COMPARATORS['date-desc'](a, b));
+};
+
+/**
+ * Returns the moments the date filters span, for reading the matching expenses from the store.
+ *
+ * @param {ExpenseFilters} filters - The filters.
+ * @returns {{from: Date | null, to: Date | null}} The start of the `from` day and the start of the day after `to`
+ *   (local time), or null for a bound that is not set.
+ */
+export const getFilterDateRange = (filters) => {
+  const startOfDay = (dateKey, offsetDays = 0) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day + offsetDays);
+  };
+  return {
+    from: filters.from === '' ? null : startOfDay(filters.from),
+    to: filters.to === '' ? null : startOfDay(filters.to, 1),
+  };
+};
+
+/**
+ * Builds the filters for a spoken "show me taxi expenses last month": a target naming a category filters by
+ * it, any other target is searched for in descriptions, and a spoken period becomes the date range.
+ * With neither, every filter is cleared ("show all expenses").
+ *
+ * @param {{target?: string | null, period?: {from: Date, to: Date, label: string} | null}} command - The parsed command.
+ * @returns {ExpenseFilters} The filters, sorted newest first.
+ */
+export const filtersFromVoiceQuery = ({ target = null, period = null }) => {
+  const filters = { ...DEFAULT_FILTERS };
+  if (target) {
+    const [category] = findTargetCategories(target);
+    if (category) filters.category = category;
+    else filters.q = target.trim().toLowerCase().replace(/^(?:the|my)\s+/, '');
+  }
+  if (period) {
+    const lastDay = new Date(period.to);
+    lastDay.setDate(lastDay.getDate() - 1); // The period ends before `to`
+    filters.from = toDateKey(period.from);
+    filters.to = toDateKey(lastDay);
+  }
+  return filters;
+};
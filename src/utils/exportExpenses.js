@@ -0,0 +1,116 @@
+/**
+ * Expense ledger export for the Voice Expense Tracker application.
+ * Serialises the plain expense objects from `ExpenseContext` (the fields `getExpensesSubscription` produces)
+ * to CSV or JSON, for spreadsheets and tax returns. These helpers are pure and deterministic:
+ * the same expenses and options always give byte-for-byte the same file.
+ */
+
+import { toDateKey } from './currencyConversion.js';
+
+/**
+ * The export formats.
+ * @constant {string[]}
+ */
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * The CSV delimiters offered in the export dialog, keyed by the character itself.
+ * @constant {Object<string, string>}
+ */
+export const CSV_DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab' };
+
+/**
+ * Formats a date as ISO 8601, or null when missing or invalid (e.g. a pending server timestamp).
+ *
+ * @param {Date | null | undefined} date - The date.
+ * @returns {string | null} The ISO string.
+ */
+const toIsoString = (date) => (date instanceof Date && !isNaN(date.getTime()) ? date.toISOString() : null);
+
+/**
+ * The exported columns, in order, and how each is read from an expense.
+ * Dates are ISO 8601 in UTC; amounts are plain numbers with a "." decimal point, whatever the locale.
+ * @constant {Array<{key: string, read: function(object): (string | number | null)}>}
+ */
+const EXPORT_COLUMNS = [
+  { key: 'id', read: (expense) => expense.id },
+  { key: 'description', read: (expense) => expense.description },
+  { key: 'amount', read: (expense) => expense.amount },
+  { key: 'currency', read: (expense) => expense.currency },
+  { key: 'category', read: (expense) => expense.category ?? null },
+  { key: 'occurredAt', read: (expense) => toIsoString(expense.occurredAt) },
+  { key: 'timestamp', read: (expense) => toIsoString(expense.timestamp) },
+  { key: 'recurringTemplateId', read: (expense) => expense.recurrence?.templateId ?? null },
+];
+
+/**
+ * Picks the exported fields of an expense, in column order.
+ *
+ * @param {object} expense - The expense.
+ * @returns {Object<string, string | number | null>} The export record.
+ */
+export const toExportRecord = (expense) =>
+  Object.fromEntries(EXPORT_COLUMNS.map(({ key, read }) => [key, read(expense)]));
+
+/**
+ * Characters that make a spreadsheet read a cell as a formula. A description such as "=HYPERLINK(...)" would
+ * otherwise run when the file is opened, so such cells are prefixed with "'" and read as text.
+ * @constant {RegExp}
+ */
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Quotes a CSV field when it contains the delimiter, a double quote or a line break (RFC 4180),
+ * after neutralising a leading formula character (see `FORMULA_PREFIX`).
+ *
+ * @param {string | number | null} value - The field value; null becomes an empty field.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string} The encoded field.
+ */
+const encodeCsvField = (value, delimiter) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises expenses to CSV: a header row, then one row per expense, with CRLF line endings.
+ *
+ * @param {Array<object>} expenses - The expenses, in the order they should appear.
+ * @param {object} [options] - CSV options.
+ * @param {string} [options.delimiter=','] - The field delimiter (one of `CSV_DELIMITERS`).
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (expenses, { delimiter = ',' } = {}) => {
+  const rows = [
+    EXPORT_COLUMNS.map(({ key }) => key),
+    ...expenses.map((expense) => Object.values(toExportRecord(expense))),
+  ];
+  return `${rows.map((row) => row.map((value) => encodeCsvField(value, delimiter)).join(delimiter)).join('\r\n')}\r\n`;
+};
+
+/**
+ * Serialises expenses to a JSON array of export records (2-space indented).
+ *
+ * @param {Array<object>} expenses - The expenses, in the order they should appear.
+ * @returns {string} The JSON text.
+ */
+export const toJson = (expenses) => `${JSON.stringify(expenses.map(toExportRecord), null, 2)}\n`;
+
+/**
+ * Builds the export file for a list of expenses.
+ *
+ * @param {Array<object>} expenses - The expenses to export (normally the list as currently shown).
+ * @param {object} [options] - Export options.
+ * @param {'csv' | 'json'} [options.format='csv'] - The file format.
+ * @param {string} [options.delimiter=','] - The CSV delimiter.
+ * @param {Date} [options.now=new Date()] - Used for the file name.
+ * @returns {{filename: string, mimeType: string, content: string}} The file to download.
+ */
+export const buildExportFile = (expenses, { format = 'csv', delimiter = ',', now = new Date() } = {}) => {
+  const filename = `expenses-${toDateKey(now)}.${format}`;
+  if (format === 'json') {
+    return { filename, mimeType: 'application/json', content: toJson(expenses) };
+  }
+  return { filename, mimeType: 'text/csv;charset=utf-8', content: toCsv(expenses, { delimiter }) };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv, toJson, buildExportFile } from './exportExpenses.js';
+// Golden files, read as text through Vite's ?raw imports
+import goldenCsv from './__fixtures__/expenses.csv?raw';
+import goldenSemicolonCsv from './__fixtures__/expenses-semicolon.csv?raw';
+import goldenJson from './__fixtures__/expenses.json?raw';
+
+const EXPENSES = [
+  {
+    id: 'a1',
+    description: 'Lunch, with "Sam"',
+    amount: 12.5,
+    currency: 'EUR',
+    category: 'food',
+    occurredAt: new Date('2024-05-14T12:30:00Z'),
+    timestamp: new Date('2024-05-14T12:31:05Z'),
+    recurrence: null,
+  },
+  {
+    id: 'a2',
+    description: 'Rent',
+    amount: 1200,
+    currency: 'USD',
+    category: 'housing',
+    occurredAt: new Date('2024-05-01T00:00:00Z'),
+    timestamp: new Date('2024-05-01T08:00:00Z'),
+    recurrence: { templateId: 'tpl1', occurrence: '2024-05-01' },
+  },
+  {
+    id: 'a3',
+    description: '=HYPERLINK("http://example.com","click")',
+    amount: 3,
+    currency: 'USD',
+    category: null,
+    occurredAt: new Date('2024-04-30T09:00:00Z'),
+    timestamp: null, // Server timestamp still pending
+    recurrence: null,
+  },
+  {
+    id: 'a4',
+    description: 'Café\nat the station',
+    amount: 4.2,
+    currency: 'GBP',
+    category: 'food',
+    occurredAt: new Date('2024-04-29T07:45:00Z'),
+    timestamp: new Date('2024-04-29T07:45:10Z'),
+    recurrence: null,
+  },
+  {
+    id: 'a5',
+    description: '+1 refund fee',
+    amount: 1,
+    currency: 'USD',
+    category: null,
+    occurredAt: new Date('2024-04-28T10:00:00Z'),
+    timestamp: new Date('2024-04-28T10:00:00Z'),
+    recurrence: null,
+  },
+];
+
+describe('toCsv', () => {
+  it('matches the comma-delimited golden file', () => {
+    expect(toCsv(EXPENSES)).toBe(goldenCsv);
+  });
+
+  it('matches the semicolon-delimited golden file', () => {
+    expect(toCsv(EXPENSES, { delimiter: ';' })).toBe(goldenSemicolonCsv);
+  });
+
+  it('prefixes cells that start with a formula character', () => {
+    const descriptions = ['=1+1', '+1', '-1', '@SUM(A1)', 'fine = ok'].map((description) => ({
+      ...EXPENSES[1],
+      description,
+    }));
+    const cells = toCsv(descriptions).split('\r\n').slice(1, -1).map((row) => row.split(',')[1]);
+    expect(cells).toEqual(["'=1+1", "'+1", "'-1", "'@SUM(A1)", 'fine = ok']);
+  });
+});
+
+describe('toJson', () => {
+  it('matches the golden file', () => {
+    expect(toJson(EXPENSES)).toBe(goldenJson);
+  });
+});
+
+describe('buildExportFile', () => {
+  it('names the file after the export date and format', () => {
+    const now = new Date(2024, 4, 15);
+    expect(buildExportFile(EXPENSES, { format: 'json', now })).toMatchObject({
+      filename: 'expenses-2024-05-15.json',
+      mimeType: 'application/json',
+    });
+    expect(buildExportFile(EXPENSES, { now }).filename).toBe('expenses-2024-05-15.csv');
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * Expense import for the Voice Expense Tracker application.
+ * Parses bank exports and spreadsheets (CSV, or OFX/QFX statements) into a table of columns and rows,
+ * maps the columns the user picked to expense fields, and flags rows that look like expenses already
+ * recorded. These helpers are pure; `ImportDialog` previews their output and `expenseService.addExpenses`
+ * validates and writes the rows the user keeps.
+ */
+
+import { isValidCurrencyCode } from './currency.js';
+
+/**
+ * The expense fields a column can be mapped to. Description, amount and date are required;
+ * without a currency column every row uses the currency chosen in the dialog.
+ * @constant {string[]}
+ */
+export const IMPORT_FIELDS = ['description', 'amount', 'date', 'currency'];
+
+/**
+ * The orders a numeric date like "03/04/2024" can be read in.
+ * @constant {string[]}
+ */
+export const DATE_ORDERS = ['mdy', 'dmy'];
+
+/**
+ * Header names recognised for each field when guessing the column mapping (lower case, matched as substrings).
+ * The first field whose pattern matches a header wins, so "Transaction date" maps to the date, not the description.
+ * @constant {Array<{field: string, pattern: RegExp}>}
+ */
+const HEADER_PATTERNS = [
+  { field: 'date', pattern: /date|occurred|posted|booking|time|datum/ },
+  { field: 'currency', pattern: /currency|ccy|^cur$|währung|devise|moneda/ },
+  { field: 'amount', pattern: /amount|debit|value|sum|total|betrag|montant|importe/ },
+  { field: 'description', pattern: /description|desc|name|payee|merchant|memo|details|narrative|text|reference|libellé|concepto/ },
+];
+
+/**
+ * @typedef {object} ImportTable
+ * @property {'csv' | 'ofx'} format - The detected file format.
+ * @property {string[]} columns - The column headers.
+ * @property {string[][]} rows - The data rows, one cell per column.
+ */
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} index - The row's position in the file (0-based, header excluded).
+ * @property {{description: string, amount: number, currency: string, date: Date} | null} expense - The expense
+ *   fields read from the row, or null when the row cannot be imported.
+ * @property {string | null} error - Why the row cannot be imported, if it cannot.
+ */
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: double-quoted cells may hold the delimiter, quotes and
+ * line breaks). The delimiter (comma, semicolon or tab) is the one appearing most often in the first line.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The non-empty rows, cells trimmed.
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, ''); // Byte order mark written by spreadsheet apps
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best,
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+};
+
+/**
+ * Reads one field of an OFX element body, in either SGML (`<NAME>Coffee`) or XML (`<NAME>Coffee</NAME>`) form.
+ *
+ * @param {string} body - The element body.
+ * @param {string} tag - The field tag.
+ * @returns {string} The field value, or an empty string when missing.
+ */
+const readOfxField = (body, tag) => {
+  const match = body.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Extracts the debit transactions of an OFX/QFX bank or card statement. Credits (incoming money) are left out,
+ * and debit amounts are made positive.
+ *
+ * @param {string} text - The OFX file contents.
+ * @returns {string[][]} One row per debit: date ("YYYY-MM-DD"), description, amount and currency.
+ */
+const parseOfxTransactions = (text) => {
+  const defaultCurrency = readOfxField(text, 'CURDEF').toUpperCase();
+  const transactions = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  return transactions
+    .map((body) => {
+      const posted = readOfxField(body, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+      const amount = parseFloat(readOfxField(body, 'TRNAMT').replace(',', '.'));
+      const currency = readOfxField(body, 'CURSYM').toUpperCase() || defaultCurrency;
+      return [
+        posted ? `${posted[1]}-${posted[2]}-${posted[3]}` : '',
+        readOfxField(body, 'NAME') || readOfxField(body, 'MEMO'),
+        amount < 0 ? String(-amount) : '',
+        currency,
+      ];
+    })
+    .filter(([, , amount]) => amount !== '');
+};
+
+/**
+ * Parses an imported file into a table. OFX/QFX statements are recognised by their `<OFX>` element
+ * (or file extension) and come out with fixed Date, Description, Amount and Currency columns;
+ * anything else is read as CSV with a header row.
+ *
+ * @param {string} text - The file contents.
+ * @param {string} [filename=''] - The file name, used to recognise OFX files.
+ * @returns {ImportTable | null} The table, or null when the file holds no rows.
+ */
+export const parseImportFile = (text, filename = '') => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return null;
+  }
+  if (/<OFX>/i.test(text) || /\.(ofx|qfx)$/i.test(filename)) {
+    const rows = parseOfxTransactions(text);
+    return rows.length > 0 ? { format: 'ofx', columns: ['Date', 'Description', 'Amount', 'Currency'], rows } : null;
+  }
+  const [header, ...rows] = parseCsv(text);
+  if (!header || rows.length === 0) {
+    return null;
+  }
+  return { format: 'csv', columns: header, rows };
+};
+
+/**
+ * Guesses which column holds each expense field from the column headers (e.g. "Payee" is the description).
+ * Files written by `exportExpenses` map completely.
+ *
+ * @param {string[]} columns - The column headers.
+ * @returns {Object<string, number | null>} The column index for each of `IMPORT_FIELDS`, or null when none matched.
+ */
+export const guessColumnMapping = (columns) => {
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map((field) => [field, null]));
+  columns.forEach((column, index) => {
+    const header = column.toLowerCase();
+    const match = HEADER_PATTERNS.find(({ field, pattern }) => mapping[field] === null && pattern.test(header));
+    if (match) {
+      mapping[match.field] = index;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Parses an amount cell such as "12.50", "-1,234.56", "1.234,56 €", "$8" or "(12.50)" (accounting negative).
+ * With both separators present the last one is the decimal point; a lone comma followed by one or two
+ * digits is a decimal comma.
+ *
+ * @param {string} text - The cell value.
+ * @returns {number | null} The signed amount, or null when the cell holds no number.
+ */
+export const parseImportAmount = (text) => {
+  if (typeof text !== 'string') return null;
+  const negative = /^\s*\(.*\)\s*$/.test(text) || /-/.test(text);
+  let digits = text.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  if (lastComma > lastDot && (lastDot !== -1 || /,\d{1,2}$/.test(digits))) {
+    digits = digits.replace(/\./g, '').replace(',', '.'); // "1.234,56" or "12,5"
+  } else {
+    digits = digits.replace(/,/g, ''); // "1,234.56" or "1,234"
+  }
+  const amount = parseFloat(digits);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Works out whether numeric dates in a column are month-first or day-first, from any value whose
+ * first or second part is above 12. Falls back to month-first (as dates are shown in the app).
+ *
+ * @param {string[]} values - The date cells.
+ * @returns {'mdy' | 'dmy'} The date order.
+ */
+export const detectDateOrder = (values) => {
+  for (const value of values) {
+    const match = typeof value === 'string' ? value.trim().match(/^(\d{1,2})[./-](\d{1,2})[./-]\d{2,4}/) : null;
+    if (match && parseInt(match[1], 10) > 12) return 'dmy';
+    if (match && parseInt(match[2], 10) > 12) return 'mdy';
+  }
+  return 'mdy';
+};
+
+/**
+ * Builds a local date, rejecting impossible ones such as February 30th.
+ *
+ * @param {number} year - The year (two-digit years are taken as 20xx).
+ * @param {number} month - The month (1-12).
+ * @param {number} day - The day of the month.
+ * @returns {Date | null} Local midnight of that day, or null if it does not exist.
+ */
+const toLocalDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day);
+  return date.getFullYear() === fullYear && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Parses a date cell: ISO 8601 ("2024-03-05", or with a time as written by `exportExpenses`), compact
+ * "20240305" (OFX), numeric "05/03/2024" read in `dateOrder`, or a spelled-out date ("5 Mar 2024").
+ *
+ * @param {string} text - The cell value.
+ * @param {'mdy' | 'dmy'} [dateOrder='mdy'] - How to read numeric dates.
+ * @returns {Date | null} The date, or null when the cell holds no valid date.
+ */
+export const parseImportDate = (text, dateOrder = 'mdy') => {
+  const value = typeof text === 'string' ? text.trim() : '';
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) {
+    return toLocalDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  match = value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+  if (match) {
+    const [first, second, year] = match.slice(1).map((part) => parseInt(part, 10));
+    return dateOrder === 'dmy' ? toLocalDate(year, second, first) : toLocalDate(year, first, second);
+  }
+  if (/[a-z]/i.test(value) && /\d{4}/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+};
+
+/**
+ * Reads the mapped columns of every row into expense fields. When the amount column holds both signs
+ * (a bank statement), negative amounts are the expenses and positive rows are left out as credits;
+ * otherwise every amount is taken as spent.
+ *
+ * @param {ImportTable} table - The parsed file.
+ * @param {Object<string, number | null>} mapping - The column index of each field (see `guessColumnMapping`).
+ * @param {object} options - Import options.
+ * @param {string} options.defaultCurrency - ISO 4217 code for rows without a currency column or value.
+ * @param {'mdy' | 'dmy'} [options.dateOrder='mdy'] - How to read numeric dates.
+ * @returns {ImportRow[]} One entry per row, in file order.
+ */
+export const mapImportRows = (table, mapping, { defaultCurrency, dateOrder = 'mdy' }) => {
+  const cellOf = (row, field) => (mapping[field] === null || mapping[field] === undefined ? '' : row[mapping[field]] ?? '');
+  const amounts = table.rows.map((row) => parseImportAmount(cellOf(row, 'amount')));
+  const isStatement = amounts.some((amount) => amount < 0) && amounts.some((amount) => amount > 0);
+
+  return table.rows.map((row, index) => {
+    const fail = (error) => ({ index, expense: null, error });
+    // Export prefixes formula-like descriptions with "'" (see exportExpenses.js); that quote is not part of them
+    const description = cellOf(row, 'description').replace(/\s+/g, ' ').trim().replace(/^'(?=[=+\-@])/, '');
+    const amount = amounts[index];
+    const date = parseImportDate(cellOf(row, 'date'), dateOrder);
+    const currency = cellOf(row, 'currency').toUpperCase() || defaultCurrency;
+
+    if (description === '') return fail('No description');
+    if (amount === null || amount === 0) return fail('No amount');
+    if (isStatement && amount > 0) return fail('Credit, not an expense');
+    if (!date) return fail('No valid date');
+    if (!isValidCurrencyCode(currency)) return fail(`Unknown currency "${currency}"`);
+    return { index, expense: { description, amount: Math.abs(amount), currency, date }, error: null };
+  });
+};
+
+/**
+ * Splits a description into lower-case words, for comparing descriptions from different sources.
+ *
+ * @param {string} description - The description.
+ * @returns {string[]} The words.
+ */
+const toWords = (description) => description.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Whether two descriptions probably name the same purchase: one contains the other ("Coffee" and
+ * "STARBUCKS COFFEE #123"), or at least half of the shorter one's words appear in the other.
+ *
+ * @param {string} a - First description.
+ * @param {string} b - Second description.
+ * @returns {boolean} True if the descriptions are similar.
+ */
+export const isSimilarDescription = (a, b) => {
+  const wordsA = toWords(a);
+  const wordsB = toWords(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return false;
+  const textA = wordsA.join(' ');
+  const textB = wordsB.join(' ');
+  if (textA.includes(textB) || textB.includes(textA)) return true;
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, new Set(wordsB)] : [wordsB, new Set(wordsA)];
+  return shorter.filter((word) => longer.has(word)).length / shorter.length >= 0.5;
+};
+
+/**
+ * Number of calendar days between two dates, ignoring the time of day.
+ *
+ * @param {Date} a - First date.
+ * @param {Date} b - Second date.
+ * @returns {number} The absolute difference in days.
+ */
+const daysBetween = (a, b) => {
+  const dayOf = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.abs(Math.round((dayOf(a) - dayOf(b)) / 86400000));
+};
+
+/**
+ * Returns the dates recorded expenses must fall in to be possible duplicates of the imported ones (see
+ * `findDuplicateExpense`): from the day before the earliest imported date up to the end of the day after the latest.
+ *
+ * @param {Array<{date: Date}>} expenses - The imported expenses.
+ * @returns {{from: Date, to: Date} | null} The range (`to` excluded), or null when there are no expenses.
+ */
+export const getDuplicateSearchRange = (expenses) => {
+  if (expenses.length === 0) return null;
+  const times = expenses.map((expense) => expense.date.getTime());
+  const earliest = new Date(Math.min(...times));
+  const latest = new Date(Math.max(...times));
+  return {
+    from: new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate() - 1),
+    to: new Date(latest.getFullYear(), latest.getMonth(), latest.getDate() + 2),
+  };
+};
+
+/**
+ * Finds an existing expense an imported one probably duplicates: the same amount and currency,
+ * a date within one day either side, and a similar description.
+ *
+ * @param {{description: string, amount: number, currency: string, date: Date}} expense - The imported expense.
+ * @param {Array<import('../context/ExpenseContext.jsx').Expense>} existing - The recorded expenses.
+ * @returns {import('../context/ExpenseContext.jsx').Expense | null} The likely original, or null.
+ */
+export const findDuplicateExpense = (expense, existing) =>
+  existing.find((candidate) => {
+    const date = candidate.occurredAt || candidate.timestamp;
+    return (
+      Math.abs(candidate.amount - expense.amount) < 0.005 &&
+      candidate.currency === expense.currency &&
+      date &&
+      daysBetween(date, expense.date) <= 1 &&
+      isSimilarDescription(candidate.description, expense.description)
+    );
+  }) || null;
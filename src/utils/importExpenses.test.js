@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCsv,
+  parseImportAmount,
+  parseImportDate,
+  isSimilarDescription,
+  mapImportRows,
+  getDuplicateSearchRange,
+} from './importExpenses.js';
+
+describe('parseCsv', () => {
+  it('splits rows and cells, trimming them', () => {
+    expect(parseCsv('Date,Description,Amount\r\n2024-05-01, Coffee ,4.50\n')).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['2024-05-01', 'Coffee', '4.50'],
+    ]);
+  });
+
+  it('reads quoted cells holding delimiters, quotes and line breaks', () => {
+    expect(parseCsv('a,b\n"Lunch, with ""Sam""","two\nlines"')).toEqual([
+      ['a', 'b'],
+      ['Lunch, with "Sam"', 'two\nlines'],
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters from the header', () => {
+    expect(parseCsv('Datum;Betrag\n01.05.2024;12,50')).toEqual([['Datum', 'Betrag'], ['01.05.2024', '12,50']]);
+    expect(parseCsv('date\tamount\n2024-05-01\t3')).toEqual([['date', 'amount'], ['2024-05-01', '3']]);
+  });
+
+  it('drops a byte order mark and empty rows', () => {
+    expect(parseCsv('\uFEFFa,b\n\n1,2\n,\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseImportAmount', () => {
+  it.each([
+    ['12.50', 12.5],
+    ['-1,234.56', -1234.56],
+    ['1.234,56 €', 1234.56],
+    ['12,5', 12.5],
+    ['1,234', 1234],
+    ['$8', 8],
+    ['(12.50)', -12.5],
+  ])('reads "%s" as %s', (text, amount) => {
+    expect(parseImportAmount(text)).toBe(amount);
+  });
+
+  it('returns null when there is no number', () => {
+    expect(parseImportAmount('')).toBeNull();
+    expect(parseImportAmount('n/a')).toBeNull();
+    expect(parseImportAmount(undefined)).toBeNull();
+  });
+});
+
+describe('parseImportDate', () => {
+  it('reads ISO and compact dates as local days', () => {
+    expect(parseImportDate('2024-03-05')).toEqual(new Date(2024, 2, 5));
+    expect(parseImportDate('20240305')).toEqual(new Date(2024, 2, 5));
+  });
+
+  it('reads ISO timestamps as written by Export', () => {
+    expect(parseImportDate('2024-03-05T10:15:00.000Z')).toEqual(new Date(Date.UTC(2024, 2, 5, 10, 15)));
+  });
+
+  it('reads numeric dates in the given order', () => {
+    expect(parseImportDate('05/03/2024', 'mdy')).toEqual(new Date(2024, 4, 3));
+    expect(parseImportDate('05/03/2024', 'dmy')).toEqual(new Date(2024, 2, 5));
+    expect(parseImportDate('5.3.24', 'dmy')).toEqual(new Date(2024, 2, 5));
+  });
+
+  it('reads spelled-out dates', () => {
+    expect(parseImportDate('5 Mar 2024')).toEqual(new Date(2024, 2, 5));
+  });
+
+  it('rejects impossible and missing dates', () => {
+    expect(parseImportDate('2024-02-30')).toBeNull();
+    expect(parseImportDate('31/04/2024', 'dmy')).toBeNull();
+    expect(parseImportDate('')).toBeNull();
+    expect(parseImportDate('soon')).toBeNull();
+  });
+});
+
+describe('isSimilarDescription', () => {
+  it('matches when one description contains the other', () => {
+    expect(isSimilarDescription('Coffee', 'STARBUCKS COFFEE #123')).toBe(true);
+  });
+
+  it('matches when half of the shorter one\'s words appear in the other', () => {
+    expect(isSimilarDescription('taxi airport', 'Airport shuttle')).toBe(true);
+    expect(isSimilarDescription('Café Müller', 'müller bakery')).toBe(true);
+  });
+
+  it('does not match unrelated or empty descriptions', () => {
+    expect(isSimilarDescription('Coffee', 'Rent')).toBe(false);
+    expect(isSimilarDescription('', 'Rent')).toBe(false);
+  });
+});
+
+describe('mapImportRows', () => {
+  it('removes the quote Export puts before formula-like descriptions', () => {
+    const table = { columns: ['description', 'amount', 'occurredAt'], rows: [["'=SUM(1)", '3', '2024-05-01']] };
+    const [row] = mapImportRows(table, { description: 0, amount: 1, date: 2, currency: null }, { defaultCurrency: 'USD' });
+    expect(row.expense.description).toBe('=SUM(1)');
+  });
+});
+
+describe('getDuplicateSearchRange', () => {
+  it('spans a day either side of the imported dates', () => {
+    const range = getDuplicateSearchRange([
+      { date: new Date(2024, 4, 10, 15) },
+      { date: new Date(2024, 4, 3) },
+    ]);
+    expect(range).toEqual({ from: new Date(2024, 4, 2), to: new Date(2024, 4, 12) });
+  });
+
+  it('returns null without expenses', () => {
+    expect(getDuplicateSearchRange([])).toBeNull();
+  });
+});
@@ -2,18 +2,91 @@
  * Utility functions for the Voice Expense Tracker application.
  */
 
+import { extractExplicitCategory } from './categories.js';
+import {
+  INTENTS,
+  getLocalePack,
+  matchExpensePattern,
+  matchIntentPattern,
+  normalizeLocaleNumbers,
+} from './commandGrammar.js';
+import { detectCurrency } from './currency.js';
+import { extractDate, extractRecurrence, parsePeriodPhrase } from './dateExtraction.js';
+import { completeSchedule } from './recurrence.js';
+import { normalizeSpokenNumbers } from './spokenNumbers.js';
+
+/**
+ * A sign in front of an amount ("-5", "$-5", "minus 5"). Amount regexes capture digits only, so without this
+ * check "spent -5 on coffee" would be read as 5; a negative amount is rejected instead.
+ * @constant {RegExp}
+ */
+const NEGATIVE_AMOUNT = /(?:^|[\s(:])(?:[-\u2212]|minus\s+|negative\s+)[$£€]?\s*\d|[$£€]\s*[-\u2212]\s*\d/i;
+
+/**
+ * Converts a captured numeric string ("10.50", "1,200") into a positive, finite amount.
+ *
+ * @param {string} numericString - The digits captured by an amount regex.
+ * @returns {number | null} The amount, or null if it is not a positive finite number.
+ */
+const toPositiveAmount = (numericString) => {
+  // Normalize number string: remove thousands separators (commas), ensure decimal point is '.'
+  const cleanedNumericString = numericString.replace(/,/g, ''); // Remove potential thousands separators
+  // Note: parseFloat correctly handles '.' as decimal separator. We removed ',' above.
+  const amount = parseFloat(cleanedNumericString);
+  return isNaN(amount) || amount <= 0 || !Number.isFinite(amount) ? null : amount;
+};
+
+/**
+ * Parses a bare amount phrase such as "4.50", "twelve fifty" or "18 euros" (the slot of an update command).
+ *
+ * @param {string} text - The amount phrase.
+ * @returns {{amount: number, currency: string | null} | null} The amount and any spoken currency, or null if no valid amount was found.
+ */
+export const parseAmountPhrase = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return null;
+  }
+  const normalized = normalizeSpokenNumbers(text).toLowerCase();
+  if (NEGATIVE_AMOUNT.test(normalized)) {
+    console.warn(`parseAmountPhrase: Negative amount rejected in "${text}"`);
+    return null;
+  }
+  const match = normalized.match(/[$£€]?\s*(\d+(?:[.,]\d{1,2})?)(?:\s*[a-z]+)?/);
+  const amount = match ? toPositiveAmount(match[1]) : null;
+  if (amount === null) {
+    console.warn(`parseAmountPhrase: No positive amount found in "${text}"`);
+    return null;
+  }
+  return { amount, currency: detectCurrency(match[0]) };
+};
+
 /**
  * Parses a raw text transcript to extract expense amount and description.
  * Handles simple English phrases like "Spent $10.50 on coffee", "Add 25 pounds for lunch", "Log 15 euro taxi", "Lunch 10 dollars", "$5 Coffee".
- * Assumes the amount is numeric and the description follows keywords like 'on', 'for', or is the remainder of the string after the amount phrase is removed.
- * Prioritizes finding number patterns associated with currency symbols or words, falling back to any number.
+ * Spoken amounts ("twelve dollars fifty", "a hundred and five dollars", "a grand") are first rewritten as digits
+ * by `normalizeSpokenNumbers` (`./spokenNumbers.js`), so they pass through the same amount validation as typed numbers.
+ * A date phrase ("yesterday", "last Tuesday", "on the 5th") is picked out by `extractDate` (`./dateExtraction.js`)
+ * and removed from the description, as is an explicitly spoken category ("... under travel"). A recurrence phrase
+ * ("every month", "monthly on the 1st") is removed first and returned as a schedule for a recurring expense.
+ * The phrasings are defined by the `expenseCommands.add` patterns in `commands.json`, which are tried in order
+ * by the command grammar engine (`./commandGrammar.js`); the first pattern that yields an amount and a description wins.
+ * For another recognition language the locale pack from `commands.json` is used instead ("12,50 Euro für
+ * Mittagessen"): amounts are read with the language's decimal and thousands separators, and its currency,
+ * delimiter and noise words apply. Spoken numbers are only understood in English.
  *
  * @param {string} transcript - The raw text transcript from speech recognition.
- * @returns {{amount: number, description: string} | null} An object containing the extracted 'amount' (as a positive, finite number)
- *          and 'description' (as a non-empty, trimmed string), or null if parsing fails (e.g., invalid format,
- *          missing amount or description, non-positive amount, non-string input).
+ * @param {object} [options] - Parsing options.
+ * @param {string} [options.locale] - The recognition language (BCP 47 tag); English ('en-US') by default.
+ * @returns {{amount: number, currency: string | null, description: string, category: string | null, date: Date | null,
+ *   recurrence: import('./recurrence.js').RecurrenceSchedule | null, patternId: string} | null} An object containing the extracted 'amount' (as a positive, finite number),
+ *          the ISO 4217 'currency' named with the amount (or null if none was spoken, so the caller can apply the user's default),
+ *          'description' (as a non-empty, trimmed string), the explicitly spoken 'category' id (or null; keyword-based
+ *          categorisation is applied when the expense is added), the spoken 'date' (or null if none was said, meaning "now")
+ *          the spoken 'recurrence' schedule (or null for a one-off expense; open day fields are taken from the date)
+ *          and the 'patternId' of the `commands.json` pattern that matched,
+ *          or null if parsing fails (e.g., invalid format, missing amount or description, non-positive amount, non-string input).
  */
-export const parseExpenseString = (transcript) => {
+export const parseExpenseString = (transcript, { locale } = {}) => {
   // 1. Input Validation
   if (typeof transcript !== 'string' || transcript.trim() === '') {
     console.warn('parseExpenseString: Invalid input - transcript must be a non-empty string.');
@@ -21,109 +94,104 @@ export const parseExpenseString = (transcript) => {
   }
 
   const originalTranscript = transcript; // Keep original for reference if needed
-  let currentTranscript = transcript.toLowerCase(); // Work with lowercase for easier matching
-
-  // 2. Amount Extraction
-  const amountPatterns = [
-    // Pattern 1: Currency symbol ($£€) followed by number. Captures number.
-    // Example: "$10.50", "€15"
-    { regex: /(?:[\$£€])\s*(\d+(?:[.,]\d{1,2})?)/, numIndex: 1 },
-    // Pattern 2: Number followed by currency word (dollars, pounds, euros, usd). Captures number.
-    // Example: "10.50 dollars", "25 pounds"
-    { regex: /(\d+(?:[.,]\d{1,2})?)\s*(?:dollars?|pounds?|euros?|usd|dollar|pound|euro)/, numIndex: 1 },
-    // Pattern 3: Standalone number (fallback). Captures number.
-    // Example: "10.50"
-    { regex: /(\d+(?:[.,]\d{1,2})?)/, numIndex: 1 }
-  ];
-
-  let amountMatch = null;
-  let numericString = null;
-  let fullAmountPhrase = null; // The entire matched phrase including currency etc.
-
-  for (const pattern of amountPatterns) {
-    const match = currentTranscript.match(pattern.regex);
-    if (match) {
-      amountMatch = match;
-      numericString = match[pattern.numIndex];
-      fullAmountPhrase = match[0]; // Capture the full matched phrase
-      // console.debug(`parseExpenseString: Matched amount pattern: "${fullAmountPhrase}" with numeric: "${numericString}"`);
-      break; // Use the first, most specific pattern that matches
-    }
-  }
+  const pack = getLocalePack(locale);
 
-  if (!numericString) {
-    console.warn(`parseExpenseString: No numeric amount found in transcript: "${originalTranscript}"`);
-    return null; // No number found
-  }
+  // 2. Recurrence ("every month on the 1st"), removed before dates so "on the 1st" is not taken as a one-off date
+  const { schedule, text: transcriptWithoutRecurrence } = extractRecurrence(transcript);
 
-  // Normalize number string: remove thousands separators (commas), ensure decimal point is '.'
-  const cleanedNumericString = numericString.replace(/,/g, ''); // Remove potential thousands separators
-  // Note: parseFloat correctly handles '.' as decimal separator. We removed ',' above.
-  const amount = parseFloat(cleanedNumericString);
+  // 3. Date extraction ("yesterday", "on March 3rd"), removed early so day numbers are never read as amounts
+  const { date, text: transcriptWithoutDate } = extractDate(transcriptWithoutRecurrence);
 
-  // Validate the parsed amount
-  if (isNaN(amount) || amount <= 0 || !Number.isFinite(amount)) {
-    console.warn(`parseExpenseString: Failed to parse amount from "${numericString}" to a positive finite number.`);
-    return null; // Invalid number or not positive
-  }
+  // 4. Explicit category ("... under travel"), removed so it does not end up in the description
+  const { category, text: transcriptWithoutCategory } = extractExplicitCategory(transcriptWithoutDate);
+
+  // 5. Number normalisation: spoken English numbers ("twelve dollars fifty" -> "12.5 dollars") and the locale's
+  // separators ("1.200,50" -> "1200.50") so the grammar sees plain digits
+  const spokenNormalized = pack.englishGrammar
+    ? normalizeSpokenNumbers(transcriptWithoutCategory)
+    : transcriptWithoutCategory;
+  const normalizedTranscript = normalizeLocaleNumbers(spokenNormalized, pack);
 
-  // 3. Description Extraction
-  // Remove the fully matched amount phrase from the working transcript to isolate description candidates
-  // Need to handle potential regex special characters in the matched phrase if using replace directly.
-  // Safer approach: Find index of match and slice string.
-  const matchIndex = currentTranscript.indexOf(fullAmountPhrase);
-  let remainingTranscript = '';
-  if (matchIndex !== -1) {
-      remainingTranscript = (currentTranscript.substring(0, matchIndex) + currentTranscript.substring(matchIndex + fullAmountPhrase.length)).trim();
-  } else {
-       // Fallback if indexOf fails (unlikely but possible with complex unicode)
-       console.warn(`parseExpenseString: Could not reliably remove amount phrase "${fullAmountPhrase}". Using regex replace as fallback.`);
-       // Simple replace might suffice for common cases
-       remainingTranscript = currentTranscript.replace(fullAmountPhrase, '').trim();
+  // 6. Pattern Matching (amount phrase + description) via the commands.json grammar
+  const match = matchExpensePattern(normalizedTranscript, pack.patterns);
+  if (!match) {
+    console.warn(`parseExpenseString: No command pattern matched transcript: "${originalTranscript}"`);
+    return null;
   }
 
+  // 7. Amount Conversion & Validation (the sign is not part of the captured digits, so check for one first)
+  if (NEGATIVE_AMOUNT.test(normalizedTranscript)) {
+    console.warn(`parseExpenseString: Negative amount rejected in transcript: "${originalTranscript}"`);
+    return null;
+  }
+  const amount = toPositiveAmount(match.numericString);
+  if (amount === null) {
+    console.warn(`parseExpenseString: Failed to parse amount from "${match.numericString}" to a positive finite number.`);
+    return null; // Invalid number or not positive
+  }
 
-  let description = '';
+  // 8. Currency ("$", "£", "€", "dollars", "pounds", "euros" and the locale's words -> ISO 4217); null when none was spoken
+  const currency = detectCurrency(match.amountPhrase, pack.currencyWords);
 
-  // Check for keywords " on " or " for " (ensure spaces to avoid matching words like 'information')
-  // These keywords typically follow the main subject if amount was later, or precede the object if amount was first.
-  const keywordOnMatch = remainingTranscript.match(/(.+)\s+on\s+(.+)/);
-  const keywordForMatch = remainingTranscript.match(/(.+)\s+for\s+(.+)/);
+  // Success
+  const recurrence = schedule ? completeSchedule(schedule, date || new Date()) : null;
+  const result = { amount, currency, description: match.description, category, date, recurrence, patternId: match.patternId };
+  console.log(`parseExpenseString: Successfully parsed:`, result, `from: "${originalTranscript}"`);
+  return result;
+};
 
-  if (keywordOnMatch) {
-    // Example: "spent coffee on $5" -> remaining "spent coffee on " -> No match here.
-    // Example: "spent $5 on coffee" -> remaining "spent on coffee" -> Match here.
-    description = keywordOnMatch[2].trim(); // Text after "on"
-  } else if (keywordForMatch) {
-     // Example: "spent $5 for coffee" -> remaining "spent for coffee" -> Match here.
-    description = keywordForMatch[2].trim(); // Text after "for"
-  } else {
-    // If no keywords found separating parts, assume the remaining text is the description
-    description = remainingTranscript;
+/**
+ * Parses a transcript into a voice command. Non-add intents from `commands.json` (undo, delete the last
+ * expense, change an amount, yes/no confirmations, budget and spending questions) are full phrases and are checked first; anything else is parsed as an
+ * add-expense phrase by `parseExpenseString`. A spoken period in a spending question ("this week", "in March") is
+ * resolved into a date range by `parsePeriodPhrase` (`./dateExtraction.js`). The non-add intents are English
+ * phrases whatever the recognition language; add phrases follow the language's locale pack.
+ *
+ * @param {string} transcript - The raw text transcript from speech recognition.
+ * @param {object} [options] - Parsing options.
+ * @param {string} [options.locale] - The recognition language (BCP 47 tag), passed on to `parseExpenseString`.
+ * @returns {({intent: 'add'} & ReturnType<typeof parseExpenseString>)
+ *   | {intent: 'undo' | 'delete_last' | 'confirm' | 'cancel' | 'end_dictation', patternId: string}
+ *   | {intent: 'update_amount', patternId: string, amount: number, currency: string | null, target: string | null}
+ *   | {intent: 'budget_left', patternId: string, target: string}
+ *   | {intent: 'query_spending' | 'query_total', patternId: string, target: string | null,
+ *       period: {from: Date, to: Date, label: string} | null}
+ *   | {intent: 'query_last', patternId: string}
+ *   | {intent: 'show_expenses', patternId: string, target: string | null, period: {from: Date, to: Date, label: string} | null}
+ *   | null} The parsed command, or null if the transcript matches no intent.
+ */
+export const parseCommand = (transcript, { locale } = {}) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    console.warn('parseCommand: Invalid input - transcript must be a non-empty string.');
+    return null;
   }
 
-   // Clean up common leading/trailing noise words that might be left
-   description = description.replace(/^(?:spent|add|log|cost|expense|was|is|buy|get|paid|a|an|the)\s+/i, '').trim();
-   description = description.replace(/\s+(?:spent|add|log|cost|expense|was|is|buy|get|paid|a|an|the)$/i, '').trim();
-   // Remove leading/trailing punctuation that might occur
-   description = description.replace(/^[.,!?;:]+|[.,!?;:]+$/g, '').trim();
-
-
-  // 4. Validation & Return
-  if (!description) {
-    console.warn(`parseExpenseString: Could not extract a valid description from: "${originalTranscript}"`);
-    return null; // No description found
+  const intentMatch = matchIntentPattern(transcript);
+  if (intentMatch) {
+    const command = { intent: intentMatch.intent, patternId: intentMatch.patternId };
+    if (intentMatch.intent === INTENTS.UPDATE_AMOUNT) {
+      const parsedAmount = parseAmountPhrase(intentMatch.slots.amount);
+      if (!parsedAmount) {
+        return null;
+      }
+      Object.assign(command, parsedAmount, { target: intentMatch.slots.target || null });
+    } else if (intentMatch.intent === INTENTS.BUDGET_LEFT) {
+      command.target = intentMatch.slots.target;
+    } else if (
+      intentMatch.intent === INTENTS.QUERY_SPENDING ||
+      intentMatch.intent === INTENTS.QUERY_TOTAL ||
+      intentMatch.intent === INTENTS.SHOW_EXPENSES
+    ) {
+      command.target = intentMatch.slots.target || null;
+      command.period = intentMatch.slots.period ? parsePeriodPhrase(intentMatch.slots.period) : null;
+    }
+    console.log('parseCommand: Matched intent:', command, `from: "${transcript}"`);
+    return command;
   }
 
-  // Success
-  const result = { amount, description };
-  console.log(`parseExpenseString: Successfully parsed:`, result, `from: "${originalTranscript}"`);
-  return result;
+  const expense = parseExpenseString(transcript, { locale });
+  return expense ? { intent: INTENTS.ADD, ...expense } : null;
 };
 
 // Future Enhancements (Not for MVP):
 // - More sophisticated NLP for better intent/entity recognition.
-// - Handling of non-numeric amounts ("ten dollars").
-// - Locale awareness for currency symbols, decimal separators, and number formats.
-// - Date/Time extraction from the transcript.
-// - Categorization based on description keywords.
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Recurring expense schedules for the Voice Expense Tracker application.
+ * A recurring template (rent, subscriptions) has an RRULE-like schedule: a frequency, an interval and the
+ * day it falls on. These helpers are pure: they work out which occurrences are due and describe schedules,
+ * and never touch storage. Occurrences are identified by their local "YYYY-MM-DD" date key.
+ */
+
+import { toDateKey } from './currencyConversion.js';
+
+/**
+ * The frequencies a schedule can repeat at (RRULE `FREQ`).
+ * @constant {string[]}
+ */
+export const RECURRENCE_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * Upper bound on the occurrences generated for one template in one run, so a template with an old start
+ * date (or a clock far in the future) cannot flood the expense list.
+ * @constant {number}
+ */
+export const MAX_OCCURRENCES_PER_RUN = 120;
+
+/**
+ * @typedef {object} RecurrenceSchedule
+ * @property {'weekly' | 'monthly' | 'yearly'} frequency - How often the expense repeats (RRULE `FREQ`).
+ * @property {number} interval - Repeat every `interval` weeks/months/years (RRULE `INTERVAL`).
+ * @property {number} [dayOfWeek] - Weekly: 0 (Sunday) to 6 (Saturday) (RRULE `BYDAY`).
+ * @property {number} [dayOfMonth] - Monthly and yearly: 1 to 31; shorter months use their last day (RRULE `BYMONTHDAY`).
+ * @property {number} [month] - Yearly: 0 (January) to 11 (RRULE `BYMONTH`).
+ */
+
+/**
+ * @typedef {object} RecurringTemplate
+ * @property {string} id - The template id.
+ * @property {string} description - Description of every generated expense.
+ * @property {number} amount - Amount of every generated expense.
+ * @property {string} currency - ISO 4217 code of the amount.
+ * @property {string | null} category - Category id, or null to categorise by keyword.
+ * @property {RecurrenceSchedule} schedule - When the expense repeats.
+ * @property {string} startDate - "YYYY-MM-DD" of the first day the schedule applies.
+ * @property {string | null} generatedThrough - "YYYY-MM-DD" of the last occurrence already generated, or null if none yet.
+ */
+
+/** @constant {string[]} */
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** @constant {string[]} */
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Parses a "YYYY-MM-DD" key into local midnight.
+ *
+ * @param {string} dateKey - The date key.
+ * @returns {Date | null} The date, or null if the key is malformed.
+ */
+export const fromDateKey = (dateKey) => {
+  const match = typeof dateKey === 'string' ? dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!match) return null;
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return toDateKey(date) === dateKey ? date : null;
+};
+
+/**
+ * Builds a date in the given month, moving days past the end of the month back to its last day
+ * ("monthly on the 31st" falls on the 30th in April).
+ *
+ * @param {number} year - The year.
+ * @param {number} month - 0-based month (may overflow; it is normalised).
+ * @param {number} day - The day of the month.
+ * @returns {Date} Local midnight on that day.
+ */
+const clampedDate = (year, month, day) => {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Fills in the day fields a schedule leaves open from its start date, so "every month" started on the
+ * 19th repeats on the 19th and "every week" started on a Friday repeats on Fridays.
+ *
+ * @param {{frequency: string, interval?: number, dayOfWeek?: number, dayOfMonth?: number, month?: number}} schedule - The schedule.
+ * @param {Date} startDate - The first day the schedule applies.
+ * @returns {RecurrenceSchedule} The complete schedule.
+ */
+export const completeSchedule = (schedule, startDate) => {
+  const complete = { frequency: schedule.frequency, interval: schedule.interval || 1 };
+  if (schedule.frequency === 'weekly') {
+    complete.dayOfWeek = schedule.dayOfWeek ?? startDate.getDay();
+  } else {
+    complete.dayOfMonth = schedule.dayOfMonth ?? startDate.getDate();
+    if (schedule.frequency === 'yearly') {
+      complete.month = schedule.month ?? startDate.getMonth();
+    }
+  }
+  return complete;
+};
+
+/**
+ * Checks that a schedule is complete and within range.
+ *
+ * @param {any} schedule - The schedule to check.
+ * @returns {boolean} True if the schedule can be used to generate occurrences.
+ */
+export const isValidSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object' || !RECURRENCE_FREQUENCIES.includes(schedule.frequency)) {
+    return false;
+  }
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (!inRange(schedule.interval, 1, 99)) return false;
+  if (schedule.frequency === 'weekly') return inRange(schedule.dayOfWeek, 0, 6);
+  if (schedule.frequency === 'yearly' && !inRange(schedule.month, 0, 11)) return false;
+  return inRange(schedule.dayOfMonth, 1, 31);
+};
+
+/**
+ * Lists the occurrences of a schedule from its start date up to and including `until`.
+ *
+ * @param {RecurrenceSchedule} schedule - A complete schedule.
+ * @param {Date} start - Local midnight on the first day the schedule applies.
+ * @param {Date} until - The last day that may hold an occurrence (its time of day is ignored).
+ * @param {number} [limit=MAX_OCCURRENCES_PER_RUN] - Stop after this many occurrences.
+ * @param {Date | null} [after=null] - Only occurrences strictly after this day are returned.
+ * @returns {Date[]} The occurrences at local midnight, oldest first.
+ */
+export const getOccurrences = (schedule, start, until, limit = MAX_OCCURRENCES_PER_RUN, after = null) => {
+  const lastDay = new Date(until.getFullYear(), until.getMonth(), until.getDate());
+  const { frequency, interval } = schedule;
+  const occurrences = [];
+  for (let step = 0; occurrences.length < limit; step += 1) {
+    let date;
+    if (frequency === 'weekly') {
+      const offset = (schedule.dayOfWeek - start.getDay() + 7) % 7;
+      date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset + step * 7 * interval);
+    } else if (frequency === 'yearly') {
+      date = clampedDate(start.getFullYear() + step * interval, schedule.month, schedule.dayOfMonth);
+    } else {
+      date = clampedDate(start.getFullYear(), start.getMonth() + step * interval, schedule.dayOfMonth);
+    }
+    if (date > lastDay) break;
+    if (date >= start && (!after || date > after)) occurrences.push(date);
+  }
+  return occurrences;
+};
+
+/**
+ * Works out the occurrences of a template that have not been generated yet, up to today.
+ *
+ * @param {RecurringTemplate} template - The template.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Date[]} The missing occurrences at local midnight, oldest first (empty for invalid templates).
+ */
+export const getDueOccurrences = (template, now = new Date()) => {
+  const start = fromDateKey(template.startDate);
+  if (!start || !isValidSchedule(template.schedule)) {
+    return [];
+  }
+  return getOccurrences(template.schedule, start, now, MAX_OCCURRENCES_PER_RUN, fromDateKey(template.generatedThrough));
+};
+
+/**
+ * Returns the next occurrence of a template after today.
+ *
+ * @param {RecurringTemplate} template - The template.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {Date | null} The next occurrence, or null for invalid templates.
+ */
+export const getNextOccurrence = (template, now = new Date()) => {
+  const start = fromDateKey(template.startDate);
+  if (!start || !isValidSchedule(template.schedule)) {
+    return null;
+  }
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // A window of `interval + 1` years always holds at least one more occurrence
+  const until = new Date(today.getFullYear() + template.schedule.interval + 1, today.getMonth(), today.getDate());
+  const [next] = getOccurrences(template.schedule, start, until, 1, today);
+  return next || null;
+};
+
+/**
+ * Formats a day of the month as an ordinal ("1st", "22nd").
+ *
+ * @param {number} day - The day.
+ * @returns {string} The ordinal.
+ */
+const toOrdinal = (day) => {
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+  return `${day}${suffix}`;
+};
+
+/**
+ * Describes a schedule for display and spoken answers, e.g. "monthly on the 1st", "every 2 weeks on Friday".
+ *
+ * @param {RecurrenceSchedule} schedule - A complete schedule.
+ * @returns {string} The description.
+ */
+export const describeSchedule = (schedule) => {
+  const { frequency, interval } = schedule;
+  const unit = { weekly: 'week', monthly: 'month', yearly: 'year' }[frequency];
+  const every = interval > 1 ? `every ${interval} ${unit}s` : frequency;
+  if (frequency === 'weekly') return `${every} on ${WEEKDAY_NAMES[schedule.dayOfWeek]}`;
+  if (frequency === 'yearly') return `${every} on ${MONTH_NAMES[schedule.month]} ${schedule.dayOfMonth}`;
+  return `${every} on the ${toOrdinal(schedule.dayOfMonth)}`;
+};
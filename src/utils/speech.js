@@ -0,0 +1,37 @@
+/**
+ * Spoken feedback for the Voice Expense Tracker application, using the browser's
+ * speech synthesis (`window.speechSynthesis`). Answers to voice queries are read back
+ * so the user does not have to look at the screen.
+ */
+
+/**
+ * Checks whether the browser can speak.
+ *
+ * @returns {boolean} True if `window.speechSynthesis` is available.
+ */
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+
+/**
+ * Reads a message aloud, interrupting anything still being spoken.
+ * Does nothing (apart from a warning) where speech synthesis is unavailable.
+ *
+ * @param {string} text - The message to speak.
+ * @param {object} [options] - Speech options.
+ * @param {string} [options.lang='en-US'] - BCP 47 language of the message.
+ * @returns {boolean} True if the message was handed to the speech engine.
+ */
+export const speak = (text, { lang = 'en-US' } = {}) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return false;
+  }
+  if (!isSpeechSynthesisSupported()) {
+    console.warn('speak: Speech synthesis is not supported by this browser.');
+    return false;
+  }
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  window.speechSynthesis.cancel(); // A new answer replaces a stale one
+  window.speechSynthesis.speak(utterance);
+  return true;
+};
@@ -0,0 +1,113 @@
+/**
+ * Answers to spoken spending questions for the Voice Expense Tracker application
+ * ("how much did I spend on coffee this week?", "total for March", "what was my last expense?").
+ * Pure functions over the plain expense objects from `ExpenseContext`; totals come from `./aggregation.js`,
+ * so they are in the home currency, like the Summary dashboard.
+ */
+
+import { filterByDateRange, getPeriodRange, sumExpenses } from './aggregation.js';
+import { DEFAULT_CATEGORIES } from './categories.js';
+import { formatMoney } from './currency.js';
+
+/**
+ * Escapes a literal string for safe use inside a RegExp.
+ *
+ * @param {string} value - The literal text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalises a spoken target ("the Taxis" -> "taxis") and lists its possible singular forms.
+ *
+ * @param {string | null | undefined} target - The spoken target.
+ * @returns {{needle: string, singulars: string[]}} The lower-case target (empty when none) and its singulars.
+ */
+const toTargetForms = (target) => {
+  const needle = (target || '').trim().toLowerCase().replace(/^(?:the|my)\s+/, '');
+  return { needle, singulars: [needle.replace(/s$/, ''), needle.replace(/es$/, '')] }; // "taxis" -> "taxi", "buses" -> "bus"
+};
+
+/**
+ * Finds the categories a spoken target names by id, label or alias ("groceries", "transport", "cabs").
+ *
+ * @param {string | null | undefined} target - The spoken target.
+ * @returns {string[]} The matching category ids; empty when the target is not a category.
+ */
+export const findTargetCategories = (target) => {
+  const { needle, singulars } = toTargetForms(target);
+  if (!needle) {
+    return [];
+  }
+  return DEFAULT_CATEGORIES.filter((category) =>
+    [category.id, category.label.toLowerCase(), ...category.aliases].some((name) => name === needle || singulars.includes(name)),
+  ).map((category) => category.id);
+};
+
+/**
+ * Builds a matcher for a spoken spending target ("coffee", "taxis", "the groceries"): an expense matches when its
+ * description contains the target (singular or plural) as whole words, or when the target names its category.
+ *
+ * @param {string} target - The spoken target.
+ * @returns {function(object): boolean} The matcher; it accepts every expense when the target is empty.
+ */
+export const createTargetMatcher = (target) => {
+  const { needle, singulars } = toTargetForms(target);
+  if (!needle) {
+    return () => true;
+  }
+  const words = [needle, ...singulars].filter(Boolean).map((word) => escapeRegExp(word).replace(/\s+/g, '\\s+'));
+  const descriptionRegex = new RegExp(`\\b(?:${words.join('|')})(?:e?s)?\\b`);
+  const categoryIds = findTargetCategories(target);
+
+  return (expense) =>
+    categoryIds.includes(expense.category) || descriptionRegex.test((expense.description || '').toLowerCase());
+};
+
+/**
+ * Answers "how much did I spend (on X) (in period)?" and "total for (period)". Without a spoken period the
+ * question is about the current month.
+ *
+ * @param {{target?: string | null, period?: {from: Date, to: Date, label: string} | null}} query - The parsed question.
+ * @param {Array<object>} expenses - The live expenses.
+ * @param {import('./aggregation.js').AggregationOptions & {now?: Date}} options - The home currency, rates and reference time.
+ * @returns {string} The answer, e.g. "You spent $12.50 on coffee this week (3 expenses)."
+ */
+export const answerSpendingQuery = ({ target = null, period = null }, expenses, { now = new Date(), ...options }) => {
+  let range = period;
+  if (!range) {
+    const { start, end } = getPeriodRange('month', now);
+    range = { from: start, to: end, label: 'this month' };
+  }
+  const matches = createTargetMatcher(target);
+  const { total, count, unconvertedCount } = sumExpenses(
+    filterByDateRange(expenses, range).filter(matches),
+    options,
+  );
+
+  const subject = target ? ` on ${target}` : '';
+  let answer =
+    count === 0
+      ? `You haven't spent anything${subject} ${range.label}.`
+      : `You spent ${formatMoney(total, options.homeCurrency)}${subject} ${range.label} (${count} expense${count === 1 ? '' : 's'}).`;
+  if (unconvertedCount > 0) {
+    answer += ` ${unconvertedCount} expense${unconvertedCount === 1 ? ' is' : 's are'} in another currency without an exchange rate and ${unconvertedCount === 1 ? 'is' : 'are'} not included.`;
+  }
+  return answer;
+};
+
+/**
+ * Answers "what was my last expense?".
+ *
+ * @param {{description: string, amount: number, currency: string, occurredAt?: Date | null, timestamp?: Date | null} | null} expense -
+ *   The most recent expense, or null if there is none.
+ * @returns {string} The answer, e.g. "Your last expense was coffee, $4.50 on Mar 3."
+ */
+export const answerLastExpenseQuery = (expense) => {
+  if (!expense) {
+    return "You haven't recorded any expenses yet.";
+  }
+  const date = expense.occurredAt || expense.timestamp;
+  const when = date ? ` on ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : '';
+  return `Your last expense was ${expense.description}, ${formatMoney(expense.amount, expense.currency)}${when}.`;
+};
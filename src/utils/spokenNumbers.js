@@ -0,0 +1,330 @@
+/**
+ * Spoken-number normalisation for the Voice Expense Tracker application.
+ * Rewrites English cardinal phrases produced by speech recognition ("twelve fifty",
+ * "a hundred and five dollars", "a dollar fifty", "a grand") into digit amounts so the
+ * command grammar can extract them like any typed number.
+ */
+
+/** @constant {Object<string, number>} */
+const UNITS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+};
+
+/** @constant {Object<string, number>} */
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+
+/** @constant {Object<string, number>} */
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+
+/** @constant {Object<string, number>} */
+const SCALES = { thousand: 1000, grand: 1000, million: 1000000 };
+
+/**
+ * Currency words that may split a spoken amount ("twelve dollars fifty").
+ * @constant {RegExp}
+ */
+const CURRENCY_WORD = /^(?:dollars?|bucks?|pounds?|quid|euros?)$/;
+
+/**
+ * Minor-unit words, mapped to the major currency word they are emitted as.
+ * @constant {Object<string, string>}
+ */
+const MINOR_UNITS = { cent: 'dollars', cents: 'dollars', penny: 'pounds', pence: 'pounds' };
+
+/** Leading "oh" is only a digit inside a number ("twelve oh five"), never on its own. */
+const isUnitWord = (word, allowOh = false) =>
+  word in UNITS && (allowOh || word !== 'oh');
+
+/**
+ * Splits a token into its bare lowercase word and any trailing punctuation.
+ *
+ * @param {string} token - A whitespace-delimited token.
+ * @returns {{word: string, suffix: string}} The word and its punctuation suffix.
+ */
+const splitToken = (token) => {
+  const match = token.match(/^(.*?)([.,!?;:]*)$/);
+  return { word: match[1].toLowerCase(), suffix: match[2] };
+};
+
+/**
+ * Reads a cardinal number phrase starting at `start`.
+ *
+ * @param {string[]} words - Bare lowercase words.
+ * @param {number} start - Index to start reading at.
+ * @returns {{value: number, end: number, wordCount: number, hasScale: boolean, lastKind: string} | null}
+ *   The value, the index just past the phrase, and how it was built; null if no number starts here.
+ */
+const readCardinal = (words, start) => {
+  let total = 0;
+  let current = 0;
+  let lastKind = null;
+  let hasScale = false;
+  let i = start;
+
+  while (i < words.length) {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (lastKind === null && (word === 'a' || word === 'an')) {
+      // "a hundred", "a grand", "a couple hundred", "a dollar fifty"
+      if (next === 'hundred' || next in SCALES || next === 'couple' || CURRENCY_WORD.test(next || '')) {
+        current = 1;
+        lastKind = 'a';
+        i += 1;
+        continue;
+      }
+      break;
+    }
+    if (word === 'couple' && (lastKind === null || lastKind === 'a')) {
+      current = 2;
+      lastKind = 'couple';
+      i += 1;
+      if (words[i] === 'of') i += 1; // "a couple of hundred"
+      continue;
+    }
+    if (isUnitWord(word) && [null, 'tens', 'hundred', 'scale', 'and'].includes(lastKind)) {
+      current += UNITS[word];
+      lastKind = 'unit';
+    } else if (word in TEENS && [null, 'hundred', 'scale', 'and'].includes(lastKind)) {
+      current += TEENS[word];
+      lastKind = 'teen';
+    } else if (word in TENS && [null, 'hundred', 'scale', 'and'].includes(lastKind)) {
+      current += TENS[word];
+      lastKind = 'tens';
+    } else if (word === 'hundred' && current > 0 && current < 100) {
+      current *= 100;
+      lastKind = 'hundred';
+      hasScale = true;
+    } else if (word in SCALES && (current > 0 || total > 0) && lastKind !== 'scale') {
+      total += (current || 1) * SCALES[word];
+      current = 0;
+      lastKind = 'scale';
+      hasScale = true;
+    } else if (
+      word === 'and' &&
+      (lastKind === 'hundred' || lastKind === 'scale') &&
+      next &&
+      (isUnitWord(next) || next in TEENS || next in TENS)
+    ) {
+      lastKind = 'and';
+    } else {
+      break;
+    }
+    i += 1;
+  }
+
+  if (lastKind === null || lastKind === 'and' || (lastKind === 'a' && !CURRENCY_WORD.test(words[i] || ''))) {
+    return null;
+  }
+  return { value: total + current, end: i, wordCount: i - start, hasScale, lastKind };
+};
+
+/**
+ * Reads a number at `start`, accepting either a plain digit token or a spoken cardinal.
+ *
+ * @param {string[]} words - Bare lowercase words.
+ * @param {number} start - Index to start reading at.
+ * @returns {{value: number, end: number, wordCount: number, hasScale: boolean, lastKind: string, isDigits: boolean} | null}
+ */
+const readNumber = (words, start) => {
+  const word = words[start];
+  if (/^\d+(?:\.\d+)?$/.test(word || '')) {
+    return { value: parseFloat(word), end: start + 1, wordCount: 1, hasScale: false, lastKind: 'digits', isDigits: true };
+  }
+  const cardinal = readCardinal(words, start);
+  return cardinal ? { ...cardinal, isDigits: false } : null;
+};
+
+/**
+ * Reads a one- or two-digit minor amount (cents) at `start`, e.g. "fifty", "oh five", "05".
+ *
+ * @param {string[]} words - Bare lowercase words.
+ * @param {number} start - Index to start reading at.
+ * @returns {{cents: number, end: number} | null} The minor amount (0-99) and the index after it.
+ */
+const readMinorAmount = (words, start) => {
+  if (words[start] === 'oh' && isUnitWord(words[start + 1] || '')) {
+    return { cents: UNITS[words[start + 1]], end: start + 2 };
+  }
+  const number = readNumber(words, start);
+  if (!number || number.hasScale || number.value >= 100 || !Number.isInteger(number.value)) {
+    return null;
+  }
+  if (number.isDigits && !/^\d{1,2}$/.test(words[start])) {
+    return null;
+  }
+  return { cents: number.value, end: number.end };
+};
+
+/**
+ * Reads the digits after "point" ("point five", "point two five", "point fifty").
+ *
+ * @param {string[]} words - Bare lowercase words.
+ * @param {number} start - Index of the first word after "point".
+ * @returns {{digits: string, end: number} | null} The fractional digits and the index after them.
+ */
+const readDecimalDigits = (words, start) => {
+  let digits = '';
+  let i = start;
+  while (i < words.length && isUnitWord(words[i], true)) {
+    digits += String(UNITS[words[i]]);
+    i += 1;
+  }
+  if (!digits && (words[i] in TEENS || words[i] in TENS)) {
+    const minor = readMinorAmount(words, i);
+    if (minor) return { digits: String(minor.cents).padStart(2, '0'), end: minor.end };
+  }
+  if (!digits && /^\d+$/.test(words[i] || '')) {
+    return { digits: words[i], end: i + 1 };
+  }
+  return digits ? { digits, end: i } : null;
+};
+
+/**
+ * Formats an amount as a plain digit string with at most two decimals.
+ *
+ * @param {number} value - The amount.
+ * @returns {string} E.g. "12.5", "105", "0.05".
+ */
+const formatAmount = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Reads a complete spoken amount at `start`, including the colloquial forms
+ * "twelve fifty", "twelve dollars fifty", "a dollar fifty", "fifty cents", "two and a half"
+ * and "half a dollar".
+ *
+ * @param {string[]} words - Bare lowercase words.
+ * @param {number} start - Index to start reading at.
+ * @returns {{text: string, end: number, strong: boolean} | null} The replacement text for words[start..end),
+ *   and whether it is unambiguously an amount (weak conversions are single bare number words like "one").
+ */
+const readSpokenAmount = (words, start) => {
+  // "half a dollar" / "half a pound"
+  if (words[start] === 'half' && words[start + 1] === 'a' && CURRENCY_WORD.test(words[start + 2] || '')) {
+    return { text: `0.5 ${words[start + 2]}`, end: start + 3, strong: true };
+  }
+
+  const number = readNumber(words, start);
+  if (!number) return null;
+
+  let value = number.value;
+  let end = number.end;
+  let currencyWord = null;
+  let combined = false;
+
+  if (words[end] === 'point') {
+    // "twelve point five"
+    const decimals = readDecimalDigits(words, end + 1);
+    if (decimals && Number.isInteger(value)) {
+      value = parseFloat(`${value}.${decimals.digits}`);
+      end = decimals.end;
+      combined = true;
+    }
+  } else if (words[end] === 'and' && words[end + 1] === 'a' && words[end + 2] === 'half') {
+    // "two and a half"
+    value += 0.5;
+    end += 3;
+    combined = true;
+  } else if (words[end] in MINOR_UNITS && !number.hasScale && value < 100) {
+    // "fifty cents" -> "0.50 dollars"
+    currencyWord = MINOR_UNITS[words[end]];
+    value /= 100;
+    end += 1;
+    combined = true;
+  } else if (CURRENCY_WORD.test(words[end] || '')) {
+    // "twelve dollars fifty", "a dollar fifty", "twelve dollars and fifty cents"
+    currencyWord = words[end];
+    end += 1;
+    const andOffset = words[end] === 'and' ? 1 : 0;
+    const minor = readMinorAmount(words, end + andOffset);
+    const minorHasUnit = minor && words[minor.end] in MINOR_UNITS;
+    if (minor && Number.isInteger(value) && (andOffset === 0 || minorHasUnit)) {
+      value += minor.cents / 100;
+      end = minor.end + (minorHasUnit ? 1 : 0);
+      combined = true;
+    }
+  } else if (
+    !number.isDigits &&
+    !number.hasScale &&
+    value > 0 &&
+    value < 100 &&
+    (number.lastKind === 'unit' || number.lastKind === 'teen' || number.lastKind === 'tens')
+  ) {
+    // "twelve fifty", "nine ninety nine", "twelve oh five"
+    const minor = readMinorAmount(words, end);
+    const minorIsSpoken = minor && !/^\d/.test(words[end]);
+    if (minorIsSpoken && (minor.cents >= 10 || words[end] === 'oh') && !(words[minor.end] in MINOR_UNITS)) {
+      value += minor.cents / 100;
+      end = minor.end;
+      combined = true;
+    }
+  }
+
+  // Plain digits that were not combined with anything are left exactly as spoken
+  if (number.isDigits && !combined) return null;
+
+  const strong = combined || currencyWord !== null || number.wordCount > 1 || number.hasScale ||
+    CURRENCY_WORD.test(words[end] || '');
+  const text = currencyWord ? `${formatAmount(value)} ${currencyWord}` : formatAmount(value);
+  return { text, end, strong };
+};
+
+/**
+ * Rewrites spoken English amounts in a transcript as digits, leaving all other words untouched.
+ * Single bare number words ("one coffee") are only converted when the transcript contains no other
+ * amount, so they do not compete with a clearer amount elsewhere in the sentence.
+ *
+ * @example
+ * normalizeSpokenNumbers('spent twelve dollars fifty on lunch'); // 'spent 12.5 dollars on lunch'
+ * normalizeSpokenNumbers('a couple hundred for rent'); // '200 for rent'
+ *
+ * @param {string} transcript - The raw transcript.
+ * @returns {string} The transcript with spoken amounts replaced by digit amounts.
+ */
+export const normalizeSpokenNumbers = (transcript) => {
+  if (typeof transcript !== 'string' || transcript.trim() === '') {
+    return transcript;
+  }
+
+  // Hyphenated compounds ("twenty-five") are read as separate words
+  const tokens = transcript.trim().split(/\s+/).flatMap((token) =>
+    /^[a-z]+(?:-[a-z]+)+[.,!?;:]*$/i.test(token) ? token.split('-') : [token],
+  );
+  const parts = tokens.map(splitToken);
+  const words = parts.map((part) => part.word);
+
+  const replacements = [];
+  let i = 0;
+  while (i < words.length) {
+    const amount = readSpokenAmount(words, i);
+    if (amount) {
+      replacements.push({ start: i, ...amount });
+      i = amount.end;
+    } else {
+      i += 1;
+    }
+  }
+
+  const hasDigitAmount = words.some((word) => /\d/.test(word));
+  const hasStrongAmount = hasDigitAmount || replacements.some((replacement) => replacement.strong);
+  const applied = replacements.filter((replacement) => replacement.strong || !hasStrongAmount);
+  if (applied.length === 0) {
+    return transcript;
+  }
+
+  const output = [];
+  let cursor = 0;
+  for (const replacement of applied) {
+    output.push(...tokens.slice(cursor, replacement.start));
+    // Keep any punctuation that followed the last replaced word ("fifty," -> "12.5,")
+    output.push(replacement.text + parts[replacement.end - 1].suffix);
+    cursor = replacement.end;
+  }
+  output.push(...tokens.slice(cursor));
+  return output.join(' ');
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSpokenNumbers } from './spokenNumbers.js';
+
+describe('normalizeSpokenNumbers', () => {
+  it.each([
+    ['a couple hundred for rent', '200 for rent'],
+    ['a couple of hundred dollars on flights', '200 dollars on flights'],
+    ['a grand for rent', '1000 for rent'],
+    ['two grand for the deposit', '2000 for the deposit'],
+    ['a hundred and five dollars', '105 dollars'],
+  ])('reads scales and "a couple": %s', (spoken, expected) => {
+    expect(normalizeSpokenNumbers(spoken)).toBe(expected);
+  });
+
+  it.each([
+    ['a dollar fifty for coffee', '1.5 dollar for coffee'],
+    ['twelve dollars fifty on lunch', '12.5 dollars on lunch'],
+    ['twelve dollars and fifty cents on lunch', '12.5 dollars on lunch'],
+    ['twelve fifty for lunch', '12.5 for lunch'],
+    ['twelve oh five for lunch', '12.05 for lunch'],
+  ])('reads dollars and cents: %s', (spoken, expected) => {
+    expect(normalizeSpokenNumbers(spoken)).toBe(expected);
+  });
+
+  it.each([
+    ['fifty cents for gum', '0.5 dollars for gum'],
+    ['seventy five cents tip', '0.75 dollars tip'],
+    ['ninety pence for a stamp', '0.9 pounds for a stamp'],
+  ])('turns cents and pence into their currency: %s', (spoken, expected) => {
+    expect(normalizeSpokenNumbers(spoken)).toBe(expected);
+  });
+
+  it.each([
+    ['half a dollar for gum', '0.5 dollar for gum'],
+    ['two and a half dollars for parking', '2.5 dollars for parking'],
+  ])('reads halves: %s', (spoken, expected) => {
+    expect(normalizeSpokenNumbers(spoken)).toBe(expected);
+  });
+
+  it.each([
+    ['twelve point five dollars for fuel', '12.5 dollars for fuel'],
+    ['three point two five for a bus ticket', '3.25 for a bus ticket'],
+    ['nine point fifty for a sandwich', '9.5 for a sandwich'],
+  ])('reads decimals after "point": %s', (spoken, expected) => {
+    expect(normalizeSpokenNumbers(spoken)).toBe(expected);
+  });
+
+  it('leaves "half" alone when it is not an amount', () => {
+    expect(normalizeSpokenNumbers('half the pizza 5 dollars')).toBe('half the pizza 5 dollars');
+  });
+
+  it('converts a lone bare number word only when there is no clearer amount', () => {
+    expect(normalizeSpokenNumbers('one coffee')).toBe('1 coffee');
+    expect(normalizeSpokenNumbers('one coffee 4 dollars')).toBe('one coffee 4 dollars');
+    expect(normalizeSpokenNumbers('one coffee four dollars')).toBe('one coffee 4 dollars');
+  });
+
+  it('reads hyphenated compounds and keeps punctuation', () => {
+    expect(normalizeSpokenNumbers('twenty-five dollars, taxi')).toBe('25 dollars, taxi');
+  });
+
+  it('returns input without spoken numbers unchanged', () => {
+    expect(normalizeSpokenNumbers('spent 12.50 on lunch')).toBe('spent 12.50 on lunch');
+    expect(normalizeSpokenNumbers('')).toBe('');
+    expect(normalizeSpokenNumbers(null)).toBeNull();
+  });
+});